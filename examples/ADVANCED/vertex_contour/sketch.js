@@ -206,7 +206,7 @@ function updateSettings() {
   setFillMode(currentFillMode);
   setStrokeMode(currentStrokeMode);
   setFillSettings({
-    angle: currentSettings.fillAngle,
+    angle: radians(currentSettings.fillAngle),
     rowSpacing: currentSettings.rowSpacing,
     stitchLength: currentSettings.stitchLength,
     alternateAngle: true,
@@ -198,7 +198,7 @@ function setup() {
 
 function updateFillSettings() {
   setFillSettings({
-    angle: currentSettings.angle,
+    angle: radians(currentSettings.angle),
     stitchLength: currentSettings.stitchLength,
     stitchWidth: currentSettings.stitchWidth,
     spacing: currentSettings.rowSpacing,
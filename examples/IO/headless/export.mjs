@@ -0,0 +1,36 @@
+// Headless export example
+// Records an instance-mode sketch in Node.js and writes embroidery files to ./out
+//
+// Usage (from the repository root, after `npm run build`):
+//   node examples/IO/headless/export.mjs
+//
+// Requires the jsdom and canvas packages.
+
+import { exportSketch } from "../../../lib/p5.embroider.node.mjs";
+
+const roygbiv = ["red", "orange", "yellow", "green", "blue", "indigo"];
+
+function sketch(p) {
+  p.setup = () => {
+    p.createCanvas(mmToPixel(150), mmToPixel(150));
+    p.noLoop();
+  };
+
+  p.draw = () => {
+    const stitchWidth = 8;
+
+    beginRecord(p);
+    p.noFill();
+    p.strokeWeight(stitchWidth);
+    setStitch(0.1, 0.5, 0);
+    setStrokeMode("zigzag");
+    for (let i = 0; i < roygbiv.length; i++) {
+      p.stroke(roygbiv[roygbiv.length - 1 - i]);
+      p.ellipse(75, 75, stitchWidth * 2 + stitchWidth * 2 * i, stitchWidth * 2 + stitchWidth * 2 * i);
+    }
+    endRecord(p);
+  };
+}
+
+const files = await exportSketch(sketch, ["out/colorExample.dst", "out/colorExample.pes", "out/colorExample.svg"]);
+console.log("Wrote", files.join(", "));
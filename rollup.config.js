@@ -1,21 +1,32 @@
 import { nodeResolve } from "@rollup/plugin-node-resolve";
 import commonjs from "@rollup/plugin-commonjs";
 
-export default {
-  input: "./src/p5.embroider.js",
-  output: {
-    file: "./lib/p5.embroider.js",
-    format: "umd",
-    name: "p5.embroider",
-    globals: {
-      p5: "p5",
+export default [
+  {
+    input: "./src/p5.embroider.js",
+    output: {
+      file: "./lib/p5.embroider.js",
+      format: "umd",
+      name: "p5.embroider",
+      globals: {
+        p5: "p5",
+      },
     },
+    plugins: [
+      nodeResolve({
+        browser: true,
+      }),
+      commonjs(),
+    ],
+    external: ["p5"],
   },
-  plugins: [
-    nodeResolve({
-      browser: true,
-    }),
-    commonjs(),
-  ],
-  external: ["p5"],
-};
+  {
+    input: "./src/p5.embroider.node.js",
+    output: {
+      file: "./lib/p5.embroider.node.mjs",
+      format: "es",
+    },
+    plugins: [nodeResolve(), commonjs()],
+    external: ["p5", "jsdom", "canvas", "fs/promises", "path"],
+  },
+];
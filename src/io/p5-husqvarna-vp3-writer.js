@@ -0,0 +1,376 @@
+/**
+ * Class for writing Husqvarna Viking / Pfaff VP3 embroidery files.
+ * @class VP3Writer
+ */
+
+// Debug flag - set to true to enable debug logging
+const _DEBUG_VP3 = false;
+
+export class VP3Writer {
+  static MAGIC = "%vsm%";
+  static PRODUCER = "Produced by     Software Ltd";
+
+  static MAX_MOVE = 127; // Short moves are signed bytes in 0.1mm
+  static UNITS_PER_TENTH_MM = 100; // Header coordinates are in 0.001mm with y pointing up
+
+  static CONTROL = 0x80;
+  static LONG_MOVE = 0x01;
+  static LONG_MOVE_END = 0x02;
+  static TRIM = 0x03;
+
+  static THREAD_TYPE = 0x05;
+  static THREAD_WEIGHT = 0x28; // 40wt
+
+  constructor() {
+    this.buffer = [];
+    this.stitchCount = 0;
+  }
+
+  // ===== Binary Writing Methods =====
+
+  writeInt8(value) {
+    this.buffer.push(value & 0xff);
+  }
+
+  writeInt16BE(value) {
+    this.buffer.push((value >> 8) & 0xff);
+    this.buffer.push(value & 0xff);
+  }
+
+  writeInt24BE(value) {
+    this.buffer.push((value >> 16) & 0xff);
+    this.buffer.push((value >> 8) & 0xff);
+    this.buffer.push(value & 0xff);
+  }
+
+  writeInt32BE(value) {
+    this.buffer.push((value >>> 24) & 0xff);
+    this.buffer.push((value >> 16) & 0xff);
+    this.buffer.push((value >> 8) & 0xff);
+    this.buffer.push(value & 0xff);
+  }
+
+  writeBytes(bytes) {
+    for (let i = 0; i < bytes.length; i++) {
+      this.buffer.push(bytes[i]);
+    }
+  }
+
+  writeString(string) {
+    for (let i = 0; i < string.length; i++) {
+      this.buffer.push(string.charCodeAt(i) & 0xff);
+    }
+  }
+
+  /**
+   * Writes a UTF-8 string prefixed with its byte length.
+   * @param {string} string - Text to write
+   */
+  writeString8(string = "") {
+    const bytes = new TextEncoder().encode(String(string));
+    this.writeInt16BE(bytes.length);
+    this.writeBytes(bytes);
+  }
+
+  /**
+   * Writes a UTF-16BE string prefixed with its byte length.
+   * @param {string} string - Text to write
+   */
+  writeString16(string = "") {
+    const text = String(string);
+    this.writeInt16BE(text.length * 2);
+    for (let i = 0; i < text.length; i++) {
+      this.writeInt16BE(text.charCodeAt(i));
+    }
+  }
+
+  /**
+   * Writes an int32 placeholder to be filled in once its value is known.
+   * @returns {number} Offset of the placeholder
+   */
+  writePlaceholder() {
+    const offset = this.buffer.length;
+    this.writeInt32BE(0);
+    return offset;
+  }
+
+  patchInt32BE(offset, value) {
+    this.buffer[offset] = (value >>> 24) & 0xff;
+    this.buffer[offset + 1] = (value >> 16) & 0xff;
+    this.buffer[offset + 2] = (value >> 8) & 0xff;
+    this.buffer[offset + 3] = value & 0xff;
+  }
+
+  /**
+   * Fills in a block length placeholder with the number of bytes written after it.
+   * @param {number} offset - Offset returned by writePlaceholder
+   */
+  patchBlockLength(offset) {
+    this.patchInt32BE(offset, this.buffer.length - offset - 4);
+  }
+
+  /**
+   * Writes a point in header units (0.001mm, y up).
+   * @param {number} x - X in 0.1mm
+   * @param {number} y - Y in 0.1mm
+   */
+  writePosition(x, y) {
+    this.writeInt32BE(Math.round(x * VP3Writer.UNITS_PER_TENTH_MM));
+    this.writeInt32BE(Math.round(-y * VP3Writer.UNITS_PER_TENTH_MM));
+  }
+
+  /**
+   * Writes a rectangle as right, top, left, bottom in header units.
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - Rectangle in 0.1mm
+   */
+  writeRect(bounds) {
+    this.writeInt32BE(Math.round(bounds.maxX * VP3Writer.UNITS_PER_TENTH_MM));
+    this.writeInt32BE(Math.round(-bounds.minY * VP3Writer.UNITS_PER_TENTH_MM));
+    this.writeInt32BE(Math.round(bounds.minX * VP3Writer.UNITS_PER_TENTH_MM));
+    this.writeInt32BE(Math.round(-bounds.maxY * VP3Writer.UNITS_PER_TENTH_MM));
+  }
+
+  // ===== Color Blocks =====
+
+  /**
+   * Splits points into color blocks.
+   * A change in color or thread metadata starts a new block, so every block keeps its own
+   * RGB value, brand and catalog number.
+   * @param {Array} points - Stitch points with color and optional thread metadata
+   * @returns {Array<{thread: Object, points: Array}>} Color blocks in stitch order
+   */
+  buildColorBlocks(points) {
+    const blocks = [];
+    let currentKey = null;
+
+    for (const point of points) {
+      const color = point.color !== undefined ? point.color : 0x000000;
+      const info = point.thread || {};
+      const key = [color, info.name || "", info.brand || "", info.catalogNumber || ""].join("|");
+
+      if (key !== currentKey) {
+        blocks.push({
+          thread: {
+            color,
+            name: info.name || "",
+            brand: info.brand || "",
+            catalogNumber: info.catalogNumber || "",
+          },
+          points: [],
+        });
+        currentKey = key;
+      }
+      blocks[blocks.length - 1].points.push(point);
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Writes a thread description: one solid color, its RGB value, type, weight and the
+   * catalog number, name and brand strings.
+   * @param {Object} thread - Thread ({color, name, brand, catalogNumber})
+   */
+  writeThread(thread) {
+    this.writeInt8(1); // Number of colors in the thread
+    this.writeInt8(0); // Transition
+    this.writeInt24BE(thread.color);
+    this.writeInt8(0); // Parts
+    this.writeInt16BE(0); // Color length
+    this.writeInt8(VP3Writer.THREAD_TYPE);
+    this.writeInt8(VP3Writer.THREAD_WEIGHT);
+    this.writeString8(thread.catalogNumber);
+    this.writeString8(thread.name || "#" + thread.color.toString(16).padStart(6, "0"));
+    this.writeString8(thread.brand);
+  }
+
+  /**
+   * Encodes the stitches of a color block relative to its first point.
+   * Short stitches are signed byte pairs; jumps and stitches longer than a byte use the
+   * 0x80 0x01 long form, and trims are 0x80 0x03.
+   * @param {Array} points - Stitch points of the block in 0.1mm
+   */
+  writeStitches(points) {
+    this.writeBytes([0x00, 0x01, 0x00]);
+    const lengthOffset = this.writePlaceholder();
+    this.writeBytes([0x0a, 0xf6, 0x00]);
+
+    let lastX = Math.round(points[0].x);
+    let lastY = Math.round(points[0].y);
+
+    for (let i = 1; i < points.length; i++) {
+      const point = points[i];
+      const dx = Math.round(point.x) - lastX;
+      const dy = Math.round(point.y) - lastY;
+      lastX += dx;
+      lastY += dy;
+
+      // Travel without sewing after trims, as PESWriter does
+      const travel = point.jump || points[i - 1].trim;
+      const isShort = Math.abs(dx) <= VP3Writer.MAX_MOVE && Math.abs(dy) <= VP3Writer.MAX_MOVE;
+      if (travel || !isShort) {
+        if (dx !== 0 || dy !== 0) {
+          this.writeInt8(VP3Writer.CONTROL);
+          this.writeInt8(VP3Writer.LONG_MOVE);
+          this.writeInt16BE(dx);
+          this.writeInt16BE(dy);
+          this.writeInt8(VP3Writer.CONTROL);
+          this.writeInt8(VP3Writer.LONG_MOVE_END);
+          if (!travel) this.stitchCount++;
+        }
+      } else {
+        this.writeInt8(dx);
+        this.writeInt8(dy);
+        this.stitchCount++;
+      }
+
+      if (point.trim) {
+        this.writeInt8(VP3Writer.CONTROL);
+        this.writeInt8(VP3Writer.TRIM);
+      }
+    }
+
+    this.patchBlockLength(lengthOffset);
+  }
+
+  /**
+   * Writes one color block: its start position relative to the design center, the thread,
+   * the offset from its start to its last stitch and the stitches.
+   * @param {{thread: Object, points: Array}} block - Color block from buildColorBlocks
+   * @param {number} centerX - Design center x in 0.1mm
+   * @param {number} centerY - Design center y in 0.1mm
+   */
+  writeColorBlock(block, centerX, centerY) {
+    const first = block.points[0];
+    const last = block.points[block.points.length - 1];
+
+    this.writeBytes([0x00, 0x05, 0x00]);
+    const lengthOffset = this.writePlaceholder();
+    this.writePosition(first.x - centerX, first.y - centerY);
+    this.writeThread(block.thread);
+    this.writePosition(last.x - first.x, last.y - first.y);
+    this.writeStitches(block.points);
+    this.patchBlockLength(lengthOffset);
+  }
+
+  // ===== Main Generation Function =====
+
+  /**
+   * Generates VP3 file contents.
+   * Colors are stored as true RGB values together with the thread brand and catalog number,
+   * so no palette matching takes place.
+   * @memberof VP3Writer
+   * @param {Array} points - Stitch points in 0.1mm with color, jump/trim flags and optional thread metadata
+   * @param {String} [title=""] - Design name stored in the file
+   * @returns {Uint8Array} VP3 file contents
+   */
+  generateVP3(points, title = "") {
+    this.buffer = [];
+    this.stitchCount = 0;
+
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const point of points) {
+      bounds.minX = Math.min(bounds.minX, point.x);
+      bounds.minY = Math.min(bounds.minY, point.y);
+      bounds.maxX = Math.max(bounds.maxX, point.x);
+      bounds.maxY = Math.max(bounds.maxY, point.y);
+    }
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerY = (bounds.minY + bounds.maxY) / 2;
+    const blocks = this.buildColorBlocks(points);
+
+    // File header
+    this.writeString(VP3Writer.MAGIC);
+    this.writeInt8(0);
+    this.writeString16(VP3Writer.PRODUCER);
+
+    // File block
+    this.writeBytes([0x00, 0x02, 0x00]);
+    const fileOffset = this.writePlaceholder();
+    this.writeString16(title);
+    this.writeRect(bounds);
+    const stitchCountOffset = this.writePlaceholder();
+    this.writeInt16BE(blocks.length);
+    this.writeBytes([0x0c, 0x00, 0x01]); // Unknown, unknown, design count
+
+    // Design block
+    this.writeBytes([0x00, 0x03, 0x00]);
+    const designOffset = this.writePlaceholder();
+    this.writePosition(centerX, centerY);
+    this.writeBytes([0x00, 0x00, 0x00]);
+    this.writeRect(bounds);
+    this.writeInt32BE(Math.round((bounds.maxX - bounds.minX) * VP3Writer.UNITS_PER_TENTH_MM));
+    this.writeInt32BE(Math.round((bounds.maxY - bounds.minY) * VP3Writer.UNITS_PER_TENTH_MM));
+    this.writeString16(""); // Design notes
+    this.writeInt16BE(0x6464);
+    this.writeInt32BE(0x1000);
+    this.writeInt32BE(0);
+    this.writeInt32BE(0);
+    this.writeInt32BE(0x1000);
+    this.writeString("xxPP");
+    this.writeBytes([0x01, 0x00]);
+    this.writeString16(""); // Design settings
+    this.writeInt16BE(blocks.length);
+
+    for (const block of blocks) {
+      this.writeColorBlock(block, centerX, centerY);
+    }
+
+    this.patchBlockLength(designOffset);
+    this.patchBlockLength(fileOffset);
+
+    // The stitch count is only known once the blocks are encoded
+    this.patchInt32BE(stitchCountOffset, this.stitchCount);
+
+    if (_DEBUG_VP3) {
+      console.log("=== VP3Writer generateVP3 ===");
+      console.log("Points:", points.length, "Stitches:", this.stitchCount, "Color blocks:", blocks.length);
+      console.log("Bounds (0.1mm):", bounds);
+    }
+
+    return new Uint8Array(this.buffer);
+  }
+
+  // ===== Save Function =====
+
+  saveBytes(data, filename) {
+    let blob = new Blob([data], { type: "application/octet-stream" });
+    let link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+
+    link.onclick = function (e) {
+      setTimeout(() => e.preventDefault(), 10);
+      setTimeout(() => {
+        URL.revokeObjectURL(link.href);
+        document.body.removeChild(link);
+      }, 100);
+    };
+
+    document.body.appendChild(link);
+    link.click();
+  }
+
+  /**
+   * Saves embroidery data as a VP3 file.
+   * @memberof VP3Writer
+   * @param {Array} points - Array of stitch points with x, y, color properties
+   * @param {String} title - Design name stored in the file
+   * @param {String} filename - Output filename
+   */
+  saveVP3(points, title, filename) {
+    const vp3Data = this.generateVP3(points, title);
+    this.saveBytes(vp3Data, filename);
+    if (_DEBUG_VP3) {
+      console.log("VP3 file saved!");
+      console.log("File size:", vp3Data.length, "bytes");
+    }
+  }
+}
+
+// Add this check to support both direct browser usage and ES modules
+if (typeof exports !== "undefined") {
+  exports.VP3Writer = VP3Writer;
+} else if (typeof window !== "undefined") {
+  window.VP3Writer = VP3Writer;
+}
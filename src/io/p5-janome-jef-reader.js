@@ -0,0 +1,291 @@
+/**
+ * Class for reading Janome JEF embroidery files.
+ * @class JEFReader
+ */
+
+import { addRunToStitchData } from "../utils/stitch-data.js";
+import { JEF_PALETTE } from "./p5-janome-jef-writer.js";
+
+// Debug flag - set to true to enable debug logging
+const _DEBUG_JEF_READ = false;
+
+export class JEFReader {
+  constructor() {
+    this.options = {
+      colors: null, // Optional array of {r, g, b} thread colors, one per color block
+      threadWeight: 0.2, // mm
+    };
+  }
+
+  static STITCH = 0;
+  static JUMP = 1;
+  static TRIM = 2;
+  static COLOR_CHANGE = 3;
+
+  static HEADER_SIZE = 0x74;
+
+  setOptions(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  readInt32LE(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+  }
+
+  signed8(value) {
+    return value > 127 ? value - 256 : value;
+  }
+
+  /**
+   * Reads a JEF file into stitch data.
+   * Coordinates are returned in mm with the design's top-left corner at (0, 0).
+   * Thread colors, names and catalog numbers come from the Janome palette.
+   * @param {Uint8Array|ArrayBuffer} data - JEF file contents
+   * @param {Object} [options={}] - Reader options (colors, threadWeight)
+   * @returns {Object} Stitch data ({date, hoop, width, height, threads, colorBlocks, stitchCount})
+   */
+  read(data, options = {}) {
+    this.setOptions(options);
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    if (bytes.length < JEFReader.HEADER_SIZE) {
+      throw new Error("Invalid JEF data: file is shorter than the header");
+    }
+
+    const header = this.readHeader(bytes);
+    if (header.stitchOffset < JEFReader.HEADER_SIZE || header.stitchOffset > bytes.length) {
+      throw new Error("Invalid JEF data: stitch offset is out of range");
+    }
+
+    const records = this.readStitches(bytes, header.stitchOffset);
+    const design = this.buildStitchData(records, this.mapThreadColors(header.colorIndices));
+
+    design.date = header.date;
+    design.hoop = header.hoop;
+
+    if (_DEBUG_JEF_READ) {
+      console.log("=== JEFReader read ===");
+      console.log("Header:", header);
+      console.log("Records:", records.length, "Threads:", design.threads.length);
+    }
+
+    return design;
+  }
+
+  /**
+   * Reads the stitch offset, date, hoop code and palette indices from the header.
+   * @param {Uint8Array} bytes - JEF file contents
+   * @returns {{stitchOffset: number, date: string, hoop: number, colorIndices: Array<number>}} Header fields
+   */
+  readHeader(bytes) {
+    const stitchOffset = this.readInt32LE(bytes, 0);
+    let date = "";
+    for (let i = 8; i < 22; i++) {
+      date += String.fromCharCode(bytes[i]);
+    }
+    const colorCount = this.readInt32LE(bytes, 24);
+    const hoop = this.readInt32LE(bytes, 32);
+
+    const colorIndices = [];
+    for (let i = 0; i < colorCount; i++) {
+      const offset = JEFReader.HEADER_SIZE + i * 4;
+      if (offset + 4 > stitchOffset) break;
+      colorIndices.push(this.readInt32LE(bytes, offset));
+    }
+
+    return { stitchOffset, date, hoop, colorIndices };
+  }
+
+  /**
+   * Decodes the stitch records into absolute positions (0.1mm units).
+   * Mirrors JEFWriter.encodeStitches: signed byte moves, 0x80 0x01 color changes,
+   * 0x80 0x02 jumps (zero-length jumps are trims) and a 0x80 0x10 end marker.
+   * @param {Uint8Array} bytes - JEF file contents
+   * @param {number} start - Byte offset of the first record
+   * @returns {Array<{x: number, y: number, flag: number}>} Records up to (excluding) the end marker
+   */
+  readStitches(bytes, start) {
+    const records = [];
+    let x = 0;
+    let y = 0;
+    let i = start;
+
+    while (i + 1 < bytes.length) {
+      const b0 = bytes[i];
+      const b1 = bytes[i + 1];
+      i += 2;
+
+      if (b0 !== 0x80) {
+        x += this.signed8(b0);
+        y -= this.signed8(b1); // JEF y points up
+        records.push({ x, y, flag: JEFReader.STITCH });
+        continue;
+      }
+
+      if (b1 === 0x10 || i + 1 >= bytes.length) break;
+
+      const dx = this.signed8(bytes[i]);
+      const dy = -this.signed8(bytes[i + 1]);
+      i += 2;
+      x += dx;
+      y += dy;
+
+      if (b1 & 0x01) {
+        records.push({ x, y, flag: JEFReader.COLOR_CHANGE });
+      } else if (b1 & 0x02) {
+        records.push({ x, y, flag: dx === 0 && dy === 0 ? JEFReader.TRIM : JEFReader.JUMP });
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Resolves one thread per color block from the Janome palette; options.colors overrides it.
+   * @param {Array<number>} colorIndices - 1-based palette indices, one per color block
+   * @returns {Array<Object>} Thread descriptions ({color, name?, catalogNumber?, brand?})
+   */
+  mapThreadColors(colorIndices) {
+    if (this.options.colors) {
+      const palette = this.options.colors;
+      return colorIndices.map((_, i) => ({ color: { ...palette[i % palette.length] } }));
+    }
+
+    return colorIndices.map((index) => {
+      const entry = JEF_PALETTE[(index - 1 + JEF_PALETTE.length) % JEF_PALETTE.length];
+      const rgb = entry.color;
+      return {
+        color: { r: (rgb >> 16) & 255, g: (rgb >> 8) & 255, b: rgb & 255 },
+        name: entry.name,
+        catalogNumber: entry.catalogNumber,
+        brand: "Janome",
+      };
+    });
+  }
+
+  /**
+   * Groups decoded records into threads, runs and color blocks.
+   * @param {Array<{x: number, y: number, flag: number}>} records - Absolute records in 0.1mm units
+   * @param {Array<Object>} colors - Thread descriptions, one per color block
+   * @returns {Object} Stitch data in mm
+   */
+  buildStitchData(records, colors) {
+    let minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    for (const record of records) {
+      minX = Math.min(minX, record.x);
+      minY = Math.min(minY, record.y);
+      maxX = Math.max(maxX, record.x);
+      maxY = Math.max(maxY, record.y);
+    }
+    if (records.length === 0) {
+      minX = minY = maxX = maxY = 0;
+    }
+
+    const toMM = (x, y) => ({ x: (x - minX) / 10, y: (y - minY) / 10 });
+
+    const design = {
+      width: (maxX - minX) / 10,
+      height: (maxY - minY) / 10,
+      threads: [],
+      colorBlocks: [],
+      pixelsPerUnit: 1,
+      stitchCount: 0,
+    };
+
+    const addThread = () => {
+      const index = design.threads.length;
+      const source = colors[Math.min(index, colors.length - 1)] || { color: { r: 0, g: 0, b: 0 } };
+      const thread = {
+        color: { r: source.color.r, g: source.color.g, b: source.color.b },
+        runs: [],
+        weight: this.options.threadWeight,
+      };
+      if (source.name) thread.name = source.name;
+      if (source.catalogNumber) thread.catalogNumber = source.catalogNumber;
+      if (source.brand) thread.brand = source.brand;
+      design.threads.push(thread);
+      return index;
+    };
+
+    let threadIndex = addThread();
+    let currentRun = null;
+    let needleX = null;
+    let needleY = null;
+    let travelled = true; // Next run starts after travel (file start, jump, trim or color change)
+    let sewn = false; // Stitches were sewn since the last trim or color change, so there is thread to cut
+
+    const closeRun = () => {
+      if (currentRun && currentRun.length > 1) {
+        addRunToStitchData(design, threadIndex, currentRun);
+      }
+      currentRun = null;
+    };
+
+    for (const record of records) {
+      switch (record.flag) {
+        case JEFReader.STITCH:
+          if (!currentRun) {
+            // A design that starts with a stitch has no earlier needle position; start on the stitch
+            const start = needleX === null ? toMM(record.x, record.y) : toMM(needleX, needleY);
+            currentRun = [travelled ? { ...start, command: "jump" } : start];
+            travelled = false;
+          }
+          currentRun.push(toMM(record.x, record.y));
+          design.stitchCount++;
+          sewn = true;
+          break;
+
+        case JEFReader.TRIM:
+          closeRun();
+          if (sewn) {
+            addRunToStitchData(design, threadIndex, [{ ...toMM(record.x, record.y), command: "trim" }]);
+            sewn = false;
+          }
+          travelled = true;
+          break;
+
+        case JEFReader.JUMP:
+          closeRun();
+          travelled = true;
+          break;
+
+        case JEFReader.COLOR_CHANGE:
+          closeRun();
+          threadIndex = addThread();
+          travelled = true;
+          sewn = false;
+          break;
+      }
+
+      needleX = record.x;
+      needleY = record.y;
+    }
+
+    closeRun();
+
+    // Drop threads that never received stitches (e.g. trailing color change)
+    const used = design.threads.map((thread) => thread.runs.length > 0);
+    if (used.some((isUsed) => !isUsed)) {
+      const remap = [];
+      design.threads = design.threads.filter((thread, index) => {
+        remap[index] = used.slice(0, index).filter(Boolean).length;
+        return used[index];
+      });
+      for (const block of design.colorBlocks) {
+        block.threadIndex = remap[block.threadIndex];
+      }
+    }
+
+    return design;
+  }
+}
+
+// Add this check to support both direct browser usage and ES modules
+if (typeof exports !== "undefined") {
+  exports.JEFReader = JEFReader;
+} else if (typeof window !== "undefined") {
+  window.JEFReader = JEFReader;
+}
@@ -0,0 +1,439 @@
+/**
+ * Class for writing Janome JEF embroidery files.
+ * @class JEFWriter
+ */
+
+// Debug flag - set to true to enable debug logging
+const _DEBUG_JEF = false;
+
+// Janome thread palette; JEF files store 1-based indices into this table
+export const JEF_PALETTE = [
+  { color: 0x000000, name: "Black", catalogNumber: "002" },
+  { color: 0xffffff, name: "White", catalogNumber: "001" },
+  { color: 0xffff17, name: "Yellow", catalogNumber: "204" },
+  { color: 0xff6600, name: "Orange", catalogNumber: "203" },
+  { color: 0x2f5933, name: "Olive Green", catalogNumber: "219" },
+  { color: 0x237336, name: "Green", catalogNumber: "226" },
+  { color: 0x65c2c8, name: "Sky", catalogNumber: "217" },
+  { color: 0xab5a96, name: "Purple", catalogNumber: "208" },
+  { color: 0xf669a0, name: "Pink", catalogNumber: "201" },
+  { color: 0xff0000, name: "Red", catalogNumber: "225" },
+  { color: 0xb1704e, name: "Brown", catalogNumber: "214" },
+  { color: 0x0b2f84, name: "Blue", catalogNumber: "207" },
+  { color: 0xe4c35d, name: "Gold", catalogNumber: "003" },
+  { color: 0x481a05, name: "Dark Brown", catalogNumber: "205" },
+  { color: 0xac9cc7, name: "Pale Violet", catalogNumber: "209" },
+  { color: 0xfcf294, name: "Pale Yellow", catalogNumber: "210" },
+  { color: 0xf999b7, name: "Pale Pink", catalogNumber: "211" },
+  { color: 0xfab381, name: "Peach", catalogNumber: "212" },
+  { color: 0xc9a480, name: "Beige", catalogNumber: "213" },
+  { color: 0x970533, name: "Wine Red", catalogNumber: "215" },
+  { color: 0xa0b8cc, name: "Pale Sky", catalogNumber: "216" },
+  { color: 0x7fc21c, name: "Yellow Green", catalogNumber: "218" },
+  { color: 0xe5e5e5, name: "Silver Gray", catalogNumber: "220" },
+  { color: 0x889b9b, name: "Gray", catalogNumber: "221" },
+  { color: 0x98d6bd, name: "Pale Aqua", catalogNumber: "227" },
+  { color: 0xb2e1e3, name: "Baby Blue", catalogNumber: "228" },
+  { color: 0x368ba0, name: "Powder Blue", catalogNumber: "229" },
+  { color: 0x4f83ab, name: "Bright Blue", catalogNumber: "230" },
+  { color: 0x386a91, name: "Slate Blue", catalogNumber: "231" },
+  { color: 0x071650, name: "Navy Blue", catalogNumber: "232" },
+  { color: 0xf999a2, name: "Salmon Pink", catalogNumber: "233" },
+  { color: 0xf9676b, name: "Coral", catalogNumber: "234" },
+  { color: 0xe3311f, name: "Burnt Orange", catalogNumber: "235" },
+  { color: 0xe2a188, name: "Cinnamon", catalogNumber: "236" },
+  { color: 0xb59474, name: "Umber", catalogNumber: "237" },
+  { color: 0xe4cf99, name: "Blond", catalogNumber: "238" },
+  { color: 0xffcb00, name: "Sunflower", catalogNumber: "239" },
+  { color: 0xe1add4, name: "Orchid Pink", catalogNumber: "240" },
+  { color: 0xc3007e, name: "Peony Purple", catalogNumber: "241" },
+  { color: 0x80004b, name: "Burgundy", catalogNumber: "242" },
+  { color: 0x540571, name: "Royal Purple", catalogNumber: "243" },
+  { color: 0xb10525, name: "Cardinal Red", catalogNumber: "244" },
+  { color: 0xcae0c0, name: "Opal Green", catalogNumber: "245" },
+  { color: 0x899856, name: "Moss Green", catalogNumber: "246" },
+  { color: 0x5c941a, name: "Meadow Green", catalogNumber: "247" },
+  { color: 0x003114, name: "Dark Green", catalogNumber: "248" },
+  { color: 0x5dae94, name: "Aquamarine", catalogNumber: "249" },
+  { color: 0x4cbf8f, name: "Emerald Green", catalogNumber: "250" },
+  { color: 0x007772, name: "Peacock Green", catalogNumber: "251" },
+  { color: 0x595b61, name: "Dark Gray", catalogNumber: "252" },
+  { color: 0xfffff2, name: "Ivory White", catalogNumber: "253" },
+  { color: 0xb15818, name: "Hazel", catalogNumber: "254" },
+  { color: 0xcb8a07, name: "Toast", catalogNumber: "255" },
+  { color: 0x986c80, name: "Salmon", catalogNumber: "256" },
+  { color: 0x98692d, name: "Cocoa Brown", catalogNumber: "257" },
+  { color: 0x4d3419, name: "Sienna", catalogNumber: "258" },
+  { color: 0x4c330b, name: "Sepia", catalogNumber: "259" },
+  { color: 0x33200a, name: "Dark Sepia", catalogNumber: "260" },
+  { color: 0x523a97, name: "Violet Blue", catalogNumber: "261" },
+  { color: 0x0d217e, name: "Blue Ink", catalogNumber: "262" },
+  { color: 0x1e77ac, name: "Sola Blue", catalogNumber: "263" },
+  { color: 0xb2dd53, name: "Green Dust", catalogNumber: "264" },
+  { color: 0xf33689, name: "Crimson", catalogNumber: "265" },
+  { color: 0xde649e, name: "Floral Pink", catalogNumber: "266" },
+  { color: 0x984161, name: "Wine", catalogNumber: "267" },
+  { color: 0x4c5612, name: "Olive Drab", catalogNumber: "268" },
+  { color: 0x4c881f, name: "Meadow", catalogNumber: "269" },
+  { color: 0xe4de79, name: "Mustard", catalogNumber: "270" },
+  { color: 0xcb8a1a, name: "Yellow Ochre", catalogNumber: "271" },
+  { color: 0xcba21c, name: "Old Gold", catalogNumber: "272" },
+  { color: 0xff9805, name: "Honey Dew", catalogNumber: "273" },
+  { color: 0xfcb257, name: "Tangerine", catalogNumber: "274" },
+  { color: 0xffe505, name: "Canary Yellow", catalogNumber: "275" },
+  { color: 0xf0331f, name: "Vermilion", catalogNumber: "202" },
+  { color: 0x1a842d, name: "Bright Green", catalogNumber: "206" },
+  { color: 0x386cae, name: "Ocean Blue", catalogNumber: "222" },
+  { color: 0xe3c4b4, name: "Beige Gray", catalogNumber: "223" },
+  { color: 0xe3ac81, name: "Bamboo", catalogNumber: "224" },
+];
+
+export class JEFWriter {
+  // Janome hoop sizes in mm with their header codes, smallest first
+  static HOOPS = [
+    { code: 1, width: 50, height: 50 },
+    { code: 0, width: 110, height: 110 },
+    { code: 3, width: 126, height: 110 },
+    { code: 2, width: 140, height: 200 },
+    { code: 4, width: 200, height: 200 },
+  ];
+
+  // Hoops the header records the distance to the hoop edge for, in header order (0.1mm)
+  static EDGE_HOOPS = [
+    { width: 1100, height: 1100 },
+    { width: 500, height: 500 },
+    { width: 1400, height: 2000 },
+    { width: 1260, height: 2200 },
+  ];
+
+  static HEADER_SIZE = 0x74;
+  static MAX_MOVE = 127; // Moves are signed bytes in 0.1mm
+  static THREAD_TYPE = 0x0d;
+
+  static CONTROL = 0x80;
+  static COLOR_CHANGE = 0x01;
+  static JUMP = 0x02;
+  static END = 0x10;
+
+  constructor() {
+    this.buffer = [];
+    this.currentX = 0;
+    this.currentY = 0;
+    this.pointCount = 0;
+  }
+
+  // ===== Binary Writing Methods =====
+
+  writeInt8(value) {
+    this.buffer.push(value & 0xff);
+  }
+
+  writeInt32LE(value) {
+    this.buffer.push(value & 0xff);
+    this.buffer.push((value >> 8) & 0xff);
+    this.buffer.push((value >> 16) & 0xff);
+    this.buffer.push((value >>> 24) & 0xff);
+  }
+
+  writeString(string) {
+    for (let i = 0; i < string.length; i++) {
+      this.buffer.push(string.charCodeAt(i) & 0xff);
+    }
+  }
+
+  // ===== Janome Palette Matching =====
+
+  /**
+   * Finds the Janome palette entry for a thread.
+   * Janome threads keep their catalog number; other threads get the nearest palette color.
+   * @param {number} color - Thread color as 0xRRGGBB
+   * @param {Object} [thread] - Thread metadata ({brand, catalogNumber})
+   * @returns {number} 1-based palette index
+   */
+  findColor(color, thread = {}) {
+    if (thread.catalogNumber && /janome/i.test(thread.brand || "")) {
+      const index = JEF_PALETTE.findIndex((entry) => entry.catalogNumber === thread.catalogNumber);
+      if (index !== -1) return index + 1;
+    }
+
+    const r = (color >> 16) & 255;
+    const g = (color >> 8) & 255;
+    const b = color & 255;
+
+    let minDist = Infinity;
+    let minIndex = 0;
+
+    for (let i = 0; i < JEF_PALETTE.length; i++) {
+      const r0 = (JEF_PALETTE[i].color >> 16) & 255;
+      const g0 = (JEF_PALETTE[i].color >> 8) & 255;
+      const b0 = JEF_PALETTE[i].color & 255;
+      const dist = Math.pow(r - r0, 2) + Math.pow(g - g0, 2) + Math.pow(b - b0, 2);
+
+      if (dist < minDist) {
+        minDist = dist;
+        minIndex = i;
+      }
+    }
+
+    return minIndex + 1;
+  }
+
+  // ===== Hoop Selection =====
+
+  /**
+   * Picks the hoop written to the JEF header.
+   * @param {number} width - Design width in 0.1mm
+   * @param {number} height - Design height in 0.1mm
+   * @param {{width: number, height: number}} [hoop] - Requested hoop size in mm
+   * @returns {{code: number, width: number, height: number}} Janome hoop
+   */
+  selectHoop(width, height, hoop) {
+    if (hoop) {
+      const match = JEFWriter.HOOPS.find((h) => h.width === hoop.width && h.height === hoop.height);
+      if (match) return match;
+      console.warn(`🪡 p5.embroider says: ${hoop.width}x${hoop.height}mm is not a Janome hoop, picking one instead`);
+    }
+
+    const fits = JEFWriter.HOOPS.find((h) => width <= h.width * 10 && height <= h.height * 10);
+    if (fits) return fits;
+
+    const largest = JEFWriter.HOOPS[JEFWriter.HOOPS.length - 1];
+    console.warn(
+      `🪡 p5.embroider says: Design (${width / 10}x${height / 10}mm) is larger than the ${largest.width}x${largest.height}mm hoop`,
+    );
+    return largest;
+  }
+
+  // Distance from the design extents to the edge of a hoop, or -1 if the design does not fit
+  writeHoopEdgeDistance(hoop, halfWidth, halfHeight) {
+    const x = hoop.width / 2 - halfWidth;
+    const y = hoop.height / 2 - halfHeight;
+    const values = Math.min(x, y) >= 0 ? [x, y, x, y] : [-1, -1, -1, -1];
+    for (const value of values) {
+      this.writeInt32LE(value);
+    }
+  }
+
+  // ===== Stitch Encoding =====
+
+  writeRecord(dx, dy) {
+    this.writeInt8(dx);
+    this.writeInt8(-dy); // JEF y points up
+    this.pointCount += 1;
+  }
+
+  writeControl(command, dx = 0, dy = 0) {
+    this.writeInt8(JEFWriter.CONTROL);
+    this.writeInt8(command);
+    this.writeInt8(dx);
+    this.writeInt8(-dy);
+    this.pointCount += 2;
+  }
+
+  /**
+   * Moves the needle to a position, splitting moves that do not fit in a signed byte.
+   * Long stitches are split into equal stitches; long jumps into several jumps.
+   * @param {number} x - Target x in 0.1mm
+   * @param {number} y - Target y in 0.1mm
+   * @param {boolean} jump - Move without stitching
+   */
+  move(x, y, jump) {
+    const dx = Math.round(x) - this.currentX;
+    const dy = Math.round(y) - this.currentY;
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / JEFWriter.MAX_MOVE));
+    let movedX = 0;
+    let movedY = 0;
+
+    for (let step = 1; step <= steps; step++) {
+      const stepX = Math.round((dx * step) / steps) - movedX;
+      const stepY = Math.round((dy * step) / steps) - movedY;
+      movedX += stepX;
+      movedY += stepY;
+
+      if (jump) {
+        this.writeControl(JEFWriter.JUMP, stepX, stepY);
+      } else {
+        this.writeRecord(stepX, stepY);
+      }
+    }
+
+    this.currentX += dx;
+    this.currentY += dy;
+  }
+
+  /**
+   * Encodes the stitch records and collects the palette index of every color block.
+   * A change in color or thread metadata starts a new color block; a trim is a zero-length jump.
+   * @param {Array} points - Stitch points in 0.1mm, centered on the origin
+   * @returns {{records: Array<number>, colors: Array<number>}} Record bytes and palette indices
+   */
+  encodeStitches(points) {
+    this.buffer = [];
+    this.currentX = 0;
+    this.currentY = 0;
+    this.pointCount = 0;
+
+    const colors = [];
+    let currentKey = null;
+
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
+      const info = point.thread || {};
+      const color = point.color !== undefined ? point.color : 0x000000;
+      const key = [color, info.name || "", info.brand || "", info.catalogNumber || ""].join("|");
+
+      const colorChanged = key !== currentKey;
+      if (colorChanged) {
+        if (currentKey !== null) {
+          this.writeControl(JEFWriter.COLOR_CHANGE);
+        }
+        colors.push(this.findColor(color, info));
+        currentKey = key;
+      }
+
+      if (point.trim) {
+        this.move(point.x, point.y, true);
+        this.writeControl(JEFWriter.JUMP);
+        continue;
+      }
+
+      // Travel without sewing after trims and color changes, as PESWriter does
+      this.move(point.x, point.y, i === 0 || point.jump || points[i - 1].trim || colorChanged);
+    }
+
+    this.writeInt8(JEFWriter.CONTROL);
+    this.writeInt8(JEFWriter.END);
+    this.pointCount += 1;
+
+    return { records: this.buffer, colors };
+  }
+
+  // ===== Main Generation Function =====
+
+  /**
+   * Generates JEF file contents.
+   * @memberof JEFWriter
+   * @param {Array} points - Stitch points in 0.1mm with color, jump/trim flags and optional thread metadata
+   * @param {Object} [options={}] - Writer options
+   * @param {{width: number, height: number}} [options.hoop] - Janome hoop size in mm (default: smallest fitting hoop)
+   * @param {Date} [options.date] - Date written to the header (default: now)
+   * @returns {Uint8Array} JEF file contents
+   */
+  generateJEF(points, options = {}) {
+    let minX = Infinity,
+      maxX = -Infinity,
+      minY = Infinity,
+      maxY = -Infinity;
+    for (const point of points) {
+      minX = Math.min(minX, point.x);
+      maxX = Math.max(maxX, point.x);
+      minY = Math.min(minY, point.y);
+      maxY = Math.max(maxY, point.y);
+    }
+
+    // Janome machines start at the hoop center, so center the design on the origin
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const centered = points.map((point) => ({ ...point, x: point.x - centerX, y: point.y - centerY }));
+    const halfWidth = Math.round((maxX - minX) / 2);
+    const halfHeight = Math.round((maxY - minY) / 2);
+
+    const { records, colors } = this.encodeStitches(centered);
+    const pointCount = this.pointCount;
+    const hoop = this.selectHoop(maxX - minX, maxY - minY, options.hoop);
+
+    if (_DEBUG_JEF) {
+      console.log("=== JEFWriter generateJEF ===");
+      console.log("Points:", points.length, "Records:", pointCount, "Colors:", colors);
+      console.log("Design size (0.1mm):", maxX - minX, maxY - minY, "Hoop:", hoop);
+    }
+
+    this.buffer = [];
+    this.writeInt32LE(JEFWriter.HEADER_SIZE + colors.length * 8); // Stitch data offset
+    this.writeInt32LE(0x14); // Flags
+    this.writeString(formatDate(options.date || new Date()));
+    this.writeInt8(0);
+    this.writeInt8(0);
+    this.writeInt32LE(colors.length);
+    this.writeInt32LE(pointCount);
+    this.writeInt32LE(hoop.code);
+
+    // Design extents from the center
+    this.writeInt32LE(halfWidth); // Left
+    this.writeInt32LE(halfHeight); // Top
+    this.writeInt32LE(halfWidth); // Right
+    this.writeInt32LE(halfHeight); // Bottom
+
+    for (const edgeHoop of JEFWriter.EDGE_HOOPS) {
+      this.writeHoopEdgeDistance(edgeHoop, halfWidth, halfHeight);
+    }
+
+    for (const color of colors) {
+      this.writeInt32LE(color);
+    }
+    for (let i = 0; i < colors.length; i++) {
+      this.writeInt32LE(JEFWriter.THREAD_TYPE);
+    }
+
+    const data = new Uint8Array(this.buffer.length + records.length);
+    data.set(this.buffer, 0);
+    data.set(records, this.buffer.length);
+    return data;
+  }
+
+  // ===== Save Function =====
+
+  saveBytes(data, filename) {
+    let blob = new Blob([data], { type: "application/octet-stream" });
+    let link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+
+    link.onclick = function (e) {
+      setTimeout(() => e.preventDefault(), 10);
+      setTimeout(() => {
+        URL.revokeObjectURL(link.href);
+        document.body.removeChild(link);
+      }, 100);
+    };
+
+    document.body.appendChild(link);
+    link.click();
+  }
+
+  /**
+   * Saves embroidery data as a JEF file.
+   * @memberof JEFWriter
+   * @param {Array} points - Array of stitch points with x, y, color properties
+   * @param {String} filename - Output filename
+   * @param {Object} [options={}] - Writer options (see generateJEF)
+   */
+  saveJEF(points, filename, options = {}) {
+    const jefData = this.generateJEF(points, options);
+    this.saveBytes(jefData, filename);
+    if (_DEBUG_JEF) {
+      console.log("JEF file saved!");
+      console.log("File size:", jefData.length, "bytes");
+    }
+  }
+}
+
+// JEF headers store the date as YYYYMMDDHHMMSS
+function formatDate(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return (
+    date.getFullYear() +
+    pad(date.getMonth() + 1) +
+    pad(date.getDate()) +
+    pad(date.getHours()) +
+    pad(date.getMinutes()) +
+    pad(date.getSeconds())
+  );
+}
+
+// Add this check to support both direct browser usage and ES modules
+if (typeof exports !== "undefined") {
+  exports.JEFWriter = JEFWriter;
+} else if (typeof window !== "undefined") {
+  window.JEFWriter = JEFWriter;
+}
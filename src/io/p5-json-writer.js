@@ -1,4 +1,6 @@
 // p5.js JSON Writer for Embroidery Patterns
+import { getColorBlocks } from "../utils/stitch-data.js";
+
 export class JSONWriter {
   constructor() {
     this.options = {
@@ -38,6 +40,9 @@ export class JSONWriter {
     // Process threads
     jsonData.threads = this.processThreads(stitchData.threads);
 
+    // Process stitching order (color blocks referencing thread and run ids)
+    jsonData.colorBlocks = this.processColorBlocks(stitchData);
+
     // Add statistics
     jsonData.statistics = this.calculateStatistics(stitchData);
 
@@ -91,6 +96,13 @@ export class JSONWriter {
     });
   }
 
+  processColorBlocks(stitchData) {
+    return getColorBlocks(stitchData).map((block) => ({
+      thread: block.threadIndex,
+      runs: block.runs.map((run) => block.thread.runs.indexOf(run)),
+    }));
+  }
+
   processColor(color) {
     if (!color) {
       return { r: 0, g: 0, b: 0, hex: "#000000" };
@@ -300,6 +312,16 @@ export class JSONWriter {
         }));
       }
 
+      // Rebuild stitching order from color blocks when present
+      if (data.colorBlocks && Array.isArray(data.colorBlocks)) {
+        stitchData.colorBlocks = data.colorBlocks
+          .filter((block) => stitchData.threads[block.thread])
+          .map((block) => ({
+            threadIndex: block.thread,
+            runs: block.runs.map((runId) => stitchData.threads[block.thread].runs[runId]).filter(Boolean),
+          }));
+      }
+
       return stitchData;
     } catch (error) {
       console.error("🪡 p5.embroider says: Error parsing JSON:", error);
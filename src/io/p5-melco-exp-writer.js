@@ -0,0 +1,89 @@
+/**
+ * Class for writing Melco/Bernina EXP embroidery files.
+ * Shares the stitch, jump, trim and color change handling of DSTWriter, including the
+ * splitting of long moves, and only changes how records are encoded.
+ * @class EXPWriter
+ */
+
+import { DSTWriter } from "./p5-tajima-dst-writer.js";
+
+// Debug flag - set to true to enable debug logging
+const _DEBUG_EXP = false;
+
+export class EXPWriter extends DSTWriter {
+  // Moves are signed bytes in 0.1mm; -128 (0x80) is reserved for control records
+  static MAX_MOVE = 127;
+
+  static CONTROL = 0x80;
+
+  /**
+   * Encodes one record. Stitches are two signed bytes; jumps, trims and color changes are
+   * four-byte control records starting with 0x80. EXP has no end record.
+   * @param {number} x - X offset in 0.1mm
+   * @param {number} y - Y offset in 0.1mm
+   * @param {number} flag - DSTWriter record flag
+   * @returns {Array<number>} Record bytes
+   */
+  encodeRecord(x, y, flag) {
+    y = -y; // EXP y points up
+
+    switch (flag) {
+      case DSTWriter.STITCH:
+        return [x & 0xff, y & 0xff];
+      case DSTWriter.JUMP:
+        return [EXPWriter.CONTROL, 0x04, x & 0xff, y & 0xff];
+      case DSTWriter.COLOR_CHANGE:
+        return [EXPWriter.CONTROL, 0x01, 0x00, 0x00];
+      case DSTWriter.TRIM:
+        return [EXPWriter.CONTROL, 0x80, 0x07, 0x00];
+      default:
+        return [];
+    }
+  }
+
+  writeTrim() {
+    this.data.push(...this.encodeRecord(0, 0, DSTWriter.TRIM));
+  }
+
+  /**
+   * Generates EXP file contents. EXP files have no header and do not store thread colors,
+   * only where the colors change.
+   * @memberof EXPWriter
+   * @param {Array} points - Stitch points in 0.1mm with jump/trim/colorChange flags
+   * @returns {Uint8Array} EXP file contents
+   */
+  generateEXP(points) {
+    this.reset();
+
+    const centered = this.centerPoints(points);
+    this.encodeStitches(centered.points);
+
+    if (_DEBUG_EXP) {
+      console.log("=== EXPWriter generateEXP ===");
+      console.log("Records:", this.stitchCount, "Color changes:", this.colorChangeCount);
+    }
+
+    return new Uint8Array(this.data);
+  }
+
+  /**
+   * Saves embroidery data as an EXP file.
+   * @memberof EXPWriter
+   * @param {Array} points - Array of stitch points
+   * @param {String} filename - Output filename
+   */
+  saveEXP(points, filename) {
+    const expData = this.generateEXP(points);
+    this.saveBytes(expData, filename);
+    if (_DEBUG_EXP) {
+      console.log("EXP file saved!");
+    }
+  }
+}
+
+// Add this check to support both direct browser usage and ES modules
+if (typeof exports !== "undefined") {
+  exports.EXPWriter = EXPWriter;
+} else if (typeof window !== "undefined") {
+  window.EXPWriter = EXPWriter;
+}
@@ -0,0 +1,502 @@
+/**
+ * Class for reading Brother PES (and bare PEC) embroidery files.
+ * @class PESReader
+ */
+
+import { addRunToStitchData } from "../utils/stitch-data.js";
+import { PEC_PALETTE } from "./p5-pes-writer.js";
+
+// Debug flag - set to true to enable debug logging
+const _DEBUG_PES_READ = false;
+
+export class PESReader {
+  constructor() {
+    this.options = {
+      colors: null, // Optional array of {r, g, b} thread colors, one per color block
+      threadWeight: 0.2, // mm
+    };
+
+    this.bytes = null;
+    this.position = 0;
+  }
+
+  static STITCH = 0;
+  static JUMP = 1;
+  static TRIM = 2;
+  static COLOR_CHANGE = 3;
+
+  static JUMP_CODE = 0b00010000;
+  static TRIM_CODE = 0b00100000;
+  static FLAG_LONG = 0b10000000;
+
+  static PEC_HEADER_SIZE = 512; // Label, palette indices and padding
+  static PEC_BLOCK_HEADER_SIZE = 20; // Graphics offset, sizes and origin before the stitch data
+
+  setOptions(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  // ===== Binary Reading Methods =====
+
+  readInt8() {
+    return this.bytes[this.position++];
+  }
+
+  readInt16LE() {
+    const value = this.bytes[this.position] | (this.bytes[this.position + 1] << 8);
+    this.position += 2;
+    return value;
+  }
+
+  readInt24BE() {
+    const value =
+      (this.bytes[this.position] << 16) | (this.bytes[this.position + 1] << 8) | this.bytes[this.position + 2];
+    this.position += 3;
+    return value;
+  }
+
+  readInt32LE() {
+    const value =
+      this.bytes[this.position] |
+      (this.bytes[this.position + 1] << 8) |
+      (this.bytes[this.position + 2] << 16) |
+      (this.bytes[this.position + 3] << 24);
+    this.position += 4;
+    return value;
+  }
+
+  readString(length) {
+    let string = "";
+    for (let i = 0; i < length && this.position < this.bytes.length; i++) {
+      string += String.fromCharCode(this.bytes[this.position++]);
+    }
+    return string;
+  }
+
+  // PES strings are stored as a length byte followed by the characters
+  readPesString() {
+    return this.readString(this.readInt8());
+  }
+
+  // Class names of PES objects use a 16-bit length
+  readPesString16() {
+    return this.readString(this.readInt16LE());
+  }
+
+  skip(count) {
+    this.position += count;
+  }
+
+  // ===== Header Parsing =====
+
+  /**
+   * Reads a PES file into stitch data.
+   * Coordinates are returned in mm with the design's top-left corner at (0, 0).
+   * Thread colors come from the PES thread list (v5 and v6) when present and
+   * otherwise from the PEC palette indices.
+   * @param {Uint8Array|ArrayBuffer} data - PES or PEC file contents
+   * @param {Object} [options={}] - Reader options (colors, threadWeight)
+   * @returns {Object} Stitch data ({title, version, width, height, threads, colorBlocks, stitchCount})
+   */
+  read(data, options = {}) {
+    this.setOptions(options);
+    this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    this.position = 0;
+
+    const magic = this.readString(8);
+    let version;
+    let pecStart;
+    let pesThreads = [];
+    let blockCodes = [];
+    let title = "";
+
+    if (magic.startsWith("#PES")) {
+      version = magic.substring(4);
+      pecStart = this.readInt32LE();
+
+      if (version === "0050" || version === "0060") {
+        try {
+          const header = this.readPesHeader(version);
+          title = header.name;
+          pesThreads = header.threads;
+          blockCodes = header.blockCodes;
+        } catch (error) {
+          // Thread list is optional; the PEC block still carries palette indices
+          if (_DEBUG_PES_READ) console.log("Could not read PES thread list:", error);
+          pesThreads = [];
+          blockCodes = [];
+        }
+      }
+    } else if (magic.startsWith("#PEC")) {
+      version = "PEC";
+      pecStart = 8;
+    } else {
+      throw new Error("Invalid PES data: missing #PES or #PEC signature");
+    }
+
+    if (pecStart <= 0 || pecStart + PESReader.PEC_HEADER_SIZE + PESReader.PEC_BLOCK_HEADER_SIZE > this.bytes.length) {
+      throw new Error("Invalid PES data: PEC block is out of range");
+    }
+
+    const pecHeader = this.readPecHeader(pecStart);
+    const records = this.readStitches(pecStart + PESReader.PEC_HEADER_SIZE + PESReader.PEC_BLOCK_HEADER_SIZE);
+    const colors = this.mapThreadColors(pecHeader.colorIndices, pesThreads, blockCodes);
+    const design = this.buildStitchData(records, colors);
+
+    design.title = title || pecHeader.label;
+    design.version = version;
+
+    if (_DEBUG_PES_READ) {
+      console.log("=== PESReader read ===");
+      console.log("Version:", version, "PEC offset:", pecStart);
+      console.log("PEC palette indices:", pecHeader.colorIndices, "PES threads:", pesThreads.length);
+      console.log("CSewSeg thread codes:", blockCodes);
+      console.log("Records:", records.length, "Threads:", design.threads.length);
+    }
+
+    return design;
+  }
+
+  /**
+   * Reads the PES v5/v6 header up to and including the thread list, and the thread
+   * codes of the CSewSeg stitch blocks that follow it.
+   * Starts right after the PEC offset.
+   * @param {string} version - "0050" or "0060"
+   * @returns {{name: string, threads: Array<Object>, blockCodes: Array<number>}} Design name, thread list
+   *   and the thread list index of every color block
+   */
+  readPesHeader(version) {
+    this.skip(4); // Scale-to-fit flag and hoop indicator
+    const name = this.readPesString();
+    this.readPesString(); // Category
+    this.readPesString(); // Author
+    this.readPesString(); // Keywords
+    this.readPesString(); // Comments
+
+    this.skip(version === "0060" ? 36 : 24); // Hoop, design page and grid settings
+    this.readPesString(); // Background image file
+    this.skip(24); // Background image transform
+
+    const programmableFills = this.readInt16LE();
+    if (programmableFills !== 0) return { name, threads: [], blockCodes: [] };
+    const motifs = this.readInt16LE();
+    if (motifs !== 0) return { name, threads: [], blockCodes: [] };
+    const featherPatterns = this.readInt16LE();
+    if (featherPatterns !== 0) return { name, threads: [], blockCodes: [] };
+
+    const threads = [];
+    const threadCount = this.readInt16LE();
+    for (let i = 0; i < threadCount; i++) {
+      const catalogNumber = this.readPesString();
+      const rgb = this.readInt24BE();
+      this.skip(5); // Unknown, thread type
+      const name = this.readPesString();
+      const brand = this.readPesString();
+      this.readPesString(); // Chart
+      threads.push({
+        color: { r: (rgb >> 16) & 255, g: (rgb >> 8) & 255, b: rgb & 255 },
+        catalogNumber,
+        name,
+        brand,
+      });
+    }
+
+    if (this.position > this.bytes.length) {
+      throw new Error("PES header runs past the end of the file");
+    }
+
+    let blockCodes = [];
+    try {
+      blockCodes = this.readBlockCodes();
+    } catch (error) {
+      // Without the stitch blocks, colors fall back to the order of the thread list
+      if (_DEBUG_PES_READ) console.log("Could not read PES stitch blocks:", error);
+    }
+
+    return { name, threads, blockCodes };
+  }
+
+  /**
+   * Reads the thread code of every color block from the CEmbOne/CSewSeg objects.
+   * Each stitch or jump segment names its thread as an index into the thread list;
+   * a new color block starts wherever that index changes.
+   * Starts right after the thread list.
+   * @returns {Array<number>} Thread list index of every color block in stitch order
+   */
+  readBlockCodes() {
+    const codes = [];
+    const objectCount = this.readInt16LE();
+
+    for (let object = 0; object < objectCount; object++) {
+      if (this.readInt16LE() !== 0xffff) break;
+      this.skip(2);
+      if (this.readPesString16() !== "CEmbOne") break;
+
+      this.skip(16); // Bounds
+      this.skip(24); // Transform
+      this.skip(18); // Unknown, position, size and padding
+      this.skip(2); // Segment count
+      if (this.readInt16LE() !== 0xffff) break;
+      this.skip(2);
+      if (this.readPesString16() !== "CSewSeg") break;
+
+      // Segments are separated by 0x8003; the color log follows the last one
+      do {
+        this.skip(2); // Stitch (0) or jump (1) segment
+        const code = this.readInt16LE();
+        const count = this.readInt16LE();
+        this.skip(count * 4);
+        if (codes.length === 0 || codes[codes.length - 1] !== code) codes.push(code);
+      } while (this.position < this.bytes.length && this.readInt16LE() === 0x8003);
+
+      const colorLogCount = this.readInt16LE();
+      this.skip(colorLogCount * 4);
+    }
+
+    if (this.position > this.bytes.length) {
+      throw new Error("PES stitch blocks run past the end of the file");
+    }
+
+    return codes;
+  }
+
+  /**
+   * Reads the label and palette indices of the PEC header.
+   * @param {number} pecStart - Byte offset of the PEC section
+   * @returns {{label: string, colorIndices: Array<number>}} Label and one palette index per color block
+   */
+  readPecHeader(pecStart) {
+    this.position = pecStart;
+    const label = this.readString(19).replace(/^LA:/, "").trim();
+
+    this.position = pecStart + 48;
+    const colorCount = this.readInt8() + 1;
+    const colorIndices = [];
+    for (let i = 0; i < colorCount; i++) {
+      colorIndices.push(this.readInt8());
+    }
+
+    return { label, colorIndices };
+  }
+
+  // ===== PEC Decoding =====
+
+  /**
+   * Decodes the PEC stitch block into absolute positions (0.1mm units).
+   * Mirrors PESWriter.pecEncode: 7-bit short form, 12-bit long form with
+   * jump/trim flags, FE B0 xx color changes and an FF end marker.
+   * @param {number} start - Byte offset of the first stitch
+   * @returns {Array<{x: number, y: number, flag: number}>} Records up to (excluding) the end marker
+   */
+  readStitches(start) {
+    const records = [];
+    const bytes = this.bytes;
+    let i = start;
+    let x = 0;
+    let y = 0;
+
+    while (i < bytes.length) {
+      let val1 = bytes[i++];
+      if (val1 === 0xff || i >= bytes.length) break;
+      let val2 = bytes[i++];
+
+      if (val1 === 0xfe && val2 === 0xb0) {
+        i++; // Alternating 1/2 color byte
+        records.push({ x, y, flag: PESReader.COLOR_CHANGE });
+        continue;
+      }
+
+      let flag = PESReader.STITCH;
+      let dx;
+      let dy;
+
+      if (val1 & PESReader.FLAG_LONG) {
+        if (val1 & PESReader.TRIM_CODE) flag = PESReader.TRIM;
+        else if (val1 & PESReader.JUMP_CODE) flag = PESReader.JUMP;
+        dx = this.signed12(((val1 & 0x0f) << 8) | val2);
+        val2 = bytes[i++];
+      } else {
+        dx = val1 > 0x3f ? val1 - 0x80 : val1;
+      }
+
+      if (val2 & PESReader.FLAG_LONG) {
+        if (val2 & PESReader.TRIM_CODE) flag = PESReader.TRIM;
+        else if (val2 & PESReader.JUMP_CODE && flag !== PESReader.TRIM) flag = PESReader.JUMP;
+        dy = this.signed12(((val2 & 0x0f) << 8) | bytes[i++]);
+      } else {
+        dy = val2 > 0x3f ? val2 - 0x80 : val2;
+      }
+
+      x += dx;
+      y += dy;
+      records.push({ x, y, flag });
+    }
+
+    return records;
+  }
+
+  signed12(value) {
+    return value & 0x800 ? value - 0x1000 : value;
+  }
+
+  /**
+   * Resolves one thread color per color block.
+   * Uses the thread list entry each CSewSeg block names when there is one code per block.
+   * Files without usable block codes fall back to the PES thread list when it covers every
+   * block (or every distinct palette index), otherwise the PEC palette. options.colors overrides all.
+   * @param {Array<number>} colorIndices - PEC palette indices, one per color block
+   * @param {Array<Object>} pesThreads - Threads from the PES v5/v6 header
+   * @param {Array<number>} [blockCodes=[]] - Thread list index of every color block from the CSewSeg blocks
+   * @returns {Array<Object>} Thread descriptions ({color, name?, catalogNumber?, brand?})
+   */
+  mapThreadColors(colorIndices, pesThreads, blockCodes = []) {
+    if (this.options.colors) {
+      const palette = this.options.colors;
+      return colorIndices.map((_, i) => ({ color: { ...palette[i % palette.length] } }));
+    }
+
+    if (blockCodes.length === colorIndices.length && blockCodes.every((code) => pesThreads[code])) {
+      return blockCodes.map((code) => pesThreads[code]);
+    }
+
+    if (pesThreads.length >= colorIndices.length) {
+      return colorIndices.map((_, i) => pesThreads[i]);
+    }
+
+    const distinct = [...new Set(colorIndices)];
+    if (pesThreads.length > 0 && pesThreads.length >= distinct.length) {
+      return colorIndices.map((index) => pesThreads[distinct.indexOf(index)]);
+    }
+
+    return colorIndices.map((index) => {
+      const rgb = PEC_PALETTE[(index - 1 + PEC_PALETTE.length) % PEC_PALETTE.length];
+      return { color: { r: (rgb >> 16) & 255, g: (rgb >> 8) & 255, b: rgb & 255 } };
+    });
+  }
+
+  /**
+   * Groups decoded records into threads, runs and color blocks.
+   * @param {Array<{x: number, y: number, flag: number}>} records - Absolute records in 0.1mm units
+   * @param {Array<Object>} colors - Thread descriptions, one per color block
+   * @returns {Object} Stitch data in mm
+   */
+  buildStitchData(records, colors) {
+    let minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    for (const record of records) {
+      minX = Math.min(minX, record.x);
+      minY = Math.min(minY, record.y);
+      maxX = Math.max(maxX, record.x);
+      maxY = Math.max(maxY, record.y);
+    }
+    if (records.length === 0) {
+      minX = minY = maxX = maxY = 0;
+    }
+
+    const toMM = (x, y) => ({ x: (x - minX) / 10, y: (y - minY) / 10 });
+
+    const design = {
+      width: (maxX - minX) / 10,
+      height: (maxY - minY) / 10,
+      threads: [],
+      colorBlocks: [],
+      pixelsPerUnit: 1,
+      stitchCount: 0,
+    };
+
+    const addThread = () => {
+      const index = design.threads.length;
+      const source = colors[Math.min(index, colors.length - 1)] || { color: { r: 0, g: 0, b: 0 } };
+      const thread = {
+        color: { r: source.color.r, g: source.color.g, b: source.color.b },
+        runs: [],
+        weight: this.options.threadWeight,
+      };
+      if (source.name) thread.name = source.name;
+      if (source.catalogNumber) thread.catalogNumber = source.catalogNumber;
+      if (source.brand) thread.brand = source.brand;
+      design.threads.push(thread);
+      return index;
+    };
+
+    let threadIndex = addThread();
+    let currentRun = null;
+    let needleX = null;
+    let needleY = null;
+    let travelled = true; // Next run starts after travel (file start, jump, trim or color change)
+    let sewn = false; // Stitches were sewn since the last trim or color change, so there is thread to cut
+
+    const closeRun = () => {
+      if (currentRun && currentRun.length > 1) {
+        addRunToStitchData(design, threadIndex, currentRun);
+      }
+      currentRun = null;
+    };
+
+    for (const record of records) {
+      switch (record.flag) {
+        case PESReader.STITCH:
+          if (!currentRun) {
+            // A design that starts with a stitch has no earlier needle position; start on the stitch
+            const start = needleX === null ? toMM(record.x, record.y) : toMM(needleX, needleY);
+            currentRun = [travelled ? { ...start, command: "jump" } : start];
+            travelled = false;
+          }
+          currentRun.push(toMM(record.x, record.y));
+          design.stitchCount++;
+          sewn = true;
+          break;
+
+        case PESReader.TRIM:
+          closeRun();
+          if (sewn) {
+            addRunToStitchData(design, threadIndex, [{ ...toMM(needleX, needleY), command: "trim" }]);
+            sewn = false;
+          }
+          travelled = true;
+          break;
+
+        case PESReader.JUMP:
+          closeRun();
+          travelled = true;
+          break;
+
+        case PESReader.COLOR_CHANGE:
+          closeRun();
+          threadIndex = addThread();
+          travelled = true;
+          sewn = false;
+          break;
+      }
+
+      needleX = record.x;
+      needleY = record.y;
+    }
+
+    closeRun();
+
+    // Drop threads that never received stitches (e.g. trailing color change)
+    const used = design.threads.map((thread) => thread.runs.length > 0);
+    if (used.some((isUsed) => !isUsed)) {
+      const remap = [];
+      design.threads = design.threads.filter((thread, index) => {
+        remap[index] = used.slice(0, index).filter(Boolean).length;
+        return used[index];
+      });
+      for (const block of design.colorBlocks) {
+        block.threadIndex = remap[block.threadIndex];
+      }
+    }
+
+    return design;
+  }
+}
+
+// Add this check to support both direct browser usage and ES modules
+if (typeof exports !== "undefined") {
+  exports.PESReader = PESReader;
+} else if (typeof window !== "undefined") {
+  window.PESReader = PESReader;
+}
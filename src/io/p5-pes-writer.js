@@ -1,8 +1,27 @@
 const _DEBUG_PES = true;
 
+// Brother PEC thread palette; PEC files store 1-based indices into this table
+export const PEC_PALETTE = [
+  0x1a0a94, 0x0f75ff, 0x00934c, 0xbabdfe, 0xec0000, 0xe4995a, 0xcc48ab, 0xfdc4fa, 0xdd84cd, 0x6bd38a, 0xe4a945,
+  0xffbd42, 0xffe600, 0x6cd900, 0xc1a941, 0xb5ad97, 0xba9c5f, 0xfaf59e, 0x808080, 0x000000, 0x001cdf, 0xdf00b8,
+  0x626262, 0x69260d, 0xff0060, 0xbf8200, 0xf39178, 0xff6805, 0xf0f0f0, 0xc832cd, 0xb0bf9b, 0x65bfeb, 0xffba04,
+  0xfff06c, 0xfeca15, 0xf38101, 0x37a923, 0x23465f, 0xa6a695, 0xcebfa6, 0x96aa02, 0xffe3c6, 0xff99d7, 0x007004,
+  0xedccfb, 0xc089d8, 0xe7d9b4, 0xe90e86, 0xcf6829, 0x408615, 0xdb1797, 0xffa704, 0xb9ffff, 0x228927, 0xb612cd,
+  0x00aa00, 0xfea9dc, 0xfed510, 0x0097df, 0xffff84, 0xcfe774, 0xffc864, 0xffc8c8, 0xffc8c8,
+];
+
 export class PESWriter {
+  // Brother hoop sizes in mm, smallest first
+  static HOOPS = [
+    { width: 100, height: 100 },
+    { width: 130, height: 180 },
+    { width: 160, height: 260 },
+    { width: 200, height: 300 },
+    { width: 240, height: 360 },
+  ];
+
   constructor() {
-    this.VERSION = 1;
+    this.VERSION = 6;
     this.TRUNCATED = false;
 
     this.MASK_07_BIT = 0b01111111;
@@ -140,22 +159,13 @@ export class PESWriter {
     const g = (color >> 8) & 255;
     const b = color & 255;
 
-    const std = [
-      0x1a0a94, 0x0f75ff, 0x00934c, 0xbabdfe, 0xec0000, 0xe4995a, 0xcc48ab, 0xfdc4fa, 0xdd84cd, 0x6bd38a, 0xe4a945,
-      0xffbd42, 0xffe600, 0x6cd900, 0xc1a941, 0xb5ad97, 0xba9c5f, 0xfaf59e, 0x808080, 0x000000, 0x001cdf, 0xdf00b8,
-      0x626262, 0x69260d, 0xff0060, 0xbf8200, 0xf39178, 0xff6805, 0xf0f0f0, 0xc832cd, 0xb0bf9b, 0x65bfeb, 0xffba04,
-      0xfff06c, 0xfeca15, 0xf38101, 0x37a923, 0x23465f, 0xa6a695, 0xcebfa6, 0x96aa02, 0xffe3c6, 0xff99d7, 0x007004,
-      0xedccfb, 0xc089d8, 0xe7d9b4, 0xe90e86, 0xcf6829, 0x408615, 0xdb1797, 0xffa704, 0xb9ffff, 0x228927, 0xb612cd,
-      0x00aa00, 0xfea9dc, 0xfed510, 0x0097df, 0xffff84, 0xcfe774, 0xffc864, 0xffc8c8, 0xffc8c8,
-    ];
-
     let minDist = 195075;
     let minIndex = 0;
 
-    for (let i = 0; i < std.length; i++) {
-      const r0 = (std[i] >> 16) & 255;
-      const g0 = (std[i] >> 8) & 255;
-      const b0 = std[i] & 255;
+    for (let i = 0; i < PEC_PALETTE.length; i++) {
+      const r0 = (PEC_PALETTE[i] >> 16) & 255;
+      const g0 = (PEC_PALETTE[i] >> 8) & 255;
+      const b0 = PEC_PALETTE[i] & 255;
       const dist = Math.pow(r - r0, 2) + Math.pow(g - g0, 2) + Math.pow(b - b0, 2);
 
       if (dist < minDist) {
@@ -214,6 +224,28 @@ export class PESWriter {
     return longForm | (this.TRIM_CODE << 8);
   }
 
+  flagJump(longForm) {
+    return longForm | (this.JUMP_CODE << 8);
+  }
+
+  // Long form moves are 12-bit, so travel beyond +/-204.7mm is split into several jumps
+  writeFlaggedMove(dx, dy, trim) {
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / 2047));
+    let movedX = 0;
+    let movedY = 0;
+
+    for (let step = 1; step <= steps; step++) {
+      const stepX = Math.round((dx * step) / steps) - movedX;
+      const stepY = Math.round((dy * step) / steps) - movedY;
+      movedX += stepX;
+      movedY += stepY;
+
+      const flag = trim ? this.flagTrim.bind(this) : this.flagJump.bind(this);
+      this.writeInt16BE(flag(this.encodeLongForm(stepX)));
+      this.writeInt16BE(flag(this.encodeLongForm(stepY)));
+    }
+  }
+
   pecEncode(stitches, colors) {
     let colorTwo = true;
     let xx = 0,
@@ -252,6 +284,10 @@ export class PESWriter {
         this.writeInt8(0x00);
         dx = 0;
         dy = 0;
+      } else if (stitches[i].jump || stitches[i].trim || stitches[i - 1].trim || colors[i] !== colors[i - 1]) {
+        // Travel without sewing (also after trims and color changes); trims cut the thread before moving
+        this.writeFlaggedMove(dx, dy, stitches[i].trim);
+        continue;
       }
 
       // Short form: -64 to 63
@@ -401,9 +437,284 @@ export class PESWriter {
     this.writePec(title, stitches, colors, border);
   }
 
+  // ===== PES Version 6 =====
+
+  writePesString(string = "") {
+    const text = String(string).substring(0, 255);
+    this.writeInt8(text.length);
+    this.writeString(text);
+  }
+
+  writePesString16(string) {
+    this.writeInt16LE(string.length);
+    this.writeString(string);
+  }
+
+  /**
+   * Collects the distinct threads of a design in stitch order.
+   * Threads are told apart by color and metadata, so two threads of the same color
+   * from different brands stay separate entries.
+   * @param {Array} points - Stitch points with color and optional thread metadata
+   * @returns {{threads: Array<Object>, codes: Array<number>}} Thread list and the thread index of every point
+   */
+  buildThreadChart(points) {
+    const threads = [];
+    const keys = [];
+    const codes = [];
+
+    for (const point of points) {
+      const color = point.color || 0xff0000;
+      const info = point.thread || {};
+      const key = [color, info.name || "", info.brand || "", info.catalogNumber || ""].join("|");
+
+      let code = keys.indexOf(key);
+      if (code === -1) {
+        code = threads.length;
+        keys.push(key);
+        threads.push({
+          color,
+          name: info.name || "",
+          brand: info.brand || "",
+          catalogNumber: info.catalogNumber || "",
+        });
+      }
+      codes.push(code);
+    }
+
+    return { threads, codes };
+  }
+
+  /**
+   * Picks the hoop written to the PES header.
+   * @param {Object} border - Design border in 0.1mm (from calculateBorderSize)
+   * @param {{width: number, height: number}} [hoop] - Requested hoop size in mm
+   * @returns {{width: number, height: number}} Hoop size in mm
+   */
+  selectHoop(border, hoop) {
+    if (hoop) return hoop;
+
+    const width = border.width / 10;
+    const height = border.height / 10;
+    const fits = PESWriter.HOOPS.find((h) => width <= h.width && height <= h.height);
+    if (fits) return fits;
+
+    const largest = PESWriter.HOOPS[PESWriter.HOOPS.length - 1];
+    console.warn(
+      `🪡 p5.embroider says: Design (${width}x${height}mm) is larger than the ${largest.width}x${largest.height}mm hoop`,
+    );
+    return largest;
+  }
+
+  writePesHeaderV6(title, threads, hoop, blockCount) {
+    this.writeInt16LE(hoop.width > 100 || hoop.height > 100 ? 1 : 0); // Hoop indicator (0 = 100x100mm)
+    this.writeString("02");
+    this.writePesString(title); // Name
+    this.writePesString(""); // Category
+    this.writePesString(""); // Author
+    this.writePesString(""); // Keywords
+    this.writePesString(""); // Comments
+
+    this.writeInt16LE(0); // Optimize hoop change
+    this.writeInt16LE(0); // Design page is custom
+    this.writeInt16LE(hoop.width);
+    this.writeInt16LE(hoop.height);
+    this.writeInt16LE(0); // Use existing design area
+    this.writeInt16LE(0xc8); // Design page width
+    this.writeInt16LE(0xc8); // Design page height
+    this.writeInt16LE(0x64); // Design page section width
+    this.writeInt16LE(0x64); // Design page section height
+    this.writeInt16LE(0x64);
+    this.writeInt16LE(0x07); // Design page background color
+    this.writeInt16LE(0x13); // Design page foreground color
+    this.writeInt16LE(0x01); // Show grid
+    this.writeInt16LE(0x01); // With axes
+    this.writeInt16LE(0x00); // Snap to grid
+    this.writeInt16LE(100); // Grid interval
+    this.writeInt16LE(0x01);
+    this.writeInt16LE(0x00); // Optimize entry/exit points
+
+    this.writePesString(""); // Background image file
+    this.writeInt32LEFloat(1); // Background image transform
+    this.writeInt32LEFloat(0);
+    this.writeInt32LEFloat(0);
+    this.writeInt32LEFloat(1);
+    this.writeInt32LEFloat(0);
+    this.writeInt32LEFloat(0);
+
+    this.writeInt16LE(0); // Programmable fill patterns
+    this.writeInt16LE(0); // Motif patterns
+    this.writeInt16LE(0); // Feather patterns
+
+    this.writeInt16LE(threads.length);
+    for (const thread of threads) {
+      this.writePesThread(thread);
+    }
+
+    this.writeInt16LE(blockCount);
+  }
+
+  writePesThread(thread) {
+    this.writePesString(thread.catalogNumber);
+    this.writeInt8((thread.color >> 16) & 255);
+    this.writeInt8((thread.color >> 8) & 255);
+    this.writeInt8(thread.color & 255);
+    this.writeInt8(0x00);
+    this.writeInt32LE(0x0a); // Custom color (not from a Brother chart)
+    this.writePesString(thread.name);
+    this.writePesString(thread.brand);
+    this.writePesString(""); // Chart
+  }
+
+  writeSewSegHeader(border, hoop) {
+    for (let i = 0; i < 8; i++) {
+      this.writeInt16LE(0);
+    }
+
+    // Center the design in the hoop (0.1mm)
+    this.writeInt32LEFloat(1);
+    this.writeInt32LEFloat(0);
+    this.writeInt32LEFloat(0);
+    this.writeInt32LEFloat(1);
+    this.writeInt32LEFloat((hoop.width * 10) / 2 - border.width / 2);
+    this.writeInt32LEFloat((hoop.height * 10) / 2 - border.height / 2);
+
+    this.writeInt16LE(1);
+    this.writeInt16LE(0);
+    this.writeInt16LE(0);
+    this.writeInt16LE(border.width);
+    this.writeInt16LE(border.height);
+    this.writeBytes([0, 0, 0, 0, 0, 0, 0, 0]);
+  }
+
+  /**
+   * Splits the stitches into CSewSeg segments: stitch segments (flag 0) and
+   * jump segments (flag 1) from the last needle position to the jump target.
+   * @param {Array} stitches - Centered stitches with jump/trim flags
+   * @param {Array<number>} codes - Thread chart index of every stitch
+   * @returns {Array<{flag: number, code: number, points: Array}>} Segments in stitch order
+   */
+  buildSewSegments(stitches, codes) {
+    const segments = [];
+    let current = null;
+
+    for (let i = 0; i < stitches.length; i++) {
+      const stitch = stitches[i];
+      if (stitch.trim) continue;
+
+      const colorChanged = current && codes[i] !== current.code;
+      if (i > 0 && (stitch.jump || colorChanged)) {
+        const previous = stitches[i - 1];
+        segments.push({ flag: 1, code: codes[i], points: [previous, stitch] });
+        current = null;
+      }
+
+      if (!current) {
+        current = { flag: 0, code: codes[i], points: [] };
+        segments.push(current);
+      }
+      current.points.push(stitch);
+    }
+
+    return segments;
+  }
+
+  writePesBlocks(stitches, codes, border, hoop) {
+    this.writePesString16("CEmbOne");
+    this.writeSewSegHeader(border, hoop);
+    this.spaceHolder(2); // Segment count
+
+    this.writeInt16LE(0xffff); // More blocks follow
+    this.writeInt16LE(0x0000);
+    this.writePesString16("CSewSeg");
+
+    const segments = this.buildSewSegments(stitches, codes);
+    const colorLog = [];
+
+    segments.forEach((segment, index) => {
+      if (index > 0) {
+        this.writeInt16LE(0x8003); // Segment separator
+      }
+      if (colorLog.length === 0 || colorLog[colorLog.length - 1].code !== segment.code) {
+        colorLog.push({ segment: index, code: segment.code });
+      }
+
+      this.writeInt16LE(segment.flag);
+      this.writeInt16LE(segment.code);
+      this.writeInt16LE(segment.points.length);
+      for (const point of segment.points) {
+        this.writeInt16LE(Math.round(point.x - border.bounds.minX));
+        this.writeInt16LE(Math.round(point.y - border.bounds.maxY));
+      }
+    });
+
+    this.writeSpaceHolder16LE(segments.length);
+
+    this.writeInt16LE(colorLog.length);
+    for (const entry of colorLog) {
+      this.writeInt16LE(entry.segment);
+      this.writeInt16LE(entry.code);
+    }
+
+    return colorLog;
+  }
+
+  // Trailer after the PEC graphics that repeats the palette indices and real RGB values
+  writePesAddendum(colorInfo) {
+    const { colorIndexList, palette } = colorInfo;
+
+    for (const index of colorIndexList) {
+      this.writeInt8(index);
+    }
+    for (let i = colorIndexList.length; i < 128; i++) {
+      this.writeInt8(0x20);
+    }
+    for (let i = 0; i < palette.length; i++) {
+      this.writeBytes(new Array(0x90).fill(0x00));
+    }
+    for (const color of palette) {
+      this.writeInt24LE(color);
+    }
+  }
+
+  // Version 6 - PES design section with thread list and hoop, followed by the PEC block
+  writeVersion6(title, stitches, colors, border, threadChart, hoop) {
+    this.writeString("#PES0060");
+    this.spaceHolder(4); // PEC block offset
+
+    this.writePesHeaderV6(title, threadChart.threads, hoop, 1);
+    this.writeInt16LE(0xffff);
+    this.writeInt16LE(0x0000);
+
+    const colorLog = this.writePesBlocks(stitches, threadChart.codes, border, hoop);
+
+    // Block ordering table
+    this.writeInt32LE(0);
+    this.writeInt32LE(0);
+    for (let i = 0; i < colorLog.length; i++) {
+      this.writeInt32LE(i);
+      this.writeInt32LE(0);
+    }
+
+    this.writeSpaceHolder32LE(this.tell());
+
+    const colorInfo = this.writePec(title, stitches, colors, border);
+    this.writePesAddendum(colorInfo);
+    this.writeInt16LE(0x0000);
+  }
+
   // ===== Main Generation Function (matching DST pattern) =====
 
-  generatePES(points, title) {
+  /**
+   * Generates PES file contents.
+   * @memberof PESWriter
+   * @param {Array} points - Stitch points in 0.1mm with color, jump/trim flags and optional thread metadata
+   * @param {String} title - Design name
+   * @param {Object} [options={}] - Writer options
+   * @param {number} [options.version=6] - 6 for a full PES file, 1 for a PEC-only file
+   * @param {{width: number, height: number}} [options.hoop] - Hoop size in mm (default: smallest fitting Brother hoop)
+   * @returns {Uint8Array} PES file contents
+   */
+  generatePES(points, title, options = {}) {
     if (_DEBUG_PES) {
       console.log("=== PESWriter generatePES ===");
       console.log("Points to process:", points.length);
@@ -463,11 +774,18 @@ export class PESWriter {
     }
 
     // Extract stitches and colors arrays from transformed points
-    const stitches = transformedPoints.map((p) => ({ x: p.x, y: p.y }));
+    const stitches = transformedPoints.map((p) => ({ x: p.x, y: p.y, jump: !!p.jump, trim: !!p.trim }));
     const colors = transformedPoints.map((p) => p.color || 0xff0000);
 
     // Write the file
-    this.writeTruncatedVersion1(title, stitches, colors, border);
+    const version = options.version || this.VERSION;
+    if (version === 1 || this.TRUNCATED) {
+      this.writeTruncatedVersion1(title, stitches, colors, border);
+    } else {
+      const threadChart = this.buildThreadChart(transformedPoints);
+      const hoop = this.selectHoop(border, options.hoop);
+      this.writeVersion6(title, stitches, colors, border, threadChart, hoop);
+    }
 
     return new Uint8Array(this.buffer);
   }
@@ -498,9 +816,10 @@ export class PESWriter {
    * @param {Array} points - Array of stitch points with x, y, color properties
    * @param {String} title - Title for the PES file header
    * @param {String} filename - Output filename
+   * @param {Object} [options={}] - Writer options (see generatePES)
    */
-  savePES(points, title, filename) {
-    let pesData = this.generatePES(points, title);
+  savePES(points, title, filename, options = {}) {
+    let pesData = this.generatePES(points, title, options);
     this.saveBytes(pesData, filename);
     if (_DEBUG_PES) {
       console.log("PES file saved!");
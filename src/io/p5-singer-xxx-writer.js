@@ -0,0 +1,139 @@
+/**
+ * Class for writing Singer XXX embroidery files.
+ * Shares the stitch, jump, trim and color change handling of DSTWriter, including the
+ * splitting of long moves, and only changes how records are encoded.
+ * @class XXXWriter
+ */
+
+import { DSTWriter } from "./p5-tajima-dst-writer.js";
+
+// Debug flag - set to true to enable debug logging
+const _DEBUG_XXX = false;
+
+export class XXXWriter extends DSTWriter {
+  // Moves are signed bytes in 0.1mm; 0x7D-0x7F start control records
+  static MAX_MOVE = 124;
+
+  static HEADER_SIZE = 0x100;
+  static CONTROL = 0x7f;
+
+  /**
+   * Encodes one record. Stitches are two signed bytes; jumps, trims, color changes and the
+   * end of the design are four-byte control records starting with 0x7F.
+   * @param {number} x - X offset in 0.1mm
+   * @param {number} y - Y offset in 0.1mm
+   * @param {number} flag - DSTWriter record flag
+   * @returns {Array<number>} Record bytes
+   */
+  encodeRecord(x, y, flag) {
+    y = -y; // XXX y points up
+
+    switch (flag) {
+      case DSTWriter.STITCH:
+        return [x & 0xff, y & 0xff];
+      case DSTWriter.JUMP:
+        return [XXXWriter.CONTROL, 0x01, x & 0xff, y & 0xff];
+      case DSTWriter.TRIM:
+        return [XXXWriter.CONTROL, 0x03, 0x00, 0x00];
+      case DSTWriter.COLOR_CHANGE:
+        return [XXXWriter.CONTROL, 0x08, 0x00, 0x00];
+      case DSTWriter.END:
+        return [XXXWriter.CONTROL, 0x7f, 0x02, 0x14];
+      default:
+        return [];
+    }
+  }
+
+  writeTrim() {
+    this.data.push(...this.encodeRecord(0, 0, DSTWriter.TRIM));
+  }
+
+  /**
+   * Inserts a color change wherever the thread color changes and collects the colors.
+   * @param {Array} points - Stitch points with a per-point color (0xRRGGBB)
+   * @returns {{points: Array, colors: Array<number>}} Points with colorChange markers and the color of every block
+   */
+  splitColors(points) {
+    const result = [];
+    const colors = [];
+
+    for (const point of points) {
+      const color = point.color !== undefined ? point.color : 0x000000;
+      if (colors.length === 0 || color !== colors[colors.length - 1]) {
+        if (result.length > 0) {
+          const lastPoint = result[result.length - 1];
+          result.push({ x: lastPoint.x, y: lastPoint.y, colorChange: true });
+        }
+        colors.push(color);
+      }
+      result.push(point);
+    }
+
+    return { points: result, colors };
+  }
+
+  /**
+   * Generates XXX file contents: a 256-byte header, the stitch records and the RGB value
+   * of every color block.
+   * @memberof XXXWriter
+   * @param {Array} points - Stitch points in 0.1mm with color and jump/trim flags
+   * @returns {Uint8Array} XXX file contents
+   */
+  generateXXX(points) {
+    this.reset();
+
+    const { points: stitches, colors } = this.splitColors(points);
+    const centered = this.centerPoints(stitches);
+    const border = centered.border;
+    this.encodeStitches(centered.points);
+    this.data.push(...this.encodeRecord(0, 0, DSTWriter.END));
+
+    const header = new Uint8Array(XXXWriter.HEADER_SIZE);
+    const view = new DataView(header.buffer);
+    view.setInt32(0x17, this.stitchCount, true);
+    view.setInt32(0x27, colors.length, true);
+    view.setInt16(0x2d, border.width, true);
+    view.setInt16(0x2f, border.height, true);
+    view.setInt16(0x31, this.currentX, true); // End position
+    view.setInt16(0x33, -this.currentY, true);
+    view.setInt16(0x35, border.left, true); // Distance from the start to the left and top edges
+    view.setInt16(0x37, border.top, true);
+
+    const colorTable = [];
+    for (const color of colors) {
+      colorTable.push(0x00, (color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+    }
+
+    if (_DEBUG_XXX) {
+      console.log("=== XXXWriter generateXXX ===");
+      console.log("Records:", this.stitchCount, "Colors:", colors.length);
+    }
+
+    const data = new Uint8Array(header.length + this.data.length + colorTable.length);
+    data.set(header, 0);
+    data.set(this.data, header.length);
+    data.set(colorTable, header.length + this.data.length);
+    return data;
+  }
+
+  /**
+   * Saves embroidery data as an XXX file.
+   * @memberof XXXWriter
+   * @param {Array} points - Array of stitch points with x, y, color properties
+   * @param {String} filename - Output filename
+   */
+  saveXXX(points, filename) {
+    const xxxData = this.generateXXX(points);
+    this.saveBytes(xxxData, filename);
+    if (_DEBUG_XXX) {
+      console.log("XXX file saved!");
+    }
+  }
+}
+
+// Add this check to support both direct browser usage and ES modules
+if (typeof exports !== "undefined") {
+  exports.XXXWriter = XXXWriter;
+} else if (typeof window !== "undefined") {
+  window.XXXWriter = XXXWriter;
+}
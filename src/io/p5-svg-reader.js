@@ -0,0 +1,790 @@
+/**
+ * Class for reading SVG files as embroidery designs.
+ * @class SVGReader
+ */
+
+// Debug flag - set to true to enable debug logging
+const _DEBUG_SVG_READ = false;
+
+const SHAPE_ELEMENTS = ["path", "circle", "rect", "line", "polyline", "polygon", "ellipse"];
+
+// Elements whose children are never rendered directly
+const HIDDEN_CONTAINERS = ["defs", "clipPath", "mask", "symbol", "marker", "pattern"];
+
+// Millimeters per unit of SVG length
+const UNIT_TO_MM = {
+  mm: 1,
+  cm: 10,
+  in: 25.4,
+  pt: 25.4 / 72,
+  pc: 25.4 / 6,
+};
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  cyan: [0, 255, 255],
+  magenta: [255, 0, 255],
+  orange: [255, 165, 0],
+  purple: [128, 0, 128],
+  pink: [255, 192, 203],
+  brown: [165, 42, 42],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  silver: [192, 192, 192],
+  gold: [255, 215, 0],
+  lime: [0, 255, 0],
+  navy: [0, 0, 128],
+  teal: [0, 128, 128],
+  olive: [128, 128, 0],
+  maroon: [128, 0, 0],
+  fuchsia: [255, 0, 255],
+  aqua: [0, 255, 255],
+};
+
+export class SVGReader {
+  constructor() {
+    this.options = {
+      dpi: 96, // Pixels per inch for SVG user units without a physical size
+      curveSteps: 10, // Points per bezier segment
+      arcStep: Math.PI / 16, // Largest angle (radians) between two points of an arc
+    };
+  }
+
+  setOptions(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Reads SVG markup into an embroidery design.
+   * Each shape element becomes a part with its outlines in mm, its fill and stroke colors,
+   * and the embroidery settings found in its data-* attributes:
+   * data-fill-mode, data-stroke-mode, data-fill-angle (degrees), data-row-spacing and data-stitch-length.
+   * @param {string} svgText - SVG markup
+   * @param {Object} [options={}] - Reader options
+   * @returns {Object} Design ({width, height, parts}) with sizes in mm
+   */
+  read(svgText, options = {}) {
+    this.setOptions(options);
+
+    if (typeof DOMParser === "undefined") {
+      throw new Error("Reading SVG requires DOMParser");
+    }
+    const doc = new DOMParser().parseFromString(svgText, "image/svg+xml");
+    const svg = doc.querySelector("svg");
+    if (!svg || doc.querySelector("parsererror")) {
+      throw new Error("Invalid SVG data: no <svg> element found");
+    }
+
+    const viewport = this.getViewport(svg);
+    const cssStyles = this.parseCSSStyles(doc);
+    const parts = [];
+
+    const elements = Array.from(svg.querySelectorAll(SHAPE_ELEMENTS.join(", ")));
+    elements.forEach((element, index) => {
+      if (this.isHidden(element, svg)) return;
+
+      const style = this.getStyle(element, svg, cssStyles);
+      if (!style.fill && !style.stroke) return;
+
+      const matrix = this.getTransform(element, svg, viewport);
+      const subpaths = this.getSubpaths(element)
+        .map((subpath) => ({
+          closed: subpath.closed,
+          points: subpath.points.map((point) => applyMatrix(matrix, point)),
+        }))
+        .filter((subpath) => subpath.points.length >= 2);
+      if (subpaths.length === 0) return;
+
+      const tagName = element.tagName.toLowerCase();
+      parts.push({
+        name: element.getAttribute("id") || `${tagName.charAt(0).toUpperCase() + tagName.slice(1)} ${index + 1}`,
+        elementType: tagName,
+        subpaths,
+        shapes: organizeSubpathsIntoContours(subpaths.filter((subpath) => subpath.points.length >= 3)),
+        fill: style.fill,
+        stroke: style.stroke,
+        strokeWeight: style.strokeWidth * getMatrixScale(matrix),
+        fillMode: style.fillMode,
+        strokeMode: style.strokeMode,
+        fillSettings: style.fillSettings,
+      });
+    });
+
+    if (_DEBUG_SVG_READ) console.log("SVG read:", parts.length, "parts from", elements.length, "elements");
+
+    // Without a size on the <svg> element, the design spans its parts
+    let { width, height } = viewport;
+    if (!(width > 0) || !(height > 0)) {
+      const points = parts.flatMap((part) => part.subpaths.flatMap((subpath) => subpath.points));
+      width = width || points.reduce((max, point) => Math.max(max, point.x), 0);
+      height = height || points.reduce((max, point) => Math.max(max, point.y), 0);
+    }
+
+    return { width, height, parts };
+  }
+
+  /**
+   * Returns the size of the SVG in mm and the scale from user units to mm.
+   * A viewBox is mapped onto the width and height attributes; without them, user units are pixels.
+   * @param {Element} svg - Root <svg> element
+   * @returns {{width: number, height: number, scaleX: number, scaleY: number, minX: number, minY: number}} Viewport in mm
+   */
+  getViewport(svg) {
+    const pxToMm = 25.4 / this.options.dpi;
+    const viewBox = (svg.getAttribute("viewBox") || "")
+      .trim()
+      .split(/[\s,]+/)
+      .map(parseFloat);
+    const hasViewBox =
+      viewBox.length === 4 && viewBox.every((v) => Number.isFinite(v)) && viewBox[2] > 0 && viewBox[3] > 0;
+
+    const width = this.parseLength(svg.getAttribute("width"), pxToMm);
+    const height = this.parseLength(svg.getAttribute("height"), pxToMm);
+
+    if (hasViewBox) {
+      const scaleX = width ? width / viewBox[2] : height ? height / viewBox[3] : pxToMm;
+      const scaleY = height ? height / viewBox[3] : scaleX;
+      return {
+        width: viewBox[2] * scaleX,
+        height: viewBox[3] * scaleY,
+        scaleX,
+        scaleY,
+        minX: viewBox[0],
+        minY: viewBox[1],
+      };
+    }
+
+    return { width: width || 0, height: height || 0, scaleX: pxToMm, scaleY: pxToMm, minX: 0, minY: 0 };
+  }
+
+  /**
+   * Parses an SVG length ("20mm", "1in", "300", "300px") into mm.
+   * @param {string} value - Length attribute
+   * @param {number} pxToMm - Millimeters per pixel
+   * @returns {number|null} Length in mm, or null for missing or relative lengths
+   */
+  parseLength(value, pxToMm) {
+    const match = /^\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)\s*([a-z]*)\s*$/.exec(value || "");
+    if (!match) return null;
+    const unit = match[2];
+    if (unit && unit !== "px" && !UNIT_TO_MM[unit]) return null;
+    return parseFloat(match[1]) * (UNIT_TO_MM[unit] || pxToMm);
+  }
+
+  /**
+   * Collects the CSS rules of all <style> elements, keyed by selector.
+   * @param {Document} doc - Parsed SVG document
+   * @returns {Object} Declarations by selector
+   */
+  parseCSSStyles(doc) {
+    const styles = {};
+    for (const styleElement of doc.querySelectorAll("style")) {
+      const cssText = styleElement.textContent || "";
+      const ruleRegex = /([^{}]+)\{([^}]*)\}/g;
+      let match;
+      while ((match = ruleRegex.exec(cssText)) !== null) {
+        const declarations = parseDeclarations(match[2]);
+        for (const selector of match[1].split(",")) {
+          const key = selector.trim();
+          if (key) styles[key] = { ...styles[key], ...declarations };
+        }
+      }
+    }
+    return styles;
+  }
+
+  /**
+   * Returns true when the element or one of its ancestors is not rendered.
+   * @param {Element} element - Shape element
+   * @param {Element} svg - Root <svg> element
+   * @returns {boolean} True for hidden elements
+   */
+  isHidden(element, svg) {
+    for (let node = element; node && node !== svg; node = node.parentElement) {
+      if (HIDDEN_CONTAINERS.includes(node.tagName)) return true;
+      if (node.getAttribute("display") === "none") return true;
+      if (/display\s*:\s*none/.test(node.getAttribute("style") || "")) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Resolves the presentation of an element: fill and stroke colors, stroke width in user units,
+   * and embroidery settings. Values are inherited from ancestor groups; for each element, the
+   * style attribute wins over CSS class rules, which win over presentation attributes.
+   * @param {Element} element - Shape element
+   * @param {Element} svg - Root <svg> element
+   * @param {Object} cssStyles - Rules from parseCSSStyles()
+   * @returns {Object} Resolved style ({fill, stroke, strokeWidth, fillMode, strokeMode, fillSettings})
+   */
+  getStyle(element, svg, cssStyles) {
+    const chain = [];
+    for (let node = element; node; node = node === svg ? null : node.parentElement) {
+      chain.unshift(node);
+    }
+
+    const properties = { fill: "black", stroke: "none", "stroke-width": "1" };
+    const data = {};
+    for (const node of chain) {
+      const own = {};
+      for (const name of ["fill", "stroke", "stroke-width", "opacity", "fill-opacity", "stroke-opacity"]) {
+        const value = node.getAttribute(name);
+        if (value !== null) own[name] = value;
+      }
+      const tagRule = cssStyles[node.tagName.toLowerCase()];
+      if (tagRule) Object.assign(own, tagRule);
+      for (const className of (node.getAttribute("class") || "").split(/\s+/).filter(Boolean)) {
+        Object.assign(own, cssStyles[`.${className}`]);
+      }
+      const id = node.getAttribute("id");
+      if (id && cssStyles[`#${id}`]) Object.assign(own, cssStyles[`#${id}`]);
+      Object.assign(own, parseDeclarations(node.getAttribute("style") || ""));
+
+      for (const [name, value] of Object.entries(own)) {
+        if (value !== "inherit") properties[name] = value;
+      }
+
+      for (const name of ["fill-mode", "stroke-mode", "fill-angle", "row-spacing", "stitch-length"]) {
+        const value = node.getAttribute(`data-${name}`);
+        if (value !== null) data[name] = value;
+      }
+    }
+
+    const transparent = (name) => parseFloat(properties.opacity) === 0 || parseFloat(properties[name]) === 0;
+    const fillSettings = {};
+    if (data["fill-angle"] !== undefined) fillSettings.angle = (parseFloat(data["fill-angle"]) * Math.PI) / 180;
+    if (data["row-spacing"] !== undefined) fillSettings.rowSpacing = parseFloat(data["row-spacing"]);
+    if (data["stitch-length"] !== undefined) fillSettings.stitchLength = parseFloat(data["stitch-length"]);
+    for (const key of Object.keys(fillSettings)) {
+      if (!Number.isFinite(fillSettings[key])) delete fillSettings[key];
+    }
+
+    return {
+      fill: transparent("fill-opacity") ? null : parseColor(properties.fill),
+      stroke: transparent("stroke-opacity") ? null : parseColor(properties.stroke),
+      strokeWidth: parseFloat(properties["stroke-width"]) || 1,
+      fillMode: data["fill-mode"] || null,
+      strokeMode: data["stroke-mode"] || null,
+      fillSettings,
+    };
+  }
+
+  /**
+   * Returns the matrix from an element's user units to design mm, including all ancestor transforms.
+   * @param {Element} element - Shape element
+   * @param {Element} svg - Root <svg> element
+   * @param {Object} viewport - Viewport from getViewport()
+   * @returns {Array<number>} Matrix [a, b, c, d, e, f]
+   */
+  getTransform(element, svg, viewport) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    for (let node = element; node && node !== svg; node = node.parentElement) {
+      matrix = multiplyMatrix(parseTransform(node.getAttribute("transform") || ""), matrix);
+    }
+    const toMm = [
+      viewport.scaleX,
+      0,
+      0,
+      viewport.scaleY,
+      -viewport.minX * viewport.scaleX,
+      -viewport.minY * viewport.scaleY,
+    ];
+    return multiplyMatrix(toMm, matrix);
+  }
+
+  /**
+   * Converts a shape element into subpaths in user units.
+   * @param {Element} element - Shape element
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} Subpaths
+   */
+  getSubpaths(element) {
+    const number = (name) => parseFloat(element.getAttribute(name)) || 0;
+
+    switch (element.tagName.toLowerCase()) {
+      case "path":
+        return this.parsePathData(element.getAttribute("d") || "");
+      case "circle": {
+        const r = number("r");
+        return r > 0 ? [this.createEllipse(number("cx"), number("cy"), r, r)] : [];
+      }
+      case "ellipse": {
+        const rx = number("rx");
+        const ry = number("ry");
+        return rx > 0 && ry > 0 ? [this.createEllipse(number("cx"), number("cy"), rx, ry)] : [];
+      }
+      case "rect": {
+        const x = number("x");
+        const y = number("y");
+        const w = number("width");
+        const h = number("height");
+        if (!(w > 0 && h > 0)) return [];
+        let rx = element.hasAttribute("rx") ? number("rx") : number("ry");
+        let ry = element.hasAttribute("ry") ? number("ry") : rx;
+        rx = Math.min(rx, w / 2);
+        ry = Math.min(ry, h / 2);
+        if (rx > 0 && ry > 0) {
+          return this.parsePathData(
+            `M${x + rx},${y} H${x + w - rx} A${rx},${ry} 0 0 1 ${x + w},${y + ry} V${y + h - ry} ` +
+              `A${rx},${ry} 0 0 1 ${x + w - rx},${y + h} H${x + rx} A${rx},${ry} 0 0 1 ${x},${y + h - ry} ` +
+              `V${y + ry} A${rx},${ry} 0 0 1 ${x + rx},${y} Z`,
+          );
+        }
+        return [
+          {
+            points: [
+              { x, y },
+              { x: x + w, y },
+              { x: x + w, y: y + h },
+              { x, y: y + h },
+            ],
+            closed: true,
+          },
+        ];
+      }
+      case "line":
+        return [
+          {
+            points: [
+              { x: number("x1"), y: number("y1") },
+              { x: number("x2"), y: number("y2") },
+            ],
+            closed: false,
+          },
+        ];
+      case "polyline":
+      case "polygon": {
+        const coords = parseNumbers(element.getAttribute("points") || "");
+        const points = [];
+        for (let i = 0; i + 1 < coords.length; i += 2) {
+          points.push({ x: coords[i], y: coords[i + 1] });
+        }
+        return [{ points, closed: element.tagName.toLowerCase() === "polygon" }];
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Returns the outline of an ellipse as a closed subpath.
+   * @param {number} cx - Center x
+   * @param {number} cy - Center y
+   * @param {number} rx - Horizontal radius
+   * @param {number} ry - Vertical radius
+   * @returns {{points: Array<{x: number, y: number}>, closed: boolean}} Subpath
+   */
+  createEllipse(cx, cy, rx, ry) {
+    const steps = Math.max(8, Math.ceil((Math.PI * 2) / this.options.arcStep));
+    const points = [];
+    for (let i = 0; i < steps; i++) {
+      const angle = (i / steps) * Math.PI * 2;
+      points.push({ x: cx + Math.cos(angle) * rx, y: cy + Math.sin(angle) * ry });
+    }
+    return { points, closed: true };
+  }
+
+  /**
+   * Parses SVG path data into subpaths of points. Curves and arcs are flattened.
+   * @param {string} pathData - The d attribute of a path
+   * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} Subpaths in user units
+   */
+  parsePathData(pathData) {
+    const subpaths = [];
+    const commands = pathData.match(/[MmLlHhVvCcSsQqTtAaZz][^MmLlHhVvCcSsQqTtAaZz]*/g) || [];
+    const steps = this.options.curveSteps;
+
+    let current = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let lastControl = null; // Last control point and its command type, for S and T
+    const add = (px, py) => {
+      if (!current) {
+        current = { points: [{ x, y }], closed: false };
+        subpaths.push(current);
+      }
+      current.points.push({ x: px, y: py });
+      x = px;
+      y = py;
+    };
+
+    for (const command of commands) {
+      const type = command[0];
+      const relative = type === type.toLowerCase();
+      const args = parseNumbers(command.slice(1));
+      const ox = () => (relative ? x : 0);
+      const oy = () => (relative ? y : 0);
+
+      switch (type.toLowerCase()) {
+        case "m":
+          for (let i = 0; i + 1 < args.length; i += 2) {
+            const px = args[i] + ox();
+            const py = args[i + 1] + oy();
+            if (i === 0) {
+              current = { points: [{ x: px, y: py }], closed: false };
+              subpaths.push(current);
+              x = startX = px;
+              y = startY = py;
+            } else {
+              add(px, py);
+            }
+          }
+          lastControl = null;
+          break;
+        case "l":
+          for (let i = 0; i + 1 < args.length; i += 2) add(args[i] + ox(), args[i + 1] + oy());
+          lastControl = null;
+          break;
+        case "h":
+          for (const value of args) add(value + ox(), y);
+          lastControl = null;
+          break;
+        case "v":
+          for (const value of args) add(x, value + oy());
+          lastControl = null;
+          break;
+        case "c":
+        case "s": {
+          const size = type.toLowerCase() === "c" ? 6 : 4;
+          for (let i = 0; i + size - 1 < args.length; i += size) {
+            const x0 = x;
+            const y0 = y;
+            let c1;
+            if (size === 6) {
+              c1 = { x: args[i] + ox(), y: args[i + 1] + oy() };
+            } else {
+              c1 =
+                lastControl && lastControl.cubic
+                  ? { x: 2 * x0 - lastControl.x, y: 2 * y0 - lastControl.y }
+                  : { x: x0, y: y0 };
+            }
+            const c2 = { x: args[i + size - 4] + ox(), y: args[i + size - 3] + oy() };
+            const end = { x: args[i + size - 2] + ox(), y: args[i + size - 1] + oy() };
+            for (let j = 1; j <= steps; j++) {
+              const t = j / steps;
+              const mt = 1 - t;
+              add(
+                mt * mt * mt * x0 + 3 * mt * mt * t * c1.x + 3 * mt * t * t * c2.x + t * t * t * end.x,
+                mt * mt * mt * y0 + 3 * mt * mt * t * c1.y + 3 * mt * t * t * c2.y + t * t * t * end.y,
+              );
+            }
+            lastControl = { x: c2.x, y: c2.y, cubic: true };
+          }
+          break;
+        }
+        case "q":
+        case "t": {
+          const size = type.toLowerCase() === "q" ? 4 : 2;
+          for (let i = 0; i + size - 1 < args.length; i += size) {
+            const x0 = x;
+            const y0 = y;
+            let c;
+            if (size === 4) {
+              c = { x: args[i] + ox(), y: args[i + 1] + oy() };
+            } else {
+              c =
+                lastControl && !lastControl.cubic
+                  ? { x: 2 * x0 - lastControl.x, y: 2 * y0 - lastControl.y }
+                  : { x: x0, y: y0 };
+            }
+            const end = { x: args[i + size - 2] + ox(), y: args[i + size - 1] + oy() };
+            for (let j = 1; j <= steps; j++) {
+              const t = j / steps;
+              const mt = 1 - t;
+              add(mt * mt * x0 + 2 * mt * t * c.x + t * t * end.x, mt * mt * y0 + 2 * mt * t * c.y + t * t * end.y);
+            }
+            lastControl = { x: c.x, y: c.y, cubic: false };
+          }
+          break;
+        }
+        case "a":
+          for (let i = 0; i + 6 < args.length; i += 7) {
+            const end = { x: args[i + 5] + ox(), y: args[i + 6] + oy() };
+            const points = this.flattenArc({ x, y }, end, args[i], args[i + 1], args[i + 2], args[i + 3], args[i + 4]);
+            for (const point of points) add(point.x, point.y);
+          }
+          lastControl = null;
+          break;
+        case "z":
+          if (current) {
+            const last = current.points[current.points.length - 1];
+            if (current.points.length > 1 && Math.hypot(last.x - startX, last.y - startY) < 1e-6) {
+              current.points.pop();
+            }
+            current.closed = true;
+          }
+          current = null;
+          x = startX;
+          y = startY;
+          lastControl = null;
+          break;
+      }
+    }
+
+    return subpaths;
+  }
+
+  /**
+   * Flattens an SVG elliptical arc into points, converting the endpoint parameters to a center
+   * (SVG 1.1 implementation notes, F.6.5).
+   * @param {{x: number, y: number}} start - Current point
+   * @param {{x: number, y: number}} end - Arc end point
+   * @param {number} rx - X radius
+   * @param {number} ry - Y radius
+   * @param {number} rotation - X axis rotation in degrees
+   * @param {number} largeArc - Large arc flag
+   * @param {number} sweep - Sweep flag
+   * @returns {Array<{x: number, y: number}>} Points after the start point, ending at the end point
+   */
+  flattenArc(start, end, rx, ry, rotation, largeArc, sweep) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0 || (start.x === end.x && start.y === end.y)) return [end];
+
+    const phi = (rotation * Math.PI) / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (start.x - end.x) / 2;
+    const dy = (start.y - end.y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    // Scale up radii that are too small to reach the end point
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let factor = Math.sqrt(Math.max(0, numerator / denominator));
+    if (Boolean(largeArc) === Boolean(sweep)) factor = -factor;
+    const cx1 = (factor * rx * y1) / ry;
+    const cy1 = (-factor * ry * x1) / rx;
+    const cx = cos * cx1 - sin * cy1 + (start.x + end.x) / 2;
+    const cy = sin * cx1 + cos * cy1 + (start.y + end.y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && delta > 0) delta -= Math.PI * 2;
+    if (sweep && delta < 0) delta += Math.PI * 2;
+
+    const steps = Math.max(2, Math.ceil(Math.abs(delta) / this.options.arcStep));
+    const points = [];
+    for (let i = 1; i < steps; i++) {
+      const t = theta + (delta * i) / steps;
+      const ex = rx * Math.cos(t);
+      const ey = ry * Math.sin(t);
+      points.push({ x: cos * ex - sin * ey + cx, y: sin * ex + cos * ey + cy });
+    }
+    points.push(end);
+    return points;
+  }
+}
+
+/**
+ * Groups subpaths into shapes with holes by how deeply each one is nested in the others.
+ * Even nesting levels are filled outlines, odd levels are holes in the outline around them.
+ * @private
+ * @param {Array<{points: Array<{x: number, y: number}>}>} subpaths - Subpaths in mm
+ * @returns {Array<{outer: Array<{x: number, y: number}>, holes: Array<Array<{x: number, y: number}>>}>} Shapes
+ */
+function organizeSubpathsIntoContours(subpaths) {
+  const info = subpaths.map((subpath) => ({
+    points: subpath.points,
+    area: Math.abs(getPolygonArea(subpath.points)),
+    level: 0,
+  }));
+
+  for (const item of info) {
+    item.level = info.filter((other) => other !== item && isPointInPolygon(item.points[0], other.points)).length;
+  }
+
+  const shapes = [];
+  for (const outer of info.filter((item) => item.level % 2 === 0)) {
+    const holes = info.filter(
+      (item) =>
+        item.level === outer.level + 1 && item.area < outer.area && isPointInPolygon(item.points[0], outer.points),
+    );
+    shapes.push({ outer: outer.points, holes: holes.map((hole) => hole.points) });
+  }
+  return shapes;
+}
+
+/**
+ * Parses "a: b; c: d" CSS declarations.
+ * @private
+ */
+function parseDeclarations(text) {
+  const declarations = {};
+  for (const declaration of text.split(";")) {
+    const colon = declaration.indexOf(":");
+    if (colon <= 0) continue;
+    const property = declaration.slice(0, colon).trim();
+    const value = declaration.slice(colon + 1).trim();
+    if (property && value) declarations[property] = value;
+  }
+  return declarations;
+}
+
+/**
+ * Parses all numbers in a string, including exponents and numbers packed like "1.5.5" or "1-2".
+ * @private
+ */
+function parseNumbers(text) {
+  return (text.match(/[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g) || []).map(parseFloat);
+}
+
+/**
+ * Parses an SVG color into {r, g, b}.
+ * @private
+ * @param {string} value - Color value (#rgb, #rrggbb, rgb(), rgba() or a color name)
+ * @returns {{r: number, g: number, b: number}|null} Color, or null for "none" and unknown colors
+ */
+function parseColor(value) {
+  if (!value) return null;
+  const color = value.trim().toLowerCase();
+  if (color === "none" || color === "transparent") return null;
+
+  if (color.startsWith("#")) {
+    const hex = color.slice(1);
+    if (hex.length === 3 || hex.length === 4) {
+      return {
+        r: parseInt(hex[0] + hex[0], 16),
+        g: parseInt(hex[1] + hex[1], 16),
+        b: parseInt(hex[2] + hex[2], 16),
+      };
+    }
+    if (hex.length === 6 || hex.length === 8) {
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+      };
+    }
+    return null;
+  }
+
+  const rgb = /^rgba?\(([^)]*)\)$/.exec(color);
+  if (rgb) {
+    const channels = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    if (channels.length < 3) return null;
+    const channel = (c) => Math.round(c.endsWith("%") ? (parseFloat(c) * 255) / 100 : parseFloat(c));
+    return { r: channel(channels[0]), g: channel(channels[1]), b: channel(channels[2]) };
+  }
+
+  const named = NAMED_COLORS[color];
+  return named ? { r: named[0], g: named[1], b: named[2] } : null;
+}
+
+/**
+ * Parses an SVG transform list into a matrix [a, b, c, d, e, f].
+ * @private
+ */
+function parseTransform(text) {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  const regex = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const v = parseNumbers(match[2]);
+    let next;
+    switch (match[1]) {
+      case "matrix":
+        next = v.length === 6 ? v : [1, 0, 0, 1, 0, 0];
+        break;
+      case "translate":
+        next = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+        break;
+      case "scale":
+        next = [v[0] ?? 1, 0, 0, v[1] ?? v[0] ?? 1, 0, 0];
+        break;
+      case "rotate": {
+        const a = ((v[0] || 0) * Math.PI) / 180;
+        const [cx = 0, cy = 0] = v.slice(1);
+        next = multiplyMatrix(
+          multiplyMatrix([1, 0, 0, 1, cx, cy], [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]),
+          [1, 0, 0, 1, -cx, -cy],
+        );
+        break;
+      }
+      case "skewX":
+        next = [1, 0, Math.tan(((v[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case "skewY":
+        next = [1, Math.tan(((v[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+    }
+    matrix = multiplyMatrix(matrix, next);
+  }
+
+  return matrix;
+}
+
+/**
+ * Multiplies two matrices [a, b, c, d, e, f] (m1 applied after m2).
+ * @private
+ */
+function multiplyMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+/**
+ * Applies a matrix [a, b, c, d, e, f] to a point.
+ * @private
+ */
+function applyMatrix(m, point) {
+  return { x: m[0] * point.x + m[2] * point.y + m[4], y: m[1] * point.x + m[3] * point.y + m[5] };
+}
+
+/**
+ * Returns the average scale of a matrix, used for stroke widths.
+ * @private
+ */
+function getMatrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+/**
+ * Returns the signed area of a polygon.
+ * @private
+ */
+function getPolygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const j = (i + 1) % points.length;
+    area += points[i].x * points[j].y - points[j].x * points[i].y;
+  }
+  return area / 2;
+}
+
+/**
+ * Returns true when the point is inside the polygon (ray casting).
+ * @private
+ */
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.y > point.y !== b.y > point.y && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
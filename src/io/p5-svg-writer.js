@@ -1,5 +1,6 @@
 // p5.js SVG Writer for Embroidery Patterns
 import { PAPER_SIZES, HOOP_PRESETS } from "../utils/embroidery-guides.js";
+import { getColorBlocks } from "../utils/stitch-data.js";
 
 export class SVGWriter {
   constructor() {
@@ -21,6 +22,7 @@ export class SVGWriter {
       centerPattern: false, // New option to control pattern centering
       threads: null, // null = export all threads, array = export only specified thread indices
       stitchDots: true, // Option to show/hide stitch dots
+      inkstitch: false, // Export the recorded shapes with Ink/Stitch parameters instead of the stitches
     };
   }
 
@@ -48,6 +50,10 @@ export class SVGWriter {
   }
 
   generateSVG(stitchData, title) {
+    if (this.options.inkstitch) {
+      return this.generateInkStitchSVG(stitchData, title);
+    }
+
     const paper = SVGWriter.PAPER_SIZES[this.options.paperSize];
     if (!paper) {
       throw new Error(`Invalid paper size: ${this.options.paperSize}`);
@@ -220,16 +226,14 @@ export class SVGWriter {
       this.addComment("Pattern exported at original coordinates");
     }
 
-    // Draw filtered threads
-    for (let i = 0; i < threadsToDraw.length; i++) {
-      const thread = threadsToDraw[i];
-      // Get original thread index for color/identification
-      const originalThreadIndex = this.options.threads ? this.options.threads[i] : i;
+    // Draw filtered threads in stitching order so overlapping colors stack as sewn
+    for (const block of getColorBlocks(stitchData)) {
+      if (this.options.threads && !this.options.threads.includes(block.threadIndex)) continue;
 
       // Set thread color
-      const color = this.getThreadColor(thread.color);
+      const color = this.getThreadColor(block.thread.color);
 
-      for (const run of thread.runs) {
+      for (const run of block.runs) {
         if (run.length < 2) continue;
 
         // Create path for stitch run with offset
@@ -253,6 +257,174 @@ export class SVGWriter {
     }
   }
 
+  // Generate SVG with the recorded vector shapes, annotated with Ink/Stitch parameters
+  generateInkStitchSVG(stitchData, title) {
+    const paper = SVGWriter.PAPER_SIZES[this.options.paperSize];
+    if (!paper) {
+      throw new Error(`Invalid paper size: ${this.options.paperSize}`);
+    }
+
+    const paperWidth = paper.width;
+    const paperHeight = paper.height;
+    let offsetX = this.options.margins.left;
+    let offsetY = this.options.margins.top;
+
+    if (this.options.centerPattern && stitchData && stitchData.threads) {
+      const bounds = this.getPatternBounds(stitchData);
+      offsetX += this.options.hoopSize.width / 2 - (bounds.x + bounds.width / 2);
+      offsetY += this.options.hoopSize.height / 2 - (bounds.y + bounds.height / 2);
+    }
+
+    this.data = [];
+    this.data.push('<?xml version="1.0" encoding="UTF-8"?>');
+    this.data.push(`<svg xmlns="http://www.w3.org/2000/svg" 
+      xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" 
+      xmlns:inkstitch="http://inkstitch.org/namespace" 
+      width="${paperWidth}mm" height="${paperHeight}mm" 
+      viewBox="0 0 ${paperWidth} ${paperHeight}">`);
+
+    this.addComment(`TITLE: ${title} - Ink/Stitch Export`);
+    this.addComment(`PAPER_SIZE: ${this.options.paperSize}`);
+    this.addComment(`COORDINATE_SYSTEM: 1 SVG unit = 1mm`);
+    this.data.push("<metadata><inkstitch:inkstitch_svg_version>1</inkstitch:inkstitch_svg_version></metadata>");
+
+    this.data.push(
+      `<g inkscape:groupmode="layer" inkscape:label="${escapeXML(title)}" ` +
+        `transform="translate(${formatNumber(offsetX)}, ${formatNumber(offsetY)})">`,
+    );
+
+    if (stitchData && stitchData.threads) {
+      const shapes = stitchData.shapes && stitchData.shapes.length > 0 ? stitchData.shapes : null;
+      if (shapes) {
+        shapes.forEach((shape, index) => this.drawInkStitchShape(stitchData, shape, index + 1));
+      } else {
+        // Designs without recorded shapes (e.g. loaded from a file) can only be exported as their stitches
+        this.addComment("No vector shapes recorded, exporting the stitches as manual stitch paths");
+        getColorBlocks(stitchData).forEach((block, index) => {
+          // Every run starts with a jump from wherever the previous one ended
+          const path = block.runs.flatMap((run) =>
+            run.map((p, i) => (i === 0 && !p.command ? { ...p, command: "jump" } : p)),
+          );
+          this.drawInkStitchShape(stitchData, { type: "manual", threadIndex: block.threadIndex, path }, index + 1);
+        });
+      }
+    } else {
+      this.addComment("No embroidery data to draw");
+    }
+
+    this.data.push("</g>");
+    this.data.push("</svg>");
+
+    return this.data.join("\n");
+  }
+
+  // Write one recorded shape as an SVG path with its Ink/Stitch parameters
+  drawInkStitchShape(stitchData, shape, index) {
+    if (this.options.threads && !this.options.threads.includes(shape.threadIndex)) return;
+
+    const thread = stitchData.threads[shape.threadIndex];
+    const color = getHexColor(thread && thread.color);
+    const settings = shape.settings || {};
+    const trim = shape.trimAfter ? { trim_after: "true" } : {};
+
+    if (shape.type === "fill") {
+      const params = { ...this.getInkStitchFillParams(shape), ...trim };
+      const pathData = [shape.path, ...(shape.holes || [])].map((ring) => formatPathData(ring, true)).join(" ");
+      this.pushInkStitchPath(`fill${index}`, pathData, `fill:${color};fill-rule:evenodd;stroke:none`, params);
+    } else if (shape.type === "stroke" && shape.mode === "zigzag") {
+      // Zigzag strokes become satin columns: two rails following the stroke on either side
+      const width = settings.strokeWeight > 0 ? settings.strokeWeight : 2;
+      const rails = createSatinRails(shape.path, width, shape.closed);
+      if (!rails) return;
+
+      const pathData = rails.map((rail) => formatPathData(rail, shape.closed)).join(" ");
+      const params = {
+        satin_column: "true",
+        zigzag_spacing_mm: settings.stitchLength * 2,
+        ...getPullCompensationParams(settings),
+        ...getSatinUnderlayParams(shape.underlay || []),
+        ...trim,
+      };
+      this.pushInkStitchPath(`satin${index}`, pathData, `fill:none;stroke:${color};stroke-width:0.2`, params);
+    } else if (shape.type === "stroke") {
+      if (shape.mode !== "straight") {
+        this.addComment(`${shape.mode} stroke exported as running stitch`);
+      }
+      const params = {
+        stroke_method: "running_stitch",
+        running_stitch_length_mm: settings.stitchLength,
+        ...trim,
+      };
+      const pathData = formatPathData(shape.path, shape.closed);
+      this.pushInkStitchPath(`stroke${index}`, pathData, `fill:none;stroke:${color};stroke-width:0.2`, params);
+    } else {
+      // Stitches without a shape are kept as they are, one manual stitch path per sewn piece
+      const pieces = splitManualStitches(shape.path);
+      pieces.forEach((piece, pieceIndex) => {
+        const params = { stroke_method: "manual_stitch" };
+        if (piece.trimAfter || (pieceIndex === pieces.length - 1 && shape.trimAfter)) {
+          params.trim_after = "true";
+        }
+        const pathData = formatPathData(piece.points, false);
+        this.pushInkStitchPath(
+          `manual${index}-${pieceIndex + 1}`,
+          pathData,
+          `fill:none;stroke:${color};stroke-width:0.2`,
+          params,
+        );
+      });
+    }
+  }
+
+  // Map a recorded fill to Ink/Stitch fill parameters
+  getInkStitchFillParams(shape) {
+    const settings = shape.settings || {};
+    const fillMethods = { tatami: "auto_fill", contour: "contour_fill", spiral: "circular_fill" };
+    if (!fillMethods[shape.mode]) {
+      this.addComment(`${shape.mode} fill exported as auto_fill`);
+    }
+
+    const angle = ((settings.angle || 0) * 180) / Math.PI;
+    const params = {
+      fill_method: fillMethods[shape.mode] || "auto_fill",
+      angle,
+      row_spacing_mm: settings.rowSpacing,
+      max_stitch_length_mm: settings.stitchLength,
+      running_stitch_length_mm: settings.stitchLength,
+      ...getPullCompensationParams(settings),
+    };
+
+    if (shape.mode === "contour") {
+      params.contour_strategy = settings.contourStart === "inner" ? 0 : 1;
+    }
+
+    // Ink/Stitch has one tatami underlay with an angle per layer; edge walks have no equivalent
+    const layers = (shape.underlay || []).filter((layer) => layer.type === "tatami");
+    if ((shape.underlay || []).length > layers.length) {
+      this.addComment("edge-walk fill underlay is not exported");
+    }
+    params.fill_underlay = layers.length > 0 ? "true" : "false";
+    if (layers.length > 0) {
+      params.fill_underlay_angle = layers
+        .map((layer) => formatNumber(layer.angle !== undefined ? (layer.angle * 180) / Math.PI : angle + 90))
+        .join(" ");
+      params.fill_underlay_row_spacing_mm = layers[0].rowSpacing;
+      params.fill_underlay_inset_mm = layers[0].inset;
+      params.fill_underlay_max_stitch_length_mm = layers[0].stitchLength;
+    }
+
+    return params;
+  }
+
+  // Add an SVG path with inkstitch: attributes
+  pushInkStitchPath(id, pathData, style, params) {
+    const attributes = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `inkstitch:${name}="${typeof value === "number" ? formatNumber(value) : value}"`)
+      .join(" ");
+    this.data.push(`<path id="${id}" d="${pathData}" style="${style}" ${attributes}/>`);
+  }
+
   getThreadColor(threadColor) {
     if (threadColor && threadColor.r !== undefined && threadColor.g !== undefined && threadColor.b !== undefined) {
       return `rgb(${threadColor.r}, ${threadColor.g}, ${threadColor.b})`;
@@ -517,3 +689,134 @@ export class SVGWriter {
     }
   }
 }
+
+// Round coordinates and parameters so the exported file stays readable
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+function escapeXML(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Ink/Stitch reads the thread color from the fill or stroke color
+function getHexColor(color) {
+  if (!color || color.r === undefined) return "#000000";
+  return "#" + [color.r, color.g, color.b].map((c) => Math.round(c).toString(16).padStart(2, "0")).join("");
+}
+
+function formatPathData(points, closed) {
+  const commands = [];
+  let previous = null;
+  for (const p of points) {
+    const command = `${formatNumber(p.x)} ${formatNumber(p.y)}`;
+    if (command === previous) continue;
+    commands.push(`${previous === null ? "M" : "L"} ${command}`);
+    previous = command;
+  }
+  return commands.join(" ") + (closed ? " Z" : "");
+}
+
+function getPullCompensationParams(settings) {
+  const params = {};
+  if (settings.pullCompensation) params.pull_compensation_mm = settings.pullCompensation;
+  if (settings.pullCompensationPercent) params.pull_compensation_percent = settings.pullCompensationPercent;
+  return params;
+}
+
+// Map stroke underlay layers to the Ink/Stitch satin underlays
+function getSatinUnderlayParams(layers) {
+  const params = {};
+  for (const layer of layers) {
+    if (layer.type === "center-walk") {
+      params.center_walk_underlay = "true";
+      params.center_walk_underlay_stitch_length_mm = layer.stitchLength;
+    } else if (layer.type === "edge-walk") {
+      params.contour_underlay = "true";
+      params.contour_underlay_inset_mm = layer.inset;
+      params.contour_underlay_stitch_length_mm = layer.stitchLength;
+    } else if (layer.type === "zigzag") {
+      params.zigzag_underlay = "true";
+      params.zigzag_underlay_inset_mm = layer.inset;
+      params.zigzag_underlay_spacing_mm = layer.rowSpacing;
+    }
+  }
+  return params;
+}
+
+// Offset a polyline to both sides, giving the two rails of a satin column running the same direction
+function createSatinRails(path, width, closed) {
+  const points = path.filter((p, i) => i === 0 || Math.hypot(p.x - path[i - 1].x, p.y - path[i - 1].y) > 1e-6);
+  if (closed && points.length > 2) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (Math.hypot(first.x - last.x, first.y - last.y) < 1e-6) points.pop();
+  }
+  if (points.length < 2) return null;
+
+  const count = points.length;
+  const normals = [];
+  for (let i = 0; i < count - (closed ? 0 : 1); i++) {
+    const a = points[i];
+    const b = points[(i + 1) % count];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    normals.push({ x: -(b.y - a.y) / length, y: (b.x - a.x) / length });
+  }
+
+  const left = [];
+  const right = [];
+  for (let i = 0; i < count; i++) {
+    const before = normals[closed ? (i - 1 + count) % count : Math.max(0, i - 1)];
+    const after = normals[closed ? i : Math.min(normals.length - 1, i)];
+    let nx = before.x + after.x;
+    let ny = before.y + after.y;
+    const length = Math.hypot(nx, ny);
+    if (length < 1e-6) {
+      nx = after.x;
+      ny = after.y;
+    } else {
+      nx /= length;
+      ny /= length;
+    }
+
+    // Keep the column width at corners, limited like a miter join
+    const scale = Math.min(2, 1 / Math.max(0.5, nx * after.x + ny * after.y));
+    const offset = (width / 2) * scale;
+    left.push({ x: points[i].x + nx * offset, y: points[i].y + ny * offset });
+    right.push({ x: points[i].x - nx * offset, y: points[i].y - ny * offset });
+  }
+
+  return [left, right];
+}
+
+// Split stitches at jumps and trims into pieces that are sewn in one go
+function splitManualStitches(stitches) {
+  const pieces = [];
+  let current = { points: [], trimAfter: false };
+
+  for (const stitch of stitches) {
+    if (stitch.command === "trim") {
+      current.trimAfter = true;
+      pieces.push(current);
+      current = { points: [], trimAfter: false };
+      continue;
+    }
+    if (stitch.command === "jump" && current.points.length > 0) {
+      pieces.push(current);
+      current = { points: [], trimAfter: false };
+    }
+    current.points.push({ x: stitch.x, y: stitch.y });
+  }
+  pieces.push(current);
+
+  // A trim right after a jump still cuts the thread after the last sewn piece
+  const sewn = [];
+  for (const piece of pieces) {
+    if (piece.points.length > 1) {
+      sewn.push(piece);
+    } else if (piece.trimAfter && sewn.length > 0) {
+      sewn[sewn.length - 1].trimAfter = true;
+    }
+  }
+  return sewn;
+}
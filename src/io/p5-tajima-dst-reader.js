@@ -0,0 +1,335 @@
+/**
+ * Class for reading Tajima DST embroidery files.
+ * @class DSTReader
+ */
+
+import { addRunToStitchData } from "../utils/stitch-data.js";
+
+// Debug flag - set to true to enable debug logging
+const _DEBUG_DST_READ = false;
+
+// Thread colors assigned to color blocks when the file has no TC header fields
+const DEFAULT_THREAD_COLORS = [
+  { r: 0, g: 0, b: 0 },
+  { r: 220, g: 20, b: 60 },
+  { r: 30, g: 100, b: 200 },
+  { r: 250, g: 180, b: 0 },
+  { r: 40, g: 160, b: 70 },
+  { r: 140, g: 60, b: 170 },
+  { r: 240, g: 110, b: 20 },
+  { r: 0, g: 170, b: 180 },
+];
+
+export class DSTReader {
+  constructor() {
+    this.options = {
+      trimJumps: 3, // Consecutive jump records that are read as a thread trim
+      colors: null, // Optional array of {r, g, b} thread colors, one per color block
+      threadWeight: 0.2, // mm
+    };
+  }
+
+  static JUMP = 1;
+  static STITCH = 0;
+  static COLOR_CHANGE = 2;
+  static END = 3;
+
+  static HEADER_SIZE = 512;
+
+  setOptions(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  bit(value, b) {
+    return (value & (1 << b)) !== 0;
+  }
+
+  /**
+   * Decodes a 3-byte DST record into a relative move and command.
+   * Mirrors DSTWriter.encodeRecord, including the flipped y axis.
+   * @param {number} b0 - First byte
+   * @param {number} b1 - Second byte
+   * @param {number} b2 - Third byte
+   * @returns {{dx: number, dy: number, flag: number}} Move in 0.1mm units and record type
+   */
+  decodeRecord(b0, b1, b2) {
+    if ((b2 & 0b11110011) === 0b11110011) {
+      return { dx: 0, dy: 0, flag: DSTReader.END };
+    }
+
+    let dx = 0;
+    let dy = 0;
+
+    if (this.bit(b0, 0)) dx += 1;
+    if (this.bit(b0, 1)) dx -= 1;
+    if (this.bit(b0, 2)) dx += 9;
+    if (this.bit(b0, 3)) dx -= 9;
+    if (this.bit(b1, 0)) dx += 3;
+    if (this.bit(b1, 1)) dx -= 3;
+    if (this.bit(b1, 2)) dx += 27;
+    if (this.bit(b1, 3)) dx -= 27;
+    if (this.bit(b2, 2)) dx += 81;
+    if (this.bit(b2, 3)) dx -= 81;
+
+    if (this.bit(b0, 7)) dy += 1;
+    if (this.bit(b0, 6)) dy -= 1;
+    if (this.bit(b0, 5)) dy += 9;
+    if (this.bit(b0, 4)) dy -= 9;
+    if (this.bit(b1, 7)) dy += 3;
+    if (this.bit(b1, 6)) dy -= 3;
+    if (this.bit(b1, 5)) dy += 27;
+    if (this.bit(b1, 4)) dy -= 27;
+    if (this.bit(b2, 5)) dy += 81;
+    if (this.bit(b2, 4)) dy -= 81;
+
+    dy = -dy; // DST uses a different coordinate system
+
+    if ((b2 & 0b11000011) === 0b11000011) {
+      return { dx, dy, flag: DSTReader.COLOR_CHANGE };
+    }
+    if (this.bit(b2, 7)) {
+      return { dx, dy, flag: DSTReader.JUMP };
+    }
+    return { dx, dy, flag: DSTReader.STITCH };
+  }
+
+  /**
+   * Parses the 512-byte ASCII header into its label/value fields.
+   * @param {Uint8Array} bytes - DST file contents
+   * @returns {Object} Header fields keyed by label (LA, ST, CO, +X, -X, +Y, -Y, AX, AY, MX, MY, PD, ...); repeated TC fields are collected in an array
+   */
+  parseHeader(bytes) {
+    const header = {};
+    let text = "";
+    for (let i = 0; i < Math.min(DSTReader.HEADER_SIZE, bytes.length); i++) {
+      if (bytes[i] === 0x1a) break; // EOF character ends the header text
+      text += String.fromCharCode(bytes[i]);
+    }
+
+    for (const field of text.split(/[\r\n]/)) {
+      const match = field.match(/^([A-Z+-][A-Z0-9]):(.*)$/);
+      if (match && match[1] === "TC") {
+        header.TC = header.TC || [];
+        header.TC.push(match[2].trim());
+      } else if (match) {
+        header[match[1]] = match[2].trim();
+      }
+    }
+
+    return header;
+  }
+
+  /**
+   * Parses TC header fields ("#RRGGBB,name,catalog number") into threads, one per color block.
+   * @param {Array<string>} [fields=[]] - TC field values from parseHeader
+   * @returns {Array<{color: Object, name: string, catalogNumber: string}>} Threads in stitch order
+   */
+  parseThreadColors(fields = []) {
+    const threads = [];
+    for (const field of fields) {
+      const [hex, name = "", catalogNumber = ""] = field.split(",");
+      const match = hex.trim().match(/^#([0-9a-fA-F]{6})$/);
+      if (!match) continue;
+
+      const rgb = parseInt(match[1], 16);
+      threads.push({
+        color: { r: (rgb >> 16) & 255, g: (rgb >> 8) & 255, b: rgb & 255 },
+        name: name.trim(),
+        catalogNumber: catalogNumber.trim(),
+      });
+    }
+    return threads;
+  }
+
+  /**
+   * Reads a DST file into stitch data.
+   * Coordinates are returned in mm with the design's top-left corner at (0, 0).
+   * Jumps mark the first point of the following run with command "jump", runs of
+   * trimJumps or more consecutive jumps add a trim run, and each color change starts
+   * a new thread. Thread colors come from the TC header fields when the file has them.
+   * @param {Uint8Array|ArrayBuffer} data - DST file contents
+   * @param {Object} [options={}] - Reader options (trimJumps, colors, threadWeight)
+   * @returns {Object} Stitch data ({title, width, height, threads, colorBlocks, stitchCount, header})
+   */
+  read(data, options = {}) {
+    this.setOptions(options);
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    if (bytes.length < DSTReader.HEADER_SIZE) {
+      throw new Error("Invalid DST data: file is shorter than the 512-byte header");
+    }
+
+    const header = this.parseHeader(bytes);
+    const records = this.readRecords(bytes);
+    const design = this.buildStitchData(records, this.parseThreadColors(header.TC));
+
+    design.title = header.LA || "";
+    design.header = header;
+
+    if (_DEBUG_DST_READ) {
+      console.log("=== DSTReader read ===");
+      console.log("Header:", header);
+      console.log("Records:", records.length, "Threads:", design.threads.length);
+    }
+
+    return design;
+  }
+
+  /**
+   * Decodes the stitch records into absolute positions (0.1mm units).
+   * @param {Uint8Array} bytes - DST file contents
+   * @returns {Array<{x: number, y: number, flag: number}>} Records up to (excluding) END
+   */
+  readRecords(bytes) {
+    const records = [];
+    let x = 0;
+    let y = 0;
+
+    for (let i = DSTReader.HEADER_SIZE; i + 2 < bytes.length; i += 3) {
+      const { dx, dy, flag } = this.decodeRecord(bytes[i], bytes[i + 1], bytes[i + 2]);
+      if (flag === DSTReader.END) break;
+
+      x += dx;
+      y += dy;
+      records.push({ x, y, flag });
+    }
+
+    return records;
+  }
+
+  /**
+   * Groups decoded records into threads, runs and color blocks.
+   * @param {Array<{x: number, y: number, flag: number}>} records - Absolute records in 0.1mm units
+   * @param {Array<Object>} [headerThreads=[]] - Threads from the TC header fields, one per color block
+   * @returns {Object} Stitch data in mm
+   */
+  buildStitchData(records, headerThreads = []) {
+    let minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    for (const record of records) {
+      minX = Math.min(minX, record.x);
+      minY = Math.min(minY, record.y);
+      maxX = Math.max(maxX, record.x);
+      maxY = Math.max(maxY, record.y);
+    }
+    if (records.length === 0) {
+      minX = minY = maxX = maxY = 0;
+    }
+
+    const toMM = (x, y) => ({ x: (x - minX) / 10, y: (y - minY) / 10 });
+
+    const design = {
+      width: (maxX - minX) / 10,
+      height: (maxY - minY) / 10,
+      threads: [],
+      colorBlocks: [],
+      pixelsPerUnit: 1,
+      stitchCount: 0,
+    };
+
+    const addThread = () => {
+      const index = design.threads.length;
+      const headerThread = !this.options.colors && headerThreads[index];
+      const palette = this.options.colors || DEFAULT_THREAD_COLORS;
+      const color = headerThread ? headerThread.color : palette[index % palette.length];
+      const thread = {
+        color: { r: color.r, g: color.g, b: color.b },
+        runs: [],
+        weight: this.options.threadWeight,
+      };
+      if (headerThread && headerThread.name) thread.name = headerThread.name;
+      if (headerThread && headerThread.catalogNumber) thread.catalogNumber = headerThread.catalogNumber;
+      design.threads.push(thread);
+      return index;
+    };
+
+    let threadIndex = addThread();
+    let currentRun = null;
+    let needleX = null;
+    let needleY = null;
+    let jumpCount = 0;
+    let jumpStart = null; // Needle position where the current jump sequence started
+    let travelled = true; // Next run starts after travel (file start, jump or color change)
+    let sewn = false; // Stitches were sewn since the last trim or color change, so there is thread to cut
+
+    const closeRun = () => {
+      if (currentRun && currentRun.length > 1) {
+        addRunToStitchData(design, threadIndex, currentRun);
+      }
+      currentRun = null;
+    };
+
+    const endJumps = () => {
+      if (jumpCount >= this.options.trimJumps && jumpStart && sewn) {
+        addRunToStitchData(design, threadIndex, [{ ...toMM(jumpStart.x, jumpStart.y), command: "trim" }]);
+        sewn = false;
+      }
+      jumpCount = 0;
+      jumpStart = null;
+    };
+
+    for (const record of records) {
+      switch (record.flag) {
+        case DSTReader.STITCH:
+          endJumps();
+          if (!currentRun) {
+            // A design that starts with a stitch has no earlier needle position; start on the stitch
+            const start = needleX === null ? toMM(record.x, record.y) : toMM(needleX, needleY);
+            currentRun = [travelled ? { ...start, command: "jump" } : start];
+            travelled = false;
+          }
+          currentRun.push(toMM(record.x, record.y));
+          design.stitchCount++;
+          sewn = true;
+          break;
+
+        case DSTReader.JUMP:
+          closeRun();
+          if (jumpCount === 0) {
+            jumpStart = { x: needleX, y: needleY };
+          }
+          jumpCount++;
+          travelled = true;
+          break;
+
+        case DSTReader.COLOR_CHANGE:
+          closeRun();
+          endJumps();
+          threadIndex = addThread();
+          travelled = true;
+          sewn = false;
+          break;
+      }
+
+      needleX = record.x;
+      needleY = record.y;
+    }
+
+    closeRun();
+    endJumps();
+
+    // Drop threads that never received stitches (e.g. trailing color change)
+    const used = design.threads.map((thread) => thread.runs.length > 0);
+    if (used.some((isUsed) => !isUsed)) {
+      const remap = [];
+      design.threads = design.threads.filter((thread, index) => {
+        remap[index] = used.slice(0, index).filter(Boolean).length;
+        return used[index];
+      });
+      for (const block of design.colorBlocks) {
+        block.threadIndex = remap[block.threadIndex];
+      }
+    }
+
+    return design;
+  }
+}
+
+// Add this check to support both direct browser usage and ES modules
+if (typeof exports !== "undefined") {
+  exports.DSTReader = DSTReader;
+} else if (typeof window !== "undefined") {
+  window.DSTReader = DSTReader;
+}
@@ -16,12 +16,19 @@ export class DSTWriter {
     this.minY = Infinity;
     this.maxY = -Infinity;
     this.stitchCount = 0;
+    this.trimJumps = 3;
   }
 
   static JUMP = 1;
   static STITCH = 0;
   static COLOR_CHANGE = 2;
   static END = 3;
+  static TRIM = 4;
+
+  // Longest move a single record can encode, in 0.1mm
+  static MAX_MOVE = 121;
+
+  static HEADER_SIZE = 512;
 
   bit(b) {
     return 1 << b;
@@ -157,29 +164,27 @@ export class DSTWriter {
       //   });
       // }
 
-      let dx = Math.round(x) - this.currentX;
-      let dy = Math.round(y) - this.currentY;
+      // Subclasses for other formats override MAX_MOVE and encodeRecord
+      const maxMove = this.constructor.MAX_MOVE;
+      const dx = Math.round(x) - this.currentX;
+      const dy = Math.round(y) - this.currentY;
+
+      // Moves longer than a record are split into equal records of the same kind,
+      // so long stitches are still sewn and long travel stays a jump
+      const steps = Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / maxMove);
+      let movedX = 0;
+      let movedY = 0;
 
-      while (Math.abs(dx) > 121 || Math.abs(dy) > 121) {
-        let stepX = dx > 0 ? Math.min(dx, 121) : Math.max(dx, -121);
-        let stepY = dy > 0 ? Math.min(dy, 121) : Math.max(dy, -121);
+      for (let step = 1; step <= steps; step++) {
+        const stepX = Math.round((dx * step) / steps) - movedX;
+        const stepY = Math.round((dy * step) / steps) - movedY;
+        movedX += stepX;
+        movedY += stepY;
 
-        let command = this.encodeRecord(stepX, stepY, DSTWriter.JUMP);
-        this.data.push(...command);
+        this.data.push(...this.encodeRecord(stepX, stepY, flag));
         this.currentX += stepX;
         this.currentY += stepY;
         this.stitchCount++;
-
-        dx -= stepX;
-        dy -= stepY;
-      }
-
-      if (dx !== 0 || dy !== 0) {
-        let command = this.encodeRecord(dx, dy, flag);
-        this.data.push(...command);
-        this.currentX += dx;
-        this.currentY += dy;
-        this.stitchCount++;
       }
 
       this.minX = Math.min(this.minX, this.currentX);
@@ -244,16 +249,7 @@ export class DSTWriter {
     return result;
   }
 
-  generateDST(points, title) {
-    if (_DEBUG_DST) {
-      console.log("=== DSTWriter generateDST ===");
-      console.log("Initial state:", {
-        currentX: this.currentX,
-        currentY: this.currentY,
-      });
-    }
-
-    // Reset data and counters
+  reset() {
     this.data = [];
     this.currentX = 0;
     this.currentY = 0;
@@ -263,7 +259,14 @@ export class DSTWriter {
     this.maxX = -Infinity;
     this.minY = Infinity;
     this.maxY = -Infinity;
+  }
 
+  /**
+   * Moves the points so the design is centered on the origin, where machines start stitching.
+   * @param {Array} points - Stitch points in 0.1mm
+   * @returns {{points: Array, border: Object}} Centered points and their border (see calculateBorderSize)
+   */
+  centerPoints(points) {
     // Calculate border size before transformation
     let border = this.calculateBorderSize(points);
     if (_DEBUG_DST) {
@@ -322,9 +325,18 @@ export class DSTWriter {
       console.log("Transformed border size:", border);
     }
 
-    // Generate stitches using transformed points
-    for (let i = 0; i < transformedPoints.length; i++) {
-      const point = transformedPoints[i];
+    return { points: transformedPoints, border };
+  }
+
+  /**
+   * Encodes centered points into records: color changes, trims, jumps and stitches.
+   * Points flagged with colorChange insert a color change; trim points move to the trim
+   * position and cut the thread. The needle jumps to the first stitch after either.
+   * @param {Array} points - Centered stitch points in 0.1mm
+   */
+  encodeStitches(points) {
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
       // if (_DEBUG_DST) {
       //   console.log("Processing point:", i, point);
       // }
@@ -361,32 +373,15 @@ export class DSTWriter {
         //   });
         // }
 
-        // Generate a zigzag pattern of 3 jumps that embroidery machines recognize as a trim command
-        // These are small relative movements from the current position
-
-        // First jump: up and right
-        this.data.push(...this.encodeRecord(3, 3, DSTWriter.JUMP));
-        this.currentX += 3;
-        this.currentY += 3;
-        this.stitchCount++;
-
-        // Second jump: down and right
-        this.data.push(...this.encodeRecord(3, -6, DSTWriter.JUMP));
-        this.currentX += 3;
-        this.currentY -= 6;
-        this.stitchCount++;
-
-        // Third jump: back to original position
-        this.data.push(...this.encodeRecord(-6, 3, DSTWriter.JUMP));
-        this.currentX -= 6;
-        this.currentY += 3;
-        this.stitchCount++;
+        this.writeTrim();
 
         continue;
       }
 
       // Handle jump or stitch
-      const flag = i === 0 || point.jump ? DSTWriter.JUMP : DSTWriter.STITCH;
+      // Travel without sewing after trims and color changes, as PESWriter and JEFWriter do
+      const travel = i === 0 || point.jump || points[i - 1].trim || points[i - 1].colorChange;
+      const flag = travel ? DSTWriter.JUMP : DSTWriter.STITCH;
       this.move(point.x, point.y, flag);
 
       // if (_DEBUG_DST) {
@@ -397,6 +392,98 @@ export class DSTWriter {
       //   });
       // }
     }
+  }
+
+  /**
+   * Writes a trim at the current position.
+   * Tajima machines cut the thread after a number of consecutive jumps (usually 3, set by
+   * trimJumps), so the needle jumps back and forth around the trim position and ends where
+   * it started.
+   */
+  writeTrim() {
+    const jumps = Math.max(2, this.trimJumps);
+    let delta = -4;
+
+    this.writeJump(2, 2);
+    for (let i = 1; i < jumps - 1; i++) {
+      this.writeJump(delta, delta);
+      delta = -delta;
+    }
+    this.writeJump(delta / 2, delta / 2);
+  }
+
+  writeJump(dx, dy) {
+    this.data.push(...this.encodeRecord(dx, dy, DSTWriter.JUMP));
+    this.currentX += dx;
+    this.currentY += dy;
+    this.stitchCount++;
+  }
+
+  /**
+   * Lists the thread of every color block for the TC header fields.
+   * The first stitched point and the first point after each color change name the thread.
+   * @param {Array} points - Stitch points with colorChange flags and optional color/thread metadata
+   * @returns {Array<{color: number, name: string, catalogNumber: string}>} Threads in stitch order
+   */
+  buildThreadTable(points) {
+    const threads = [];
+    let expectThread = true;
+
+    for (const point of points) {
+      if (point.colorChange) {
+        expectThread = true;
+      } else if (expectThread && point.color !== undefined) {
+        const info = point.thread || {};
+        threads.push({ color: point.color, name: info.name || "", catalogNumber: info.catalogNumber || "" });
+        expectThread = false;
+      }
+    }
+
+    return threads;
+  }
+
+  /**
+   * Makes text safe for a DST header field. Control characters would end the field (\r) or
+   * the header (0x1A) early, so they are removed; other non-ASCII characters become "?".
+   * @param {*} value - Field text
+   * @returns {string} Printable ASCII text
+   */
+  toHeaderText(value) {
+    return String(value)
+      .replace(/[\u0000-\u001f\u007f-\u009f]/g, "")
+      .replace(/[^\u0020-\u007e]/gu, "?");
+  }
+
+  /**
+   * Generates DST file contents.
+   * @memberof DSTWriter
+   * @param {Array} points - Stitch points in 0.1mm with jump/trim/colorChange flags and optional color/thread metadata
+   * @param {String} title - Label written to the LA header field
+   * @param {Object} [options={}] - Writer options
+   * @param {number} [options.trimJumps=3] - Consecutive jumps written for each trim (at least 2)
+   * @param {String} [options.author] - Author written to the AU header field (ASCII, shortened to fit the header)
+   * @param {String} [options.copyright] - Copyright written to the CP header field (ASCII, shortened to fit the header)
+   * @param {boolean} [options.colorTable=false] - Write a TC header field with the color, name and catalog number of every thread
+   * @returns {Uint8Array} DST file contents
+   */
+  generateDST(points, title, options = {}) {
+    if (_DEBUG_DST) {
+      console.log("=== DSTWriter generateDST ===");
+      console.log("Initial state:", {
+        currentX: this.currentX,
+        currentY: this.currentY,
+      });
+    }
+
+    // Reset data and counters
+    this.reset();
+    this.trimJumps = options.trimJumps ?? 3;
+
+    const centered = this.centerPoints(points);
+    const border = centered.border;
+
+    // Generate stitches using transformed points
+    this.encodeStitches(centered.points);
 
     // Add end record
     this.move(0, 0, DSTWriter.END);
@@ -415,7 +502,7 @@ export class DSTWriter {
     }
 
     // Create header
-    let header = new Array(512).fill(0x20); // Fill with spaces
+    let header = new Array(DSTWriter.HEADER_SIZE).fill(0x20); // Fill with spaces
     let headerString =
       `LA:${title.padEnd(16)}\r` +
       `ST:${this.stitchCount.toString().padStart(7)}\r` +
@@ -430,6 +517,29 @@ export class DSTWriter {
       `MY:+${(0).toString().padStart(5)}\r` +
       `PD:******\r`;
 
+    // Extended header fields written by other embroidery software. Author and copyright are
+    // shortened to the room left in the header; color table entries are left out instead.
+    const extendedFields = [];
+    if (options.author) extendedFields.push({ tag: "AU", text: options.author, shorten: true });
+    if (options.copyright) extendedFields.push({ tag: "CP", text: options.copyright, shorten: true });
+    if (options.colorTable) {
+      for (const thread of this.buildThreadTable(points)) {
+        const hex = "#" + thread.color.toString(16).padStart(6, "0");
+        extendedFields.push({ tag: "TC", text: `${hex},${thread.name},${thread.catalogNumber}` });
+      }
+    }
+
+    for (const field of extendedFields) {
+      // Leave room for the tag, the colon, the carriage return and the EOF character
+      const room = DSTWriter.HEADER_SIZE - headerString.length - field.tag.length - 3;
+      const text = this.toHeaderText(field.text);
+      if (room <= 0 || (text.length > room && !field.shorten)) {
+        console.warn("🪡 p5.embroider says: DST header is full, leaving out some AU/CP/TC fields");
+        break;
+      }
+      headerString += `${field.tag}:${text.slice(0, room)}\r`;
+    }
+
     // Convert header string to byte array
     for (let i = 0; i < headerString.length; i++) {
       header[i] = headerString.charCodeAt(i);
@@ -469,9 +579,10 @@ export class DSTWriter {
    * @param {Array} points - Array of stitch points
    * @param {String} title - Title for the DST file header
    * @param {String} filename - Output filename
+   * @param {Object} [options={}] - Writer options (see generateDST)
    */
-  saveDST(points, title, filename) {
-    let dstData = this.generateDST(points, title);
+  saveDST(points, title, filename, options = {}) {
+    let dstData = this.generateDST(points, title, options);
     this.saveBytes(dstData, filename);
     if (_DEBUG_DST) {
       console.log("DST file saved!");
@@ -3,6 +3,14 @@ import { GCodeWriter } from "./io/p5-gcode-writer.js";
 import { SVGWriter } from "./io/p5-svg-writer.js";
 import { JSONWriter } from "./io/p5-json-writer.js";
 import { PESWriter } from "./io/p5-pes-writer.js";
+import { JEFWriter } from "./io/p5-janome-jef-writer.js";
+import { VP3Writer } from "./io/p5-husqvarna-vp3-writer.js";
+import { EXPWriter } from "./io/p5-melco-exp-writer.js";
+import { XXXWriter } from "./io/p5-singer-xxx-writer.js";
+import { DSTReader } from "./io/p5-tajima-dst-reader.js";
+import { PESReader } from "./io/p5-pes-reader.js";
+import { JEFReader } from "./io/p5-janome-jef-reader.js";
+import { SVGReader } from "./io/p5-svg-reader.js";
 import {
   mmToPixel,
   pixelToMm,
@@ -50,6 +58,13 @@ import {
   handlePreviewControlsDragged,
   handlePreviewControlsReleased,
 } from "./utils/preview-viewport.js";
+import { addRunToStitchData, getColorBlocks } from "./utils/stitch-data.js";
+import { addLockStitches } from "./utils/lock-stitches.js";
+import { optimizeTravel } from "./utils/travel-optimizer.js";
+import { splitLongStitches } from "./utils/stitch-length.js";
+import { compensatePolyline, compensateSegment, getPullCompensation } from "./utils/pull-compensation.js";
+import { createImageStitches, quantizeImage, toRGB } from "./utils/image-stitch.js";
+import { removeSmallRegions, traceRegions, getPrincipalAngle } from "./utils/region-tracing.js";
 
 let _DEBUG = false;
 
@@ -91,6 +106,8 @@ function setDebugMode(enabled) {
     width: 0,
     height: 0,
     threads: [],
+    colorBlocks: [], // Ordered {threadIndex, runs} blocks in stitching order
+    shapes: [], // Vector shapes behind the runs, with their fill or stroke settings
     pixelsPerUnit: 1,
     stitchCount: 0,
   };
@@ -127,7 +144,7 @@ function setDebugMode(enabled) {
   };
 
   // Embroidery settings
-  const _embroiderySettings = {
+  let _embroiderySettings = {
     stitchLength: 3, // mm
     stitchWidth: 0.2,
     minStitchLength: 1, // mm
@@ -136,6 +153,11 @@ function setDebugMode(enabled) {
     maximumJoinDistance: 0,
     maximumStitchesPerSquareMm: 0,
     jumpThreshold: 10, // mm
+    lockStitch: "none", // Tie-in/tie-off pattern (see LOCK_STITCH), off unless setLockStitch() is called
+    lockStitchSize: 0.8, // mm
+    lockMinRunLength: 1, // mm - shorter runs are not locked
+    optimizeTravel: false, // Reorder runs within each color block when recording ends
+    maxStitchLength: 0, // mm - longer stitches are split when recording ends (0 leaves it to the writers)
     units: "mm",
   };
 
@@ -156,6 +178,38 @@ function setDebugMode(enabled) {
     TATAMI: "tatami",
     SATIN: "satin",
     SPIRAL: "spiral",
+    CONTOUR: "contour",
+    GUIDED: "guided",
+    MOTIF: "motif",
+    CROSS: "cross",
+  };
+
+  // Underlay types, stitched before the top stitches of a fill or satin stroke
+  const UNDERLAY = {
+    CENTER_WALK: "center-walk",
+    EDGE_WALK: "edge-walk",
+    ZIGZAG: "zigzag",
+    TATAMI: "tatami",
+  };
+
+  // Default values for each underlay layer
+  const UNDERLAY_DEFAULTS = {
+    inset: 0.4, // mm - distance inside the outline (fills) or the column edges (strokes)
+    rowSpacing: 2, // mm - distance between zigzag points or tatami rows
+    stitchLength: 3, // mm
+  };
+
+  const _underlayWarnings = new Set(); // Unsupported underlay types that were already reported
+
+  const MIN_ROW_SPACING = 0.1; // mm - closest fill rows allowed by a density gradient
+  const MOTIF_JOIN_DISTANCE = 0.5; // mm - motif lines closer than this are sewn without a jump
+  const MAX_DIGITIZE_CELLS = 400; // Largest auto-digitize grid side, in cells
+
+  // Lock stitch patterns, sewn at the start and end of every run and around trims
+  const LOCK_STITCH = {
+    TRIANGLE: "triangle",
+    CIRCLE: "circle",
+    NONE: "none",
   };
 
   // Add stroke join constants
@@ -182,6 +236,18 @@ function setDebugMode(enabled) {
     tieDistance: 15, // Distance between tie-down stitches in mm
     alternateAngle: false, // Whether to alternate angles between shapes
     color: { r: 0, g: 0, b: 0 },
+    underlay: null, // Underlay type, layer object or array of layers (edge-walk, tatami)
+    pullCompensation: 0, // mm added to every fill row, split between both ends
+    pullCompensationPercent: 0, // % of the row length added to every fill row
+    contourStart: "outer", // Contour fill: start at the "outer" ring or the "inner" one
+    guide: null, // Guided fill: polyline or array of polylines the rows follow
+    gradient: null, // Tatami: {start, end, angle in radians} row spacing gradient or (x, y) => spacing callback
+    motif: null, // Motif fill: polyline(s) or drawing callback repeated across the shape
+    motifSpacing: null, // Motif fill: grid cell size in mm (number or {x, y}); defaults to the motif size
+    motifAngle: 0, // Motif fill: grid rotation in radians
+    motifOffset: { x: 0, y: 0 }, // Motif fill: grid origin in mm
+    crossSize: 2.5, // Cross fill: fabric grid cell size in mm
+    crossHalfStitches: false, // Cross fill: add half stitches where a cell is half covered
   };
 
   // Add a stroke settings object to match the other settings objects
@@ -196,8 +262,207 @@ function setDebugMode(enabled) {
     strokeEntry: "right", // "right","left","middle"
     strokeExit: "right", // "right","left","middle"
     stitchInterpolate: false, // For zigzag: false = follow path normals (sharp corners), true = interpolate between offset paths (smooth corners)
+    underlay: null, // Underlay type, layer object or array of layers for zigzag strokes (center-walk, edge-walk, zigzag)
+    pullCompensation: 0, // mm added to the zigzag width, split between both sides
+    pullCompensationPercent: 0, // % of the zigzag width added to the zigzag width
   };
 
+  /**
+   * Per-instance recording state.
+   * The module-level variables above always hold the state of the active p5 instance.
+   * In instance mode several sketches can record on one page, so each instance keeps
+   * its own state object that is swapped in whenever one of its drawing functions runs.
+   * @private
+   */
+  const _recordingStates = new Map();
+  let _activeRecordingState = null;
+
+  // Object whose drawing functions are currently hooked (window in global mode, p5.prototype in instance mode)
+  let _overrideTarget = null;
+
+  // True while a p5 preview is drawn through the original drawing functions
+  let _drawingPreview = false;
+
+  /**
+   * Creates a fresh recording state for a p5 instance.
+   * Stitch data, shape and transform state start empty; embroidery, stroke and fill
+   * settings start from the current settings so values set before beginRecord() carry over.
+   * Each instance then keeps its own copy, so lock stitch, stitch length and travel
+   * settings of one sketch do not change another.
+   * @private
+   * @param {p5} p5Instance - The p5.js sketch instance
+   * @returns {Object} Recording state
+   */
+  function createRecordingState(p5Instance) {
+    return {
+      p5Instance,
+      recording: false,
+      drawMode: _drawMode,
+      stitchData: {
+        width: 0,
+        height: 0,
+        threads: [],
+        colorBlocks: [],
+        shapes: [],
+        pixelsPerUnit: 1,
+        stitchCount: 0,
+      },
+      shapeKind: null,
+      vertices: [],
+      contourVertices: [],
+      contours: [],
+      currentContour: [],
+      isBezier: false,
+      isCurve: false,
+      isQuadratic: false,
+      isContour: false,
+      isFirstContour: true,
+      nextVertexWidth: null,
+      strokeThreadIndex: 0,
+      fillThreadIndex: 0,
+      transformStack: [],
+      currentTransform: {
+        matrix: createIdentityMatrix(),
+        strokeSettings: null,
+        fillSettings: null,
+        strokeThreadIndex: 0,
+        fillThreadIndex: 0,
+        doStroke: false,
+        doFill: false,
+        drawMode: _drawMode,
+        strokeMode: _currentStrokeMode,
+        fillMode: _currentFillMode,
+      },
+      doStroke: _doStroke,
+      currentStrokeMode: _currentStrokeMode,
+      currentStrokeJoin: _currentStrokeJoin,
+      doFill: _doFill,
+      currentFill: _currentFill,
+      currentFillMode: _currentFillMode,
+      embroiderySettings: { ..._embroiderySettings },
+      fillSettings: { ..._fillSettings },
+      strokeSettings: { ..._strokeSettings },
+    };
+  }
+
+  /**
+   * Stores the module-level state into the active recording state object.
+   * @private
+   */
+  function saveRecordingState() {
+    const state = _activeRecordingState;
+    if (!state) return;
+
+    state.recording = _recording;
+    state.drawMode = _drawMode;
+    state.stitchData = _stitchData;
+    state.shapeKind = _shapeKind;
+    state.vertices = _vertices;
+    state.contourVertices = _contourVertices;
+    state.contours = _contours;
+    state.currentContour = _currentContour;
+    state.isBezier = _isBezier;
+    state.isCurve = _isCurve;
+    state.isQuadratic = _isQuadratic;
+    state.isContour = _isContour;
+    state.isFirstContour = _isFirstContour;
+    state.nextVertexWidth = _nextVertexWidth;
+    state.strokeThreadIndex = _strokeThreadIndex;
+    state.fillThreadIndex = _fillThreadIndex;
+    state.transformStack = _transformStack;
+    state.currentTransform = _currentTransform;
+    state.doStroke = _doStroke;
+    state.currentStrokeMode = _currentStrokeMode;
+    state.currentStrokeJoin = _currentStrokeJoin;
+    state.doFill = _doFill;
+    state.currentFill = _currentFill;
+    state.currentFillMode = _currentFillMode;
+    state.embroiderySettings = _embroiderySettings;
+    state.fillSettings = _fillSettings;
+    state.strokeSettings = _strokeSettings;
+  }
+
+  /**
+   * Loads a recording state object into the module-level state.
+   * @private
+   * @param {Object} state - Recording state created by createRecordingState()
+   */
+  function loadRecordingState(state) {
+    _activeRecordingState = state;
+    _p5Instance = state.p5Instance;
+    _recording = state.recording;
+    _drawMode = state.drawMode;
+    _stitchData = state.stitchData;
+    _shapeKind = state.shapeKind;
+    _vertices = state.vertices;
+    _contourVertices = state.contourVertices;
+    _contours = state.contours;
+    _currentContour = state.currentContour;
+    _isBezier = state.isBezier;
+    _isCurve = state.isCurve;
+    _isQuadratic = state.isQuadratic;
+    _isContour = state.isContour;
+    _isFirstContour = state.isFirstContour;
+    _nextVertexWidth = state.nextVertexWidth;
+    _strokeThreadIndex = state.strokeThreadIndex;
+    _fillThreadIndex = state.fillThreadIndex;
+    _transformStack = state.transformStack;
+    _currentTransform = state.currentTransform;
+    _doStroke = state.doStroke;
+    _currentStrokeMode = state.currentStrokeMode;
+    _currentStrokeJoin = state.currentStrokeJoin;
+    _doFill = state.doFill;
+    _currentFill = state.currentFill;
+    _currentFillMode = state.currentFillMode;
+    _embroiderySettings = state.embroiderySettings;
+    _fillSettings = state.fillSettings;
+    _strokeSettings = state.strokeSettings;
+  }
+
+  /**
+   * Makes the recording state of a p5 instance the active one.
+   * @private
+   * @param {p5} p5Instance - The p5.js sketch instance
+   * @returns {Object|null} The activated state, or null if the instance never recorded
+   */
+  function activateRecordingState(p5Instance) {
+    const state = _recordingStates.get(p5Instance);
+    if (!state) return null;
+
+    if (state !== _activeRecordingState) {
+      saveRecordingState();
+      loadRecordingState(state);
+    }
+    return state;
+  }
+
+  /**
+   * Returns true while any p5 instance is recording.
+   * @private
+   */
+  function isAnyInstanceRecording() {
+    saveRecordingState();
+    for (const state of _recordingStates.values()) {
+      if (state.recording) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Returns the object whose drawing functions must be hooked for a p5 instance.
+   * Global-mode sketches call the functions bound on window; instance-mode sketches
+   * call them through the p5 prototype.
+   * @private
+   * @param {p5} p5Instance - The p5.js sketch instance
+   * @returns {Object} window or the p5 prototype
+   */
+  function getOverrideTarget(p5Instance) {
+    if (p5Instance === global || p5Instance._isGlobal) {
+      return global;
+    }
+    return Object.getPrototypeOf(p5Instance);
+  }
+
   /**
    * Matrix utility functions for 2D transformations
    * @private
@@ -354,7 +619,8 @@ function setDebugMode(enabled) {
    * Sets the fill mode for embroidery fills.
    * @method setFillMode
    * @for p5
-   * @param {string} mode - The fill mode to use ('tatami', 'satin', or 'spiral')
+   * @param {string} mode - The fill mode to use ('tatami', 'satin', 'spiral', 'contour', 'guided', 'motif' or
+   *   'cross')
    */
   p5embroidery.setFillMode = function (mode) {
     if (Object.values(FILL_MODE).includes(mode)) {
@@ -394,48 +660,6 @@ function setDebugMode(enabled) {
     _strokeSettings.stitchInterpolate = !!enabled;
   };
 
-  /**
-   * Sets the fill settings for embroidery.
-   * @method setFillSettings
-   * @for p5
-   * @param {Object} settings - Fill settings object
-   * @param {number} [settings.stitchLength] - Length of each stitch in mm
-   * @param {number} [settings.stitchWidth] - Width of each stitch in mm
-   * @param {number} [settings.minStitchLength] - Minimum stitch length in mm
-   * @param {number} [settings.resampleNoise] - Amount of random variation (0-1)
-   * @param {number} [settings.angle] - Fill angle in degrees
-   * @param {number} [settings.rowSpacing] - Space between rows in mm
-   * @param {number} [settings.tieDistance] - Distance between tie-down stitches in mm
-   * @param {boolean} [settings.alternateAngle] - Whether to alternate angles between shapes
-   */
-  p5embroidery.setFillSettings = function (settings) {
-    if (settings.stitchLength !== undefined) {
-      _fillSettings.stitchLength = settings.stitchLength;
-    }
-    if (settings.stitchWidth !== undefined) {
-      _fillSettings.stitchWidth = settings.stitchWidth;
-    }
-    if (settings.minStitchLength !== undefined) {
-      _fillSettings.minStitchLength = settings.minStitchLength;
-    }
-    if (settings.resampleNoise !== undefined) {
-      _fillSettings.resampleNoise = settings.resampleNoise;
-    }
-
-    if (settings.angle !== undefined) {
-      _fillSettings.angle = (settings.angle * Math.PI) / 180; // Convert to radians
-    }
-    if (settings.rowSpacing !== undefined) {
-      _fillSettings.rowSpacing = settings.rowSpacing;
-    }
-    if (settings.tieDistance !== undefined) {
-      _fillSettings.tieDistance = settings.tieDistance;
-    }
-    if (settings.alternateAngle !== undefined) {
-      _fillSettings.alternateAngle = settings.alternateAngle;
-    }
-  };
-
   /**
    * Thread class for storing color and stitch data.
    * @class Thread
@@ -459,6 +683,8 @@ function setDebugMode(enabled) {
 
   /**
    * Begins recording embroidery data.
+   * Works in both global and instance mode. Each p5 instance records into its own
+   * stitch data, so several sketches on one page can record independently.
    * @method beginRecord
    * @for p5
    * @param {p5} p5Instance - The p5.js sketch instance
@@ -469,15 +695,32 @@ function setDebugMode(enabled) {
    *   // Draw embroidery patterns here
    *   endRecord();
    * }
+   *
+   * // Instance mode
+   * new p5((p) => {
+   *   p.setup = () => {
+   *     p.createCanvas(400, 400);
+   *     beginRecord(p);
+   *     p.circle(50, 50, 20);
+   *     endRecord(p);
+   *   };
+   * });
    */
   p5embroidery.beginRecord = function (p5Instance) {
     if (!p5Instance) {
       throw new Error("Invalid p5 instance provided to beginRecord().");
     }
-    _p5Instance = p5Instance;
+    if (!_recordingStates.has(p5Instance)) {
+      saveRecordingState();
+      _recordingStates.set(p5Instance, createRecordingState(p5Instance));
+    }
+    activateRecordingState(p5Instance);
     _stitchData.width = p5Instance.width;
     _stitchData.height = p5Instance.height;
     _stitchData.threads = [new Thread(0, 0, 0, 0.2)]; // Start with a default black thread
+    _stitchData.colorBlocks = [];
+    _stitchData.shapes = [];
+    _stitchData.travelReport = null;
     _recording = true;
     overrideP5Functions();
   };
@@ -486,6 +729,7 @@ function setDebugMode(enabled) {
    * Ends recording and prepares for export.
    * @method endRecord
    * @for p5
+   * @param {p5} [p5Instance] - The p5.js sketch instance to stop recording (defaults to the active instance)
    * @example
    *
    *
@@ -498,26 +742,84 @@ function setDebugMode(enabled) {
    *
    *
    */
-  p5embroidery.endRecord = function () {
+  p5embroidery.endRecord = function (p5Instance) {
+    if (p5Instance) {
+      activateRecordingState(p5Instance);
+    }
+
+    if (_recording && _embroiderySettings.optimizeTravel) {
+      const report = optimizeTravel(_stitchData, { jumpThreshold: _embroiderySettings.jumpThreshold });
+      _stitchData.travelReport = report;
+      if (_DEBUG) {
+        console.log(
+          `Travel ${report.before.travel.toFixed(1)}mm -> ${report.after.travel.toFixed(1)}mm, ` +
+            `jumps ${report.before.jumps} -> ${report.after.jumps}, trims ${report.before.trims} -> ${report.after.trims}`,
+        );
+      }
+    }
+
+    // Split stitches longer than the chosen limit into real stitches
+    if (_recording) {
+      splitLongStitches(_stitchData, { maxStitchLength: _embroiderySettings.maxStitchLength });
+    }
+
+    // Secure the thread once the stitch order is final, so every export format includes the locks
+    if (_recording) {
+      addLockStitches(_stitchData, {
+        pattern: _embroiderySettings.lockStitch,
+        size: _embroiderySettings.lockStitchSize,
+        minRunLength: _embroiderySettings.lockMinRunLength,
+      });
+    }
     _recording = false;
-    restoreP5Functions();
+
+    // Keep the hooks in place while another sketch on the page is still recording
+    if (!isAnyInstanceRecording()) {
+      restoreP5Functions();
+    }
     //exportEmbroidery(format);
   };
 
+  /**
+   * Selects which p5 instance's embroidery data the export and settings functions use.
+   * Only needed when several instance-mode sketches record on the same page;
+   * otherwise the instance last passed to beginRecord() is used.
+   * @method setRecordingInstance
+   * @for p5
+   * @param {p5} p5Instance - A p5.js sketch instance that has called beginRecord()
+   * @example
+   * const sketchA = new p5((p) => {
+   *   p.draw = () => {
+   *     beginRecord(p);
+   *     p.circle(50, 50, 20);
+   *     endRecord(p);
+   *   };
+   * });
+   *
+   * // Later, e.g. from a button handler
+   * setRecordingInstance(sketchA);
+   * exportEmbroidery("sketchA.dst");
+   */
+  p5embroidery.setRecordingInstance = function (p5Instance) {
+    if (!activateRecordingState(p5Instance)) {
+      console.warn("🪡 p5.embroider says: setRecordingInstance() requires an instance that has called beginRecord()");
+    }
+  };
+
   let _originalBeginShapeFunc;
   function overrideBeginShapeFunction() {
-    _originalBeginShapeFunc = window.beginShape;
+    _originalBeginShapeFunc = _overrideTarget.beginShape;
 
-    window.beginShape = function (kind) {
+    _overrideTarget.beginShape = function (kind) {
       if (_recording) {
         if (
-          kind === window.POINTS ||
-          kind === window.LINES ||
-          kind === window.TRIANGLES ||
-          kind === window.TRIANGLE_FAN ||
-          kind === window.TRIANGLE_STRIP ||
-          kind === window.QUADS ||
-          kind === window.QUAD_STRIP
+          kind === _p5Instance.POINTS ||
+          kind === _p5Instance.LINES ||
+          kind === _p5Instance.TRIANGLES ||
+          kind === _p5Instance.TRIANGLE_FAN ||
+          kind === _p5Instance.TRIANGLE_STRIP ||
+          kind === _p5Instance.QUADS ||
+          kind === _p5Instance.QUAD_STRIP
         ) {
           _shapeKind = kind;
         } else {
@@ -540,9 +842,9 @@ function setDebugMode(enabled) {
 
   let _originalEndShapeFunc;
   function overrideEndShapeFunction() {
-    _originalEndShapeFunc = window.endShape;
+    _originalEndShapeFunc = _overrideTarget.endShape;
 
-    window.endShape = function (mode, count = 1) {
+    _overrideTarget.endShape = function (mode, count = 1) {
       if (count < 1) {
         console.log("🪡 p5.embroider says: You can not have less than one instance");
         count = 1;
@@ -562,7 +864,7 @@ function setDebugMode(enabled) {
           return this;
         }
 
-        const closeShape = mode === window.CLOSE;
+        const closeShape = mode === _p5Instance.CLOSE;
 
         if (closeShape && !_isContour) {
           _vertices.push(_vertices[0]);
@@ -574,47 +876,12 @@ function setDebugMode(enabled) {
             y: v.y,
           }));
 
-          let fillStitches = [];
-
-          if (_contours.length > 0) {
-            // Fill with contours (currently only tatami supports contours)
-            if (_DEBUG) console.log("Filling shape with", _contours.length, "contours");
-
-            switch (_currentFillMode) {
-              case FILL_MODE.TATAMI:
-                fillStitches = createTatamiFillWithContours(mainPath, _contours, _fillSettings);
-                break;
-              case FILL_MODE.SATIN:
-              case FILL_MODE.SPIRAL:
-                // For now, satin and spiral don't support contours, use simple fill
-                console.warn(`${_currentFillMode} fill does not support contours yet, using simple fill`);
-                fillStitches =
-                  _currentFillMode === FILL_MODE.SATIN
-                    ? createSatinFillFromPath(mainPath, _fillSettings)
-                    : createSpiralFillFromPath(mainPath, _fillSettings);
-                break;
-              default:
-                fillStitches = createTatamiFillWithContours(mainPath, _contours, _fillSettings);
-            }
-          } else {
-            // Simple fill without contours
-            switch (_currentFillMode) {
-              case FILL_MODE.TATAMI:
-                fillStitches = createTatamiFillFromPath(mainPath, _fillSettings);
-                break;
-              case FILL_MODE.SATIN:
-                fillStitches = createSatinFillFromPath(mainPath, _fillSettings);
-                break;
-              case FILL_MODE.SPIRAL:
-                fillStitches = createSpiralFillFromPath(mainPath, _fillSettings);
-                break;
-              default:
-                fillStitches = createTatamiFillFromPath(mainPath, _fillSettings);
-            }
-          }
+          if (_DEBUG && _contours.length > 0) console.log("Filling shape with", _contours.length, "contours");
+          const fillStitches = createFillForMode(_currentFillMode, mainPath, _contours, _fillSettings);
 
           if (fillStitches && fillStitches.length > 0) {
-            _stitchData.threads[_fillThreadIndex].runs.push(fillStitches);
+            addRunToStitchData(_stitchData, _fillThreadIndex, fillStitches);
+            recordVectorShape("fill", _fillThreadIndex, mainPath, { holes: _contours });
 
             // Draw fill stitches in visual modes
             if (_drawMode === "stitch" || _drawMode === "realistic") {
@@ -637,7 +904,10 @@ function setDebugMode(enabled) {
         }
 
         //add stitches to the embroidery data
-        _stitchData.threads[_strokeThreadIndex].runs.push(stitches);
+        addRunToStitchData(_stitchData, _strokeThreadIndex, stitches);
+        if (stitches.length > 0) {
+          recordVectorShape("stroke", _strokeThreadIndex, _vertices, { closed: closeShape });
+        }
 
         if (_drawMode === "stitch" || _drawMode === "realistic") {
           if (_DEBUG)
@@ -650,7 +920,7 @@ function setDebugMode(enabled) {
             });
           drawStitches(stitches, _strokeThreadIndex);
         } else if (_drawMode === "p5") {
-          _originalEndShapeFunc.call(_p5Instance, mode, count);
+          drawPreview(() => _originalEndShapeFunc.call(_p5Instance, mode, count));
         }
 
         _isCurve = false;
@@ -691,9 +961,9 @@ function setDebugMode(enabled) {
 
   let _originalVertexFunc;
   function overrideVertexFunction() {
-    _originalVertexFunc = window.vertex;
+    _originalVertexFunc = _overrideTarget.vertex;
 
-    window.vertex = function (x, y, z_or_moveTo, u, v) {
+    _overrideTarget.vertex = function (x, y, z_or_moveTo, u, v) {
       if (_recording) {
         // Determine if third parameter is z (width) or moveTo
         let width = null;
@@ -778,7 +1048,8 @@ function setDebugMode(enabled) {
       _nextVertexWidth = arg1;
     } else if (arguments.length === 3) {
       // vertexWidth(x, y, w) - create vertex with width
-      window.vertex(arg1, arg2, arg3);
+      const target = this && typeof this.vertex === "function" ? this : global;
+      target.vertex(arg1, arg2, arg3);
     } else {
       console.warn("vertexWidth() expects 1 or 3 arguments");
     }
@@ -790,9 +1061,9 @@ function setDebugMode(enabled) {
    */
   let _originalBezierVertexFunc;
   function overrideBezierVertexFunction() {
-    _originalBezierVertexFunc = window.bezierVertex;
+    _originalBezierVertexFunc = _overrideTarget.bezierVertex;
 
-    window.bezierVertex = function (x2, y2, x3, y3, x4, y4) {
+    _overrideTarget.bezierVertex = function (x2, y2, x3, y3, x4, y4) {
       if (_recording) {
         // Apply current transformation to control points
         const cp1 = transformPoint({ x: x2, y: y2 }, _currentTransform.matrix);
@@ -884,9 +1155,9 @@ function setDebugMode(enabled) {
    */
   let _originalQuadraticVertexFunc;
   function overrideQuadraticVertexFunction() {
-    _originalQuadraticVertexFunc = window.quadraticVertex;
+    _originalQuadraticVertexFunc = _overrideTarget.quadraticVertex;
 
-    window.quadraticVertex = function (cx, cy, x3, y3) {
+    _overrideTarget.quadraticVertex = function (cx, cy, x3, y3) {
       if (_recording) {
         // Apply current transformation to control points
         const controlPoint = transformPoint({ x: cx, y: cy }, _currentTransform.matrix);
@@ -975,9 +1246,9 @@ function setDebugMode(enabled) {
    */
   let _originalCurveVertexFunc;
   function overrideCurveVertexFunction() {
-    _originalCurveVertexFunc = window.curveVertex;
+    _originalCurveVertexFunc = _overrideTarget.curveVertex;
 
-    window.curveVertex = function (x, y) {
+    _overrideTarget.curveVertex = function (x, y) {
       if (_recording) {
         // Apply current transformation to the curve vertex
         const transformedPoint = transformPoint({ x, y }, _currentTransform.matrix);
@@ -1163,8 +1434,8 @@ function setDebugMode(enabled) {
    */
   let _originalLineFunc;
   function overrideLineFunction() {
-    _originalLineFunc = window.line;
-    window.line = function (x1, y1, x2, y2) {
+    _originalLineFunc = _overrideTarget.line;
+    _overrideTarget.line = function (x1, y1, x2, y2) {
       if (_recording) {
         if (_doStroke) {
           // Apply current transformation to coordinates
@@ -1172,7 +1443,8 @@ function setDebugMode(enabled) {
           const p2 = applyCurrentTransform(x2, y2);
 
           let stitches = convertLineToStitches(p1.x, p1.y, p2.x, p2.y, _strokeSettings);
-          _stitchData.threads[_strokeThreadIndex].runs.push(stitches);
+          addRunToStitchData(_stitchData, _strokeThreadIndex, stitches);
+          recordVectorShape("stroke", _strokeThreadIndex, [p1, p2]);
 
           if (_drawMode === "stitch" || _drawMode === "realistic") {
             drawStitches(stitches, _strokeThreadIndex);
@@ -1193,8 +1465,8 @@ function setDebugMode(enabled) {
    */
   let _originalCurveFunc;
   function overrideCurveFunction() {
-    _originalCurveFunc = window.curve;
-    window.curve = function (x1, y1, x2, y2, x3, y3, x4, y4) {
+    _originalCurveFunc = _overrideTarget.curve;
+    _overrideTarget.curve = function (x1, y1, x2, y2, x3, y3, x4, y4) {
       if (_recording) {
         if (_doStroke) {
           // Apply current transformation to control points
@@ -1209,22 +1481,25 @@ function setDebugMode(enabled) {
             curvePoints.map((p) => ({ x: p.x, y: p.y, isVert: true })),
             _strokeSettings,
           );
-          _stitchData.threads[_strokeThreadIndex].runs.push(stitches);
+          addRunToStitchData(_stitchData, _strokeThreadIndex, stitches);
+          recordVectorShape("stroke", _strokeThreadIndex, curvePoints);
 
           if (_drawMode === "stitch" || _drawMode === "realistic") {
             drawStitches(stitches, _strokeThreadIndex);
           } else if (_drawMode === "p5") {
             _originalStrokeWeightFunc.call(_p5Instance, mmToPixel(_strokeSettings.strokeWeight));
-            _originalCurveFunc.call(
-              _p5Instance,
-              mmToPixel(x1),
-              mmToPixel(y1),
-              mmToPixel(x2),
-              mmToPixel(y2),
-              mmToPixel(x3),
-              mmToPixel(y3),
-              mmToPixel(x4),
-              mmToPixel(y4),
+            drawPreview(() =>
+              _originalCurveFunc.call(
+                _p5Instance,
+                mmToPixel(x1),
+                mmToPixel(y1),
+                mmToPixel(x2),
+                mmToPixel(y2),
+                mmToPixel(x3),
+                mmToPixel(y3),
+                mmToPixel(x4),
+                mmToPixel(y4),
+              ),
             );
           }
         }
@@ -1240,8 +1515,8 @@ function setDebugMode(enabled) {
    */
   let _originalBezierFunc;
   function overrideBezierFunction() {
-    _originalBezierFunc = window.bezier;
-    window.bezier = function (x1, y1, x2, y2, x3, y3, x4, y4) {
+    _originalBezierFunc = _overrideTarget.bezier;
+    _overrideTarget.bezier = function (x1, y1, x2, y2, x3, y3, x4, y4) {
       if (_recording) {
         if (_doStroke) {
           // Apply current transformation to control points
@@ -1256,22 +1531,25 @@ function setDebugMode(enabled) {
             bezierPoints.map((p) => ({ x: p.x, y: p.y, isVert: true })),
             _strokeSettings,
           );
-          _stitchData.threads[_strokeThreadIndex].runs.push(stitches);
+          addRunToStitchData(_stitchData, _strokeThreadIndex, stitches);
+          recordVectorShape("stroke", _strokeThreadIndex, bezierPoints);
 
           if (_drawMode === "stitch" || _drawMode === "realistic") {
             drawStitches(stitches, _strokeThreadIndex);
           } else if (_drawMode === "p5") {
             _originalStrokeWeightFunc.call(_p5Instance, mmToPixel(_strokeSettings.strokeWeight));
-            _originalBezierFunc.call(
-              _p5Instance,
-              mmToPixel(x1),
-              mmToPixel(y1),
-              mmToPixel(x2),
-              mmToPixel(y2),
-              mmToPixel(x3),
-              mmToPixel(y3),
-              mmToPixel(x4),
-              mmToPixel(y4),
+            drawPreview(() =>
+              _originalBezierFunc.call(
+                _p5Instance,
+                mmToPixel(x1),
+                mmToPixel(y1),
+                mmToPixel(x2),
+                mmToPixel(y2),
+                mmToPixel(x3),
+                mmToPixel(y3),
+                mmToPixel(x4),
+                mmToPixel(y4),
+              ),
             );
           }
         }
@@ -1346,8 +1624,8 @@ function setDebugMode(enabled) {
    */
   let _originalStrokeFunc;
   function overrideStrokeFunction() {
-    _originalStrokeFunc = window.stroke;
-    window.stroke = function () {
+    _originalStrokeFunc = _overrideTarget.stroke;
+    _overrideTarget.stroke = function () {
       if (_recording) {
         // Get color values from arguments
         let r, g, b;
@@ -1413,8 +1691,8 @@ function setDebugMode(enabled) {
    */
   let _originalNoStrokeFunc;
   function overrideNoStrokeFunction() {
-    _originalNoStrokeFunc = window.noStroke;
-    window.noStroke = function () {
+    _originalNoStrokeFunc = _overrideTarget.noStroke;
+    _overrideTarget.noStroke = function () {
       if (_recording) {
         _doStroke = false;
       }
@@ -1428,8 +1706,8 @@ function setDebugMode(enabled) {
    */
   let _originalFillFunc;
   function overrideFillFunction() {
-    _originalFillFunc = window.fill;
-    window.fill = function () {
+    _originalFillFunc = _overrideTarget.fill;
+    _overrideTarget.fill = function () {
       if (_recording) {
         // Get color values from arguments
         let r, g, b;
@@ -1492,8 +1770,8 @@ function setDebugMode(enabled) {
    */
   let _originalNoFillFunc;
   function overrideNoFillFunction() {
-    _originalNoFillFunc = window.noFill;
-    window.noFill = function () {
+    _originalNoFillFunc = _overrideTarget.noFill;
+    _overrideTarget.noFill = function () {
       if (_recording) {
         _doFill = false;
         _fillSettings.color = null;
@@ -1508,9 +1786,9 @@ function setDebugMode(enabled) {
    */
   let _originalStrokeWeightFunc;
   function overrideStrokeWeightFunction() {
-    _originalStrokeWeightFunc = window.strokeWeight;
+    _originalStrokeWeightFunc = _overrideTarget.strokeWeight;
 
-    window.strokeWeight = function (weight) {
+    _overrideTarget.strokeWeight = function (weight) {
       if (_recording) {
         // Set the stroke weight in the stroke settings
         _strokeSettings.strokeWeight = weight;
@@ -1529,17 +1807,17 @@ function setDebugMode(enabled) {
    */
   let _originalStrokeJoinFunc;
   function overrideStrokeJoinFunction() {
-    _originalStrokeJoinFunc = window.strokeJoin;
+    _originalStrokeJoinFunc = _overrideTarget.strokeJoin;
 
-    window.strokeJoin = function (join) {
+    _overrideTarget.strokeJoin = function (join) {
       if (_recording) {
         // Map p5.js constants to our internal format
         let mappedJoin;
-        if (join === window.ROUND || join === "round") {
+        if (join === _p5Instance.ROUND || join === "round") {
           mappedJoin = STROKE_JOIN.ROUND;
-        } else if (join === window.MITER || join === "miter") {
+        } else if (join === _p5Instance.MITER || join === "miter") {
           mappedJoin = STROKE_JOIN.MITER;
-        } else if (join === window.BEVEL || join === "bevel") {
+        } else if (join === _p5Instance.BEVEL || join === "bevel") {
           mappedJoin = STROKE_JOIN.BEVEL;
         } else {
           console.warn(`Invalid stroke join: ${join}. Using default: ${_currentStrokeJoin}`);
@@ -1562,9 +1840,9 @@ function setDebugMode(enabled) {
    */
   let _originalPushFunc;
   function overridePushFunction() {
-    _originalPushFunc = window.push;
+    _originalPushFunc = _overrideTarget.push;
 
-    window.push = function () {
+    _overrideTarget.push = function () {
       if (_recording) {
         // Save current embroidery transformation state
         _transformStack.push({
@@ -1599,9 +1877,9 @@ function setDebugMode(enabled) {
    */
   let _originalPopFunc;
   function overridePopFunction() {
-    _originalPopFunc = window.pop;
+    _originalPopFunc = _overrideTarget.pop;
 
-    window.pop = function () {
+    _overrideTarget.pop = function () {
       if (_recording) {
         if (_transformStack.length === 0) {
           console.warn("🪡 p5.embroider says: pop() called without matching push()");
@@ -1640,9 +1918,9 @@ function setDebugMode(enabled) {
    */
   let _originalTranslateFunc;
   function overrideTranslateFunction() {
-    _originalTranslateFunc = window.translate;
+    _originalTranslateFunc = _overrideTarget.translate;
 
-    window.translate = function (x, y, z) {
+    _overrideTarget.translate = function (x, y, z) {
       if (_recording) {
         // Apply translation to current transformation matrix
         const translationMatrix = createTranslationMatrix(x, y || 0);
@@ -1667,9 +1945,9 @@ function setDebugMode(enabled) {
    */
   let _originalRotateFunc;
   function overrideRotateFunction() {
-    _originalRotateFunc = window.rotate;
+    _originalRotateFunc = _overrideTarget.rotate;
 
-    window.rotate = function (angle, axis) {
+    _overrideTarget.rotate = function (angle, axis) {
       if (_recording) {
         // Convert angle to radians if needed (p5.js handles this internally)
         const radians = _p5Instance._angleMode === _p5Instance.DEGREES ? angle * (Math.PI / 180) : angle;
@@ -1696,9 +1974,9 @@ function setDebugMode(enabled) {
    */
   let _originalScaleFunc;
   function overrideScaleFunction() {
-    _originalScaleFunc = window.scale;
+    _originalScaleFunc = _overrideTarget.scale;
 
-    window.scale = function (x, y, z) {
+    _overrideTarget.scale = function (x, y, z) {
       if (_recording) {
         // Handle different parameter formats like p5.js
         let sx = x,
@@ -1736,8 +2014,8 @@ function setDebugMode(enabled) {
    */
   let _originalEllipseFunc;
   function overrideEllipseFunction() {
-    _originalEllipseFunc = window.ellipse;
-    window.ellipse = function (x, y, w, h) {
+    _originalEllipseFunc = _overrideTarget.ellipse;
+    _overrideTarget.ellipse = function (x, y, w, h) {
       if (_recording) {
         const ellipseMode = _p5Instance._ellipseMode ?? _p5Instance._renderer?._ellipseMode;
         let centerX;
@@ -1796,24 +2074,11 @@ function setDebugMode(enabled) {
         if (_recording) {
           if (_doFill) {
             // Convert vertices to pathPoints format for the fill function
-            let fillStitches = [];
-
-            switch (_currentFillMode) {
-              case FILL_MODE.TATAMI:
-                fillStitches = createTatamiFillFromPath(transformedPathPoints, _fillSettings);
-                break;
-              case FILL_MODE.SATIN:
-                fillStitches = createSatinFillFromPath(transformedPathPoints, _fillSettings);
-                break;
-              case FILL_MODE.SPIRAL:
-                fillStitches = createSpiralFillFromPath(transformedPathPoints, _fillSettings);
-                break;
-              default:
-                fillStitches = createTatamiFillFromPath(transformedPathPoints, _fillSettings);
-            }
+            const fillStitches = createFillForMode(_currentFillMode, transformedPathPoints, [], _fillSettings);
 
             if (fillStitches && fillStitches.length > 0) {
-              _stitchData.threads[_fillThreadIndex].runs.push(fillStitches);
+              addRunToStitchData(_stitchData, _fillThreadIndex, fillStitches);
+              recordVectorShape("fill", _fillThreadIndex, transformedPathPoints);
 
               // Draw fill stitches in visual modes
               if (_drawMode === "stitch" || _drawMode === "realistic") {
@@ -1848,7 +2113,7 @@ function setDebugMode(enabled) {
               Math.pow(transformedPathPoints[0].x - currentX, 2) + Math.pow(transformedPathPoints[0].y - currentY, 2),
             ) > _embroiderySettings.jumpThreshold
           ) {
-            _stitchData.threads[_strokeThreadIndex].runs.push([
+            addRunToStitchData(_stitchData, _strokeThreadIndex, [
               {
                 x: currentX,
                 y: currentY,
@@ -1883,7 +2148,8 @@ function setDebugMode(enabled) {
           }
 
           // Add the ellipse stitches
-          _stitchData.threads[_strokeThreadIndex].runs.push(stitches);
+          addRunToStitchData(_stitchData, _strokeThreadIndex, stitches);
+          recordVectorShape("stroke", _strokeThreadIndex, transformedPathPoints, { closed: true });
 
           // Draw the stitches
           if (_drawMode === "p5") {
@@ -1905,10 +2171,10 @@ function setDebugMode(enabled) {
    */
   let _originalCircleFunc;
   function overrideCircleFunction() {
-    _originalCircleFunc = window.circle;
-    window.circle = function (x, y, r) {
+    _originalCircleFunc = _overrideTarget.circle;
+    _overrideTarget.circle = function (x, y, r) {
       if (_recording) {
-        window.ellipse.call(this, x, y, r, r);
+        _overrideTarget.ellipse.call(this, x, y, r, r);
       } else {
         _originalCircleFunc.apply(this, arguments);
       }
@@ -1921,8 +2187,8 @@ function setDebugMode(enabled) {
    */
   let _originalPointFunc;
   function overridePointFunction() {
-    _originalPointFunc = window.point;
-    window.point = function (x, y) {
+    _originalPointFunc = _overrideTarget.point;
+    _overrideTarget.point = function (x, y) {
       if (_recording) {
         // Apply current transformation to coordinates
         const p = applyCurrentTransform(x, y);
@@ -1934,14 +2200,14 @@ function setDebugMode(enabled) {
             y: p.y,
           },
         ];
-        _stitchData.threads[_strokeThreadIndex].runs.push(stitches);
+        addRunToStitchData(_stitchData, _strokeThreadIndex, stitches);
 
         if (_drawMode === "stitch" || _drawMode === "realistic" || _drawMode === "p5") {
-          _p5Instance.push();
+          _originalPushFunc.call(_p5Instance);
           _originalStrokeFunc.call(_p5Instance, 255, 0, 0); // Red for stitch points
           _originalStrokeWeightFunc.call(_p5Instance, 3);
           _originalPointFunc.call(_p5Instance, mmToPixel(x), mmToPixel(y));
-          _p5Instance.pop();
+          _originalPopFunc.call(_p5Instance);
         }
       } else {
         _originalStrokeWeightFunc.call(this, mmToPixel(_strokeSettings.strokeWeight));
@@ -1956,8 +2222,8 @@ function setDebugMode(enabled) {
    */
   let _originalRectFunc;
   function overrideRectFunction() {
-    _originalRectFunc = window.rect;
-    window.rect = function (x, y, w, h, ...cornerRs) {
+    _originalRectFunc = _overrideTarget.rect;
+    _overrideTarget.rect = function (x, y, w, h, ...cornerRs) {
       if (_recording) {
         const rectMode = _p5Instance._rectMode ?? _p5Instance._renderer?._rectMode;
         let x1, y1;
@@ -2066,25 +2332,12 @@ function setDebugMode(enabled) {
         const transformedPathPoints = applyCurrentTransformToPoints(pathPoints);
 
         if (_doFill) {
-          let fillStitches = [];
-
-          switch (_currentFillMode) {
-            case FILL_MODE.TATAMI:
-              fillStitches = createTatamiFillFromPath(transformedPathPoints, _fillSettings);
-              break;
-            case FILL_MODE.SATIN:
-              fillStitches = createSatinFillFromPath(transformedPathPoints, _fillSettings);
-              break;
-            case FILL_MODE.SPIRAL:
-              fillStitches = createSpiralFillFromPath(transformedPathPoints, _fillSettings);
-              break;
-            default:
-              fillStitches = createTatamiFillFromPath(transformedPathPoints, _fillSettings);
-          }
+          const fillStitches = createFillForMode(_currentFillMode, transformedPathPoints, [], _fillSettings);
 
           if (fillStitches && fillStitches.length > 0) {
             // Add the stitches to the current thread
-            _stitchData.threads[_fillThreadIndex].runs.push(fillStitches);
+            addRunToStitchData(_stitchData, _fillThreadIndex, fillStitches);
+            recordVectorShape("fill", _fillThreadIndex, transformedPathPoints);
 
             // Draw fill stitches if in appropriate mode
             if (_drawMode === "stitch" || _drawMode === "realistic") {
@@ -2101,7 +2354,8 @@ function setDebugMode(enabled) {
           );
 
           if (strokeStitches && strokeStitches.length > 0) {
-            _stitchData.threads[_strokeThreadIndex].runs.push(strokeStitches);
+            addRunToStitchData(_stitchData, _strokeThreadIndex, strokeStitches);
+            recordVectorShape("stroke", _strokeThreadIndex, transformedPathPoints, { closed: true });
 
             // Draw stroke stitches if in appropriate mode
             if (_drawMode === "stitch" || _drawMode === "realistic") {
@@ -2134,10 +2388,10 @@ function setDebugMode(enabled) {
    */
   let _originalSquareFunc;
   function overrideSquareFunction() {
-    _originalSquareFunc = window.square;
-    window.square = function (x, y, w) {
+    _originalSquareFunc = _overrideTarget.square;
+    _overrideTarget.square = function (x, y, w) {
       if (_recording) {
-        window.rect.call(this, x, y, w, w);
+        _overrideTarget.rect.call(this, x, y, w, w);
       } else {
         _originalSquareFunc.apply(this, arguments);
       }
@@ -2150,8 +2404,8 @@ function setDebugMode(enabled) {
    */
   let _originalTriangleFunc;
   function overrideTriangleFunction() {
-    _originalTriangleFunc = window.triangle;
-    window.triangle = function (x1, y1, x2, y2, x3, y3) {
+    _originalTriangleFunc = _overrideTarget.triangle;
+    _overrideTarget.triangle = function (x1, y1, x2, y2, x3, y3) {
       if (_recording) {
         // Build path points for triangle
         const pathPoints = [
@@ -2166,22 +2420,10 @@ function setDebugMode(enabled) {
 
         // Fill
         if (_doFill) {
-          let fillStitches = [];
-          switch (_currentFillMode) {
-            case FILL_MODE.TATAMI:
-              fillStitches = createTatamiFillFromPath(transformedPathPoints, _fillSettings);
-              break;
-            case FILL_MODE.SATIN:
-              fillStitches = createSatinFillFromPath(transformedPathPoints, _fillSettings);
-              break;
-            case FILL_MODE.SPIRAL:
-              fillStitches = createSpiralFillFromPath(transformedPathPoints, _fillSettings);
-              break;
-            default:
-              fillStitches = createTatamiFillFromPath(transformedPathPoints, _fillSettings);
-          }
+          const fillStitches = createFillForMode(_currentFillMode, transformedPathPoints, [], _fillSettings);
           if (fillStitches && fillStitches.length > 0) {
-            _stitchData.threads[_fillThreadIndex].runs.push(fillStitches);
+            addRunToStitchData(_stitchData, _fillThreadIndex, fillStitches);
+            recordVectorShape("fill", _fillThreadIndex, transformedPathPoints);
             if (_drawMode === "stitch" || _drawMode === "realistic") {
               drawStitches(fillStitches, _fillThreadIndex);
             }
@@ -2194,7 +2436,8 @@ function setDebugMode(enabled) {
             _strokeSettings,
           );
           if (strokeStitches && strokeStitches.length > 0) {
-            _stitchData.threads[_strokeThreadIndex].runs.push(strokeStitches);
+            addRunToStitchData(_stitchData, _strokeThreadIndex, strokeStitches);
+            recordVectorShape("stroke", _strokeThreadIndex, transformedPathPoints, { closed: true });
             if (_drawMode === "stitch" || _drawMode === "realistic") {
               drawStitches(strokeStitches, _strokeThreadIndex);
             }
@@ -2223,8 +2466,8 @@ function setDebugMode(enabled) {
    */
   let _originalQuadFunc;
   function overrideQuadFunction() {
-    _originalQuadFunc = window.quad;
-    window.quad = function (x1, y1, x2, y2, x3, y3, x4, y4) {
+    _originalQuadFunc = _overrideTarget.quad;
+    _overrideTarget.quad = function (x1, y1, x2, y2, x3, y3, x4, y4) {
       if (_recording) {
         const pathPoints = [
           { x: x1, y: y1 },
@@ -2239,22 +2482,10 @@ function setDebugMode(enabled) {
 
         // Fill
         if (_doFill) {
-          let fillStitches = [];
-          switch (_currentFillMode) {
-            case FILL_MODE.TATAMI:
-              fillStitches = createTatamiFillFromPath(transformedPathPoints, _fillSettings);
-              break;
-            case FILL_MODE.SATIN:
-              fillStitches = createSatinFillFromPath(transformedPathPoints, _fillSettings);
-              break;
-            case FILL_MODE.SPIRAL:
-              fillStitches = createSpiralFillFromPath(transformedPathPoints, _fillSettings);
-              break;
-            default:
-              fillStitches = createTatamiFillFromPath(transformedPathPoints, _fillSettings);
-          }
+          const fillStitches = createFillForMode(_currentFillMode, transformedPathPoints, [], _fillSettings);
           if (fillStitches && fillStitches.length > 0) {
-            _stitchData.threads[_fillThreadIndex].runs.push(fillStitches);
+            addRunToStitchData(_stitchData, _fillThreadIndex, fillStitches);
+            recordVectorShape("fill", _fillThreadIndex, transformedPathPoints);
             if (_drawMode === "stitch" || _drawMode === "realistic") {
               drawStitches(fillStitches, _fillThreadIndex);
             }
@@ -2267,7 +2498,8 @@ function setDebugMode(enabled) {
             _strokeSettings,
           );
           if (strokeStitches && strokeStitches.length > 0) {
-            _stitchData.threads[_strokeThreadIndex].runs.push(strokeStitches);
+            addRunToStitchData(_stitchData, _strokeThreadIndex, strokeStitches);
+            recordVectorShape("stroke", _strokeThreadIndex, transformedPathPoints, { closed: true });
             if (_drawMode === "stitch" || _drawMode === "realistic") {
               drawStitches(strokeStitches, _strokeThreadIndex);
             }
@@ -2298,8 +2530,8 @@ function setDebugMode(enabled) {
    */
   let _originalArcFunc;
   function overrideArcFunction() {
-    _originalArcFunc = window.arc;
-    window.arc = function (x, y, w, h, start, stop, mode) {
+    _originalArcFunc = _overrideTarget.arc;
+    _overrideTarget.arc = function (x, y, w, h, start, stop, mode) {
       if (_recording) {
         if (_DEBUG) {
           console.log("Arc called with:", { x, y, w, h, start, stop, mode, _doFill, _doStroke });
@@ -2307,7 +2539,7 @@ function setDebugMode(enabled) {
 
         // Default mode to OPEN if not specified
         if (mode === undefined) {
-          mode = window.OPEN || "open";
+          mode = _p5Instance.OPEN || "open";
         }
 
         // Approximate arc as polyline
@@ -2339,11 +2571,11 @@ function setDebugMode(enabled) {
         if (_doFill) {
           let fillPathPoints = [...transformedPathPoints];
 
-          if (mode === window.PIE || mode === "pie") {
+          if (mode === _p5Instance.PIE || mode === "pie") {
             // PIE mode: close to center and back to start
             fillPathPoints.push({ x: transformedCenter.x, y: transformedCenter.y });
             fillPathPoints.push(transformedPathPoints[0]);
-          } else if (mode === window.CHORD || mode === "chord") {
+          } else if (mode === _p5Instance.CHORD || mode === "chord") {
             // CHORD mode: close with straight line from end to start
             if (transformedPathPoints.length > 1) {
               fillPathPoints.push(transformedPathPoints[0]); // Close the path
@@ -2358,28 +2590,15 @@ function setDebugMode(enabled) {
             console.log("Fill path points:", fillPathPoints.length, "Mode:", mode);
           }
 
-          let fillStitches = [];
-
-          switch (_currentFillMode) {
-            case FILL_MODE.TATAMI:
-              fillStitches = createTatamiFillFromPath(fillPathPoints, _fillSettings);
-              break;
-            case FILL_MODE.SATIN:
-              fillStitches = createSatinFillFromPath(fillPathPoints, _fillSettings);
-              break;
-            case FILL_MODE.SPIRAL:
-              fillStitches = createSpiralFillFromPath(fillPathPoints, _fillSettings);
-              break;
-            default:
-              fillStitches = createTatamiFillFromPath(fillPathPoints, _fillSettings);
-          }
+          const fillStitches = createFillForMode(_currentFillMode, fillPathPoints, [], _fillSettings);
 
           if (_DEBUG) {
             console.log("Fill stitches generated:", fillStitches.length);
           }
 
           if (fillStitches && fillStitches.length > 0) {
-            _stitchData.threads[_fillThreadIndex].runs.push(fillStitches);
+            addRunToStitchData(_stitchData, _fillThreadIndex, fillStitches);
+            recordVectorShape("fill", _fillThreadIndex, fillPathPoints);
             if (_drawMode === "stitch" || _drawMode === "realistic") {
               drawStitches(fillStitches, _fillThreadIndex);
             }
@@ -2391,13 +2610,13 @@ function setDebugMode(enabled) {
           let strokePathPoints = transformedPathPoints;
 
           // For PIE mode, include lines to center for stroke
-          if (mode === window.PIE || mode === "pie") {
+          if (mode === _p5Instance.PIE || mode === "pie") {
             strokePathPoints = [
               { x: transformedCenter.x, y: transformedCenter.y }, // Start at center
               ...transformedPathPoints, // Arc points
               { x: transformedCenter.x, y: transformedCenter.y }, // Back to center
             ];
-          } else if (mode === window.CHORD || mode === "chord") {
+          } else if (mode === _p5Instance.CHORD || mode === "chord") {
             // For CHORD mode, add the chord line
             strokePathPoints = [
               ...transformedPathPoints,
@@ -2412,7 +2631,10 @@ function setDebugMode(enabled) {
           );
 
           if (strokeStitches && strokeStitches.length > 0) {
-            _stitchData.threads[_strokeThreadIndex].runs.push(strokeStitches);
+            addRunToStitchData(_stitchData, _strokeThreadIndex, strokeStitches);
+            recordVectorShape("stroke", _strokeThreadIndex, strokePathPoints, {
+              closed: strokePathPoints !== transformedPathPoints,
+            });
             if (_drawMode === "stitch" || _drawMode === "realistic") {
               drawStitches(strokeStitches, _strokeThreadIndex);
             }
@@ -2435,9 +2657,9 @@ function setDebugMode(enabled) {
    */
   let _originalBeginContourFunc;
   function overrideBeginContourFunction() {
-    _originalBeginContourFunc = window.beginContour;
+    _originalBeginContourFunc = _overrideTarget.beginContour;
 
-    window.beginContour = function () {
+    _overrideTarget.beginContour = function () {
       if (_recording) {
         if (_DEBUG) console.log("beginContour called");
         _isContour = true;
@@ -2458,9 +2680,9 @@ function setDebugMode(enabled) {
    */
   let _originalEndContourFunc;
   function overrideEndContourFunction() {
-    _originalEndContourFunc = window.endContour;
+    _originalEndContourFunc = _overrideTarget.endContour;
 
-    window.endContour = function () {
+    _overrideTarget.endContour = function () {
       if (_recording) {
         if (_DEBUG) console.log("endContour called, current contour length:", _currentContour.length);
 
@@ -2499,40 +2721,40 @@ function setDebugMode(enabled) {
    */
   let _originalTextFunc;
   function overrideTextFunction() {
-    _originalTextFunc = window.text;
+    _originalTextFunc = _overrideTarget.text;
 
-    window.text = function (str, x, y, maxWidth, maxHeight) {
+    _overrideTarget.text = function (str, x, y, maxWidth, maxHeight) {
       if (_recording) {
         // Warn if maxWidth or maxHeight are provided
         if (typeof maxWidth !== "undefined" || typeof maxHeight !== "undefined") {
           console.warn("p5.embroider: text() does not yet support maxWidth or maxHeight parameters.");
         }
 
-        // Get current font
+        // Get current font and text size
         const font = _p5Instance._renderer._textFont;
+        const fontSize = _p5Instance._renderer._textSize;
 
         // Check if valid p5.Font (not system font)
         if (!(font && font.font)) {
           // console.warn('p5.embroider: text() requires a font loaded with loadFont(). System fonts are not supported for embroidery.');
           if (_drawMode === "p5") {
-            push();
-            textSize(mmToPixel(fontSize));
-            _originalTextFunc.call(
-              _p5Instance,
-              str,
-              mmToPixel(x),
-              mmToPixel(y),
-              mmToPixel(maxWidth),
-              mmToPixel(maxHeight),
-            );
-            pop();
+            drawPreview(() => {
+              _originalPushFunc.call(_p5Instance);
+              _p5Instance.textSize(mmToPixel(fontSize));
+              _originalTextFunc.call(
+                _p5Instance,
+                str,
+                mmToPixel(x),
+                mmToPixel(y),
+                mmToPixel(maxWidth),
+                mmToPixel(maxHeight),
+              );
+              _originalPopFunc.call(_p5Instance);
+            });
           }
           return;
         }
 
-        // Get current text size
-        const fontSize = _p5Instance._renderer._textSize;
-
         if (_DEBUG) {
           console.log("text() called:", str, "at", x, y, "size:", fontSize);
         }
@@ -2599,30 +2821,16 @@ function setDebugMode(enabled) {
               }
 
               try {
-                let fillStitches = [];
-
-                // Use current fill mode with contour support
-                if (transformedHoles.length > 0) {
-                  // Fill with holes (only tatami supports this currently)
-                  if (_currentFillMode === FILL_MODE.TATAMI) {
-                    fillStitches = createTatamiFillWithContours(transformedOuter, transformedHoles, _fillSettings);
-                  } else {
-                    console.warn(`${_currentFillMode} fill does not support holes yet, using tatami`);
-                    fillStitches = createTatamiFillWithContours(transformedOuter, transformedHoles, _fillSettings);
-                  }
-                } else {
-                  // Simple fill without holes
-                  if (_currentFillMode === FILL_MODE.SATIN) {
-                    fillStitches = createSatinFillFromPath(transformedOuter, _fillSettings);
-                  } else if (_currentFillMode === FILL_MODE.SPIRAL) {
-                    fillStitches = createSpiralFillFromPath(transformedOuter, _fillSettings);
-                  } else {
-                    fillStitches = createTatamiFillFromPath(transformedOuter, _fillSettings);
-                  }
-                }
+                const fillStitches = createFillForMode(
+                  _currentFillMode,
+                  transformedOuter,
+                  transformedHoles,
+                  _fillSettings,
+                );
 
                 if (fillStitches && fillStitches.length > 0) {
-                  _stitchData.threads[_fillThreadIndex].runs.push(fillStitches);
+                  addRunToStitchData(_stitchData, _fillThreadIndex, fillStitches);
+                  recordVectorShape("fill", _fillThreadIndex, transformedOuter, { holes: transformedHoles });
 
                   if (_drawMode === "stitch" || _drawMode === "realistic") {
                     drawStitches(fillStitches, _fillThreadIndex);
@@ -2666,7 +2874,8 @@ function setDebugMode(enabled) {
                 }
 
                 if (strokeStitches && strokeStitches.length > 0) {
-                  _stitchData.threads[_strokeThreadIndex].runs.push(strokeStitches);
+                  addRunToStitchData(_stitchData, _strokeThreadIndex, strokeStitches);
+                  recordVectorShape("stroke", _strokeThreadIndex, transformedOuter, { closed: true });
 
                   if (_drawMode === "stitch" || _drawMode === "realistic") {
                     drawStitches(strokeStitches, _strokeThreadIndex);
@@ -2700,7 +2909,8 @@ function setDebugMode(enabled) {
                   }
 
                   if (holeStrokeStitches && holeStrokeStitches.length > 0) {
-                    _stitchData.threads[_strokeThreadIndex].runs.push(holeStrokeStitches);
+                    addRunToStitchData(_stitchData, _strokeThreadIndex, holeStrokeStitches);
+                    recordVectorShape("stroke", _strokeThreadIndex, holePoints, { closed: true });
 
                     if (_drawMode === "stitch" || _drawMode === "realistic") {
                       drawStitches(holeStrokeStitches, _strokeThreadIndex);
@@ -2723,24 +2933,70 @@ function setDebugMode(enabled) {
 
         // Call original for visual feedback based on draw mode
         if (_drawMode === "p5") {
-          push();
-          textSize(mmToPixel(fontSize));
-          _originalTextFunc.call(
-            _p5Instance,
-            str,
-            mmToPixel(x),
-            mmToPixel(y),
-            mmToPixel(maxWidth),
-            mmToPixel(maxHeight),
-          );
-          pop();
+          drawPreview(() => {
+            _originalPushFunc.call(_p5Instance);
+            _p5Instance.textSize(mmToPixel(fontSize));
+            _originalTextFunc.call(
+              _p5Instance,
+              str,
+              mmToPixel(x),
+              mmToPixel(y),
+              mmToPixel(maxWidth),
+              mmToPixel(maxHeight),
+            );
+            _originalPopFunc.call(_p5Instance);
+          });
         }
       } else {
         // Not recording, just call original
-        push();
-        textSize(mmToPixel(fontSize));
-        _originalTextFunc.call(_p5Instance, str, mmToPixel(x), mmToPixel(y), mmToPixel(maxWidth), mmToPixel(maxHeight));
-        pop();
+        _originalTextFunc.apply(this, arguments);
+      }
+    };
+  }
+
+  /**
+   * Override image() function for embroidery recording
+   * Stitches the image with imageStitch() and the default options, following imageMode().
+   * The image defaults to its pixel size in mm. With a source rectangle (sx, sy, sw, sh)
+   * only that part of the image is stitched; fit and alignment arguments are not supported.
+   * @private
+   */
+  let _originalImageFunc;
+  function overrideImageFunction() {
+    _originalImageFunc = _overrideTarget.image;
+
+    _overrideTarget.image = function (img, x, y, w, h, sx, sy, sw, sh) {
+      if (_recording) {
+        if (!img || !(img.width > 0) || !(img.height > 0)) return;
+
+        if (arguments.length > 9) {
+          console.warn("🪡 p5.embroider says: image() fit and alignment are not supported while recording");
+          return;
+        }
+        if (typeof sx === "number" && typeof sy === "number") {
+          if (typeof img.get !== "function") {
+            console.warn("🪡 p5.embroider says: image() can only stitch part of a p5.Image or p5.Graphics");
+            return;
+          }
+          img = img.get(sx, sy, typeof sw === "number" ? sw : img.width, typeof sh === "number" ? sh : img.height);
+        }
+
+        if (typeof w !== "number") w = pixelToMm(img.width);
+        if (typeof h !== "number") h = pixelToMm(img.height);
+
+        const imageMode = _p5Instance._imageMode ?? _p5Instance._renderer?._imageMode;
+        if (imageMode === _p5Instance.CENTER) {
+          x = x - w / 2;
+          y = y - h / 2;
+        } else if (imageMode === _p5Instance.CORNERS) {
+          // In CORNERS mode, w and h are the opposite corner
+          w = w - x;
+          h = h - y;
+        }
+
+        p5embroidery.imageStitch(img, x, y, w, h);
+      } else {
+        _originalImageFunc.apply(this, arguments);
       }
     };
   }
@@ -2965,11 +3221,77 @@ function setDebugMode(enabled) {
     };
   }
 
+  /**
+   * Draws the p5 preview of a recorded shape with the original p5.js functions.
+   * p5.js builds curves and some shape kinds from beginShape()/vertex()/stroke() calls
+   * on the instance, which in instance mode reach the hooks again and would record the
+   * shape a second time.
+   * @private
+   * @param {Function} draw - Calls the original p5.js drawing functions
+   */
+  function drawPreview(draw) {
+    const drawingPreview = _drawingPreview;
+    _drawingPreview = true;
+    try {
+      draw();
+    } finally {
+      _drawingPreview = drawingPreview;
+    }
+  }
+
+  // p5.js functions hooked while recording
+  const OVERRIDDEN_FUNCTIONS = [
+    "push",
+    "pop",
+    "translate",
+    "rotate",
+    "scale",
+    "line",
+    "curve",
+    "bezier",
+    "ellipse",
+    "circle",
+    "strokeWeight",
+    "strokeJoin",
+    "point",
+    "stroke",
+    "noStroke",
+    "fill",
+    "noFill",
+    "rect",
+    "square",
+    "triangle",
+    "quad",
+    "arc",
+    "vertex",
+    "bezierVertex",
+    "quadraticVertex",
+    "curveVertex",
+    "beginShape",
+    "endShape",
+    "beginContour",
+    "endContour",
+    "text",
+    "image",
+  ];
+
   /**
    * Overrides necessary p5.js functions for embroidery recording.
    * @private
    */
   function overrideP5Functions() {
+    const target = getOverrideTarget(_p5Instance);
+
+    // Another sketch sharing the same prototype already installed the hooks
+    if (_overrideTarget === target) return;
+    if (_overrideTarget) restoreP5Functions();
+
+    _overrideTarget = target;
+    const originals = {};
+    for (const name of OVERRIDDEN_FUNCTIONS) {
+      originals[name] = target[name];
+    }
+
     // Transformation functions
     overridePushFunction();
     overridePopFunction();
@@ -3009,8 +3331,37 @@ function setDebugMode(enabled) {
     // Text functions
     overrideTextFunction();
 
-    // Add vertexWidth function to window
-    window.vertexWidth = vertexWidth;
+    // Image functions
+    overrideImageFunction();
+
+    // Add vertexWidth function to the hooked target
+    _overrideTarget.vertexWidth = vertexWidth;
+
+    if (target !== global) {
+      bindOverridesToInstances(target, originals);
+    }
+  }
+
+  /**
+   * Wraps the prototype overrides so that each call activates the recording
+   * state of the calling instance. Instances that never called beginRecord()
+   * go straight to the original p5.js function.
+   * @private
+   * @param {Object} target - The hooked p5 prototype
+   * @param {Object} originals - Original p5.js functions by name
+   */
+  function bindOverridesToInstances(target, originals) {
+    for (const name of OVERRIDDEN_FUNCTIONS) {
+      const override = target[name];
+      const original = originals[name];
+
+      target[name] = function () {
+        if (_drawingPreview || !activateRecordingState(this)) {
+          return original.apply(this, arguments);
+        }
+        return override.apply(this, arguments);
+      };
+    }
   }
 
   /**
@@ -3018,44 +3369,51 @@ function setDebugMode(enabled) {
    * @private
    */
   function restoreP5Functions() {
+    if (!_overrideTarget) return;
+
     // Restore transformation functions
-    window.push = _originalPushFunc;
-    window.pop = _originalPopFunc;
-    window.translate = _originalTranslateFunc;
-    window.rotate = _originalRotateFunc;
-    window.scale = _originalScaleFunc;
+    _overrideTarget.push = _originalPushFunc;
+    _overrideTarget.pop = _originalPopFunc;
+    _overrideTarget.translate = _originalTranslateFunc;
+    _overrideTarget.rotate = _originalRotateFunc;
+    _overrideTarget.scale = _originalScaleFunc;
 
     // Restore drawing functions
-    window.line = _originalLineFunc;
-    window.curve = _originalCurveFunc;
-    window.bezier = _originalBezierFunc;
-    window.ellipse = _originalEllipseFunc;
-    window.circle = _originalCircleFunc;
-    window.strokeWeight = _originalStrokeWeightFunc;
-    window.strokeJoin = _originalStrokeJoinFunc;
-    window.point = _originalPointFunc;
-    window.stroke = _originalStrokeFunc;
-    window.noStroke = _originalNoStrokeFunc;
-    window.fill = _originalFillFunc;
-    window.noFill = _originalNoFillFunc;
-    window.rect = _originalRectFunc;
-    window.square = _originalSquareFunc;
-    window.triangle = _originalTriangleFunc;
-    window.quad = _originalQuadFunc;
-    window.arc = _originalArcFunc;
+    _overrideTarget.line = _originalLineFunc;
+    _overrideTarget.curve = _originalCurveFunc;
+    _overrideTarget.bezier = _originalBezierFunc;
+    _overrideTarget.ellipse = _originalEllipseFunc;
+    _overrideTarget.circle = _originalCircleFunc;
+    _overrideTarget.strokeWeight = _originalStrokeWeightFunc;
+    _overrideTarget.strokeJoin = _originalStrokeJoinFunc;
+    _overrideTarget.point = _originalPointFunc;
+    _overrideTarget.stroke = _originalStrokeFunc;
+    _overrideTarget.noStroke = _originalNoStrokeFunc;
+    _overrideTarget.fill = _originalFillFunc;
+    _overrideTarget.noFill = _originalNoFillFunc;
+    _overrideTarget.rect = _originalRectFunc;
+    _overrideTarget.square = _originalSquareFunc;
+    _overrideTarget.triangle = _originalTriangleFunc;
+    _overrideTarget.quad = _originalQuadFunc;
+    _overrideTarget.arc = _originalArcFunc;
 
     // Restore shape vertex functions
-    window.vertex = _originalVertexFunc;
-    window.bezierVertex = _originalBezierVertexFunc;
-    window.quadraticVertex = _originalQuadraticVertexFunc;
-    window.curveVertex = _originalCurveVertexFunc;
-    window.beginShape = _originalBeginShapeFunc;
-    window.endShape = _originalEndShapeFunc;
-    window.beginContour = _originalBeginContourFunc;
-    window.endContour = _originalEndContourFunc;
+    _overrideTarget.vertex = _originalVertexFunc;
+    _overrideTarget.bezierVertex = _originalBezierVertexFunc;
+    _overrideTarget.quadraticVertex = _originalQuadraticVertexFunc;
+    _overrideTarget.curveVertex = _originalCurveVertexFunc;
+    _overrideTarget.beginShape = _originalBeginShapeFunc;
+    _overrideTarget.endShape = _originalEndShapeFunc;
+    _overrideTarget.beginContour = _originalBeginContourFunc;
+    _overrideTarget.endContour = _originalEndContourFunc;
 
     // Restore text functions
-    window.text = _originalTextFunc;
+    _overrideTarget.text = _originalTextFunc;
+
+    // Restore image functions
+    _overrideTarget.image = _originalImageFunc;
+
+    _overrideTarget = null;
   }
 
   /**
@@ -3111,50 +3469,242 @@ function setDebugMode(enabled) {
   };
 
   /**
-   * Sets the stroke settings for embroidery.
-   * @method setStrokeSettings
-   * @for p5
-   * @param {Object} settings - The settings for the stroke
-   */
-
-  p5embroidery.setStrokeSettings = function (settings) {
-    // Merge default settings with provided settings
-    Object.assign(_strokeSettings, settings);
-  };
-
-  /**
-   * Sets the fill settings for embroidery.
-   * @method setFillSettings
-   * @for p5
-   * @param {Object} settings - The settings for the fill
-   */
-
-  p5embroidery.setFillSettings = function (settings) {
-    // Merge default settings with provided settings
-    Object.assign(_fillSettings, settings);
-  };
-
-  /**
-   * Sets the draw mode for embroidery.
-   * @method setDrawMode
+   * Sets the lock stitches that secure the thread at the start and end of every run and
+   * before and after every trim. Locks are off by default. They are added to the stitch data
+   * when recording ends, so they show up in exports but not in the preview. Designs drawn with
+   * drawEmbroidery() keep their own locks and are not locked again.
+   * @method setLockStitch
    * @for p5
-   * @param {String} mode - The draw mode to set ('stitch', 'p5', 'realistic')
+   * @param {string} pattern - LOCK_STITCH.TRIANGLE (back-stitch triangle), LOCK_STITCH.CIRCLE or LOCK_STITCH.NONE (default)
+   * @param {Object} [settings] - Lock settings
+   * @param {number} [settings.size] - Lock size in millimeters (default 0.8)
+   * @param {number} [settings.minRunLength] - Runs shorter than this in millimeters are not locked (default 1)
    * @example
    *
    *
    * function setup() {
    *   createCanvas(400, 400);
    *   beginRecord(this);
-   *   setDrawMode('stitch'); // Show stitch points and lines
+   *   setLockStitch(LOCK_STITCH.CIRCLE, { size: 1, minRunLength: 2 });
    *   // Draw embroidery patterns
+   *   endRecord();
    * }
    *
    *
    */
-  p5embroidery.setDrawMode = function (mode) {
-    _drawMode = mode;
-  };
-
+  p5embroidery.setLockStitch = function (pattern, settings = {}) {
+    if (!Object.values(LOCK_STITCH).includes(pattern)) {
+      console.warn(`🪡 p5.embroider says: Unknown lock stitch pattern "${pattern}", using "${LOCK_STITCH.TRIANGLE}"`);
+      pattern = LOCK_STITCH.TRIANGLE;
+    }
+    _embroiderySettings.lockStitch = pattern;
+    if (settings.size !== undefined) {
+      _embroiderySettings.lockStitchSize = Math.max(0, settings.size);
+    }
+    if (settings.minRunLength !== undefined) {
+      _embroiderySettings.lockMinRunLength = Math.max(0, settings.minRunLength);
+    }
+  };
+
+  /**
+   * Turns the travel optimizer on or off. When on, endRecord() reorders the runs within each
+   * color block and reverses open paths where that shortens the jumps between them, then adds
+   * a trim wherever the remaining travel is longer than the jump threshold. Colors keep their
+   * drawing order, shapes with underlay are never reversed, and runs are never moved across a
+   * trimThread() call.
+   * @method setTravelOptimization
+   * @for p5
+   * @param {boolean} enabled - Whether to optimize travel when recording ends
+   * @param {Object} [settings] - Optimizer settings
+   * @param {number} [settings.jumpThreshold] - Travel in millimeters above which the thread is trimmed (default 10)
+   * @example
+   *
+   *
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   setTravelOptimization(true);
+   *   // Draw embroidery patterns
+   *   endRecord();
+   *   console.log(getTravelReport()); // { before: { travel, jumps, trims }, after: { travel, jumps, trims } }
+   * }
+   *
+   *
+   */
+  p5embroidery.setTravelOptimization = function (enabled, settings = {}) {
+    _embroiderySettings.optimizeTravel = !!enabled;
+    if (settings.jumpThreshold !== undefined) {
+      _embroiderySettings.jumpThreshold = Math.max(0, settings.jumpThreshold);
+    }
+  };
+
+  /**
+   * Sets the longest stitch that is sewn as a single stitch. When recording ends, longer
+   * stitches are split into equal stitches along the same line. Travel between runs stays a
+   * jump or trim. Without a limit, each export format still splits the stitches its records
+   * cannot hold: 12.1mm in DST, 12.4mm in XXX and 12.7mm in EXP and JEF (PES and VP3 can hold
+   * longer stitches). Set a shorter limit to keep long stitches from snagging.
+   * @method setMaxStitchLength
+   * @for p5
+   * @param {number} length - Longest stitch in millimeters; 0 leaves it to the export format (default)
+   * @example
+   *
+   *
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   setMaxStitchLength(7);
+   *   // Draw embroidery patterns
+   *   endRecord();
+   * }
+   *
+   *
+   */
+  p5embroidery.setMaxStitchLength = function (length) {
+    _embroiderySettings.maxStitchLength = Math.max(0, length);
+  };
+
+  /**
+   * Returns the travel distance, long jump count and trim count before and after the last travel optimization.
+   * @method getTravelReport
+   * @for p5
+   * @returns {Object|null} Report ({before: {travel, jumps, trims}, after: {travel, jumps, trims}}, travel in millimeters),
+   *   or null if the current recording was not optimized
+   */
+  p5embroidery.getTravelReport = function () {
+    return _stitchData.travelReport || null;
+  };
+
+  /**
+   * Sets the thread metadata written to formats that carry a thread list (e.g. PES).
+   * Applies to the current stroke thread unless a thread index is given.
+   * @method setThreadInfo
+   * @for p5
+   * @param {Object} info - Thread metadata
+   * @param {string} [info.name] - Thread name (e.g. "Cherry Red")
+   * @param {string} [info.brand] - Thread brand (e.g. "Madeira Polyneon")
+   * @param {string} [info.catalogNumber] - Catalog number (e.g. "1747")
+   * @param {number} [threadIndex] - Thread to update (defaults to the current stroke thread)
+   * @example
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   stroke(200, 20, 40);
+   *   setThreadInfo({ name: "Cherry Red", brand: "Madeira Polyneon", catalogNumber: "1747" });
+   *   line(10, 10, 90, 10);
+   *   endRecord();
+   *   exportPES("pattern.pes");
+   * }
+   */
+  p5embroidery.setThreadInfo = function (info = {}, threadIndex = _strokeThreadIndex) {
+    const thread = _stitchData.threads[threadIndex];
+    if (!thread) {
+      console.warn(`🪡 p5.embroider says: setThreadInfo() could not find thread ${threadIndex}`);
+      return;
+    }
+    for (const key of ["name", "brand", "catalogNumber"]) {
+      if (info[key] !== undefined) thread[key] = String(info[key]);
+    }
+  };
+
+  /**
+   * Sets the stroke settings for embroidery.
+   * @method setStrokeSettings
+   * @for p5
+   * @param {Object} settings - The settings for the stroke
+   * @param {string|Object|Array} [settings.underlay] - Underlay for zigzag strokes: a type ('center-walk',
+   *   'edge-walk' or 'zigzag'), a layer object {type, inset, rowSpacing, stitchLength} or an array of layers
+   *   stitched in order. Inset is measured from the column edges in mm.
+   * @param {number} [settings.pullCompensation] - mm added to the zigzag width to counter thread pull,
+   *   split between both sides
+   * @param {number} [settings.pullCompensationPercent] - Percentage of the zigzag width added on top of
+   *   pullCompensation
+   * @example
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   setStrokeMode('zigzag');
+   *   strokeWeight(4);
+   *   setStrokeSettings({ underlay: ['center-walk', { type: 'zigzag', inset: 0.5, rowSpacing: 1.5 }] });
+   *   line(10, 10, 90, 10);
+   *   endRecord();
+   * }
+   */
+
+  p5embroidery.setStrokeSettings = function (settings) {
+    // Merge default settings with provided settings
+    Object.assign(_strokeSettings, settings);
+  };
+
+  /**
+   * Sets the fill settings for embroidery.
+   * @method setFillSettings
+   * @for p5
+   * @param {Object} settings - The settings for the fill
+   * @param {number} [settings.angle] - Tatami and satin row angle in radians (0 runs left to right)
+   * @param {string|Object|Array} [settings.underlay] - Fill underlay: a type ('edge-walk' or 'tatami'), a layer
+   *   object {type, inset, rowSpacing, stitchLength, angle} or an array of layers stitched in order. Tatami
+   *   underlay runs perpendicular to the top stitches unless a layer angle in radians is given.
+   * @param {number} [settings.pullCompensation] - mm added to every tatami row and satin stitch to counter
+   *   thread pull, split between both ends
+   * @param {number} [settings.pullCompensationPercent] - Percentage of the row length added on top of
+   *   pullCompensation
+   * @param {string} [settings.contourStart] - Contour fill only: start at the 'outer' ring (default) or the
+   *   'inner' one. Rings are rowSpacing apart.
+   * @param {Object|Function} [settings.gradient] - Tatami only: varies the row spacing across the shape.
+   *   Either {start, end, angle} (spacing in mm at the start and end of the shape, measured along an angle in
+   *   radians; 0 runs left to right) or a callback (x, y) => spacing in mm, sampled at the middle of each row.
+   * @param {Array} [settings.guide] - Guided fill only: a polyline ([{x, y}, ...] or [[x, y], ...] in vertex()
+   *   coordinates) or an array of polylines. Rows bend along the guides and blend between them.
+   * @param {Array|Function} [settings.motif] - Motif fill only: a polyline or array of polylines in mm, or a
+   *   callback that draws the motif with line(), beginShape(), vertex() and endShape() on the object it receives
+   * @param {number|Object} [settings.motifSpacing] - Motif fill only: grid cell size in mm, a number or {x, y}
+   *   (defaults to the size of the motif)
+   * @param {number} [settings.motifAngle] - Motif fill only: grid rotation in radians
+   * @param {Object} [settings.motifOffset] - Motif fill only: grid origin {x, y} in mm
+   * @param {number} [settings.crossSize] - Cross fill only: fabric grid cell size in mm (default 2.5)
+   * @param {boolean} [settings.crossHalfStitches] - Cross fill only: add a half stitch to cells on diagonal edges
+   * @example
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   fill(0, 120, 200);
+   *   setFillSettings({ angle: PI / 4, underlay: ['edge-walk', { type: 'tatami', inset: 0.6, rowSpacing: 2.5 }] });
+   *   rect(10, 10, 60, 40);
+   *
+   *   // Rows spread out from dense at the top to sparse at the bottom
+   *   setFillSettings({ underlay: null, gradient: { start: 0.4, end: 3, angle: PI / 2 } });
+   *   rect(10, 60, 60, 40);
+   *   endRecord();
+   * }
+   */
+
+  p5embroidery.setFillSettings = function (settings) {
+    // Merge default settings with provided settings
+    Object.assign(_fillSettings, settings);
+  };
+
+  /**
+   * Sets the draw mode for embroidery.
+   * @method setDrawMode
+   * @for p5
+   * @param {String} mode - The draw mode to set ('stitch', 'p5', 'realistic')
+   * @example
+   *
+   *
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   setDrawMode('stitch'); // Show stitch points and lines
+   *   // Draw embroidery patterns
+   * }
+   *
+   *
+   */
+  p5embroidery.setDrawMode = function (mode) {
+    _drawMode = mode;
+  };
+
   /**
    * Converts a line segment into a series of stitches.
    * @private
@@ -3196,8 +3746,16 @@ function setDebugMode(enabled) {
       switch (_currentStrokeMode) {
         case STROKE_MODE.STRAIGHT:
           return straightLineStitch(x1, y1, x2, y2, stitchSettings);
-        case STROKE_MODE.ZIGZAG:
-          return zigzagStitch(x1, y1, x2, y2, stitchSettings);
+        case STROKE_MODE.ZIGZAG: {
+          const underlay = createStrokeUnderlay(
+            [
+              { x: x1, y: y1 },
+              { x: x2, y: y2 },
+            ],
+            stitchSettings,
+          );
+          return addUnderlay(underlay, zigzagStitch(x1, y1, x2, y2, stitchSettings));
+        }
         case STROKE_MODE.RAMP:
           return rampStitch(x1, y1, x2, y2, stitchSettings);
         case STROKE_MODE.SQUARE:
@@ -3279,7 +3837,8 @@ function setDebugMode(enabled) {
 
     if (!useInterpolation) {
       // Default behavior: follow path normals (sharp corners)
-      return createZigzagFollowingPath(pathPoints, stitchSettings);
+      const zigzag = createZigzagFollowingPath(pathPoints, stitchSettings);
+      return addUnderlay(createStrokeUnderlay(pathPoints, stitchSettings), zigzag);
     }
 
     // Legacy behavior: interpolate between offset paths (smooth corners)
@@ -3287,9 +3846,15 @@ function setDebugMode(enabled) {
     const density = stitchSettings.stitchLength;
     const result = [];
 
-    // Create parallel paths offset to each side
-    const leftPath = createOffsetPath(pathPoints, width / 2, true);
-    const rightPath = createOffsetPath(pathPoints, width / 2, false);
+    // Create parallel paths offset to each side, widened by the pull compensation
+    const compensatedPoints = pathPoints.map((p) =>
+      p.width !== undefined
+        ? { ...p, width: Math.max(0, p.width + 2 * getPullCompensation(p.width, stitchSettings)) }
+        : p,
+    );
+    const halfWidth = Math.max(0, width / 2 + getPullCompensation(width, stitchSettings));
+    const leftPath = createOffsetPath(compensatedPoints, halfWidth, true);
+    const rightPath = createOffsetPath(compensatedPoints, halfWidth, false);
 
     if (leftPath.length === 0 || rightPath.length === 0) {
       // Fall back to simple zigzag if offset calculation fails
@@ -3346,7 +3911,7 @@ function setDebugMode(enabled) {
       console.log("Zigzag result:", result.slice(0, 10));
     }
 
-    return result;
+    return addUnderlay(createStrokeUnderlay(pathPoints, stitchSettings), result);
   }
 
   /**
@@ -3422,8 +3987,9 @@ function setDebugMode(enabled) {
         const perpX = -dy / segLen;
         const perpY = dx / segLen;
 
-        // Offset by half width in the perpendicular direction
-        const offset = isLeftSide ? currentWidth / 2 : -currentWidth / 2;
+        // Offset by half width (plus pull compensation) in the perpendicular direction
+        const halfWidth = Math.max(0, currentWidth / 2 + getPullCompensation(currentWidth, stitchSettings));
+        const offset = isLeftSide ? halfWidth : -halfWidth;
         const stitchX = pathX + perpX * offset;
         const stitchY = pathY + perpY * offset;
 
@@ -3973,8 +4539,8 @@ function setDebugMode(enabled) {
     let zigzagDistance = stitchSettings.stitchLength;
     let numZigzags = Math.max(2, Math.floor(distance / zigzagDistance));
 
-    // Create zigzag pattern
-    let halfWidth = width / 2;
+    // Create zigzag pattern, widened by the pull compensation
+    let halfWidth = Math.max(0, width / 2 + getPullCompensation(width, stitchSettings));
     let entry = stitchSettings.strokeEntry;
     let exit = stitchSettings.strokeExit;
     let side = 1;
@@ -4391,7 +4957,7 @@ function setDebugMode(enabled) {
       result.push(...segmentStitches);
     }
 
-    return result;
+    return addUnderlay(createStrokeUnderlay(pathPoints, stitchSettings), result);
   }
 
   /**
@@ -4730,10 +5296,10 @@ function setDebugMode(enabled) {
 
   /**
    * Exports the recorded embroidery data as a file.
-   * Supported formats: DST (.dst), SVG (.svg), PNG (.png), JSON (.json)
+   * Supported formats: DST (.dst), PES (.pes), JEF (.jef), VP3 (.vp3), EXP (.exp), XXX (.xxx), SVG (.svg), PNG (.png), JSON (.json)
    * @method exportEmbroidery
    * @for p5
-   * @param {String} filename - Output filename with extension (dst, svg, png, or json)
+   * @param {String} filename - Output filename with extension (dst, pes, jef, vp3, exp, xxx, svg, png, or json)
    * @example
    *
    *
@@ -4759,6 +5325,18 @@ function setDebugMode(enabled) {
       case "pes":
         p5embroidery.exportPES(filename);
         break;
+      case "jef":
+        p5embroidery.exportJEF(filename);
+        break;
+      case "vp3":
+        p5embroidery.exportVP3(filename);
+        break;
+      case "exp":
+        p5embroidery.exportEXP(filename);
+        break;
+      case "xxx":
+        p5embroidery.exportXXX(filename);
+        break;
       case "svg":
         p5embroidery.exportSVG(filename);
         break;
@@ -4774,6 +5352,76 @@ function setDebugMode(enabled) {
     }
   };
 
+  /**
+   * Generates the recorded embroidery data as file contents instead of downloading it.
+   * Binary formats return a Uint8Array, text formats return a string, so the result can be
+   * written to disk in Node.js or sent over the network.
+   * Supported formats: DST (.dst), PES (.pes), JEF (.jef), VP3 (.vp3), EXP (.exp), XXX (.xxx), G-code (.gcode), SVG (.svg), JSON (.json)
+   * @method generateEmbroidery
+   * @for p5
+   * @param {String} filename - Filename or bare extension selecting the format (e.g. 'pattern.dst' or 'dst')
+   * @param {Object} [options={}] - Writer options for DST, PES, JEF, VP3, SVG and JSON output (see exportDST, exportPES, exportJEF, exportVP3, exportSVG and exportJSON)
+   * @returns {Uint8Array|String|null} File contents, or null if there is nothing to export
+   * @example
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   circle(50, 50, 20);
+   *   endRecord();
+   *   const dstBytes = generateEmbroidery('pattern.dst'); // Uint8Array
+   *   const svgText = generateEmbroidery('svg'); // String
+   * }
+   */
+  p5embroidery.generateEmbroidery = function (filename, options = {}) {
+    const extension = filename.split(".").pop().toLowerCase();
+    const title = filename.includes(".") ? filename.replace(/\.[^/.]+$/, "") : "Embroidery Pattern";
+
+    switch (extension) {
+      case "dst": {
+        const points = getDSTPoints();
+        return points ? new DSTWriter().generateDST(points, "EmbroideryPattern", options) : null;
+      }
+      case "pes": {
+        const points = getPESPoints();
+        return points ? new PESWriter().generatePES(points, "EmbroideryPattern", options) : null;
+      }
+      case "jef": {
+        const points = getPESPoints();
+        return points ? new JEFWriter().generateJEF(points, options) : null;
+      }
+      case "vp3": {
+        const points = getPESPoints();
+        return points ? new VP3Writer().generateVP3(points, options.title || title) : null;
+      }
+      case "exp": {
+        const points = getDSTPoints();
+        return points ? new EXPWriter().generateEXP(points) : null;
+      }
+      case "xxx": {
+        const points = getPESPoints();
+        return points ? new XXXWriter().generateXXX(points) : null;
+      }
+      case "gcode": {
+        const points = getGcodePoints();
+        return createGcodeWriter(points).generateGCode(points, "EmbroideryPattern");
+      }
+      case "svg": {
+        const svgWriter = new SVGWriter();
+        svgWriter.setOptions(options);
+        svgWriter.validateOptions();
+        return svgWriter.generateSVG(_stitchData, title);
+      }
+      case "json": {
+        const jsonWriter = new JSONWriter();
+        jsonWriter.setOptions(options);
+        return jsonWriter.generateJSON(_stitchData, title);
+      }
+      default:
+        console.error(`Unsupported embroidery format: ${extension}`);
+        return null;
+    }
+  };
+
   /**
    * Exports the recorded embroidery data as a G-code file.
    * @method exportGcode
@@ -4793,9 +5441,38 @@ function setDebugMode(enabled) {
    *
    */
   p5embroidery.exportGcode = function (filename) {
+    const points = getGcodePoints();
+    const gcodeWriter = createGcodeWriter(points);
+    gcodeWriter.saveGcode(points, "EmbroideryPattern", filename);
+  };
+
+  /**
+   * Creates a G-code writer primed with the pattern header moves.
+   * @private
+   * @param {Array} points - Points from getGcodePoints()
+   * @returns {GCodeWriter} Writer ready for generateGCode() or saveGcode()
+   */
+  function createGcodeWriter(points) {
+    const gcodeWriter = new GCodeWriter();
+    gcodeWriter.addComment("Embroidery Pattern");
+    if (points.length > 0) {
+      gcodeWriter.move(points[0].x, points[0].y);
+      for (const point of points) {
+        gcodeWriter.move(point.x, point.y);
+      }
+    }
+    return gcodeWriter;
+  }
+
+  /**
+   * Flattens the recorded stitch data into G-code writer points (mm).
+   * @private
+   * @returns {Array} Points in stitching order
+   */
+  function getGcodePoints() {
     const points = [];
-    for (const thread of _stitchData.threads) {
-      for (const run of thread.runs) {
+    for (const block of getColorBlocks(_stitchData)) {
+      for (const run of block.runs) {
         for (const stitch of run) {
           points.push({
             x: stitch.x,
@@ -4805,17 +5482,8 @@ function setDebugMode(enabled) {
         }
       }
     }
-
-    const gcodeWriter = new GCodeWriter();
-    gcodeWriter.addComment("Embroidery Pattern");
-    if (points.length > 0) {
-      gcodeWriter.move(points[0].x, points[0].y);
-      for (const point of points) {
-        gcodeWriter.move(point.x, point.y);
-      }
-    }
-    gcodeWriter.saveGcode(points, "EmbroideryPattern", filename);
-  };
+    return points;
+  }
 
   /**
    * Exports embroidery pattern as SVG for printing templates.
@@ -4830,6 +5498,7 @@ function setDebugMode(enabled) {
    * @param {boolean} [options.showGuides=true] - Show hoop guides and center marks
    * @param {boolean} [options.centerPattern=false] - Center pattern in hoop (false = use original coordinates)
    * @param {boolean} [options.lifeSize=true] - Export at life-size scale
+   * @param {boolean} [options.inkstitch=false] - Export the drawn shapes with inkstitch: stitch parameters for editing in Ink/Stitch
    * @example
    * function setup() {
    *   createCanvas(400, 400);
@@ -4845,6 +5514,9 @@ function setDebugMode(enabled) {
    *     hoopSize: {width: 200, height: 200},
    *     centerPattern: false // Preserves your coordinate positioning
    *   });
+   *
+   *   // Export editable shapes for Ink/Stitch
+   *   exportSVG('my-pattern-inkstitch.svg', { inkstitch: true });
    * }
    */
   //TODO Add bounding box to SVG so that SVG can be previewed in browser and not cropped
@@ -4919,9 +5591,14 @@ function setDebugMode(enabled) {
 
   /**
    * Exports the recorded embroidery data as a PES file.
+   * Writes a PES v6 file with the thread list (RGB, name, brand and catalog number) and hoop size,
+   * or a PEC-only v1 file when options.version is 1.
    * @method exportPES
    * @for p5
    * @param {String} [filename='embroideryPattern.pes'] - Output filename
+   * @param {Object} [options={}] - Writer options
+   * @param {number} [options.version=6] - PES version (6 or 1)
+   * @param {{width: number, height: number}} [options.hoop] - Hoop size in mm (default: smallest fitting Brother hoop)
    * @example
    *
    *
@@ -4940,9 +5617,41 @@ function setDebugMode(enabled) {
   // Matches DST export structure and calling pattern
 
   // ===== MAIN EXPORT FUNCTION - Matches DST structure exactly =====
-  p5embroidery.exportPES = function (filename = "embroideryPattern.pes") {
-    const points = [];
+  p5embroidery.exportPES = function (filename = "embroideryPattern.pes", options = {}) {
+    const points = getPESPoints();
+    if (!points) return;
+
     const pesWriter = new PESWriter();
+    pesWriter.savePES(points, "EmbroideryPattern", filename, options);
+  };
+
+  /**
+   * Converts a thread's color to a 0xRRGGBB number.
+   * @private
+   * @param {Object} thread - Thread with a color object, hex string or number
+   * @returns {number} Color as 0xRRGGBB
+   */
+  function getThreadHexColor(thread) {
+    const threadColor = thread.color || 0xff0000; // Default red
+
+    if (typeof threadColor === "object") {
+      // p5.Color object - extract RGB
+      return (Math.round(threadColor.r) << 16) | (Math.round(threadColor.g) << 8) | Math.round(threadColor.b);
+    } else if (typeof threadColor === "string") {
+      // Hex string like "#FF0000"
+      return parseInt(threadColor.replace("#", ""), 16);
+    }
+    // Already a number
+    return threadColor;
+  }
+
+  /**
+   * Converts the recorded stitch data into PES writer points (0.1mm units, per-point color).
+   * @private
+   * @returns {Array|null} Points with color and jump/trim flags, or null if there is nothing to export
+   */
+  function getPESPoints() {
+    const points = [];
 
     if (_DEBUG) console.log("=== Starting PES Export ===");
     if (_DEBUG) console.log("Canvas size:", _stitchData.width, _stitchData.height);
@@ -4950,30 +5659,13 @@ function setDebugMode(enabled) {
 
     let currentThreadIndex = -1;
 
-    for (let threadIndex = 0; threadIndex < _stitchData.threads.length; threadIndex++) {
-      const thread = _stitchData.threads[threadIndex];
-
-      // Skip threads with no stitches
-      if (thread.runs.length === 0 || !thread.runs.some((run) => run.length > 0)) {
-        continue;
-      }
+    // Walk color blocks in drawing order; each block switch becomes a color change
+    for (const block of getColorBlocks(_stitchData)) {
+      const { thread, threadIndex } = block;
 
       // DIFFERENCE FROM DST: We track color per stitch rather than using colorChange flag
       // PES needs the actual color value for palette matching
-      const threadColor = thread.color || 0xff0000; // Default red
-
-      // Convert color from p5 color object to hex if needed
-      let hexColor;
-      if (typeof threadColor === "object") {
-        // p5.Color object - extract RGB
-        hexColor = (Math.round(threadColor.r) << 16) | (Math.round(threadColor.g) << 8) | Math.round(threadColor.b);
-      } else if (typeof threadColor === "string") {
-        // Hex string like "#FF0000"
-        hexColor = parseInt(threadColor.replace("#", ""), 16);
-      } else {
-        // Already a number
-        hexColor = threadColor;
-      }
+      const hexColor = getThreadHexColor(thread);
 
       if (_DEBUG && currentThreadIndex !== threadIndex) {
         console.log(`Thread ${threadIndex} color:`, hexColor.toString(16));
@@ -4981,7 +5673,10 @@ function setDebugMode(enabled) {
 
       currentThreadIndex = threadIndex;
 
-      for (const run of thread.runs) {
+      // Thread list metadata for PES v6
+      const threadInfo = { name: thread.name, brand: thread.brand, catalogNumber: thread.catalogNumber };
+
+      for (const run of block.runs) {
         // Handle trim commands (similar to DST)
         if (run.length === 1 && run[0].command === "trim") {
           if (_DEBUG) {
@@ -4999,6 +5694,7 @@ function setDebugMode(enabled) {
             x: run[0].x * 10,
             y: run[0].y * 10,
             color: hexColor,
+            thread: threadInfo,
             jump: true,
             trim: true,
           });
@@ -5017,12 +5713,15 @@ function setDebugMode(enabled) {
           }
 
           // Convert from mm to 0.1mm for PES format
+          // Fills cut the thread inside a run with trim points, written like trim runs
           points.push({
             x: stitch.x * 10,
             y: stitch.y * 10,
             color: hexColor,
+            thread: threadInfo,
             command: stitch.command,
-            jump: stitch.command === "jump",
+            jump: stitch.command === "jump" || stitch.command === "trim",
+            trim: stitch.command === "trim",
           });
         }
       }
@@ -5031,7 +5730,7 @@ function setDebugMode(enabled) {
     // Skip export if no points
     if (points.length === 0) {
       console.warn("No embroidery points to export");
-      return;
+      return null;
     }
 
     if (_DEBUG) {
@@ -5061,14 +5760,18 @@ function setDebugMode(enabled) {
       });
     }
 
-    pesWriter.savePES(points, "EmbroideryPattern", filename);
-  };
+    return points;
+  }
 
   /**
-   * Exports the recorded embroidery data as a DST file.
-   * @method exportDST
+   * Exports the recorded embroidery data as a Janome JEF file.
+   * Thread colors are matched to the Janome palette and the header names the smallest
+   * Janome hoop that fits the design.
+   * @method exportJEF
    * @for p5
-   * @param {String} [filename='embroideryPattern.dst'] - Output filename
+   * @param {String} [filename='embroideryPattern.jef'] - Output filename
+   * @param {Object} [options={}] - Writer options
+   * @param {{width: number, height: number}} [options.hoop] - Janome hoop size in mm (default: smallest fitting hoop)
    * @example
    *
    *
@@ -5077,29 +5780,158 @@ function setDebugMode(enabled) {
    *   beginRecord(this);
    *   // Draw embroidery patterns
    *   endRecord();
-   *   exportDST('pattern.dst');
+   *   exportJEF('pattern.jef');
    * }
    *
    *
    */
+  p5embroidery.exportJEF = function (filename = "embroideryPattern.jef", options = {}) {
+    // JEF needs the same per-point colors and thread metadata as PES
+    const points = getPESPoints();
+    if (!points) return;
 
-  p5embroidery.exportDST = function (filename = "embroideryPattern.dst") {
-    const points = [];
-    const dstWriter = new DSTWriter();
+    const jefWriter = new JEFWriter();
+    jefWriter.saveJEF(points, filename, options);
+  };
 
-    if (_DEBUG) console.log("=== Starting DST Export ===");
-    if (_DEBUG) console.log("Canvas size:", _stitchData.width, _stitchData.height);
-    if (_DEBUG) console.log("Stitch data:", _stitchData);
+  /**
+   * Exports the recorded embroidery data as a VP3 file for Husqvarna Viking and Pfaff machines.
+   * VP3 stores true thread colors, so every color block keeps its exact RGB value together with
+   * the thread's name, brand and catalog number.
+   * @method exportVP3
+   * @for p5
+   * @param {String} [filename='embroideryPattern.vp3'] - Output filename
+   * @param {Object} [options={}] - Writer options
+   * @param {String} [options.title] - Design name stored in the file (default: filename without extension)
+   * @example
+   *
+   *
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   // Draw embroidery patterns
+   *   endRecord();
+   *   exportVP3('pattern.vp3');
+   * }
+   *
+   *
+   */
+  p5embroidery.exportVP3 = function (filename = "embroideryPattern.vp3", options = {}) {
+    const points = getPESPoints();
+    if (!points) return;
 
-    let currentThreadIndex = -1;
+    const title = options.title || filename.replace(/\.[^/.]+$/, "");
+    const vp3Writer = new VP3Writer();
+    vp3Writer.saveVP3(points, title, filename);
+  };
 
-    for (let threadIndex = 0; threadIndex < _stitchData.threads.length; threadIndex++) {
-      const thread = _stitchData.threads[threadIndex];
+  /**
+   * Exports the recorded embroidery data as a Melco/Bernina EXP file.
+   * EXP records color changes but not the thread colors themselves.
+   * @method exportEXP
+   * @for p5
+   * @param {String} [filename='embroideryPattern.exp'] - Output filename
+   * @example
+   *
+   *
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   // Draw embroidery patterns
+   *   endRecord();
+   *   exportEXP('pattern.exp');
+   * }
+   *
+   *
+   */
+  p5embroidery.exportEXP = function (filename = "embroideryPattern.exp") {
+    const points = getDSTPoints();
+    if (!points) return;
 
-      // Skip threads with no stitches
-      if (thread.runs.length === 0 || !thread.runs.some((run) => run.length > 0)) {
-        continue;
-      }
+    const expWriter = new EXPWriter();
+    expWriter.saveEXP(points, filename);
+  };
+
+  /**
+   * Exports the recorded embroidery data as a Singer XXX file, including the RGB value of
+   * every thread color.
+   * @method exportXXX
+   * @for p5
+   * @param {String} [filename='embroideryPattern.xxx'] - Output filename
+   * @example
+   *
+   *
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   // Draw embroidery patterns
+   *   endRecord();
+   *   exportXXX('pattern.xxx');
+   * }
+   *
+   *
+   */
+  p5embroidery.exportXXX = function (filename = "embroideryPattern.xxx") {
+    // XXX stores thread colors, so it needs the per-point colors of PES
+    const points = getPESPoints();
+    if (!points) return;
+
+    const xxxWriter = new XXXWriter();
+    xxxWriter.saveXXX(points, filename);
+  };
+
+  /**
+   * Exports the recorded embroidery data as a DST file.
+   * @method exportDST
+   * @for p5
+   * @param {String} [filename='embroideryPattern.dst'] - Output filename
+   * @param {Object} [options={}] - Writer options
+   * @param {number} [options.trimJumps=3] - Consecutive jumps written for each trim; match your machine's trim setting
+   * @param {String} [options.author] - Author written to the AU header field
+   * @param {String} [options.copyright] - Copyright written to the CP header field
+   * @param {boolean} [options.colorTable=false] - Write TC header fields with every thread's color, name and catalog number
+   * @example
+   *
+   *
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   // Draw embroidery patterns
+   *   endRecord();
+   *   exportDST('pattern.dst');
+   * }
+   *
+   *
+   */
+
+  p5embroidery.exportDST = function (filename = "embroideryPattern.dst", options = {}) {
+    const points = getDSTPoints();
+    if (!points) return;
+
+    const dstWriter = new DSTWriter();
+    dstWriter.saveDST(points, "EmbroideryPattern", filename, options);
+  };
+
+  /**
+   * Converts the recorded stitch data into DST writer points (0.1mm units).
+   * Points also carry their thread color and metadata for the optional TC header fields.
+   * @private
+   * @returns {Array|null} Points with jump/trim/colorChange flags, or null if there is nothing to export
+   */
+  function getDSTPoints() {
+    const points = [];
+
+    if (_DEBUG) console.log("=== Starting DST Export ===");
+    if (_DEBUG) console.log("Canvas size:", _stitchData.width, _stitchData.height);
+    if (_DEBUG) console.log("Stitch data:", _stitchData);
+
+    let currentThreadIndex = -1;
+
+    // Walk color blocks in drawing order so interleaved colors keep their stacking
+    for (const block of getColorBlocks(_stitchData)) {
+      const { thread, threadIndex } = block;
+      const hexColor = getThreadHexColor(thread);
+      const threadInfo = { name: thread.name, catalogNumber: thread.catalogNumber };
 
       // If we're changing threads and have previous stitches, add a color change command
       if (currentThreadIndex !== -1 && threadIndex !== currentThreadIndex && points.length > 0) {
@@ -5118,7 +5950,7 @@ function setDebugMode(enabled) {
 
       currentThreadIndex = threadIndex;
 
-      for (const run of thread.runs) {
+      for (const run of block.runs) {
         // Check if this is a thread trim command
         if (run.length === 1 && run[0].command === "trim") {
           if (_DEBUG) {
@@ -5136,6 +5968,8 @@ function setDebugMode(enabled) {
           points.push({
             x: run[0].x * 10, // Convert from mm to 0.1mm for DST format
             y: run[0].y * 10, // Convert from mm to 0.1mm for DST format
+            color: hexColor,
+            thread: threadInfo,
             jump: true,
             trim: true,
           });
@@ -5159,11 +5993,15 @@ function setDebugMode(enabled) {
           //   });
 
           // Convert from mm to 0.1mm for DST format
+          // Fills cut the thread inside a run with trim points, written like trim runs
           points.push({
             x: stitch.x * 10, // Convert to DST units (0.1mm)
             y: stitch.y * 10, // Convert to DST units (0.1mm)
+            color: hexColor,
+            thread: threadInfo,
             command: stitch.command,
-            jump: stitch.command === "jump",
+            jump: stitch.command === "jump" || stitch.command === "trim",
+            trim: stitch.command === "trim",
           });
         }
       }
@@ -5172,7 +6010,7 @@ function setDebugMode(enabled) {
     // Skip export if no points
     if (points.length === 0) {
       console.warn("No embroidery points to export");
-      return;
+      return null;
     }
 
     if (_DEBUG) {
@@ -5202,8 +6040,8 @@ function setDebugMode(enabled) {
       });
     }
 
-    dstWriter.saveDST(points, "EmbroideryPattern", filename);
-  };
+    return points;
+  }
 
   /**
    * Exports the recorded embroidery data as a JSON file with detailed stitch information organized by thread ID.
@@ -5253,6 +6091,561 @@ function setDebugMode(enabled) {
     }
   };
 
+  /**
+   * Reads raw file bytes from a URL, ArrayBuffer or Uint8Array.
+   * @private
+   * @param {string|ArrayBuffer|Uint8Array} source - File URL or contents
+   * @returns {Promise<Uint8Array>} File contents
+   */
+  async function loadEmbroideryBytes(source) {
+    if (source instanceof Uint8Array) return source;
+    if (source instanceof ArrayBuffer) return new Uint8Array(source);
+    if (typeof source === "string") {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Failed to load ${source}: ${response.status} ${response.statusText}`);
+      }
+      return new Uint8Array(await response.arrayBuffer());
+    }
+    throw new Error("Expected a URL, ArrayBuffer or Uint8Array");
+  }
+
+  /**
+   * Loads a Tajima DST file as an embroidery design.
+   * The design can be drawn into a recording with drawEmbroidery(), which makes it
+   * part of the exported stitch data. Thread colors are read from TC header fields when
+   * the file has them.
+   * @method loadDST
+   * @for p5
+   * @param {string|ArrayBuffer|Uint8Array} source - File URL or contents
+   * @param {Object} [options={}] - Reader options
+   * @param {number} [options.trimJumps=3] - Consecutive jumps that are read as a thread trim
+   * @param {Array<Object>} [options.colors] - Thread colors {r, g, b} to use for each color block
+   * @returns {Promise<Object>} Design with threads, colorBlocks, width and height in mm
+   * @example
+   * let design;
+   *
+   * async function setup() {
+   *   createCanvas(400, 400);
+   *   design = await loadDST("flower.dst");
+   *   setDrawMode("realistic");
+   *   beginRecord(this);
+   *   drawEmbroidery(design, 10, 10);
+   *   endRecord();
+   *   exportEmbroidery("flower.pes");
+   * }
+   */
+  p5embroidery.loadDST = async function (source, options = {}) {
+    try {
+      const bytes = await loadEmbroideryBytes(source);
+      const dstReader = new DSTReader();
+      return dstReader.read(bytes, options);
+    } catch (error) {
+      console.error("🪡 p5.embroider says: Error loading DST:", error);
+      throw error;
+    }
+  };
+
+  /**
+   * Loads a Brother PES file as an embroidery design.
+   * Reads PES v1, v5 and v6 files as well as bare PEC files. Thread colors come from the
+   * PES thread list when the file has one, otherwise from the PEC palette.
+   * @method loadPES
+   * @for p5
+   * @param {string|ArrayBuffer|Uint8Array} source - File URL or contents
+   * @param {Object} [options={}] - Reader options
+   * @param {Array<Object>} [options.colors] - Thread colors {r, g, b} to use for each color block
+   * @returns {Promise<Object>} Design with threads, colorBlocks, width and height in mm
+   * @example
+   * let design;
+   *
+   * async function setup() {
+   *   createCanvas(400, 400);
+   *   design = await loadPES("rose.pes");
+   *   setDrawMode("realistic");
+   *   beginRecord(this);
+   *   drawEmbroidery(design, 10, 10);
+   *   endRecord();
+   * }
+   */
+  p5embroidery.loadPES = async function (source, options = {}) {
+    try {
+      const bytes = await loadEmbroideryBytes(source);
+      const pesReader = new PESReader();
+      return pesReader.read(bytes, options);
+    } catch (error) {
+      console.error("🪡 p5.embroider says: Error loading PES:", error);
+      throw error;
+    }
+  };
+
+  /**
+   * Loads a Janome JEF file as an embroidery design.
+   * Thread colors, names and catalog numbers come from the Janome palette.
+   * @method loadJEF
+   * @for p5
+   * @param {string|ArrayBuffer|Uint8Array} source - File URL or contents
+   * @param {Object} [options={}] - Reader options
+   * @param {Array<Object>} [options.colors] - Thread colors {r, g, b} to use for each color block
+   * @returns {Promise<Object>} Design with threads, colorBlocks, width and height in mm
+   * @example
+   * let design;
+   *
+   * async function setup() {
+   *   createCanvas(400, 400);
+   *   design = await loadJEF("leaf.jef");
+   *   setDrawMode("realistic");
+   *   beginRecord(this);
+   *   drawEmbroidery(design, 10, 10);
+   *   endRecord();
+   * }
+   */
+  p5embroidery.loadJEF = async function (source, options = {}) {
+    try {
+      const bytes = await loadEmbroideryBytes(source);
+      const jefReader = new JEFReader();
+      return jefReader.read(bytes, options);
+    } catch (error) {
+      console.error("🪡 p5.embroider says: Error loading JEF:", error);
+      throw error;
+    }
+  };
+
+  /**
+   * Records the vector shape behind a run, so writers can export the editable shape and its
+   * stitch parameters instead of the stitches.
+   * @private
+   * @param {string} type - "fill", "stroke" or "manual" (stitches without an editable shape)
+   * @param {number} threadIndex - Thread the shape is stitched with
+   * @param {Array<{x: number, y: number, command?: string}>} path - Outline or polyline in mm (stitches for "manual")
+   * @param {Object} [options={}] - Shape options
+   * @param {Array<Array<{x: number, y: number}>>} [options.holes=[]] - Holes of a fill in mm
+   * @param {boolean} [options.closed] - Whether the path is closed (defaults to true for fills)
+   * @param {string} [options.mode] - Fill or stroke mode (defaults to the current one)
+   * @param {Object} [options.settings] - Overrides for the current fill or stroke settings
+   */
+  function recordVectorShape(type, threadIndex, path, options = {}) {
+    if (!_stitchData.shapes || !path || path.length < 2) return;
+
+    const { holes = [], closed = type === "fill", mode, settings = {} } = options;
+    const toPoint = (p) => (p.command ? { x: p.x, y: p.y, command: p.command } : { x: p.x, y: p.y });
+    const shape = {
+      type,
+      threadIndex,
+      path: path.map(toPoint),
+      holes: holes.map((hole) => hole.map(toPoint)),
+      closed,
+    };
+
+    if (type === "fill") {
+      shape.mode = mode || _currentFillMode;
+      shape.settings = { ..._fillSettings, ...settings };
+      shape.underlay = getUnderlayLayers(shape.settings.underlay, [UNDERLAY.EDGE_WALK, UNDERLAY.TATAMI]);
+    } else if (type === "stroke") {
+      shape.mode = mode || _strokeSettings.strokeMode;
+      shape.settings = { ..._strokeSettings, ...settings };
+      shape.underlay =
+        shape.mode === STROKE_MODE.ZIGZAG
+          ? getUnderlayLayers(shape.settings.underlay, [UNDERLAY.CENTER_WALK, UNDERLAY.EDGE_WALK, UNDERLAY.ZIGZAG])
+          : [];
+    }
+
+    _stitchData.shapes.push(shape);
+  }
+
+  /**
+   * Finds the thread with the given color or creates a new one.
+   * @private
+   * @param {number} r - Red component (0-255)
+   * @param {number} g - Green component (0-255)
+   * @param {number} b - Blue component (0-255)
+   * @param {number} [weight] - Thread weight in mm for a new thread
+   * @returns {number} Thread index
+   */
+  function getThreadIndexForColor(r, g, b, weight) {
+    for (let i = 0; i < _stitchData.threads.length; i++) {
+      const threadColor = _stitchData.threads[i].color;
+      if (threadColor.r === r && threadColor.g === g && threadColor.b === b) {
+        return i;
+      }
+    }
+    _stitchData.threads.push(new Thread(r, g, b, weight));
+    return _stitchData.threads.length - 1;
+  }
+
+  /**
+   * Draws a loaded embroidery design into the current recording.
+   * Runs are added in the design's stitch order, keeping jumps, trims and color changes,
+   * and follow the current translate/rotate/scale transformation.
+   * @method drawEmbroidery
+   * @for p5
+   * @param {Object} design - Design returned by loadDST(), loadPES() or loadJEF()
+   * @param {number} [x=0] - X position of the design's top-left corner in mm
+   * @param {number} [y=0] - Y position of the design's top-left corner in mm
+   * @example
+   * async function setup() {
+   *   createCanvas(400, 400);
+   *   const design = await loadDST("logo.dst");
+   *   beginRecord(this);
+   *   drawEmbroidery(design, 20, 20);
+   *   circle(60, 60, 80); // Combine with generated stitches
+   *   endRecord();
+   * }
+   */
+  p5embroidery.drawEmbroidery = function (design, x = 0, y = 0) {
+    if (!_recording) {
+      console.warn("🪡 p5.embroider says: drawEmbroidery() must be called between beginRecord() and endRecord()");
+      return;
+    }
+    if (!design || !design.threads) {
+      console.warn("🪡 p5.embroider says: drawEmbroidery() expects a design from loadDST(), loadPES() or loadJEF()");
+      return;
+    }
+
+    for (const block of getColorBlocks(design)) {
+      const { r, g, b } = block.thread.color;
+      const threadIndex = getThreadIndexForColor(r, g, b, block.thread.weight);
+      const thread = _stitchData.threads[threadIndex];
+      for (const key of ["name", "brand", "catalogNumber"]) {
+        if (block.thread[key] && !thread[key]) thread[key] = block.thread[key];
+      }
+
+      for (const run of block.runs) {
+        const transformed = applyCurrentTransformToPoints(run.map((p) => ({ x: p.x + x, y: p.y + y })));
+        // Loaded designs bring their own lock stitches
+        const stitches = transformed.map((p, i) =>
+          run[i].command ? { ...p, command: run[i].command, locked: true } : { ...p, locked: true },
+        );
+
+        addRunToStitchData(_stitchData, threadIndex, stitches);
+        recordVectorShape("manual", threadIndex, stitches);
+
+        if ((_drawMode === "stitch" || _drawMode === "realistic") && stitches.length > 1) {
+          drawStitches(stitches, threadIndex);
+        }
+      }
+    }
+  };
+
+  /**
+   * Loads an SVG file as an embroidery design.
+   * Every path, circle, ellipse, rect, line, polyline and polygon becomes a part with its
+   * outlines in mm and its fill and stroke colors, taken from presentation attributes, style
+   * attributes and style elements. Embroidery settings can be given per element (or group) with
+   * data-fill-mode, data-stroke-mode, data-fill-angle (degrees), data-row-spacing and data-stitch-length.
+   * @method loadSVGEmbroidery
+   * @for p5
+   * @param {string|ArrayBuffer|Uint8Array} source - File URL, SVG markup or file contents
+   * @param {Object} [options={}] - Reader options
+   * @param {number} [options.dpi=96] - Pixels per inch for SVGs without a physical size
+   * @returns {Promise<Object>} Design with parts, width and height in mm
+   * @example
+   * let logo;
+   *
+   * async function setup() {
+   *   createCanvas(400, 400);
+   *   logo = await loadSVGEmbroidery("logo.svg");
+   *   beginRecord(this);
+   *   drawSVGEmbroidery(logo, 10, 10, 80);
+   *   endRecord();
+   * }
+   */
+  p5embroidery.loadSVGEmbroidery = async function (source, options = {}) {
+    try {
+      const isMarkup = typeof source === "string" && source.trim().startsWith("<");
+      const svgText = isMarkup ? source : new TextDecoder().decode(await loadEmbroideryBytes(source));
+      const svgReader = new SVGReader();
+      return svgReader.read(svgText, options);
+    } catch (error) {
+      console.error("🪡 p5.embroider says: Error loading SVG:", error);
+      throw error;
+    }
+  };
+
+  /**
+   * Draws an SVG design into the current recording.
+   * Each part is stitched with its own fill and stroke colors through the regular shape
+   * functions, so the current fill and stroke modes apply unless the SVG element sets its own.
+   * The current fill, stroke and mode settings are restored afterwards.
+   * @method drawSVGEmbroidery
+   * @for p5
+   * @param {Object} design - Design returned by loadSVGEmbroidery()
+   * @param {number} [x=0] - X position of the design's top-left corner in mm
+   * @param {number} [y=0] - Y position of the design's top-left corner in mm
+   * @param {number} [w] - Width in mm (keeps the aspect ratio when h is left out)
+   * @param {number} [h] - Height in mm
+   * @example
+   * async function setup() {
+   *   createCanvas(400, 400);
+   *   const svg = await loadSVGEmbroidery('<svg width="40mm" height="40mm" viewBox="0 0 40 40">' +
+   *     '<circle cx="20" cy="20" r="15" fill="red" stroke="black" data-fill-mode="spiral"/></svg>');
+   *   beginRecord(this);
+   *   drawSVGEmbroidery(svg, 20, 20);
+   *   endRecord();
+   * }
+   */
+  p5embroidery.drawSVGEmbroidery = function (design, x = 0, y = 0, w, h) {
+    if (!_recording) {
+      console.warn("🪡 p5.embroider says: drawSVGEmbroidery() must be called between beginRecord() and endRecord()");
+      return;
+    }
+    if (!design || !Array.isArray(design.parts)) {
+      console.warn("🪡 p5.embroider says: drawSVGEmbroidery() expects a design from loadSVGEmbroidery()");
+      return;
+    }
+
+    let scaleX = typeof w === "number" && design.width > 0 ? w / design.width : null;
+    let scaleY = typeof h === "number" && design.height > 0 ? h / design.height : null;
+    scaleX = scaleX ?? scaleY ?? 1;
+    scaleY = scaleY ?? scaleX;
+    const toDesign = (p) => ({ x: x + p.x * scaleX, y: y + p.y * scaleY });
+
+    // Go through the hooked p5.js functions so every part is recorded like a drawn shape
+    const call = (name, ...args) => _overrideTarget[name].apply(_p5Instance, args);
+    const drawPath = (points, holes, close) => {
+      call("beginShape");
+      for (const p of points.map(toDesign)) call("vertex", p.x, p.y);
+      for (const hole of holes) {
+        call("beginContour");
+        for (const p of hole.map(toDesign)) call("vertex", p.x, p.y);
+        call("endContour");
+      }
+      call("endShape", close ? _p5Instance.CLOSE : undefined);
+    };
+    const setStroke = (part) => {
+      call("stroke", part.stroke.r, part.stroke.g, part.stroke.b);
+      call("strokeWeight", part.strokeWeight * Math.sqrt(Math.abs(scaleX * scaleY)));
+      if (part.strokeMode) p5embroidery.setStrokeMode(part.strokeMode);
+    };
+
+    for (const part of design.parts) {
+      call("push");
+
+      // Closed outlines are filled and stroked together; open ones only get a stroke
+      const allClosed = part.subpaths.every((subpath) => subpath.closed);
+      if (part.fill && part.shapes.length > 0) {
+        call("fill", part.fill.r, part.fill.g, part.fill.b);
+        if (part.fillMode) p5embroidery.setFillMode(part.fillMode);
+        if (part.fillSettings) p5embroidery.setFillSettings(part.fillSettings);
+        if (part.stroke && allClosed) {
+          setStroke(part);
+        } else {
+          call("noStroke");
+        }
+        for (const shape of part.shapes) {
+          drawPath(shape.outer, shape.holes, true);
+        }
+      }
+
+      if (part.stroke && !(part.fill && part.shapes.length > 0 && allClosed)) {
+        call("noFill");
+        setStroke(part);
+        for (const subpath of part.subpaths) {
+          drawPath(subpath.points, [], subpath.closed);
+        }
+      }
+
+      call("pop");
+    }
+  };
+
+  /**
+   * Stitches a p5.Image into the current recording.
+   * In 'halftone' mode the image is sewn with the current fill thread and the stitch density
+   * follows the darkness of each pixel. In 'colors' mode the image is quantized to a few
+   * thread colors and each color area is filled with rows of running stitches.
+   * image() calls this with the default options while recording.
+   * @method imageStitch
+   * @for p5
+   * @param {p5.Image} img - Image to stitch
+   * @param {Number} x - X position of the image's top-left corner in mm
+   * @param {Number} y - Y position of the image's top-left corner in mm
+   * @param {Number} [w] - Width in mm (defaults to the image's pixel width in mm)
+   * @param {Number} [h] - Height in mm (defaults to the image's pixel height in mm)
+   * @param {Object} [options] - Image stitch options
+   * @param {String} [options.mode='halftone'] - 'halftone' or 'colors'
+   * @param {String} [options.style='zigzag'] - Halftone style: 'zigzag' (width follows darkness) or 'lines' (line count follows darkness)
+   * @param {Number|Array} [options.colors=4] - Number of thread colors, or a palette of [r, g, b] colors
+   * @param {Number} [options.rowSpacing] - Distance between rows in mm (2 for halftone, 0.4 for colors)
+   * @param {Number} [options.stitchLength] - Running stitch length in mm
+   * @param {Number} [options.angle=0] - Row angle in radians
+   * @param {Number} [options.threshold=0.1] - Darkness (0-1) below which the halftone leaves the fabric empty
+   * @example
+   * let img;
+   * function preload() {
+   *   img = loadImage("portrait.png");
+   * }
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   fill(0);
+   *   imageStitch(img, 10, 10, 60, 60); // Zigzag halftone in black
+   *   imageStitch(img, 80, 10, 60, 60, { mode: "colors", colors: 5 });
+   *   endRecord();
+   * }
+   */
+  p5embroidery.imageStitch = function (img, x, y, w, h, options = {}) {
+    if (!_recording) {
+      console.warn("🪡 p5.embroider says: imageStitch() must be called between beginRecord() and endRecord()");
+      return;
+    }
+    if (!img || !(img.width > 0) || !(img.height > 0)) {
+      console.warn("🪡 p5.embroider says: imageStitch() expects a loaded p5.Image");
+      return;
+    }
+
+    if (typeof w !== "number") w = pixelToMm(img.width);
+    if (typeof h !== "number") h = pixelToMm(img.height);
+
+    const runs = createImageStitches(img, x, y, w, h, options);
+    if (_DEBUG) console.log("imageStitch() created", runs.length, "runs");
+
+    for (const { color, stitches } of runs) {
+      const threadIndex = color ? getThreadIndexForColor(color.r, color.g, color.b) : _fillThreadIndex;
+      const transformed = applyCurrentTransformToPoints(stitches);
+      const points = transformed.map((p, i) => (stitches[i].command ? { ...p, command: stitches[i].command } : p));
+
+      addRunToStitchData(_stitchData, threadIndex, points);
+      recordVectorShape("manual", threadIndex, points);
+
+      if (_drawMode === "stitch" || _drawMode === "realistic") {
+        drawStitches(points, threadIndex);
+      }
+    }
+
+    if (_drawMode === "p5" && _originalImageFunc) {
+      _originalPushFunc.call(_p5Instance);
+      _p5Instance.imageMode(_p5Instance.CORNER);
+      _originalImageFunc.call(_p5Instance, img, mmToPixel(x), mmToPixel(y), mmToPixel(w), mmToPixel(h));
+      _originalPopFunc.call(_p5Instance);
+    }
+  };
+
+  /**
+   * Auto-digitizes a p5.Image into filled regions.
+   * The image is quantized to a few thread colors, each color area is traced into polygons
+   * with holes, and every region is filled with tatami stitches using the current fill
+   * settings. Each region's rows follow its long axis, and colors are sewn from the largest
+   * total area to the smallest so backgrounds go down first and details end on top.
+   * Works best with logos and clipart that have a few flat colors.
+   * @method autoDigitize
+   * @for p5
+   * @param {p5.Image} img - Image to digitize
+   * @param {Number} x - X position of the image's top-left corner in mm
+   * @param {Number} y - Y position of the image's top-left corner in mm
+   * @param {Number} [w] - Width in mm (defaults to the image's pixel width in mm)
+   * @param {Number} [h] - Height in mm (defaults to the image's pixel height in mm)
+   * @param {Object} [options] - Auto-digitize options
+   * @param {Number|Array} [options.colors=4] - Number of thread colors, or a palette of [r, g, b] colors
+   * @param {Array|Object} [options.background] - Color left unstitched, e.g. [255, 255, 255] for a white background
+   * @param {Number} [options.cellSize=0.5] - Tracing resolution in mm
+   * @param {Number} [options.minArea=4] - Regions smaller than this (mm²) are merged into their neighbors
+   * @param {Number} [options.angle] - Fixed fill angle in radians for every region
+   * @returns {Array<Object>} Digitized regions ({color, outline, holes, angle} in mm and radians)
+   * @example
+   * let logo;
+   * function preload() {
+   *   logo = loadImage("logo.png");
+   * }
+   * function setup() {
+   *   createCanvas(400, 400);
+   *   beginRecord(this);
+   *   setFillSettings({ rowSpacing: 0.4 });
+   *   autoDigitize(logo, 10, 10, 80, 80, { colors: 3, background: [255, 255, 255] });
+   *   endRecord();
+   * }
+   */
+  p5embroidery.autoDigitize = function (img, x, y, w, h, options = {}) {
+    if (!_recording) {
+      console.warn("🪡 p5.embroider says: autoDigitize() must be called between beginRecord() and endRecord()");
+      return [];
+    }
+    if (!img || !(img.width > 0) || !(img.height > 0)) {
+      console.warn("🪡 p5.embroider says: autoDigitize() expects a loaded p5.Image");
+      return [];
+    }
+
+    if (typeof w !== "number") w = pixelToMm(img.width);
+    if (typeof h !== "number") h = pixelToMm(img.height);
+    const { colors = 4, background = null, cellSize = 0.5, minArea = 4, angle } = options;
+
+    const columns = Math.max(1, Math.min(Math.round(Math.abs(w) / cellSize), img.width, MAX_DIGITIZE_CELLS));
+    const rows = Math.max(1, Math.min(Math.round(Math.abs(h) / cellSize), img.height, MAX_DIGITIZE_CELLS));
+    const cellW = w / columns;
+    const cellH = h / rows;
+
+    const quantized = quantizeImage(img, columns, rows, colors);
+    if (!quantized || quantized.palette.length === 0) {
+      console.warn("🪡 p5.embroider says: autoDigitize() could not read any opaque pixels from the image");
+      return [];
+    }
+    const { palette, labels } = quantized;
+    removeSmallRegions(labels, columns, rows, minArea / Math.abs(cellW * cellH));
+
+    // Leave the background color unstitched
+    const backgroundColor = background ? toRGB(background) : null;
+    const isBackground = (c) =>
+      backgroundColor && Math.hypot(c.r - backgroundColor.r, c.g - backgroundColor.g, c.b - backgroundColor.b) < 48;
+    const backgroundLabel = palette.findIndex(isBackground);
+
+    const toMm = (p) => ({ x: x + p.x * cellW, y: y + p.y * cellH });
+    const layers = [];
+    for (let label = 0; label < palette.length; label++) {
+      if (label === backgroundLabel) continue;
+
+      const regions = traceRegions(labels, columns, rows, label)
+        .map((region) => ({ ...region, area: region.area * Math.abs(cellW * cellH) }))
+        .filter((region) => region.area >= minArea && region.outline.length >= 3);
+      const area = regions.reduce((sum, region) => sum + region.area, 0);
+      if (regions.length > 0) layers.push({ color: palette[label], regions, area });
+    }
+    layers.sort((a, b) => b.area - a.area);
+
+    const digitized = [];
+    for (const layer of layers) {
+      const threadIndex = getThreadIndexForColor(layer.color.r, layer.color.g, layer.color.b);
+
+      for (const region of layer.regions) {
+        const outline = region.outline.map(toMm);
+        const holes = region.holes.map((hole) => hole.map(toMm));
+        const fillAngle = typeof angle === "number" ? angle : getPrincipalAngle(outline);
+        digitized.push({ color: layer.color, outline, holes, angle: fillAngle });
+
+        // Close the polygons the same way endShape(CLOSE) does
+        const transformedOutline = applyCurrentTransformToPoints([...outline, outline[0]]);
+        const transformedHoles = holes.map((hole) => applyCurrentTransformToPoints([...hole, hole[0]]));
+        const fillStitches = createTatamiFillWithContours(transformedOutline, transformedHoles, {
+          ..._fillSettings,
+          angle: fillAngle,
+        });
+
+        if (fillStitches && fillStitches.length > 0) {
+          addRunToStitchData(_stitchData, threadIndex, fillStitches);
+          recordVectorShape("fill", threadIndex, transformedOutline, {
+            holes: transformedHoles,
+            mode: FILL_MODE.TATAMI,
+            settings: { angle: fillAngle },
+          });
+
+          if (_drawMode === "stitch" || _drawMode === "realistic") {
+            drawStitches(fillStitches, threadIndex);
+          }
+        }
+      }
+    }
+
+    if (_DEBUG) console.log("autoDigitize() traced", digitized.length, "regions in", layers.length, "colors");
+
+    if (_drawMode === "p5" && _originalImageFunc) {
+      _originalPushFunc.call(_p5Instance);
+      _p5Instance.imageMode(_p5Instance.CORNER);
+      _originalImageFunc.call(_p5Instance, img, mmToPixel(x), mmToPixel(y), mmToPixel(w), mmToPixel(h));
+      _originalPopFunc.call(_p5Instance);
+    }
+
+    return digitized;
+  };
+
   /**
    * Inserts a thread trim command at the current position.
    * @method trimThread
@@ -5301,7 +6694,7 @@ function setDebugMode(enabled) {
       if (_DEBUG) console.log("Adding trim at position:", currentX, currentY);
 
       // Add a special point to indicate thread trim (in mm)
-      _stitchData.threads[threadIndex].runs.push([
+      addRunToStitchData(_stitchData, threadIndex, [
         {
           x: currentX,
           y: currentY,
@@ -5309,9 +6702,18 @@ function setDebugMode(enabled) {
         },
       ]);
 
+      // Let shape exports cut the thread after the last shape sewn with it
+      const shapes = _stitchData.shapes || [];
+      for (let i = shapes.length - 1; i >= 0; i--) {
+        if (shapes[i].threadIndex === threadIndex) {
+          shapes[i].trimAfter = true;
+          break;
+        }
+      }
+
       if (_drawMode === "stitch") {
         // draw a scissors emoji at the trim point
-        _p5Instance.push();
+        _originalPushFunc.call(_p5Instance);
         _originalFillFunc.call(_p5Instance, 0);
         let lineLength = 10;
         let endX = mmToPixel(currentX) + lineLength;
@@ -5321,15 +6723,15 @@ function setDebugMode(enabled) {
 
         _originalLineFunc.call(_p5Instance, mmToPixel(currentX), mmToPixel(currentY), endX, endY);
         // Place translucent white circle at the center of the scissors
-        _p5Instance.push();
+        _originalPushFunc.call(_p5Instance);
         _originalNoStrokeFunc.call(_p5Instance);
         _originalFillFunc.call(_p5Instance, 255, 255, 255, 150);
-        _p5Instance.ellipseMode(CENTER);
+        _p5Instance.ellipseMode(_p5Instance.CENTER);
         _originalEllipseFunc.call(_p5Instance, endX + 6, endY - 5, 20, 20);
-        _p5Instance.pop();
+        _originalPopFunc.call(_p5Instance);
         // Place scissors at end of line
-        _p5Instance.text("✂️", endX, endY);
-        _p5Instance.pop();
+        _originalTextFunc.call(_p5Instance, "✂️", endX, endY);
+        _originalPopFunc.call(_p5Instance);
       }
     }
   };
@@ -5353,7 +6755,7 @@ function setDebugMode(enabled) {
 
     if (_drawMode === "stitch") {
       // Draw stitch lines
-      _p5Instance.push();
+      _originalPushFunc.call(_p5Instance);
 
       for (let i = 1; i < stitches.length; i++) {
         let currentX = mmToPixel(stitches[i].x);
@@ -5384,10 +6786,10 @@ function setDebugMode(enabled) {
         prevX = currentX;
         prevY = currentY;
       }
-      _p5Instance.pop();
+      _originalPopFunc.call(_p5Instance);
     } else if (_drawMode === "realistic") {
-      _p5Instance.push();
-      _p5Instance.strokeCap(ROUND);
+      _originalPushFunc.call(_p5Instance);
+      _p5Instance.strokeCap(_p5Instance.ROUND);
 
       // Draw background dots for thread ends
 
@@ -5432,11 +6834,11 @@ function setDebugMode(enabled) {
         prevX = currentX;
         prevY = currentY;
       }
-      _p5Instance.strokeCap(SQUARE);
-      _p5Instance.pop();
+      _p5Instance.strokeCap(_p5Instance.SQUARE);
+      _originalPopFunc.call(_p5Instance);
     } else if (_drawMode === "p5") {
-      _p5Instance.push();
-      _p5Instance.strokeCap(ROUND);
+      _originalPushFunc.call(_p5Instance);
+      _p5Instance.strokeCap(_p5Instance.ROUND);
 
       // Draw background dots for thread ends
 
@@ -5458,8 +6860,8 @@ function setDebugMode(enabled) {
         prevX = currentX;
         prevY = currentY;
       }
-      _p5Instance.strokeCap(SQUARE);
-      _p5Instance.pop();
+      _p5Instance.strokeCap(_p5Instance.SQUARE);
+      _originalPopFunc.call(_p5Instance);
     }
 
     // Return the last stitch position for chaining
@@ -5471,7 +6873,64 @@ function setDebugMode(enabled) {
       : { x: startX, y: startY };
   }
 
-  function getPathBounds(points) {
+  /**
+   * Returns a function that gives the tatami row spacing at a point of the shape.
+   * Without a gradient every row uses settings.rowSpacing. A gradient object blends from its start
+   * spacing to its end spacing across the shape bounds in the direction of its angle; a gradient
+   * callback is called with the point and returns the spacing there.
+   * @private
+   * @param {Object} settings - Fill settings (rowSpacing, gradient)
+   * @param {{x: number, y: number, w: number, h: number}} bounds - Bounds of the shape in mm
+   * @returns {function({x: number, y: number}): number} Row spacing in mm at a point
+   */
+  function getRowSpacingFunction(settings, bounds) {
+    const spacing = settings.rowSpacing || 0.8;
+    const gradient = settings.gradient;
+    const clamp = (value) => (Number.isFinite(value) ? Math.max(MIN_ROW_SPACING, value) : spacing);
+
+    if (typeof gradient === "function") {
+      return (point) => clamp(gradient(point.x, point.y));
+    }
+
+    if (!gradient || typeof gradient !== "object") {
+      return () => clamp(spacing);
+    }
+
+    const start = gradient.start !== undefined ? gradient.start : spacing;
+    const end = gradient.end !== undefined ? gradient.end : spacing;
+    const angle = gradient.angle || 0;
+    const project = (point) => point.x * Math.cos(angle) + point.y * Math.sin(angle);
+    const corners = [
+      { x: bounds.x, y: bounds.y },
+      { x: bounds.x + bounds.w, y: bounds.y },
+      { x: bounds.x, y: bounds.y + bounds.h },
+      { x: bounds.x + bounds.w, y: bounds.y + bounds.h },
+    ].map(project);
+    const min = Math.min(...corners);
+    const range = Math.max(...corners) - min || 1;
+
+    return (point) => {
+      const t = Math.min(1, Math.max(0, (project(point) - min) / range));
+      return clamp(start + (end - start) * t);
+    };
+  }
+
+  /**
+   * Returns the middle of the stitched part of a scan line, where its row spacing is sampled.
+   * @private
+   * @param {Array<{start: Object, end: Object}>} segments - Valid segments of the scan line
+   * @param {{x: number, y: number}} fallback - Point used when the scan line misses the shape
+   * @returns {{x: number, y: number}} Sample point in mm
+   */
+  function getRowMidpoint(segments, fallback) {
+    if (segments.length === 0) return fallback;
+
+    const first = segments[0].start;
+    const last = segments[segments.length - 1].end;
+    return { x: (first.x + last.x) / 2, y: (first.y + last.y) / 2 };
+  }
+
+  function getPathBounds(points) {
     const xs = points.map((p) => p.x);
     const ys = points.map((p) => p.y);
     const minX = Math.min(...xs);
@@ -5487,14 +6946,45 @@ function setDebugMode(enabled) {
     };
   }
 
+  /**
+   * Creates the fill stitches of a shape in the given fill mode.
+   * Every shape function fills through here, so they all support the same fill modes.
+   * @private
+   * @param {string} mode - Fill mode (a FILL_MODE value); unknown modes fall back to tatami
+   * @param {Array<{x: number, y: number}>} outline - Closed outline in mm
+   * @param {Array<Array<{x: number, y: number}>>} holes - Hole paths in mm
+   * @param {Object} settings - Fill settings
+   * @returns {Array<{x: number, y: number, command?: string}>} Array of stitch points in mm
+   */
+  function createFillForMode(mode, outline, holes, settings) {
+    switch (mode) {
+      case FILL_MODE.SATIN:
+        return createSatinFillFromPath(outline, settings, holes);
+      case FILL_MODE.SPIRAL:
+        return createSpiralFillFromPath(outline, settings, holes);
+      case FILL_MODE.CONTOUR:
+        return createContourFillFromPath(outline, settings, holes);
+      case FILL_MODE.GUIDED:
+        return createGuidedFillFromPath(outline, settings, holes);
+      case FILL_MODE.MOTIF:
+        return createMotifFillFromPath(outline, settings, holes);
+      case FILL_MODE.CROSS:
+        return createCrossFillFromPath(outline, settings, holes);
+      default:
+        return holes.length > 0
+          ? createTatamiFillWithContours(outline, holes, settings)
+          : createTatamiFillFromPath(outline, settings);
+    }
+  }
+
   function createTatamiFillFromPath(pathPoints, settings) {
     // Default settings
     const angle = settings.angle || 0;
-    const spacing = settings.rowSpacing || 0.8;
     const stitchLength = settings.stitchLength || 3;
 
     // Calculate bounds of the polygon
     const bounds = getPathBounds(pathPoints);
+    const getSpacing = getRowSpacingFunction(settings, bounds);
 
     // Calculate the center of the path
     const centerX = bounds.x + bounds.w / 2;
@@ -5507,8 +6997,8 @@ function setDebugMode(enabled) {
     const scanLineSegments = [];
     let forward = true;
 
-    // Generate scan lines at the specified angle
-    for (let d = -diagonal / 2; d <= diagonal / 2; d += spacing) {
+    // Generate scan lines at the specified angle, spaced by the row spacing where each row falls
+    for (let d = -diagonal / 2; d <= diagonal / 2; ) {
       // Calculate start and end points for the scan line
       const startX = centerX - (diagonal / 2) * Math.cos(angle) - d * Math.sin(angle);
       const startY = centerY - (diagonal / 2) * Math.sin(angle) + d * Math.cos(angle);
@@ -5535,9 +7025,10 @@ function setDebugMode(enabled) {
 
       // Store segments with their scan line info
       for (const segment of validSegments) {
+        const { start, end } = compensateSegment(segment.start, segment.end, settings);
         scanLineSegments.push({
-          start: segment.start,
-          end: segment.end,
+          start,
+          end,
           scanLineIndex: scanLineSegments.length,
           forward: forward,
         });
@@ -5545,12 +7036,13 @@ function setDebugMode(enabled) {
 
       // Alternate direction for next row
       forward = !forward;
+      d += getSpacing(getRowMidpoint(validSegments, { x: (startX + endX) / 2, y: (startY + endY) / 2 }));
     }
 
     // Second pass: group segments by proximity and create optimized stitch paths
     const stitches = createOptimizedStitchPaths(scanLineSegments, settings);
 
-    return stitches;
+    return addUnderlay(createFillUnderlay(pathPoints, [], settings, angle), stitches);
   }
 
   // Function to create optimized stitch paths by grouping nearby segments
@@ -5559,7 +7051,7 @@ function setDebugMode(enabled) {
 
     const stitches = [];
     const used = new Array(segments.length).fill(false);
-    const jumpThreshold = 10; // mm - threshold for inserting trim commands
+    const jumpThreshold = _embroiderySettings.jumpThreshold; // mm - threshold for inserting trim commands
 
     // Process segments in groups to minimize jumps
     for (let i = 0; i < segments.length; i++) {
@@ -5604,9 +7096,8 @@ function setDebugMode(enabled) {
             ),
           );
 
-          // If segments are close (within 2 scan line spacings), add to region
-          if (minDist < 20) {
-            // Adjust this threshold as needed
+          // If segments are close (within twice the jump threshold), add to region
+          if (minDist < jumpThreshold * 2) {
             stack.push(j);
           }
         }
@@ -5866,9 +7357,10 @@ function setDebugMode(enabled) {
    * @private
    * @param {Array<{x: number, y: number}>} pathPoints - Array of path points in mm
    * @param {Object} settings - Fill settings
+   * @param {Array<Array<{x: number, y: number}>>} [contours=[]] - Hole paths in mm
    * @returns {Array<{x: number, y: number}>} Array of stitch points in mm
    */
-  function createSatinFillFromPath(pathPoints, settings) {
+  function createSatinFillFromPath(pathPoints, settings, contours = []) {
     if (!pathPoints || pathPoints.length < 3) {
       if (_DEBUG) console.log("createSatinFillFromPath: insufficient pathPoints", pathPoints?.length);
       return [];
@@ -5876,7 +7368,7 @@ function setDebugMode(enabled) {
 
     // Satin fill uses perpendicular stitches (like columns)
     // Stitches run perpendicular to the specified angle
-    const angle = (settings.angle || 0) * (Math.PI / 180); // Convert to radians
+    const angle = settings.angle || 0; // Radians, like the other fill modes
     const threadWidth = settings.stitchWidth || 0.2;
     const spacing = threadWidth * 0.8; // Slight overlap for complete coverage
     const maxStitchLength = settings.stitchLength || 10;
@@ -5895,11 +7387,10 @@ function setDebugMode(enabled) {
     const perpAngle = angle + Math.PI / 2;
 
     const stitches = [];
-    let forward = true; // Track direction for alternating
 
     if (_DEBUG) {
       console.log("Satin fill params:", {
-        angle: settings.angle,
+        angle: angle * (180 / Math.PI),
         perpAngle: perpAngle * (180 / Math.PI),
         spacing,
         threadWidth,
@@ -5907,8 +7398,8 @@ function setDebugMode(enabled) {
       });
     }
 
-    // Collect all scan line segments first
-    const allSegments = [];
+    // Collect the valid segments of every scan line first
+    const rows = [];
 
     // Generate scan lines perpendicular to the fill angle
     for (let d = -diagonal / 2; d <= diagonal / 2; d += spacing) {
@@ -5917,9 +7408,14 @@ function setDebugMode(enabled) {
       const startY = centerY - (diagonal / 2) * Math.sin(perpAngle) + d * Math.cos(perpAngle);
       const endX = centerX + (diagonal / 2) * Math.cos(perpAngle) - d * Math.sin(perpAngle);
       const endY = centerY + (diagonal / 2) * Math.sin(perpAngle) + d * Math.cos(perpAngle);
+      const scanLine = { x: startX, y: startY };
+      const scanLineEnd = { x: endX, y: endY };
 
-      // Find intersections with the polygon
-      const intersections = segmentIntersectPolygon({ x: startX, y: startY }, { x: endX, y: endY }, pathPoints);
+      // Find intersections with the outline and the holes
+      let intersections = segmentIntersectPolygon(scanLine, scanLineEnd, pathPoints);
+      for (const contour of contours) {
+        intersections = intersections.concat(segmentIntersectPolygon(scanLine, scanLineEnd, contour));
+      }
 
       // Sort intersections by distance from start
       intersections.sort((a, b) => {
@@ -5928,49 +7424,38 @@ function setDebugMode(enabled) {
         return distA - distB;
       });
 
-      // Find valid segments for this scan line
-      const validSegments = findValidSegments(
-        intersections,
-        pathPoints,
-        { x: startX, y: startY },
-        { x: endX, y: endY },
-      );
-
-      // Store segments with direction info
-      if (validSegments.length > 0) {
-        allSegments.push({
-          segments: validSegments,
-          forward: forward,
-        });
-        forward = !forward; // Alternate direction for next line
-      }
+      // Find valid segments for this scan line (inside the outline, outside the holes)
+      rows.push(findValidSegmentsWithContours(intersections, pathPoints, contours, scanLine, scanLineEnd));
     }
 
-    // Now create stitches, alternating direction
-    for (const lineData of allSegments) {
-      const segments = lineData.segments;
-      const isForward = lineData.forward;
+    // Sew each column on its own so stitches never bridge a hole or a gap in the outline
+    const columns = groupSatinColumns(rows, perpAngle);
 
-      // Process segments in order (or reverse order)
-      const segmentsToProcess = isForward ? segments : segments.slice().reverse();
+    for (const column of columns) {
+      let columnStart = true;
 
-      for (const segment of segmentsToProcess) {
+      column.forEach((segment, index) => {
         let segStart = segment.start;
         let segEnd = segment.end;
 
-        // If going backward, swap start and end
-        if (!isForward) {
+        // Alternate direction on every row of the column
+        if (index % 2 === 1) {
           [segStart, segEnd] = [segEnd, segStart];
         }
 
+        // Extend both needle points outward to counter thread pull
+        ({ start: segStart, end: segEnd } = compensateSegment(segStart, segEnd, settings));
+
         // Calculate segment length
         const segLength = Math.sqrt(Math.pow(segEnd.x - segStart.x, 2) + Math.pow(segEnd.y - segStart.y, 2));
 
         // If segment is very short, skip it
         if (segLength < minStitchLength) {
-          continue;
+          return;
         }
 
+        const segmentStitches = [];
+
         // If segment is longer than max stitch length, subdivide it
         if (segLength > maxStitchLength) {
           const numSubStitches = Math.ceil(segLength / maxStitchLength);
@@ -5979,24 +7464,75 @@ function setDebugMode(enabled) {
 
           // Add subdivided stitches
           for (let i = 0; i <= numSubStitches; i++) {
-            stitches.push({
+            segmentStitches.push({
               x: segStart.x + dx * i,
               y: segStart.y + dy * i,
             });
           }
         } else {
           // Add the segment as a single stitch
-          stitches.push(segStart);
-          stitches.push(segEnd);
+          segmentStitches.push(segStart);
+          segmentStitches.push(segEnd);
         }
-      }
+
+        // Jump to the start of each column after the first one
+        if (columnStart && stitches.length > 0) {
+          segmentStitches[0] = { ...segmentStitches[0], command: "jump" };
+        }
+        columnStart = false;
+        stitches.push(...segmentStitches);
+      });
     }
 
     if (_DEBUG) {
       console.log("Satin fill generated:", stitches.length, "stitch points (alternating direction)");
     }
 
-    return stitches;
+    return addUnderlay(createFillUnderlay(pathPoints, contours, settings, perpAngle), stitches);
+  }
+
+  /**
+   * Groups the scan line segments of a satin fill into columns.
+   * A segment continues a column when it is the only segment overlapping the column's segment
+   * on the previous scan line and vice versa; holes and concave parts split and merge columns.
+   * @private
+   * @param {Array<Array<{start: Object, end: Object}>>} rows - Valid segments of each scan line, in order
+   * @param {number} angle - Scan line angle in radians
+   * @returns {Array<Array<{start: Object, end: Object}>>} Columns of segments, one per scan line
+   */
+  function groupSatinColumns(rows, angle) {
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+    const project = (point) => point.x * dirX + point.y * dirY;
+    const overlaps = (a, b) =>
+      Math.max(project(a.start), project(a.end)) >= Math.min(project(b.start), project(b.end)) &&
+      Math.max(project(b.start), project(b.end)) >= Math.min(project(a.start), project(a.end));
+
+    const columns = [];
+    let open = []; // Columns with a segment on the previous scan line
+
+    for (const row of rows) {
+      const nextOpen = [];
+
+      for (const segment of row) {
+        const matches = open.filter((entry) => overlaps(entry.segment, segment));
+        let column = null;
+
+        if (matches.length === 1 && row.filter((other) => overlaps(matches[0].segment, other)).length === 1) {
+          column = matches[0].column;
+        } else {
+          column = [];
+          columns.push(column);
+        }
+
+        column.push(segment);
+        nextOpen.push({ column, segment });
+      }
+
+      open = nextOpen;
+    }
+
+    return columns;
   }
 
   /**
@@ -6004,9 +7540,10 @@ function setDebugMode(enabled) {
    * @private
    * @param {Array<{x: number, y: number}>} pathPoints - Array of path points in mm
    * @param {Object} settings - Fill settings
+   * @param {Array<Array<{x: number, y: number}>>} [contours=[]] - Hole paths in mm
    * @returns {Array<{x: number, y: number}>} Array of stitch points in mm
    */
-  function createSpiralFillFromPath(pathPoints, settings) {
+  function createSpiralFillFromPath(pathPoints, settings, contours = []) {
     if (!pathPoints || pathPoints.length < 3) {
       if (_DEBUG) console.log("createSpiralFillFromPath: insufficient pathPoints", pathPoints?.length);
       return [];
@@ -6037,9 +7574,12 @@ function setDebugMode(enabled) {
       const x = centerX + Math.cos(currentAngle) * currentRadius;
       const y = centerY + Math.sin(currentAngle) * currentRadius;
 
-      // Check if point is inside the polygon
-      if (pointInPolygon({ x, y }, pathPoints)) {
-        if (lastPoint) {
+      // Check if point is inside the polygon and outside the holes
+      if (pointInPolygon({ x, y }, pathPoints) && !contours.some((contour) => pointInPolygon({ x, y }, contour))) {
+        if (lastPoint && crossesContours(lastPoint, { x, y }, contours)) {
+          // Jump over the hole instead of stitching across it
+          stitches.push({ x, y, command: "jump" });
+        } else if (lastPoint) {
           // Add stitches along the path from last point to current point
           const segmentStitches = straightLineStitch(lastPoint.x, lastPoint.y, x, y, {
             stitchLength: stitchLength,
@@ -6070,7 +7610,713 @@ function setDebugMode(enabled) {
       console.log("Spiral fill generated stitches:", stitches.length);
     }
 
-    return stitches;
+    return addUnderlay(createFillUnderlay(pathPoints, contours, settings, settings.angle || 0), stitches);
+  }
+
+  /**
+   * Creates contour (echo) fill stitches from a path.
+   * The shape is filled with inset rings that follow its outline, rowSpacing apart. Each ring
+   * starts at the point nearest to where the previous ring ended, so all rings are sewn as one
+   * continuous run. Stitches inside holes are left out and the needle jumps over them.
+   * @private
+   * @param {Array<{x: number, y: number}>} pathPoints - Array of path points in mm
+   * @param {Object} settings - Fill settings (settings.contourStart selects the first ring)
+   * @param {Array<Array<{x: number, y: number}>>} [contours=[]] - Hole paths in mm
+   * @returns {Array<{x: number, y: number, command?: string}>} Array of stitch points in mm
+   */
+  function createContourFillFromPath(pathPoints, settings, contours = []) {
+    if (!pathPoints || pathPoints.length < 3) {
+      if (_DEBUG) console.log("createContourFillFromPath: insufficient pathPoints", pathPoints?.length);
+      return [];
+    }
+
+    const spacing = Math.max(0.1, settings.rowSpacing || 0.8);
+    const stitchSettings = {
+      stitchLength: settings.stitchLength || 3,
+      minStitchLength: settings.minStitchLength || 0.5,
+      resampleNoise: settings.resampleNoise || 0,
+    };
+
+    // Collect inset rings until the shape collapses; the first ring sits half a row inside the outline
+    const rings = [];
+    let lastArea = Infinity;
+    for (let inset = spacing / 2; rings.length < 1000; inset += spacing) {
+      const ring = insetPolygon(pathPoints, inset);
+      if (!ring) break;
+
+      // Offsetting past a narrow part can turn a ring inside out instead of shrinking it
+      const area = Math.abs(calculateSignedArea(ring));
+      if (area >= lastArea) break;
+      lastArea = area;
+
+      rings.push(ring.slice(0, -1));
+    }
+
+    if (settings.contourStart === "inner") {
+      rings.reverse();
+    }
+
+    // Holes are grown by half a row so the rings stop short of their edges
+    const holes = contours.map((contour) => insetPolygon(contour, -spacing / 2)).filter(Boolean);
+    const stitches = [];
+    let skipped = false;
+
+    for (const ring of rings) {
+      // Rotate the ring to start where the previous one ended
+      let startIndex = 0;
+      if (stitches.length > 0) {
+        const last = stitches[stitches.length - 1];
+        let bestDistance = Infinity;
+        ring.forEach((point, index) => {
+          const distance = (point.x - last.x) * (point.x - last.x) + (point.y - last.y) * (point.y - last.y);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            startIndex = index;
+          }
+        });
+      }
+      const rotated = ring.slice(startIndex).concat(ring.slice(0, startIndex + 1));
+
+      for (const point of convertPathToStitches(rotated, stitchSettings)) {
+        if (holes.some((hole) => pointInPolygon(point, hole))) {
+          skipped = true;
+          continue;
+        }
+
+        const previous = stitches[stitches.length - 1];
+        if (previous && (skipped || crossesContours(previous, point, contours))) {
+          stitches.push({ x: point.x, y: point.y, command: "jump" });
+        } else {
+          stitches.push({ x: point.x, y: point.y });
+        }
+        skipped = false;
+      }
+    }
+
+    if (_DEBUG) {
+      console.log("Contour fill generated:", rings.length, "rings,", stitches.length, "stitches");
+    }
+
+    return addUnderlay(createFillUnderlay(pathPoints, contours, settings, settings.angle || 0), stitches);
+  }
+
+  /**
+   * Creates guided fill stitches from a path.
+   * Rows follow the guide polylines in settings.guide instead of a straight angle: with one guide
+   * every row is a shifted copy of it, with several guides the rows blend from one guide to the
+   * next. Rows are rowSpacing apart, alternate direction and stop at holes like tatami rows.
+   * Falls back to tatami when no guide is set.
+   * @private
+   * @param {Array<{x: number, y: number}>} pathPoints - Array of path points in mm
+   * @param {Object} settings - Fill settings (settings.guide holds the guide polylines)
+   * @param {Array<Array<{x: number, y: number}>>} [contours=[]] - Hole paths in mm
+   * @returns {Array<{x: number, y: number, command?: string}>} Array of stitch points in mm
+   */
+  function createGuidedFillFromPath(pathPoints, settings, contours = []) {
+    if (!pathPoints || pathPoints.length < 3) {
+      if (_DEBUG) console.log("createGuidedFillFromPath: insufficient pathPoints", pathPoints?.length);
+      return [];
+    }
+
+    const guides = getGuideLines(settings.guide);
+    if (guides.length === 0) {
+      console.warn("🪡 p5.embroider says: Guided fill needs setFillSettings({ guide: [...] }), using tatami");
+      return createTatamiFillWithContours(pathPoints, contours, settings);
+    }
+
+    const spacing = Math.max(0.1, settings.rowSpacing || 0.8);
+    const stitchSettings = {
+      stitchLength: settings.stitchLength || 3,
+      minStitchLength: settings.minStitchLength || 0.5,
+    };
+
+    // Clip every row to the shape, alternating the direction from row to row
+    const rows = createGuidedRows(guides, getPathBounds(pathPoints), spacing);
+    const pieces = [];
+    rows.forEach((row, index) => {
+      for (const piece of clipPolylineToShape(row, pathPoints, contours)) {
+        if (getPathLength(piece) < stitchSettings.minStitchLength) continue;
+        pieces.push(index % 2 === 0 ? piece : piece.slice().reverse());
+      }
+    });
+
+    // Sew the nearest piece next so neighbouring rows follow each other
+    const stitches = [];
+    for (const piece of orderPiecesByDistance(pieces)) {
+      const path = compensatePolyline(piece, settings);
+
+      // Rows are dense polylines, so place the stitches evenly along the whole row
+      const count = Math.max(2, Math.ceil(getPathLength(path) / stitchSettings.stitchLength) + 1);
+      const pieceStitches = resamplePolyline(path, count);
+
+      if (stitches.length > 0) {
+        const last = stitches[stitches.length - 1];
+        const first = pieceStitches[0];
+        if (Math.hypot(first.x - last.x, first.y - last.y) > _embroiderySettings.jumpThreshold) {
+          stitches.push({ x: last.x, y: last.y, command: "trim" });
+          pieceStitches[0] = { ...first, command: "jump" };
+        } else if (crossesContours(last, first, contours)) {
+          pieceStitches[0] = { ...first, command: "jump" };
+        }
+      }
+      stitches.push(...pieceStitches);
+    }
+
+    if (_DEBUG) {
+      console.log("Guided fill generated:", rows.length, "rows,", stitches.length, "stitches");
+    }
+
+    const first = guides[0];
+    const guideAngle = Math.atan2(first[first.length - 1].y - first[0].y, first[first.length - 1].x - first[0].x);
+    return addUnderlay(createFillUnderlay(pathPoints, contours, settings, guideAngle), stitches);
+  }
+
+  /**
+   * Creates cross-stitch fill stitches from a path.
+   * The shape is rasterized onto a fabric grid of settings.crossSize mm cells anchored at the design
+   * origin, and every cell whose center is inside the shape gets an X. Each row of cells is sewn
+   * out with the first legs and back with the top legs, travelling along the cell edges; rows are
+   * sewn nearest-first. With settings.crossHalfStitches, edge cells that are half covered get a
+   * single diagonal along the edge.
+   * @private
+   * @param {Array<{x: number, y: number}>} pathPoints - Array of path points in mm
+   * @param {Object} settings - Fill settings (crossSize, crossHalfStitches)
+   * @param {Array<Array<{x: number, y: number}>>} [contours=[]] - Hole paths in mm
+   * @returns {Array<{x: number, y: number, command?: string}>} Array of stitch points in mm
+   */
+  function createCrossFillFromPath(pathPoints, settings, contours = []) {
+    if (!pathPoints || pathPoints.length < 3) {
+      if (_DEBUG) console.log("createCrossFillFromPath: insufficient pathPoints", pathPoints?.length);
+      return [];
+    }
+
+    const size = Math.max(0.5, settings.crossSize || 2.5);
+    const inside = (point) =>
+      pointInPolygon(point, pathPoints) && !contours.some((contour) => pointInPolygon(point, contour));
+    // Travel between crosses is only sewn where it stays inside the shape and clear of the holes
+    const staysOnFabric = (start, end) =>
+      !crossesContours(start, end, contours) &&
+      [0.25, 0.5, 0.75].every((t) =>
+        inside({ x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t }),
+      );
+    const bounds = getPathBounds(pathPoints);
+    const iMin = Math.floor(bounds.x / size);
+    const iMax = Math.ceil((bounds.x + bounds.w) / size);
+    const jMin = Math.floor(bounds.y / size);
+    const jMax = Math.ceil((bounds.y + bounds.h) / size);
+
+    // Each item is a list of needle points that can be sewn forwards or from its other end
+    const items = [];
+    for (let j = jMin; j < jMax; j++) {
+      const y0 = j * size;
+      const y1 = y0 + size;
+      let row = [];
+
+      for (let i = iMin; i <= iMax; i++) {
+        const x0 = i * size;
+        const x1 = x0 + size;
+
+        if (i < iMax && inside({ x: x0 + size / 2, y: y0 + size / 2 })) {
+          row.push({ x0, x1 });
+          continue;
+        }
+
+        if (row.length > 0) {
+          items.push(createCrossRow(row, y0, y1));
+          row = [];
+        }
+
+        // Half stitch along the edge when one triangle of the cell is inside the shape
+        if (settings.crossHalfStitches && i < iMax) {
+          const third = size / 3;
+          if (inside({ x: x0 + third, y: y1 - third }) || inside({ x: x1 - third, y: y0 + third })) {
+            items.push({
+              forward: [
+                { x: x0, y: y0 },
+                { x: x1, y: y1 },
+              ],
+            });
+          } else if (inside({ x: x0 + third, y: y0 + third }) || inside({ x: x1 - third, y: y1 - third })) {
+            items.push({
+              forward: [
+                { x: x1, y: y0 },
+                { x: x0, y: y1 },
+              ],
+            });
+          }
+        }
+      }
+    }
+
+    // Sew the nearest item next, starting at the bottom left so each row ends where the one above starts
+    const stitches = [];
+    const remaining = items.slice();
+    let position = { x: bounds.x, y: bounds.y + bounds.h };
+    while (remaining.length > 0) {
+      let bestIndex = 0;
+      let bestPath = null;
+      let bestDistance = Infinity;
+      remaining.forEach((item, index) => {
+        for (const path of [item.forward, item.backward || item.forward.slice().reverse()]) {
+          const distance = Math.hypot(path[0].x - position.x, path[0].y - position.y);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            bestIndex = index;
+            bestPath = path;
+          }
+        }
+      });
+      remaining.splice(bestIndex, 1);
+
+      const path = bestPath.map((point) => ({ x: point.x, y: point.y }));
+      if (stitches.length > 0) {
+        if (bestDistance > _embroiderySettings.jumpThreshold) {
+          stitches.push({ x: position.x, y: position.y, command: "trim" });
+          path[0].command = "jump";
+        } else if (bestDistance > size * 1.5 || !staysOnFabric(position, path[0])) {
+          path[0].command = "jump";
+        } else if (bestDistance === 0) {
+          path.shift();
+        }
+      }
+      stitches.push(...path);
+      position = bestPath[bestPath.length - 1];
+    }
+
+    if (_DEBUG) {
+      console.log("Cross fill generated:", items.length, "rows and half stitches,", stitches.length, "stitches");
+    }
+
+    return addUnderlay(createFillUnderlay(pathPoints, contours, settings, 0), stitches);
+  }
+
+  /**
+   * Creates the needle points of one row of full crosses.
+   * The forward path sews the "/" legs left to right and the "\\" top legs back; the backward path
+   * does the same from the right. Both travel along the vertical cell edges between legs.
+   * @private
+   * @param {Array<{x0: number, x1: number}>} cells - Contiguous cells of the row, left to right
+   * @param {number} y0 - Top of the row in mm
+   * @param {number} y1 - Bottom of the row in mm
+   * @returns {{forward: Array, backward: Array}} Row item for the cross fill
+   */
+  function createCrossRow(cells, y0, y1) {
+    const forward = [];
+    for (const cell of cells) {
+      forward.push({ x: cell.x0, y: y1 }, { x: cell.x1, y: y0 });
+    }
+    for (let k = cells.length - 1; k >= 0; k--) {
+      forward.push({ x: cells[k].x1, y: y1 }, { x: cells[k].x0, y: y0 });
+    }
+
+    const backward = [];
+    for (let k = cells.length - 1; k >= 0; k--) {
+      backward.push({ x: cells[k].x1, y: y0 }, { x: cells[k].x0, y: y1 });
+    }
+    for (const cell of cells) {
+      backward.push({ x: cell.x0, y: y0 }, { x: cell.x1, y: y1 });
+    }
+
+    return { forward, backward };
+  }
+
+  /**
+   * Creates motif fill stitches from a path.
+   * A small motif (settings.motif) is repeated on a grid across the shape. The grid is anchored at
+   * settings.motifOffset in design coordinates, so neighbouring shapes line up, and turned by
+   * settings.motifAngle. Motif lines are clipped to the shape and its holes, then sewn nearest-first;
+   * the needle jumps between lines that do not touch and trims across long gaps.
+   * @private
+   * @param {Array<{x: number, y: number}>} pathPoints - Array of path points in mm
+   * @param {Object} settings - Fill settings (motif, motifSpacing, motifAngle, motifOffset)
+   * @param {Array<Array<{x: number, y: number}>>} [contours=[]] - Hole paths in mm
+   * @returns {Array<{x: number, y: number, command?: string}>} Array of stitch points in mm
+   */
+  function createMotifFillFromPath(pathPoints, settings, contours = []) {
+    if (!pathPoints || pathPoints.length < 3) {
+      if (_DEBUG) console.log("createMotifFillFromPath: insufficient pathPoints", pathPoints?.length);
+      return [];
+    }
+
+    const motif = getMotifLines(settings.motif);
+    if (motif.length === 0) {
+      console.warn("🪡 p5.embroider says: Motif fill needs setFillSettings({ motif: ... }), using tatami");
+      return createTatamiFillWithContours(pathPoints, contours, settings);
+    }
+
+    // The grid cell defaults to the motif's own size
+    const motifBounds = getPathBounds(motif.flat());
+    const spacing = settings.motifSpacing;
+    const spacingX = Math.max(0.5, (typeof spacing === "number" ? spacing : spacing?.x) || motifBounds.w);
+    const spacingY = Math.max(0.5, (typeof spacing === "number" ? spacing : spacing?.y) || motifBounds.h);
+    const offset = settings.motifOffset || { x: 0, y: 0 };
+    const angle = settings.motifAngle || 0;
+    const u = { x: Math.cos(angle), y: Math.sin(angle) };
+    const v = { x: -Math.sin(angle), y: Math.cos(angle) };
+
+    // Find the grid cells that cover the shape bounds
+    const bounds = getPathBounds(pathPoints);
+    const corners = [
+      { x: bounds.x, y: bounds.y },
+      { x: bounds.x + bounds.w, y: bounds.y },
+      { x: bounds.x, y: bounds.y + bounds.h },
+      { x: bounds.x + bounds.w, y: bounds.y + bounds.h },
+    ].map((corner) => ({
+      i: ((corner.x - offset.x) * u.x + (corner.y - offset.y) * u.y) / spacingX,
+      j: ((corner.x - offset.x) * v.x + (corner.y - offset.y) * v.y) / spacingY,
+    }));
+    const iMin = Math.floor(Math.min(...corners.map((c) => c.i))) - 1;
+    const iMax = Math.ceil(Math.max(...corners.map((c) => c.i)));
+    const jMin = Math.floor(Math.min(...corners.map((c) => c.j))) - 1;
+    const jMax = Math.ceil(Math.max(...corners.map((c) => c.j)));
+
+    // Place the motif in every cell and keep the parts inside the shape
+    const pieces = [];
+    for (let j = jMin; j <= jMax; j++) {
+      for (let i = iMin; i <= iMax; i++) {
+        for (const line of motif) {
+          const placed = line.map((point) => {
+            const a = i * spacingX + point.x;
+            const b = j * spacingY + point.y;
+            return { x: offset.x + u.x * a + v.x * b, y: offset.y + u.y * a + v.y * b };
+          });
+          pieces.push(...clipPolylineToShape(placed, pathPoints, contours));
+        }
+      }
+    }
+
+    const stitchSettings = {
+      stitchLength: settings.stitchLength || 3,
+      minStitchLength: settings.minStitchLength || 0.5,
+      resampleNoise: settings.resampleNoise || 0,
+    };
+
+    const stitches = [];
+    for (const piece of orderPiecesByDistance(pieces)) {
+      // Drop the repeated corner points between the segments of a motif line
+      const pieceStitches = convertPathToStitches(piece, stitchSettings).filter(
+        (point, index, all) => index === 0 || point.x !== all[index - 1].x || point.y !== all[index - 1].y,
+      );
+      if (pieceStitches.length === 0) continue;
+
+      if (stitches.length > 0) {
+        const last = stitches[stitches.length - 1];
+        const first = pieceStitches[0];
+        const distance = Math.hypot(first.x - last.x, first.y - last.y);
+        if (distance > _embroiderySettings.jumpThreshold) {
+          stitches.push({ x: last.x, y: last.y, command: "trim" });
+          pieceStitches[0] = { ...first, command: "jump" };
+        } else if (distance > MOTIF_JOIN_DISTANCE) {
+          pieceStitches[0] = { ...first, command: "jump" };
+        } else if (distance === 0) {
+          pieceStitches.shift();
+        }
+      }
+      stitches.push(...pieceStitches);
+    }
+
+    if (_DEBUG) {
+      console.log("Motif fill generated:", pieces.length, "motif lines,", stitches.length, "stitches");
+    }
+
+    return addUnderlay(createFillUnderlay(pathPoints, contours, settings, angle), stitches);
+  }
+
+  /**
+   * Normalizes the motif setting of a motif fill into a list of polylines in motif units (mm).
+   * Accepts one polyline, an array of polylines ({x, y} objects or [x, y] pairs) or a callback that
+   * draws the motif with line(), beginShape(), vertex() and endShape() on the object it receives.
+   * @private
+   * @param {Array|Function} motif - Motif setting from the fill settings
+   * @returns {Array<Array<{x: number, y: number}>>} Motif polylines with at least two points
+   */
+  function getMotifLines(motif) {
+    const toPoint = (point) => (Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point.x, y: point.y });
+    let lines = [];
+
+    if (typeof motif === "function") {
+      let shape = null;
+      motif({
+        line: (x1, y1, x2, y2) => {
+          lines.push([
+            { x: x1, y: y1 },
+            { x: x2, y: y2 },
+          ]);
+        },
+        beginShape: () => {
+          shape = [];
+        },
+        vertex: (x, y) => shape && shape.push({ x, y }),
+        endShape: (mode) => {
+          if (shape && shape.length > 0 && mode === "close") shape.push({ ...shape[0] });
+          if (shape) lines.push(shape);
+          shape = null;
+        },
+      });
+    } else if (Array.isArray(motif) && motif.length > 0) {
+      const isPoint = (item) => (Array.isArray(item) && typeof item[0] === "number") || (item && item.x !== undefined);
+      lines = isPoint(motif[0]) ? [motif] : motif;
+    }
+
+    return lines.filter((line) => Array.isArray(line) && line.length >= 2).map((line) => line.map(toPoint));
+  }
+
+  /**
+   * Orders polylines so each one starts as close as possible to where the previous one ended.
+   * Polylines are reversed where their far end is closer.
+   * @private
+   * @param {Array<Array<{x: number, y: number}>>} pieces - Polylines in mm
+   * @returns {Array<Array<{x: number, y: number}>>} Ordered polylines, starting with the first one
+   */
+  function orderPiecesByDistance(pieces) {
+    const remaining = pieces.slice();
+    const ordered = [];
+
+    while (remaining.length > 0) {
+      let nextIndex = 0;
+      let reversed = false;
+      if (ordered.length > 0) {
+        const previous = ordered[ordered.length - 1];
+        const last = previous[previous.length - 1];
+        let bestDistance = Infinity;
+        remaining.forEach((piece, index) => {
+          const toStart = Math.hypot(piece[0].x - last.x, piece[0].y - last.y);
+          const toEnd = Math.hypot(piece[piece.length - 1].x - last.x, piece[piece.length - 1].y - last.y);
+          if (Math.min(toStart, toEnd) < bestDistance) {
+            bestDistance = Math.min(toStart, toEnd);
+            nextIndex = index;
+            reversed = toEnd < toStart;
+          }
+        });
+      }
+
+      const [piece] = remaining.splice(nextIndex, 1);
+      ordered.push(reversed ? piece.slice().reverse() : piece);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Normalizes the guide setting of a guided fill into a list of polylines in mm.
+   * Accepts one polyline or an array of polylines; points may be {x, y} objects or [x, y] pairs
+   * in the same coordinates as vertex(), and follow the current transform.
+   * @private
+   * @param {Array} guide - Guide setting from the fill settings
+   * @returns {Array<Array<{x: number, y: number}>>} Guide polylines with at least two points
+   */
+  function getGuideLines(guide) {
+    if (!Array.isArray(guide) || guide.length === 0) return [];
+
+    const toPoint = (point) => (Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point.x, y: point.y });
+    const isPoint = (item) => (Array.isArray(item) && typeof item[0] === "number") || (item && item.x !== undefined);
+    const lines = isPoint(guide[0]) ? [guide] : guide;
+
+    return lines
+      .filter((line) => Array.isArray(line) && line.length >= 2)
+      .map((line) => applyCurrentTransformToPoints(line.map(toPoint)))
+      .filter((line) => getPathLength(line) > 0);
+  }
+
+  /**
+   * Creates the rows of a guided fill covering the given bounds.
+   * Rows between two guides are blended point by point; rows outside the outermost guides are
+   * shifted copies of them. Every row is extended along its end directions past the bounds.
+   * @private
+   * @param {Array<Array<{x: number, y: number}>>} guides - Guide polylines in mm
+   * @param {{x: number, y: number, w: number, h: number}} bounds - Bounds of the shape in mm
+   * @param {number} spacing - Distance between rows in mm
+   * @returns {Array<Array<{x: number, y: number}>>} Rows in order across the shape
+   */
+  function createGuidedRows(guides, bounds, spacing) {
+    const diagonal = Math.sqrt(bounds.w * bounds.w + bounds.h * bounds.h);
+
+    // Rows are stacked along the normal of the first guide's chord
+    const first = guides[0];
+    const chordX = first[first.length - 1].x - first[0].x;
+    const chordY = first[first.length - 1].y - first[0].y;
+    const chordLength = Math.sqrt(chordX * chordX + chordY * chordY) || 1;
+    const normal = { x: -chordY / chordLength, y: chordX / chordLength };
+    const project = (point) => point.x * normal.x + point.y * normal.y;
+    const centroid = (line) => ({
+      x: line.reduce((sum, p) => sum + p.x, 0) / line.length,
+      y: line.reduce((sum, p) => sum + p.y, 0) / line.length,
+    });
+
+    // Resample all guides to the same number of points so they can be blended
+    const samples = Math.min(400, Math.max(16, ...guides.map((line) => Math.ceil(getPathLength(line)))));
+    const sorted = guides
+      .map((line) => resamplePolyline(line, samples))
+      .map((line) => ({ line, offset: project(centroid(line)) }))
+      .sort((a, b) => a.offset - b.offset);
+
+    const corners = [
+      { x: bounds.x, y: bounds.y },
+      { x: bounds.x + bounds.w, y: bounds.y },
+      { x: bounds.x, y: bounds.y + bounds.h },
+      { x: bounds.x + bounds.w, y: bounds.y + bounds.h },
+    ].map(project);
+    const minOffset = Math.min(...corners);
+    const maxOffset = Math.max(...corners);
+    const shift = (line, distance) => line.map((p) => ({ x: p.x + normal.x * distance, y: p.y + normal.y * distance }));
+
+    const rows = [];
+    const firstGuide = sorted[0];
+    const before = [];
+    for (let distance = spacing; firstGuide.offset - distance > minOffset - spacing; distance += spacing) {
+      before.unshift(shift(firstGuide.line, -distance));
+    }
+    rows.push(...before);
+
+    for (let i = 0; i < sorted.length - 1; i++) {
+      const a = sorted[i].line;
+      const b = sorted[i + 1].line;
+      const gap = a.reduce((sum, p, j) => sum + Math.hypot(b[j].x - p.x, b[j].y - p.y), 0) / a.length;
+      const count = Math.max(1, Math.round(gap / spacing));
+      for (let k = 0; k < count; k++) {
+        const t = k / count;
+        rows.push(a.map((p, j) => ({ x: p.x + (b[j].x - p.x) * t, y: p.y + (b[j].y - p.y) * t })));
+      }
+    }
+
+    const lastGuide = sorted[sorted.length - 1];
+    rows.push(lastGuide.line);
+    for (let distance = spacing; lastGuide.offset + distance < maxOffset + spacing; distance += spacing) {
+      rows.push(shift(lastGuide.line, distance));
+    }
+
+    return rows.map((row) => extendPolyline(row, diagonal));
+  }
+
+  /**
+   * Returns the parts of a polyline that lie inside a shape and outside its holes.
+   * @private
+   * @param {Array<{x: number, y: number}>} polyline - Polyline in mm
+   * @param {Array<{x: number, y: number}>} outline - Shape outline in mm
+   * @param {Array<Array<{x: number, y: number}>>} holes - Hole paths in mm
+   * @returns {Array<Array<{x: number, y: number}>>} Inside parts in polyline order
+   */
+  function clipPolylineToShape(polyline, outline, holes) {
+    const pieces = [];
+    let current = null;
+
+    for (let i = 0; i < polyline.length - 1; i++) {
+      const a = polyline[i];
+      const b = polyline[i + 1];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      if (lengthSq === 0) continue;
+
+      // Split the segment wherever it crosses the outline or a hole
+      const ts = [0, 1];
+      for (const polygon of [outline, ...holes]) {
+        for (const hit of segmentIntersectPolygon(a, b, polygon)) {
+          ts.push(((hit.x - a.x) * dx + (hit.y - a.y) * dy) / lengthSq);
+        }
+      }
+      ts.sort((t1, t2) => t1 - t2);
+
+      for (let j = 0; j < ts.length - 1; j++) {
+        if (ts[j + 1] - ts[j] < 1e-9) continue;
+
+        const tMid = (ts[j] + ts[j + 1]) / 2;
+        const midpoint = { x: a.x + dx * tMid, y: a.y + dy * tMid };
+        const inside = pointInPolygon(midpoint, outline) && !holes.some((hole) => pointInPolygon(midpoint, hole));
+
+        if (inside) {
+          if (!current) {
+            current = [{ x: a.x + dx * ts[j], y: a.y + dy * ts[j] }];
+            pieces.push(current);
+          }
+          current.push({ x: a.x + dx * ts[j + 1], y: a.y + dy * ts[j + 1] });
+        } else {
+          current = null;
+        }
+      }
+    }
+
+    return pieces.filter((piece) => piece.length >= 2);
+  }
+
+  /**
+   * Extends both ends of a polyline along its end directions.
+   * @private
+   * @param {Array<{x: number, y: number}>} polyline - Polyline in mm
+   * @param {number} length - Extension at each end in mm
+   * @returns {Array<{x: number, y: number}>} Extended polyline
+   */
+  function extendPolyline(polyline, length) {
+    const last = polyline.length - 1;
+    const extend = (from, to) => {
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const segmentLength = Math.sqrt(dx * dx + dy * dy) || 1;
+      return { x: to.x + (dx / segmentLength) * length, y: to.y + (dy / segmentLength) * length };
+    };
+    return [extend(polyline[1], polyline[0]), ...polyline, extend(polyline[last - 1], polyline[last])];
+  }
+
+  /**
+   * Resamples a polyline to the given number of points, evenly spaced by arc length.
+   * @private
+   * @param {Array<{x: number, y: number}>} polyline - Polyline in mm
+   * @param {number} count - Number of points (at least 2)
+   * @returns {Array<{x: number, y: number}>} Resampled polyline
+   */
+  function resamplePolyline(polyline, count) {
+    const total = getPathLength(polyline);
+    if (total === 0) return Array.from({ length: count }, () => ({ x: polyline[0].x, y: polyline[0].y }));
+
+    const result = [];
+    let segment = 0;
+    let segmentStart = 0;
+    for (let i = 0; i < count; i++) {
+      const target = (total * i) / (count - 1);
+      while (segment < polyline.length - 2) {
+        const a = polyline[segment];
+        const b = polyline[segment + 1];
+        const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+        if (segmentStart + segmentLength >= target) break;
+        segmentStart += segmentLength;
+        segment++;
+      }
+      const a = polyline[segment];
+      const b = polyline[segment + 1];
+      const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+      const t = segmentLength > 0 ? Math.min(1, (target - segmentStart) / segmentLength) : 0;
+      result.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    }
+    return result;
+  }
+
+  /**
+   * Returns the length of a polyline in mm.
+   * @private
+   * @param {Array<{x: number, y: number}>} points - Polyline in mm
+   * @returns {number} Length in mm
+   */
+  function getPathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+  }
+
+  /**
+   * Returns true if the segment between two points crosses or lies inside any hole.
+   * @private
+   * @param {{x: number, y: number}} start - Segment start in mm
+   * @param {{x: number, y: number}} end - Segment end in mm
+   * @param {Array<Array<{x: number, y: number}>>} contours - Hole paths in mm
+   * @returns {boolean} True if the segment touches a hole
+   */
+  function crossesContours(start, end, contours) {
+    const midpoint = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    return contours.some(
+      (contour) => segmentIntersectPolygon(start, end, contour).length > 0 || pointInPolygon(midpoint, contour),
+    );
   }
 
   /**
@@ -6155,11 +8401,11 @@ function setDebugMode(enabled) {
 
     // Default settings
     const angle = settings.angle || 0;
-    const spacing = settings.rowSpacing || 0.8;
     const stitchLength = settings.stitchLength || 3;
 
     // Calculate bounds of the main polygon
     const bounds = getPathBounds(mainPath);
+    const getSpacing = getRowSpacingFunction(settings, bounds);
 
     // Calculate the center of the path
     const centerX = bounds.x + bounds.w / 2;
@@ -6172,8 +8418,8 @@ function setDebugMode(enabled) {
     const scanLineSegments = [];
     let forward = true;
 
-    // Generate scan lines at the specified angle
-    for (let d = -diagonal / 2; d <= diagonal / 2; d += spacing) {
+    // Generate scan lines at the specified angle, spaced by the row spacing where each row falls
+    for (let d = -diagonal / 2; d <= diagonal / 2; ) {
       // Calculate start and end points for the scan line
       const startX = centerX - (diagonal / 2) * Math.cos(angle) - d * Math.sin(angle);
       const startY = centerY - (diagonal / 2) * Math.sin(angle) + d * Math.cos(angle);
@@ -6206,9 +8452,10 @@ function setDebugMode(enabled) {
 
       // Store segments with their scan line info
       for (const segment of validSegments) {
+        const { start, end } = compensateSegment(segment.start, segment.end, settings);
         scanLineSegments.push({
-          start: segment.start,
-          end: segment.end,
+          start,
+          end,
           scanLineIndex: scanLineSegments.length,
           forward: forward,
         });
@@ -6216,12 +8463,13 @@ function setDebugMode(enabled) {
 
       // Alternate direction for next row
       forward = !forward;
+      d += getSpacing(getRowMidpoint(validSegments, { x: (startX + endX) / 2, y: (startY + endY) / 2 }));
     }
 
     // Second pass: group segments by proximity and create optimized stitch paths
     const stitches = createOptimizedStitchPaths(scanLineSegments, settings);
 
-    return stitches;
+    return addUnderlay(createFillUnderlay(mainPath, contours, settings, angle), stitches);
   }
 
   /**
@@ -6268,6 +8516,217 @@ function setDebugMode(enabled) {
     return validSegments;
   }
 
+  /**
+   * Normalizes an underlay setting into a list of layers.
+   * Accepts a type string, a layer object or an array of either.
+   * @private
+   * @param {string|Object|Array} underlay - Underlay setting from the fill or stroke settings
+   * @param {Array<string>} supportedTypes - Underlay types the caller can stitch
+   * @returns {Array<{type: string, inset: number, rowSpacing: number, stitchLength: number}>} Layers in stitch order
+   */
+  function getUnderlayLayers(underlay, supportedTypes) {
+    if (!underlay) return [];
+
+    const layers = [];
+    for (const entry of [].concat(underlay)) {
+      const layer = typeof entry === "string" ? { type: entry } : { ...entry };
+      if (!layer.type || layer.type === "none") continue;
+
+      if (!supportedTypes.includes(layer.type)) {
+        const warning = `${layer.type}:${supportedTypes.join(",")}`;
+        if (!_underlayWarnings.has(warning)) {
+          _underlayWarnings.add(warning);
+          console.warn(
+            `🪡 p5.embroider says: ${layer.type} underlay is not available here (use ${supportedTypes.join(", ")})`,
+          );
+        }
+        continue;
+      }
+
+      layers.push({ ...UNDERLAY_DEFAULTS, ...layer });
+    }
+    return layers;
+  }
+
+  /**
+   * Offsets a closed polygon inward (positive inset) or outward (negative inset).
+   * @private
+   * @param {Array<{x: number, y: number}>} polygon - Polygon points in mm
+   * @param {number} inset - Offset distance in mm
+   * @returns {Array<{x: number, y: number}>|null} Closed offset polygon, or null if the inset collapses the shape
+   */
+  function insetPolygon(polygon, inset) {
+    const ring = polygon.map((p) => ({ x: p.x, y: p.y }));
+    if (ring.length < 3) return null;
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (Math.abs(first.x - last.x) > 0.01 || Math.abs(first.y - last.y) > 0.01) {
+      ring.push({ x: first.x, y: first.y });
+    }
+    if (inset === 0) return ring;
+
+    const left = createOffsetPath(ring, Math.abs(inset), true);
+    const right = createOffsetPath(ring, Math.abs(inset), false);
+    const leftArea = Math.abs(calculateSignedArea(left));
+    const rightArea = Math.abs(calculateSignedArea(right));
+    const result = leftArea < rightArea === inset > 0 ? left : right;
+
+    // An inset larger than the shape turns the outline inside out
+    if (inset > 0) {
+      const area = calculateSignedArea(ring);
+      const resultArea = calculateSignedArea(result);
+      if (Math.sign(area) !== Math.sign(resultArea) || Math.abs(resultArea) < 0.5) return null;
+    }
+
+    return result;
+  }
+
+  /**
+   * Creates underlay stitches for a filled shape.
+   * Edge-walk runs around the inset outline and holes; tatami covers the inset shape with
+   * widely spaced rows, perpendicular to the top stitches unless the layer has an angle.
+   * @private
+   * @param {Array<{x: number, y: number}>} pathPoints - Outline in mm
+   * @param {Array<Array<{x: number, y: number}>>} contours - Holes in mm
+   * @param {Object} settings - Fill settings (settings.underlay selects the layers)
+   * @param {number} topAngle - Direction of the top stitches in radians
+   * @returns {Array<{x: number, y: number, command?: string}>} Underlay stitches in mm
+   */
+  function createFillUnderlay(pathPoints, contours, settings, topAngle) {
+    const layers = getUnderlayLayers(settings.underlay, [UNDERLAY.EDGE_WALK, UNDERLAY.TATAMI]);
+    const stitches = [];
+
+    for (const layer of layers) {
+      const outline = insetPolygon(pathPoints, layer.inset);
+      if (!outline) continue;
+      const holes = contours.map((contour) => insetPolygon(contour, -layer.inset)).filter(Boolean);
+
+      let layerStitches = [];
+      if (layer.type === UNDERLAY.EDGE_WALK) {
+        const walkSettings = {
+          stitchLength: layer.stitchLength,
+          minStitchLength: settings.minStitchLength || 0.5,
+          resampleNoise: 0,
+        };
+        for (const ring of [outline, ...holes]) {
+          const ringStitches = convertPathToStitches(ring, walkSettings);
+          if (layerStitches.length > 0 && ringStitches.length > 0) {
+            // Travel to the next ring without sewing across the shape
+            ringStitches[0] = { ...ringStitches[0], command: "jump" };
+          }
+          layerStitches.push(...ringStitches);
+        }
+      } else {
+        const tatamiSettings = {
+          ...settings,
+          angle: layer.angle !== undefined ? layer.angle : topAngle + Math.PI / 2,
+          rowSpacing: layer.rowSpacing,
+          stitchLength: layer.stitchLength,
+          underlay: null,
+          gradient: null,
+          pullCompensation: 0,
+          pullCompensationPercent: 0,
+        };
+        layerStitches =
+          holes.length > 0
+            ? createTatamiFillWithContours(outline, holes, tatamiSettings)
+            : createTatamiFillFromPath(outline, tatamiSettings);
+      }
+
+      stitches.push(...layerStitches);
+    }
+
+    return stitches;
+  }
+
+  /**
+   * Creates underlay stitches for a zigzag (satin) stroke.
+   * Every layer returns to the start of the path, where the top stitches begin.
+   * Center-walk runs along the path and back, edge-walk runs along one inset edge and back
+   * along the other, and zigzag sews a sparse zigzag out and back inside the inset column.
+   * @private
+   * @param {Array<{x: number, y: number, width?: number}>} pathPoints - Path points in mm
+   * @param {Object} stitchSettings - Stroke settings (stitchSettings.underlay selects the layers)
+   * @returns {Array<{x: number, y: number}>} Underlay stitches in mm
+   */
+  function createStrokeUnderlay(pathPoints, stitchSettings) {
+    const layers = getUnderlayLayers(stitchSettings.underlay, [
+      UNDERLAY.CENTER_WALK,
+      UNDERLAY.EDGE_WALK,
+      UNDERLAY.ZIGZAG,
+    ]);
+    if (layers.length === 0 || !pathPoints || pathPoints.length < 2) return [];
+
+    const defaultWidth = stitchSettings.strokeWeight > 0 ? stitchSettings.strokeWeight : 2;
+    const stitches = [];
+
+    for (const layer of layers) {
+      const walkSettings = {
+        stitchLength: layer.stitchLength,
+        minStitchLength: stitchSettings.minStitchLength || 0.5,
+        resampleNoise: 0,
+      };
+
+      // Column narrowed by the inset on both sides
+      const column = pathPoints.map((p) => ({
+        x: p.x,
+        y: p.y,
+        width: Math.max(0, (p.width !== undefined ? p.width : defaultWidth) - 2 * layer.inset),
+      }));
+      const reversedColumn = column.slice().reverse();
+
+      switch (layer.type) {
+        case UNDERLAY.CENTER_WALK: {
+          const center = column.map((p) => ({ x: p.x, y: p.y }));
+          stitches.push(...convertPathToStitches(center, walkSettings));
+          stitches.push(...convertPathToStitches(center.slice().reverse(), walkSettings));
+          break;
+        }
+        case UNDERLAY.EDGE_WALK: {
+          const leftEdge = createOffsetPath(column, 0, true);
+          const rightEdge = createOffsetPath(column, 0, false).reverse();
+          stitches.push(...convertPathToStitches(leftEdge, walkSettings));
+          stitches.push(...convertPathToStitches(rightEdge, walkSettings));
+          break;
+        }
+        case UNDERLAY.ZIGZAG: {
+          const zigzagSettings = { strokeWeight: defaultWidth - 2 * layer.inset, stitchLength: layer.rowSpacing };
+          stitches.push(...createZigzagFollowingPath(column, zigzagSettings));
+          stitches.push(...createZigzagFollowingPath(reversedColumn, zigzagSettings));
+          break;
+        }
+      }
+    }
+
+    return stitches;
+  }
+
+  /**
+   * Puts underlay stitches in front of the top stitches of the same shape.
+   * The first top stitch is reached by a jump when the underlay ends far away from it.
+   * @private
+   * @param {Array<{x: number, y: number, command?: string}>} underlay - Underlay stitches in mm
+   * @param {Array<{x: number, y: number, command?: string}>} topStitches - Top stitches in mm
+   * @returns {Array<{x: number, y: number, command?: string}>} Combined stitches in mm
+   */
+  function addUnderlay(underlay, topStitches) {
+    if (underlay.length === 0 || topStitches.length === 0) return topStitches;
+
+    const last = underlay[underlay.length - 1];
+    const first = topStitches[0];
+    const distance = Math.sqrt((first.x - last.x) * (first.x - last.x) + (first.y - last.y) * (first.y - last.y));
+
+    // Mark the underlay so the travel optimizer never sews it after the top stitches
+    const result = underlay.map((point) => ({ ...point, underlay: true }));
+    if (distance > _embroiderySettings.jumpThreshold && !first.command) {
+      result.push({ ...first, command: "jump" }, ...topStitches.slice(1));
+    } else {
+      result.push(...topStitches);
+    }
+    return result;
+  }
+
   // Add exportOutline to p5embroidery object
   p5embroidery.exportOutline = async function (threadIndex, offsetDistance, filename, outlineType = "convex") {
     return await exportOutline(threadIndex, offsetDistance, filename, outlineType, getEmbroideryState());
@@ -6316,18 +8775,37 @@ function setDebugMode(enabled) {
   global.p5embroidery = p5embroidery;
   global.beginRecord = p5embroidery.beginRecord;
   global.endRecord = p5embroidery.endRecord;
+  global.setRecordingInstance = p5embroidery.setRecordingInstance;
   global.exportEmbroidery = p5embroidery.exportEmbroidery;
+  global.generateEmbroidery = p5embroidery.generateEmbroidery;
   global.exportDST = p5embroidery.exportDST;
   global.exportPES = p5embroidery.exportPES;
+  global.exportJEF = p5embroidery.exportJEF;
+  global.exportVP3 = p5embroidery.exportVP3;
+  global.exportEXP = p5embroidery.exportEXP;
+  global.exportXXX = p5embroidery.exportXXX;
   global.exportGcode = p5embroidery.exportGcode;
   global.exportSVG = p5embroidery.exportSVG;
   global.exportPNG = p5embroidery.exportPNG;
+  global.loadDST = p5embroidery.loadDST;
+  global.loadPES = p5embroidery.loadPES;
+  global.loadJEF = p5embroidery.loadJEF;
+  global.loadSVGEmbroidery = p5embroidery.loadSVGEmbroidery;
+  global.drawSVGEmbroidery = p5embroidery.drawSVGEmbroidery;
+  global.drawEmbroidery = p5embroidery.drawEmbroidery;
+  global.imageStitch = p5embroidery.imageStitch;
+  global.autoDigitize = p5embroidery.autoDigitize;
   global.trimThread = p5embroidery.trimThread; // Renamed from cutThread
   global.embroideryOutline = p5embroidery.embroideryOutline;
   global.exportOutline = p5embroidery.exportOutline;
   global.exportSVGFromPath = p5embroidery.exportSVGFromPath;
   global.setStitch = p5embroidery.setStitch;
   global.setStitchWidth = p5embroidery.setStitchWidth;
+  global.setThreadInfo = p5embroidery.setThreadInfo;
+  global.setLockStitch = p5embroidery.setLockStitch;
+  global.setTravelOptimization = p5embroidery.setTravelOptimization;
+  global.setMaxStitchLength = p5embroidery.setMaxStitchLength;
+  global.getTravelReport = p5embroidery.getTravelReport;
   global.setDrawMode = p5embroidery.setDrawMode;
   global.drawStitches = p5embroidery.drawStitches;
   global.mmToPixel = mmToPixel;
@@ -6339,6 +8817,8 @@ function setDebugMode(enabled) {
   global.STROKE_MODE = STROKE_MODE;
   global.STROKE_JOIN = STROKE_JOIN;
   global.FILL_MODE = FILL_MODE;
+  global.UNDERLAY = UNDERLAY;
+  global.LOCK_STITCH = LOCK_STITCH;
   global.setFillMode = p5embroidery.setFillMode;
   global.setFillSettings = p5embroidery.setFillSettings;
   global.setStrokeSettings = p5embroidery.setStrokeSettings;
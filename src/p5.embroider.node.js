@@ -0,0 +1,242 @@
+/**
+ * p5.embroider Node.js entry point
+ * Records p5.js sketches headlessly with jsdom and writes embroidery files to disk.
+ * Requires the optional jsdom and canvas peer dependencies to be installed alongside p5.
+ */
+
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import "./p5.embroider.js";
+
+const p5embroidery = globalThis.p5embroidery;
+
+// Browser globals p5.js expects to find at load and run time
+const DOM_GLOBALS = [
+  "window",
+  "document",
+  "navigator",
+  "screen",
+  "location",
+  "HTMLElement",
+  "HTMLCanvasElement",
+  "HTMLImageElement",
+  "DOMParser",
+  "Image",
+  "Event",
+  "CustomEvent",
+  "MouseEvent",
+  "KeyboardEvent",
+  "getComputedStyle",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+];
+
+let _p5 = null;
+
+/**
+ * Copies the jsdom window globals onto the Node.js global object.
+ * @private
+ * @param {Window} window - jsdom window
+ */
+function installDOMGlobals(window) {
+  for (const name of DOM_GLOBALS) {
+    const value = name === "window" ? window : window[name];
+    if (value === undefined) continue;
+
+    // Some globals (e.g. navigator) are read-only getters in newer Node.js versions
+    Object.defineProperty(globalThis, name, {
+      value: typeof value === "function" && name[0] === name[0].toLowerCase() ? value.bind(window) : value,
+      configurable: true,
+      writable: true,
+    });
+  }
+}
+
+/**
+ * Loads jsdom, which is only installed by users of the Node entry point.
+ * @private
+ * @returns {Promise<Function>} The JSDOM constructor
+ */
+async function loadJSDOM() {
+  try {
+    const { JSDOM } = await import("jsdom");
+    return JSDOM;
+  } catch (error) {
+    throw new Error(
+      "🪡 p5.embroider says: Headless recording requires the 'jsdom' and 'canvas' packages. Install them with: npm install jsdom canvas",
+      { cause: error },
+    );
+  }
+}
+
+/**
+ * Creates the headless DOM and loads p5.js into it. Only runs once per process.
+ * @method setupHeadlessP5
+ * @returns {Promise<Function>} The p5 constructor
+ * @example
+ * import { setupHeadlessP5 } from "p5.embroider/lib/p5.embroider.node.mjs";
+ *
+ * const p5 = await setupHeadlessP5();
+ * new p5((p) => { ... });
+ */
+export async function setupHeadlessP5() {
+  if (_p5) return _p5;
+
+  const JSDOM = await loadJSDOM();
+  const dom = new JSDOM("<!DOCTYPE html><html><head></head><body></body></html>", {
+    pretendToBeVisual: true,
+    url: "http://localhost/",
+  });
+
+  if (!dom.window.document.createElement("canvas").getContext("2d")) {
+    throw new Error(
+      "🪡 p5.embroider says: Headless recording requires the 'canvas' package. Install it with: npm install canvas",
+    );
+  }
+
+  installDOMGlobals(dom.window);
+
+  const { default: p5 } = await import("p5");
+  globalThis.p5 = p5;
+  dom.window.p5 = p5;
+
+  _p5 = p5;
+  return p5;
+}
+
+/**
+ * Runs an instance-mode sketch headlessly and resolves once it has drawn.
+ * The sketch should call beginRecord(p) and endRecord(p) like it would in the browser.
+ * @method recordSketch
+ * @param {Function} sketch - Instance-mode sketch function (p) => { p.setup = ...; p.draw = ...; }
+ * @param {Object} [options={}] - Recording options
+ * @param {number} [options.frames=1] - Number of draw() calls to wait for before resolving
+ * @param {number} [options.timeout=10000] - Milliseconds to wait before giving up
+ * @returns {Promise<p5>} The p5 instance holding the recorded stitch data
+ * @example
+ * const p = await recordSketch((p) => {
+ *   p.setup = () => {
+ *     p.createCanvas(mmToPixel(100), mmToPixel(100));
+ *     p.noLoop();
+ *   };
+ *   p.draw = () => {
+ *     beginRecord(p);
+ *     p.circle(50, 50, 40);
+ *     endRecord(p);
+ *   };
+ * });
+ */
+export async function recordSketch(sketch, options = {}) {
+  const { frames = 1, timeout = 10000 } = options;
+  const p5 = await setupHeadlessP5();
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let instance = null;
+
+    const timer = setTimeout(() => {
+      if (settled) return;
+      settled = true;
+      if (instance) instance.remove();
+      reject(new Error(`🪡 p5.embroider says: Sketch did not finish within ${timeout}ms`));
+    }, timeout);
+
+    const settle = (p, error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        p.remove();
+        reject(error);
+      } else {
+        p.noLoop();
+        resolve(p);
+      }
+    };
+
+    instance = new p5((p) => {
+      sketch(p);
+
+      const userSetup = p.setup;
+      const userDraw = p.draw;
+      let drawCount = 0;
+
+      p.setup = function () {
+        try {
+          if (userSetup) userSetup.apply(this, arguments);
+        } catch (error) {
+          settle(p, error);
+          return;
+        }
+        if (!userDraw) settle(p);
+      };
+
+      if (userDraw) {
+        p.draw = function () {
+          try {
+            userDraw.apply(this, arguments);
+          } catch (error) {
+            settle(p, error);
+            return;
+          }
+          drawCount++;
+          if (drawCount >= frames) settle(p);
+        };
+      }
+    });
+  });
+}
+
+/**
+ * Writes the embroidery data recorded by a p5 instance to disk.
+ * The format is selected by the file extension (dst, pes, gcode, svg, json).
+ * @method writeEmbroidery
+ * @param {p5} p5Instance - Instance returned by recordSketch()
+ * @param {string} filename - Output path
+ * @param {Object} [options={}] - Writer options for SVG and JSON output
+ * @returns {Promise<string>} Absolute path of the written file
+ * @example
+ * const p = await recordSketch(sketch);
+ * await writeEmbroidery(p, "out/pattern.dst");
+ */
+export async function writeEmbroidery(p5Instance, filename, options = {}) {
+  p5embroidery.setRecordingInstance(p5Instance);
+
+  const data = p5embroidery.generateEmbroidery(path.basename(filename), options);
+  if (data == null) {
+    throw new Error(`🪡 p5.embroider says: No embroidery data to write to ${filename}`);
+  }
+
+  const outputPath = path.resolve(filename);
+  await mkdir(path.dirname(outputPath), { recursive: true });
+  await writeFile(outputPath, data);
+  return outputPath;
+}
+
+/**
+ * Records a sketch headlessly and writes one or more embroidery files.
+ * @method exportSketch
+ * @param {Function} sketch - Instance-mode sketch function
+ * @param {string|string[]} filenames - Output path(s); extensions select the formats
+ * @param {Object} [options={}] - Recording options (see recordSketch) and writer options
+ * @returns {Promise<string[]>} Absolute paths of the written files
+ * @example
+ * import { exportSketch } from "p5.embroider/lib/p5.embroider.node.mjs";
+ *
+ * await exportSketch(sketch, ["out/pattern.dst", "out/pattern.pes", "out/pattern.svg"]);
+ */
+export async function exportSketch(sketch, filenames, options = {}) {
+  const p = await recordSketch(sketch, options);
+
+  try {
+    const written = [];
+    for (const filename of [].concat(filenames)) {
+      written.push(await writeEmbroidery(p, filename, options));
+    }
+    return written;
+  } finally {
+    p.remove();
+  }
+}
+
+export { p5embroidery };
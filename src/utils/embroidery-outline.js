@@ -4,6 +4,7 @@
  */
 
 import { SVGWriter } from "../io/p5-svg-writer.js";
+import { addRunToStitchData } from "./stitch-data.js";
 
 // Note: getPathBounds and calculateOffsetCorner functions are defined at the bottom
 // of this file as they are utilities needed by the outline functions
@@ -515,7 +516,7 @@ export function embroideryOutline(
     }
 
     // Add outline stitches to the specified thread
-    _stitchData.threads[threadIndex].runs.push(outlineStitches);
+    addRunToStitchData(_stitchData, threadIndex, outlineStitches);
 
     // Draw outline if in visual modes
     if (_drawMode === "stitch" || _drawMode === "realistic" || _drawMode === "p5") {
@@ -643,7 +644,7 @@ export function embroideryOutlineFromPath(
       }
 
       // Add outline stitches to the specified thread
-      _stitchData.threads[threadIndex].runs.push(outlineStitches);
+      addRunToStitchData(_stitchData, threadIndex, outlineStitches);
 
       // Draw outline if in visual modes
       if (_drawMode === "stitch" || _drawMode === "realistic") {
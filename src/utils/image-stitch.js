@@ -0,0 +1,467 @@
+/**
+ * p5.embroider Image Stitch Utilities
+ * Functions for turning bitmap images into halftone and color-quantized stitches
+ */
+
+const DEFAULTS = {
+  halftone: { rowSpacing: 2, stitchLength: 2, zigzagSpacing: 0.8, levels: 4 },
+  colors: { rowSpacing: 0.4, stitchLength: 3 },
+};
+
+// Pixels more transparent than this are left unstitched
+const MIN_ALPHA = 128;
+
+// Grid used to pick the thread colors of the "colors" mode
+const PALETTE_GRID = 64;
+const KMEANS_ITERATIONS = 10;
+
+/**
+ * Converts an image into stitches inside the rectangle (x, y, w, h).
+ * In "halftone" mode one thread is used and the stitch density follows the darkness of the image:
+ * either the width of zigzag rows ("zigzag" style) or the number of parallel lines ("lines" style).
+ * In "colors" mode the image is quantized to a few thread colors, each sewn as rows of running stitches.
+ * Gaps inside a run are crossed with jump stitches.
+ * @private
+ * @param {Object} image - p5.Image or any object with width, height and RGBA pixels
+ * @param {number} x - Left edge in mm
+ * @param {number} y - Top edge in mm
+ * @param {number} w - Width in mm
+ * @param {number} h - Height in mm
+ * @param {Object} [options={}] - Image stitch options
+ * @param {string} [options.mode="halftone"] - "halftone" or "colors"
+ * @param {string} [options.style="zigzag"] - Halftone style ("zigzag" or "lines")
+ * @param {number|Array} [options.colors=4] - Number of thread colors, or a palette of [r, g, b] / {r, g, b} colors
+ * @param {number} [options.rowSpacing] - Distance between rows in mm (2 for halftone, 0.4 for colors)
+ * @param {number} [options.stitchLength] - Running stitch length in mm
+ * @param {number} [options.zigzagSpacing=0.8] - Distance between zigzag points in mm
+ * @param {number} [options.levels=4] - Lines per row in the "lines" style
+ * @param {number} [options.angle=0] - Row angle in radians
+ * @param {number} [options.threshold=0.1] - Darkness (0-1) below which the halftone leaves the fabric empty
+ * @returns {Array<{color: Object|null, stitches: Array}>} Runs in mm; color is null for the current thread
+ */
+export function createImageStitches(image, x, y, w, h, options = {}) {
+  const sample = createImageSampler(image);
+  if (!sample || !(Math.abs(w) > 0) || !(Math.abs(h) > 0)) return [];
+
+  const mode = options.mode === "colors" ? "colors" : "halftone";
+  const settings = {
+    angle: 0,
+    threshold: 0.1,
+    style: "zigzag",
+    colors: 4,
+    ...DEFAULTS[mode],
+    ...options,
+  };
+  settings.rowSpacing = Math.max(0.1, settings.rowSpacing);
+  settings.stitchLength = Math.max(0.1, settings.stitchLength);
+
+  // Normalize negative sizes so the rows always cover the image
+  const rect = { x: Math.min(x, x + w), y: Math.min(y, y + h), w: Math.abs(w), h: Math.abs(h) };
+  const toImage = (point) => ({
+    u: w > 0 ? (point.x - x) / w : (x - point.x) / -w,
+    v: h > 0 ? (point.y - y) / h : (y - point.y) / -h,
+  });
+  const sampleAt = (point) => {
+    const { u, v } = toImage(point);
+    return sample(u, v);
+  };
+
+  if (mode === "colors") {
+    return createColorStitches(sample, sampleAt, rect, settings);
+  }
+
+  const stitches =
+    settings.style === "lines"
+      ? createHalftoneLineStitches(sampleAt, rect, settings)
+      : createHalftoneZigzagStitches(sampleAt, rect, settings);
+  return stitches.length > 1 ? [{ color: null, stitches }] : [];
+}
+
+/**
+ * Quantizes an image to a palette on a grid of columns × rows cells.
+ * Each cell takes the palette index of the pixel at its center, or -1 where the image is transparent.
+ * @private
+ * @param {Object} image - p5.Image or any object with width, height and RGBA pixels
+ * @param {number} columns - Number of grid columns
+ * @param {number} rows - Number of grid rows
+ * @param {number|Array} colors - Number of colors, or a palette of [r, g, b] / {r, g, b} colors
+ * @returns {{palette: Array<{r: number, g: number, b: number}>, labels: Int32Array}|null} Palette and row-major cell labels, or null if the pixels can't be read
+ */
+export function quantizeImage(image, columns, rows, colors) {
+  const sample = createImageSampler(image);
+  if (!sample) return null;
+
+  const palette = Array.isArray(colors)
+    ? colors.map(toRGB).filter(Boolean)
+    : quantizeColors(getGridSamples(sample), Math.max(1, Math.round(colors)));
+
+  const labels = new Int32Array(columns * rows);
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      const color = sample((i + 0.5) / columns, (j + 0.5) / rows);
+      labels[j * columns + i] = color.a < MIN_ALPHA || palette.length === 0 ? -1 : getNearestColorIndex(color, palette);
+    }
+  }
+
+  return { palette, labels };
+}
+
+/**
+ * Returns a function that reads the RGBA color of an image at normalized coordinates.
+ * @private
+ * @param {Object} image - p5.Image or any object with width, height and RGBA pixels
+ * @returns {Function|null} (u, v) => {r, g, b, a}, or null if the pixels can't be read
+ */
+function createImageSampler(image) {
+  if (!image || !(image.width > 0) || !(image.height > 0)) return null;
+  if (typeof image.loadPixels === "function") image.loadPixels();
+
+  const pixels = image.pixels;
+  if (!pixels || pixels.length < image.width * image.height * 4) return null;
+
+  // p5.Image pixels hold pixelDensity² values per pixel
+  const density = Math.max(1, Math.round(Math.sqrt(pixels.length / (4 * image.width * image.height))));
+  const width = image.width * density;
+  const height = image.height * density;
+
+  return (u, v) => {
+    const px = Math.min(width - 1, Math.max(0, Math.floor(u * width)));
+    const py = Math.min(height - 1, Math.max(0, Math.floor(v * height)));
+    const i = (py * width + px) * 4;
+    return { r: pixels[i], g: pixels[i + 1], b: pixels[i + 2], a: pixels[i + 3] };
+  };
+}
+
+/**
+ * Creates a zigzag halftone: one zigzag per row whose width follows the darkness of the image.
+ * @private
+ */
+function createHalftoneZigzagStitches(sampleAt, rect, settings) {
+  const rows = getRows(rect, settings.angle, settings.rowSpacing);
+  const step = Math.max(0.1, settings.zigzagSpacing);
+  const pieces = [];
+
+  rows.forEach((row, index) => {
+    const rowPieces = [];
+    let current = null;
+
+    for (let k = 0, t = row.t0; t <= row.t1; k++, t = row.t0 + k * step) {
+      const darkness = getDarkness(sampleAt(pointOnRow(row, t)));
+      if (darkness < settings.threshold) {
+        current = null;
+        continue;
+      }
+      if (!current) {
+        current = [];
+        rowPieces.push(current);
+      }
+      const side = k % 2 === 0 ? 1 : -1;
+      current.push(pointOnRow(row, t, (side * darkness * settings.rowSpacing) / 2));
+    }
+
+    pieces.push(...orderRowPieces(rowPieces, index));
+  });
+
+  return joinPieces(pieces, settings.rowSpacing * 1.5);
+}
+
+/**
+ * Creates a line halftone: each row is split into several lines, and darker areas get more of them.
+ * @private
+ */
+function createHalftoneLineStitches(sampleAt, rect, settings) {
+  const levels = Math.max(1, Math.round(settings.levels));
+  const spacing = settings.rowSpacing / levels;
+  const rows = getRows(rect, settings.angle, spacing);
+  const pieces = [];
+
+  rows.forEach((row, index) => {
+    // Spread the thresholds of the lines in a row so density grows evenly with darkness
+    const level = ((index % levels) * 0.618034) % 1;
+    const threshold = settings.threshold + (1 - settings.threshold) * level;
+    const intervals = getRowIntervals(row, sampleAt, Math.min(spacing, settings.stitchLength / 2), (color) =>
+      getDarkness(color) >= threshold ? 0 : null,
+    );
+    const rowPieces = intervals.map((interval) => runningStitch(row, interval.t0, interval.t1, settings.stitchLength));
+    pieces.push(...orderRowPieces(rowPieces, index));
+  });
+
+  return joinPieces(pieces, spacing * 3);
+}
+
+/**
+ * Quantizes the image to thread colors and fills the area of each color with rows of running stitches.
+ * Colors are returned from light to dark so darker details are sewn on top.
+ * @private
+ */
+function createColorStitches(sample, sampleAt, rect, settings) {
+  const palette = Array.isArray(settings.colors)
+    ? settings.colors.map(toRGB).filter(Boolean)
+    : quantizeColors(getGridSamples(sample), Math.max(1, Math.round(settings.colors)));
+  if (palette.length === 0) return [];
+
+  const rows = getRows(rect, settings.angle, settings.rowSpacing);
+  const step = Math.max(0.2, settings.rowSpacing);
+  const piecesByColor = palette.map(() => []);
+
+  rows.forEach((row, index) => {
+    const intervals = getRowIntervals(row, sampleAt, step, (color) =>
+      color.a < MIN_ALPHA ? null : getNearestColorIndex(color, palette),
+    );
+    for (let c = 0; c < palette.length; c++) {
+      const rowPieces = intervals
+        .filter((interval) => interval.label === c)
+        .map((interval) => runningStitch(row, interval.t0, interval.t1, settings.stitchLength));
+      piecesByColor[c].push(...orderRowPieces(rowPieces, index));
+    }
+  });
+
+  return palette
+    .map((color, c) => ({ color, stitches: joinPieces(piecesByColor[c], settings.rowSpacing * 1.5) }))
+    .filter((run) => run.stitches.length > 1)
+    .sort((a, b) => getLuminance(b.color) - getLuminance(a.color));
+}
+
+/**
+ * Returns the rows that cover a rectangle at the given angle and spacing.
+ * Each row is a line origin + dir * t, clipped to t0..t1.
+ * @private
+ * @param {{x: number, y: number, w: number, h: number}} rect - Area in mm
+ * @param {number} angle - Row angle in radians
+ * @param {number} spacing - Distance between rows in mm
+ * @returns {Array<{origin: Object, dir: Object, normal: Object, t0: number, t1: number}>} Rows from one side to the other
+ */
+function getRows(rect, angle, spacing) {
+  const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+  const normal = { x: -dir.y, y: dir.x };
+  const cx = rect.x + rect.w / 2;
+  const cy = rect.y + rect.h / 2;
+  const halfExtent = (Math.abs(normal.x) * rect.w + Math.abs(normal.y) * rect.h) / 2;
+  const rows = [];
+
+  for (let offset = -halfExtent + spacing / 2; offset < halfExtent; offset += spacing) {
+    const origin = { x: cx + normal.x * offset, y: cy + normal.y * offset };
+    let t0 = -Infinity;
+    let t1 = Infinity;
+
+    for (const [o, d, min, max] of [
+      [origin.x, dir.x, rect.x, rect.x + rect.w],
+      [origin.y, dir.y, rect.y, rect.y + rect.h],
+    ]) {
+      if (Math.abs(d) < 1e-9) {
+        if (o < min || o > max) t1 = -Infinity;
+        continue;
+      }
+      const a = (min - o) / d;
+      const b = (max - o) / d;
+      t0 = Math.max(t0, Math.min(a, b));
+      t1 = Math.min(t1, Math.max(a, b));
+    }
+
+    if (t1 > t0) rows.push({ origin, dir, normal, t0, t1 });
+  }
+
+  return rows;
+}
+
+/**
+ * Returns the point at distance t along a row, moved `across` mm along the row normal.
+ * @private
+ */
+function pointOnRow(row, t, across = 0) {
+  return {
+    x: row.origin.x + row.dir.x * t + row.normal.x * across,
+    y: row.origin.y + row.dir.y * t + row.normal.y * across,
+  };
+}
+
+/**
+ * Samples a row and returns the stretches where classify() gives the same non-null label.
+ * Each stretch is widened by half a sample so neighbouring stretches meet.
+ * @private
+ * @returns {Array<{label: number, t0: number, t1: number}>} Stretches along the row
+ */
+function getRowIntervals(row, sampleAt, step, classify) {
+  const intervals = [];
+  let current = null;
+
+  for (let k = 0, t = row.t0 + step / 2; t <= row.t1; k++, t = row.t0 + step / 2 + k * step) {
+    const label = classify(sampleAt(pointOnRow(row, t)));
+    if (current && current.label === label) {
+      current.t1 = Math.min(row.t1, t + step / 2);
+      continue;
+    }
+    current = label === null ? null : { label, t0: Math.max(row.t0, t - step / 2), t1: Math.min(row.t1, t + step / 2) };
+    if (current) intervals.push(current);
+  }
+
+  return intervals;
+}
+
+/**
+ * Returns running stitches from t0 to t1 along a row, with evenly spread stitches of at most stitchLength.
+ * @private
+ */
+function runningStitch(row, t0, t1, stitchLength) {
+  const count = Math.max(1, Math.ceil((t1 - t0) / stitchLength));
+  const points = [];
+  for (let i = 0; i <= count; i++) {
+    points.push(pointOnRow(row, t0 + ((t1 - t0) * i) / count));
+  }
+  return points;
+}
+
+/**
+ * Drops single-point pieces and reverses every other row so rows are sewn back and forth.
+ * @private
+ */
+function orderRowPieces(rowPieces, rowIndex) {
+  const pieces = rowPieces.filter((piece) => piece.length > 1);
+  if (rowIndex % 2 === 0) return pieces;
+  return pieces.reverse().map((piece) => piece.reverse());
+}
+
+/**
+ * Joins pieces into one run. A piece that starts farther than joinDistance from the end of the
+ * previous one begins with a jump stitch.
+ * @private
+ */
+function joinPieces(pieces, joinDistance) {
+  const stitches = [];
+  for (const piece of pieces) {
+    const last = stitches[stitches.length - 1];
+    const first = piece[0];
+    if (last && Math.hypot(first.x - last.x, first.y - last.y) > joinDistance) {
+      stitches.push({ x: first.x, y: first.y, command: "jump" });
+      stitches.push(...piece.slice(1));
+    } else {
+      stitches.push(...piece);
+    }
+  }
+  return stitches;
+}
+
+/**
+ * Samples the image on a regular grid for color quantization.
+ * @private
+ */
+function getGridSamples(sample) {
+  const samples = [];
+  for (let j = 0; j < PALETTE_GRID; j++) {
+    for (let i = 0; i < PALETTE_GRID; i++) {
+      samples.push(sample((i + 0.5) / PALETTE_GRID, (j + 0.5) / PALETTE_GRID));
+    }
+  }
+  return samples;
+}
+
+/**
+ * Reduces a list of colors to at most `count` colors with k-means.
+ * Centers start at the median-luminance color and then at the colors farthest from the centers
+ * picked so far, so small but distinct areas get their own color and the result is the same on every run.
+ * @private
+ * @param {Array<{r: number, g: number, b: number, a: number}>} samples - Sampled colors
+ * @param {number} count - Number of colors
+ * @returns {Array<{r: number, g: number, b: number}>} Palette without duplicates
+ */
+function quantizeColors(samples, count) {
+  const opaque = samples.filter((color) => color.a >= MIN_ALPHA);
+  if (opaque.length === 0) return [];
+
+  const sorted = opaque.slice().sort((a, b) => getLuminance(a) - getLuminance(b));
+  const { r, g, b } = sorted[Math.floor(sorted.length / 2)];
+  let centers = [{ r, g, b }];
+  while (centers.length < count) {
+    let farthest = null;
+    let farthestDistance = 0;
+    for (const color of opaque) {
+      const d = getColorDistance(color, centers[getNearestColorIndex(color, centers)]);
+      if (d > farthestDistance) {
+        farthest = color;
+        farthestDistance = d;
+      }
+    }
+    if (!farthest) break;
+    centers.push({ r: farthest.r, g: farthest.g, b: farthest.b });
+  }
+
+  let counts = [];
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    const sums = centers.map(() => ({ r: 0, g: 0, b: 0 }));
+    counts = centers.map(() => 0);
+    for (const color of opaque) {
+      const index = getNearestColorIndex(color, centers);
+      sums[index].r += color.r;
+      sums[index].g += color.g;
+      sums[index].b += color.b;
+      counts[index]++;
+    }
+    centers = centers.map((center, i) =>
+      counts[i] > 0 ? { r: sums[i].r / counts[i], g: sums[i].g / counts[i], b: sums[i].b / counts[i] } : center,
+    );
+  }
+
+  const palette = [];
+  centers.forEach((center, i) => {
+    const color = { r: Math.round(center.r), g: Math.round(center.g), b: Math.round(center.b) };
+    const duplicate = palette.some((other) => other.r === color.r && other.g === color.g && other.b === color.b);
+    if (counts[i] > 0 && !duplicate) palette.push(color);
+  });
+  return palette;
+}
+
+/**
+ * Returns the index of the palette color closest to the given color.
+ * @private
+ */
+function getNearestColorIndex(color, palette) {
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < palette.length; i++) {
+    const d = getColorDistance(color, palette[i]);
+    if (d < bestDistance) {
+      best = i;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Returns the squared RGB distance between two colors.
+ * @private
+ */
+function getColorDistance(a, b) {
+  const dr = a.r - b.r;
+  const dg = a.g - b.g;
+  const db = a.b - b.b;
+  return dr * dr + dg * dg + db * db;
+}
+
+/**
+ * Converts [r, g, b], {r, g, b} or a p5.Color into {r, g, b}.
+ * @private
+ */
+export function toRGB(color) {
+  if (Array.isArray(color)) return { r: color[0], g: color[1], b: color[2] };
+  if (color && Array.isArray(color.levels)) return { r: color.levels[0], g: color.levels[1], b: color.levels[2] };
+  if (color && typeof color.r === "number") return { r: color.r, g: color.g, b: color.b };
+  return null;
+}
+
+/**
+ * Returns the luminance of a color (0-255).
+ * @private
+ */
+function getLuminance(color) {
+  return 0.299 * color.r + 0.587 * color.g + 0.114 * color.b;
+}
+
+/**
+ * Returns the darkness of a color (0-1); transparent pixels count as white.
+ * @private
+ */
+function getDarkness(color) {
+  if (color.a < MIN_ALPHA) return 0;
+  return 1 - getLuminance(color) / 255;
+}
@@ -0,0 +1,168 @@
+/**
+ * p5.embroider Lock Stitch Utilities
+ * Functions for securing the thread with tie-in and tie-off stitches
+ */
+
+import { getColorBlocks } from "./stitch-data.js";
+
+// Runs that start closer than this (mm) to where the previous run ended continue the same thread
+const CONTINUE_DISTANCE = 0.5;
+
+/**
+ * Adds tie-in and tie-off lock stitches to recorded stitch data.
+ * Locks go at the start and end of every run and around every trim or jump, except where
+ * a run continues right where the previous one ended, and except for stitches marked as
+ * locked (loaded designs that already have their own locks). Runs are edited in place, so
+ * the thread runs and color blocks stay in sync and every writer exports the locks.
+ * @private
+ * @param {Object} stitchData - Stitch data object ({threads, colorBlocks})
+ * @param {Object} [options={}] - Lock options
+ * @param {string} [options.pattern="triangle"] - Lock pattern ("triangle", "circle" or "none")
+ * @param {number} [options.size=0.8] - Lock size in mm
+ * @param {number} [options.minRunLength=1] - Runs shorter than this (mm) are left without locks
+ */
+export function addLockStitches(stitchData, options = {}) {
+  const { pattern = "triangle", size = 0.8, minRunLength = 1 } = options;
+  if (pattern === "none" || !(size > 0)) return;
+
+  const pieces = getSewnPieces(stitchData);
+  const edits = [];
+
+  for (let k = 0; k < pieces.length; k++) {
+    const piece = pieces[k];
+    if (piece.trim || piece.run[piece.start].locked || getPieceLength(piece) < minRunLength) continue;
+
+    if (!continues(pieces[k - 1], piece)) {
+      const point = piece.run[piece.start];
+      const direction = getDirection(piece.run, piece.start, piece.end, 1);
+      if (direction) {
+        edits.push({ run: piece.run, index: piece.start, points: createLock(point, direction, pattern, size) });
+      }
+    }
+
+    if (!continues(piece, pieces[k + 1])) {
+      const point = piece.run[piece.end];
+      const direction = getDirection(piece.run, piece.end, piece.start, -1);
+      if (direction) {
+        edits.push({ run: piece.run, index: piece.end, points: createLock(point, direction, pattern, size) });
+      }
+    }
+  }
+
+  // Insert from the back of each run so earlier indices stay valid
+  edits.sort((a, b) => b.index - a.index);
+  for (const edit of edits) {
+    edit.run.splice(edit.index + 1, 0, ...edit.points);
+  }
+}
+
+/**
+ * Splits the stitch data into pieces that are sewn without travel, in stitch order.
+ * Trim runs and inline trim points become {trim: true} entries; inline jumps start a new piece.
+ * @private
+ * @param {Object} stitchData - Stitch data object ({threads, colorBlocks})
+ * @returns {Array<Object>} Pieces ({run, start, end, threadIndex} or {trim: true})
+ */
+function getSewnPieces(stitchData) {
+  const pieces = [];
+
+  for (const block of getColorBlocks(stitchData)) {
+    for (const run of block.runs) {
+      if (run.length === 1 && run[0].command === "trim") {
+        pieces.push({ trim: true });
+        continue;
+      }
+
+      let start = 0;
+      for (let i = 1; i <= run.length; i++) {
+        const command = i < run.length ? run[i].command : null;
+        if (i < run.length && command !== "trim" && command !== "jump") continue;
+
+        if (i - 1 > start) {
+          pieces.push({ run, start, end: i - 1, threadIndex: block.threadIndex });
+        }
+        if (command === "trim") {
+          pieces.push({ trim: true });
+          start = i + 1;
+        } else {
+          start = i;
+        }
+      }
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Returns true when piece b is sewn straight on from piece a without cutting the thread.
+ * @private
+ */
+function continues(a, b) {
+  if (!a || !b || a.trim || b.trim || a.threadIndex !== b.threadIndex) return false;
+
+  const end = a.run[a.end];
+  const start = b.run[b.start];
+  return Math.hypot(start.x - end.x, start.y - end.y) < CONTINUE_DISTANCE;
+}
+
+/**
+ * Returns the sewn length of a piece in mm.
+ * @private
+ */
+function getPieceLength(piece) {
+  let length = 0;
+  for (let i = piece.start + 1; i <= piece.end; i++) {
+    length += Math.hypot(piece.run[i].x - piece.run[i - 1].x, piece.run[i].y - piece.run[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * Returns the unit vector from run[from] towards the first distinct point in the given direction.
+ * @private
+ * @returns {{x: number, y: number}|null} Direction into the sewn part of the piece, or null if all points coincide
+ */
+function getDirection(run, from, limit, step) {
+  const origin = run[from];
+  for (let i = from + step; step > 0 ? i <= limit : i >= limit; i += step) {
+    const dx = run[i].x - origin.x;
+    const dy = run[i].y - origin.y;
+    const length = Math.hypot(dx, dy);
+    if (length > 0.01) return { x: dx / length, y: dy / length };
+  }
+  return null;
+}
+
+/**
+ * Creates the stitches of one lock, starting after and ending on the given point.
+ * Locks lie on the sewn side of the point so the following or preceding stitches cover them.
+ * @private
+ * @param {{x: number, y: number}} point - Run start or end point in mm
+ * @param {{x: number, y: number}} direction - Unit vector pointing into the sewn part of the run
+ * @param {string} pattern - "triangle" or "circle"
+ * @param {number} size - Lock size in mm
+ * @returns {Array<{x: number, y: number}>} Lock stitches in mm
+ */
+function createLock(point, direction, pattern, size) {
+  const normal = { x: -direction.y, y: direction.x };
+  const at = (along, across) => ({
+    x: point.x + direction.x * along + normal.x * across,
+    y: point.y + direction.y * along + normal.y * across,
+  });
+
+  if (pattern === "circle") {
+    // Small circle through the point, centered half a lock size into the run
+    const radius = size / 2;
+    const points = [];
+    const steps = 6;
+    for (let i = 1; i <= steps; i++) {
+      const angle = (i / steps) * Math.PI * 2;
+      points.push(at(radius - Math.cos(angle) * radius, Math.sin(angle) * radius));
+    }
+    return points;
+  }
+
+  // Back-stitch triangle: forward along the run, across, and back to the point
+  return [at(size, 0), at(size / 2, size * 0.6), at(0, 0)];
+}
@@ -0,0 +1,67 @@
+/**
+ * p5.embroider Pull Compensation Utilities
+ * Functions for widening stitches to counter the fabric pulling them narrower
+ */
+
+/**
+ * Returns how far each end of a stitch is pushed outward to counter thread pull.
+ * The total compensation (absolute mm plus a percentage of the stitch length) is split
+ * between both ends. Negative values narrow the stitch instead.
+ * @private
+ * @param {number} length - Satin stitch width or fill row length in mm
+ * @param {Object} settings - Stroke or fill settings (pullCompensation, pullCompensationPercent)
+ * @returns {number} Extension per end in mm
+ */
+export function getPullCompensation(length, settings) {
+  const absolute = settings.pullCompensation || 0;
+  const percent = settings.pullCompensationPercent || 0;
+  return (absolute + (length * percent) / 100) / 2;
+}
+
+/**
+ * Extends a satin stitch or fill row along its own direction by the pull compensation.
+ * @private
+ * @param {{x: number, y: number}} start - First needle point in mm
+ * @param {{x: number, y: number}} end - Second needle point in mm
+ * @param {Object} settings - Fill settings (pullCompensation, pullCompensationPercent)
+ * @returns {{start: {x: number, y: number}, end: {x: number, y: number}}} Compensated needle points
+ */
+export function compensateSegment(start, end, settings) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+  if (length === 0) return { start, end };
+
+  // Never shrink a row past its midpoint
+  const extension = Math.max(getPullCompensation(length, settings), -length / 2);
+  if (extension === 0) return { start, end };
+
+  const ux = dx / length;
+  const uy = dy / length;
+  return {
+    start: { x: start.x - ux * extension, y: start.y - uy * extension },
+    end: { x: end.x + ux * extension, y: end.y + uy * extension },
+  };
+}
+
+/**
+ * Extends both ends of a fill row along its end directions by the pull compensation.
+ * @private
+ * @param {Array<{x: number, y: number}>} polyline - Row in mm
+ * @param {Object} settings - Fill settings (pullCompensation, pullCompensationPercent)
+ * @returns {Array<{x: number, y: number}>} Compensated row in mm
+ */
+export function compensatePolyline(polyline, settings) {
+  let length = 0;
+  for (let i = 1; i < polyline.length; i++) {
+    length += Math.hypot(polyline[i].x - polyline[i - 1].x, polyline[i].y - polyline[i - 1].y);
+  }
+
+  const extension = getPullCompensation(length, settings);
+  if (extension <= 0 || polyline.length < 2) return polyline;
+
+  const last = polyline.length - 1;
+  const start = compensateSegment(polyline[0], polyline[1], { pullCompensation: extension * 2 }).start;
+  const end = compensateSegment(polyline[last - 1], polyline[last], { pullCompensation: extension * 2 }).end;
+  return [start, ...polyline.slice(1, last), end];
+}
@@ -0,0 +1,317 @@
+/**
+ * p5.embroider Region Tracing Utilities
+ * Functions for turning a grid of color labels into polygons with holes
+ */
+
+/**
+ * Relabels connected regions smaller than minCells with the label they share the longest border with.
+ * Removes specks and anti-aliasing fringes before tracing. Transparent cells (-1) are never relabeled
+ * and never absorb other cells.
+ * @private
+ * @param {Int32Array} labels - Row-major cell labels, edited in place
+ * @param {number} columns - Number of grid columns
+ * @param {number} rows - Number of grid rows
+ * @param {number} minCells - Smallest region kept, in cells
+ */
+export function removeSmallRegions(labels, columns, rows, minCells) {
+  if (!(minCells > 1)) return;
+
+  const visited = new Uint8Array(labels.length);
+  const stack = [];
+
+  for (let start = 0; start < labels.length; start++) {
+    if (visited[start] || labels[start] < 0) continue;
+
+    // Flood fill the 4-connected region and count the labels around it
+    const label = labels[start];
+    const cells = [];
+    const borders = new Map();
+    visited[start] = 1;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      cells.push(cell);
+      for (const neighbor of getNeighbors(cell, columns, rows)) {
+        if (labels[neighbor] === label) {
+          if (!visited[neighbor]) {
+            visited[neighbor] = 1;
+            stack.push(neighbor);
+          }
+        } else if (labels[neighbor] >= 0) {
+          borders.set(labels[neighbor], (borders.get(labels[neighbor]) || 0) + 1);
+        }
+      }
+    }
+
+    if (cells.length >= minCells || borders.size === 0) continue;
+
+    let replacement = label;
+    let longest = 0;
+    for (const [other, length] of borders) {
+      if (length > longest) {
+        replacement = other;
+        longest = length;
+      }
+    }
+    for (const cell of cells) {
+      labels[cell] = replacement;
+    }
+  }
+}
+
+/**
+ * Traces the cells with the given label into polygons with holes.
+ * Every 4-connected region becomes one outline; cells touching only at a corner are kept apart.
+ * Outlines follow the cell edges and are simplified with the given tolerance.
+ * @private
+ * @param {Int32Array} labels - Row-major cell labels
+ * @param {number} columns - Number of grid columns
+ * @param {number} rows - Number of grid rows
+ * @param {number} label - Label to trace
+ * @param {number} [tolerance=0.75] - Simplification tolerance in cells
+ * @returns {Array<{outline: Array<{x: number, y: number}>, holes: Array<Array<{x: number, y: number}>>, area: number}>} Regions in cell units, area in cells
+ */
+export function traceRegions(labels, columns, rows, label, tolerance = 0.75) {
+  const inside = (i, j) => i >= 0 && j >= 0 && i < columns && j < rows && labels[j * columns + i] === label;
+  const loops = getBoundaryLoops(inside, columns, rows);
+
+  const outers = [];
+  const holes = [];
+  for (const loop of loops) {
+    const area = getSignedArea(loop.points);
+    if (area > 0) {
+      outers.push({ outline: loop.points, holes: [], area });
+    } else {
+      holes.push(loop);
+    }
+  }
+
+  // Each hole belongs to the smallest outline around one of its empty cells
+  for (const hole of holes) {
+    let owner = null;
+    for (const outer of outers) {
+      if (outer.area < (owner ? owner.area : Infinity) && pointInPolygon(hole.emptyCell, outer.outline)) {
+        owner = outer;
+      }
+    }
+    if (owner) owner.holes.push(hole.points);
+  }
+
+  return outers.map((outer) => ({
+    outline: simplifyLoop(outer.outline, tolerance),
+    holes: outer.holes.map((hole) => simplifyLoop(hole, tolerance)).filter((hole) => hole.length >= 3),
+    area: outer.area - outer.holes.reduce((sum, hole) => sum - getSignedArea(hole), 0),
+  }));
+}
+
+/**
+ * Returns the 4-connected neighbors of a cell.
+ * @private
+ */
+function getNeighbors(cell, columns, rows) {
+  const i = cell % columns;
+  const j = (cell - i) / columns;
+  const neighbors = [];
+  if (i > 0) neighbors.push(cell - 1);
+  if (i < columns - 1) neighbors.push(cell + 1);
+  if (j > 0) neighbors.push(cell - columns);
+  if (j < rows - 1) neighbors.push(cell + columns);
+  return neighbors;
+}
+
+/**
+ * Links the cell edges between inside and outside cells into closed loops.
+ * Edges run clockwise around the inside cells (y pointing down), so outlines have a positive
+ * signed area and holes a negative one.
+ * @private
+ * @param {Function} inside - (i, j) => true for cells of the traced label
+ * @returns {Array<{points: Array<{x: number, y: number}>, emptyCell: {x: number, y: number}}>} Loops with the center of an outside cell next to them
+ */
+function getBoundaryLoops(inside, columns, rows) {
+  const edges = new Map();
+  const addEdge = (x0, y0, x1, y1, emptyCell) => {
+    const key = x0 + "," + y0;
+    if (!edges.has(key)) edges.set(key, []);
+    edges.get(key).push({ x0, y0, x1, y1, emptyCell, used: false });
+  };
+
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      if (!inside(i, j)) continue;
+      if (!inside(i, j - 1)) addEdge(i, j, i + 1, j, { x: i + 0.5, y: j - 0.5 });
+      if (!inside(i + 1, j)) addEdge(i + 1, j, i + 1, j + 1, { x: i + 1.5, y: j + 0.5 });
+      if (!inside(i, j + 1)) addEdge(i + 1, j + 1, i, j + 1, { x: i + 0.5, y: j + 1.5 });
+      if (!inside(i - 1, j)) addEdge(i, j + 1, i, j, { x: i - 0.5, y: j + 0.5 });
+    }
+  }
+
+  const loops = [];
+  for (const list of edges.values()) {
+    for (const first of list) {
+      if (first.used) continue;
+
+      const points = [];
+      let edge = first;
+      while (edge && !edge.used) {
+        edge.used = true;
+        points.push({ x: edge.x0, y: edge.y0 });
+        edge = getNextEdge(edges, edge);
+      }
+
+      loops.push({ points: removeCollinearPoints(points), emptyCell: first.emptyCell });
+    }
+  }
+
+  return loops;
+}
+
+/**
+ * Picks the edge that continues a loop. Where two regions touch at a corner, the loop turns
+ * towards its own cell so the regions stay separate.
+ * @private
+ */
+function getNextEdge(edges, edge) {
+  const candidates = (edges.get(edge.x1 + "," + edge.y1) || []).filter((next) => !next.used);
+  if (candidates.length <= 1) return candidates[0];
+
+  const dx = edge.x1 - edge.x0;
+  const dy = edge.y1 - edge.y0;
+  // Right turn with y pointing down
+  return candidates.find((next) => next.x1 - next.x0 === -dy && next.y1 - next.y0 === dx) || candidates[0];
+}
+
+/**
+ * Removes points that lie on a straight line between their neighbors.
+ * @private
+ */
+function removeCollinearPoints(points) {
+  return points.filter((point, i) => {
+    const prev = points[(i - 1 + points.length) % points.length];
+    const next = points[(i + 1) % points.length];
+    return (point.x - prev.x) * (next.y - point.y) - (point.y - prev.y) * (next.x - point.x) !== 0;
+  });
+}
+
+/**
+ * Simplifies a closed loop with the Douglas-Peucker algorithm.
+ * The loop is split at the point farthest from its first point so both halves are open polylines.
+ * @private
+ */
+function simplifyLoop(points, tolerance) {
+  if (points.length <= 4 || !(tolerance > 0)) return points;
+
+  let far = 0;
+  let farDistance = -1;
+  for (let i = 1; i < points.length; i++) {
+    const d = Math.hypot(points[i].x - points[0].x, points[i].y - points[0].y);
+    if (d > farDistance) {
+      far = i;
+      farDistance = d;
+    }
+  }
+
+  const first = simplifyPolyline(points.slice(0, far + 1), tolerance);
+  const second = simplifyPolyline(points.slice(far).concat([points[0]]), tolerance);
+  const simplified = first.slice(0, -1).concat(second.slice(0, -1));
+  return simplified.length >= 3 ? simplified : points;
+}
+
+/**
+ * Simplifies an open polyline with the Douglas-Peucker algorithm, keeping both end points.
+ * @private
+ */
+function simplifyPolyline(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  const start = points[0];
+  const end = points[points.length - 1];
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  let index = 0;
+  let maxDistance = 0;
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const p = points[i];
+    const d =
+      length > 0
+        ? Math.abs((end.x - start.x) * (start.y - p.y) - (start.x - p.x) * (end.y - start.y)) / length
+        : Math.hypot(p.x - start.x, p.y - start.y);
+    if (d > maxDistance) {
+      index = i;
+      maxDistance = d;
+    }
+  }
+
+  if (maxDistance <= tolerance) return [start, end];
+
+  const left = simplifyPolyline(points.slice(0, index + 1), tolerance);
+  const right = simplifyPolyline(points.slice(index), tolerance);
+  return left.slice(0, -1).concat(right);
+}
+
+/**
+ * Returns the signed area of a closed polygon (positive when clockwise with y pointing down).
+ * @private
+ */
+function getSignedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+/**
+ * Returns true when the point is inside the closed polygon (even-odd rule).
+ * @private
+ */
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.y > point.y !== b.y > point.y && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Returns the direction of the long axis of a polygon, from its second moments of area.
+ * @private
+ * @param {Array<{x: number, y: number}>} points - Closed polygon
+ * @returns {number} Angle in radians (-PI/2 to PI/2)
+ */
+export function getPrincipalAngle(points) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  let xx = 0;
+  let yy = 0;
+  let xy = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const cross = a.x * b.y - b.x * a.y;
+    area += cross;
+    cx += (a.x + b.x) * cross;
+    cy += (a.y + b.y) * cross;
+    xx += (a.x * a.x + a.x * b.x + b.x * b.x) * cross;
+    yy += (a.y * a.y + a.y * b.y + b.y * b.y) * cross;
+    xy += (a.x * b.y + 2 * a.x * a.y + 2 * b.x * b.y + b.x * a.y) * cross;
+  }
+
+  area /= 2;
+  if (Math.abs(area) < 1e-9) return 0;
+  cx /= 6 * area;
+  cy /= 6 * area;
+
+  const mxx = xx / 12 / area - cx * cx;
+  const myy = yy / 12 / area - cy * cy;
+  const mxy = xy / 24 / area - cx * cy;
+  return Math.atan2(2 * mxy, mxx - myy) / 2;
+}
@@ -0,0 +1,67 @@
+/**
+ * p5.embroider Stitch Data Utilities
+ * Functions for recording and traversing stitch runs in drawing order
+ */
+
+/**
+ * Adds a run to a thread and records it in the ordered color block sequence.
+ * Consecutive runs on the same thread share a color block; switching threads
+ * starts a new block, which becomes a color change on export.
+ * @private
+ * @param {Object} stitchData - Stitch data object ({threads, colorBlocks})
+ * @param {number} threadIndex - Index of the thread the run belongs to
+ * @param {Array<{x: number, y: number, command?: string}>} run - Stitch run in mm
+ */
+export function addRunToStitchData(stitchData, threadIndex, run) {
+  stitchData.threads[threadIndex].runs.push(run);
+
+  if (!stitchData.colorBlocks) {
+    stitchData.colorBlocks = [];
+  }
+
+  const lastBlock = stitchData.colorBlocks[stitchData.colorBlocks.length - 1];
+  if (lastBlock && lastBlock.threadIndex === threadIndex) {
+    lastBlock.runs.push(run);
+  } else {
+    stitchData.colorBlocks.push({ threadIndex, runs: [run] });
+  }
+}
+
+/**
+ * Returns the color blocks of a design in stitch order.
+ * Falls back to one block per thread for stitch data recorded without a
+ * color block sequence (e.g. hand-built or parsed data).
+ * Empty runs and blocks without stitches are skipped.
+ * @private
+ * @param {Object} stitchData - Stitch data object ({threads, colorBlocks})
+ * @returns {Array<{threadIndex: number, thread: Object, runs: Array}>} Ordered color blocks
+ */
+export function getColorBlocks(stitchData) {
+  if (!stitchData || !stitchData.threads) return [];
+
+  const source =
+    stitchData.colorBlocks && stitchData.colorBlocks.length > 0
+      ? stitchData.colorBlocks
+      : stitchData.threads.map((thread, threadIndex) => ({ threadIndex, runs: thread.runs || [] }));
+
+  const blocks = [];
+  for (const block of source) {
+    const runs = block.runs.filter((run) => Array.isArray(run) && run.length > 0);
+    if (runs.length === 0) continue;
+
+    // Merge with the previous block when empty blocks separated the same thread
+    const previous = blocks[blocks.length - 1];
+    if (previous && previous.threadIndex === block.threadIndex) {
+      previous.runs.push(...runs);
+      continue;
+    }
+
+    blocks.push({
+      threadIndex: block.threadIndex,
+      thread: stitchData.threads[block.threadIndex],
+      runs,
+    });
+  }
+
+  return blocks;
+}
@@ -0,0 +1,78 @@
+/**
+ * p5.embroider Stitch Length Utilities
+ * Functions for keeping recorded stitches within the length machines can sew
+ */
+
+import { getColorBlocks } from "./stitch-data.js";
+
+/**
+ * Splits stitches longer than maxStitchLength into equal stitches along the same line.
+ * Only sewn segments are split, the same ones the writers sew: stitches within a run and
+ * from the end of one run to the start of the next in the same color block. Travel to a
+ * jump point, moves around trims and the move after a color change are left alone, so
+ * writers still turn them into jumps and trims. Runs are edited in place, so the thread
+ * runs and color blocks stay in sync and every writer exports the extra stitches.
+ * @private
+ * @param {Object} stitchData - Stitch data object ({threads, colorBlocks})
+ * @param {Object} [options={}] - Split options
+ * @param {number} [options.maxStitchLength=12] - Longest stitch in mm; 0 leaves stitches unchanged
+ * @returns {number} Number of stitches that were split
+ */
+export function splitLongStitches(stitchData, options = {}) {
+  const { maxStitchLength = 12 } = options;
+  if (!(maxStitchLength > 0)) return 0;
+
+  let splitCount = 0;
+
+  for (const block of getColorBlocks(stitchData)) {
+    let previous = null;
+
+    for (const run of block.runs) {
+      // Walk backwards so inserted points do not shift the stitches still to check
+      for (let i = run.length - 1; i > 0; i--) {
+        const points = getSplitPoints(run[i - 1], run[i], maxStitchLength);
+        if (points.length === 0) continue;
+        run.splice(i, 0, ...points);
+        splitCount++;
+      }
+
+      // The needle sews on from the previous run unless this run starts with a jump or trim
+      const points = previous ? getSplitPoints(previous, run[0], maxStitchLength) : [];
+      if (points.length > 0) {
+        run.unshift(...points);
+        splitCount++;
+      }
+      previous = run[run.length - 1];
+    }
+  }
+
+  return splitCount;
+}
+
+/**
+ * Returns the points that split a sewn stitch into equal stitches no longer than maxStitchLength.
+ * @private
+ */
+function getSplitPoints(from, to, maxStitchLength) {
+  if (!isSewn(from, to)) return [];
+
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  if (length <= maxStitchLength) return [];
+
+  const count = Math.ceil(length / maxStitchLength);
+  const points = [];
+  for (let k = 1; k < count; k++) {
+    const t = k / count;
+    points.push({ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+  }
+  return points;
+}
+
+/**
+ * Returns true when the needle sews from one point to the next rather than travelling.
+ * Writers cut the thread at trim points and travel to the point after them.
+ * @private
+ */
+function isSewn(from, to) {
+  return to.command !== "jump" && to.command !== "trim" && from.command !== "trim";
+}
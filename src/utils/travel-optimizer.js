@@ -0,0 +1,260 @@
+/**
+ * p5.embroider Travel Optimizer
+ * Functions for reordering recorded runs to shorten jumps and save trims
+ */
+
+import { getColorBlocks } from "./stitch-data.js";
+
+// Runs that start closer than this (mm) to where the previous run ended are sewn as one piece
+const CONTINUE_DISTANCE = 0.5;
+
+/**
+ * Reorders the runs of every color block to minimize travel between them.
+ * Touching runs are kept together as one piece; pieces are ordered nearest-first and open
+ * pieces are reversed when their far end is closer. Trims already in the block (e.g. from
+ * trimThread()) stay in place and only the pieces between two trims are reordered. Travel-only
+ * jump runs are recreated from the new order, and a trim is added wherever the new travel
+ * exceeds the jump threshold. The color block order is left unchanged.
+ * @private
+ * @param {Object} stitchData - Stitch data object ({threads, colorBlocks})
+ * @param {Object} [options={}] - Optimizer options
+ * @param {number} [options.jumpThreshold=10] - Travel distance (mm) above which the thread is trimmed
+ * @returns {{before: Object, after: Object}} Travel report ({travel, jumps, trims} each, travel in mm)
+ */
+export function optimizeTravel(stitchData, options = {}) {
+  const { jumpThreshold = 10 } = options;
+
+  const blocks = getColorBlocks(stitchData);
+  const before = measureTravel(blocks, jumpThreshold);
+
+  let position = null;
+  const optimizedBlocks = blocks.map((block) => {
+    const runs = [];
+
+    splitAtTrims(block.runs).forEach((segment, index) => {
+      // Keep the trims between segments, cutting wherever the needle now is
+      let trimmed = false;
+      if (index > 0 && position) {
+        runs.push([{ x: position.x, y: position.y, command: "trim" }]);
+        trimmed = true;
+      }
+
+      const pieces = getPieces(segment);
+      const original = pieces.map((piece) => ({ piece, reversed: false }));
+      const ordered = orderPieces(pieces, position);
+
+      // Greedy ordering can lose to the drawing order on small blocks
+      const order = getOrderTravel(ordered, position) <= getOrderTravel(original, position) ? ordered : original;
+
+      for (const { piece, reversed } of order) {
+        const start = reversed ? piece.end : piece.start;
+        if (!trimmed && position && distance(position, start) > jumpThreshold) {
+          runs.push([{ x: position.x, y: position.y, command: "trim" }]);
+        }
+        runs.push(...(reversed ? reverseRuns(piece.runs) : piece.runs));
+        position = reversed ? piece.start : piece.end;
+        trimmed = false;
+      }
+    });
+
+    return { threadIndex: block.threadIndex, runs };
+  });
+
+  // Rebuild the thread runs so they follow the new color block order
+  for (const thread of stitchData.threads) {
+    thread.runs = [];
+  }
+  for (const block of optimizedBlocks) {
+    stitchData.threads[block.threadIndex].runs.push(...block.runs);
+  }
+  stitchData.colorBlocks = optimizedBlocks;
+
+  return { before, after: measureTravel(getColorBlocks(stitchData), jumpThreshold) };
+}
+
+/**
+ * Measures the travel, long jumps and trims of color blocks in stitch order.
+ * Travel is the distance between the end of one run and the start of the next, plus inline jumps.
+ * Travel-only jump runs are skipped, so their distance is counted once between the runs around them.
+ * @private
+ * @param {Array<{runs: Array}>} blocks - Color blocks from getColorBlocks()
+ * @param {number} jumpThreshold - Moves longer than this (mm) count as jumps
+ * @returns {{travel: number, jumps: number, trims: number}} Travel distance in mm, number of jumps and trims
+ */
+function measureTravel(blocks, jumpThreshold) {
+  let travel = 0;
+  let jumps = 0;
+  let trims = 0;
+  let position = null;
+
+  for (const block of blocks) {
+    for (const run of block.runs) {
+      if (run.length > 1 && isTravelRun(run)) continue;
+
+      for (let i = 0; i < run.length; i++) {
+        const point = run[i];
+        if (point.command === "trim") {
+          trims++;
+          continue;
+        }
+        if (position && (i === 0 || point.command === "jump")) {
+          const move = distance(position, point);
+          travel += move;
+          if (move > jumpThreshold) jumps++;
+        }
+        position = point;
+      }
+    }
+  }
+
+  return { travel, jumps, trims };
+}
+
+/**
+ * Splits the runs of a color block at its trim runs.
+ * @private
+ * @param {Array<Array<{x: number, y: number, command?: string}>>} runs - Runs of one color block
+ * @returns {Array<Array>} Runs between trims, one list per segment (the trim runs are left out)
+ */
+function splitAtTrims(runs) {
+  const segments = [[]];
+  for (const run of runs) {
+    if (run.length === 1 && run[0].command === "trim") {
+      segments.push([]);
+    } else {
+      segments[segments.length - 1].push(run);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Groups the runs between two trims into pieces of touching runs.
+ * Travel-only jump runs are dropped; they are recreated after reordering.
+ * @private
+ * @param {Array<Array<{x: number, y: number, command?: string}>>} runs - Runs of one color block
+ * @returns {Array<{runs: Array, start: Object, end: Object, reversible: boolean}>} Pieces in drawing order
+ */
+function getPieces(runs) {
+  const pieces = [];
+  let current = null;
+
+  for (const run of runs) {
+    if (isTravelRun(run)) {
+      current = null;
+      continue;
+    }
+
+    const first = run[0];
+    const last = run[run.length - 1];
+    if (current && distance(current.end, first) < CONTINUE_DISTANCE) {
+      current.runs.push(run);
+      current.end = last;
+      current.reversible = current.reversible && isReversible(run);
+      continue;
+    }
+
+    current = { runs: [run], start: first, end: last, reversible: isReversible(run) };
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * Orders pieces nearest-first, starting from the given needle position.
+ * @private
+ * @param {Array<Object>} pieces - Pieces from getPieces()
+ * @param {{x: number, y: number}|null} position - Current needle position, or null to start with the first piece
+ * @returns {Array<{piece: Object, reversed: boolean}>} Ordered pieces
+ */
+function orderPieces(pieces, position) {
+  const remaining = pieces.slice();
+  const order = [];
+
+  if (!position && remaining.length > 0) {
+    const piece = remaining.shift();
+    order.push({ piece, reversed: false });
+    position = piece.end;
+  }
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestReversed = false;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const piece = remaining[i];
+      const forward = distance(position, piece.start);
+      if (forward < bestDistance) {
+        bestIndex = i;
+        bestReversed = false;
+        bestDistance = forward;
+      }
+      if (piece.reversible) {
+        const backward = distance(position, piece.end);
+        if (backward < bestDistance) {
+          bestIndex = i;
+          bestReversed = true;
+          bestDistance = backward;
+        }
+      }
+    }
+
+    const [piece] = remaining.splice(bestIndex, 1);
+    order.push({ piece, reversed: bestReversed });
+    position = bestReversed ? piece.start : piece.end;
+  }
+
+  return order;
+}
+
+/**
+ * Returns the travel distance (mm) of an ordered list of pieces.
+ * @private
+ */
+function getOrderTravel(order, position) {
+  let travel = 0;
+  for (const { piece, reversed } of order) {
+    if (position) travel += distance(position, reversed ? piece.end : piece.start);
+    position = reversed ? piece.start : piece.end;
+  }
+  return travel;
+}
+
+/**
+ * Returns true for runs that only move the needle: trims and jump-to-start runs.
+ * @private
+ */
+function isTravelRun(run) {
+  if (run.length === 1) return run[0].command === "trim";
+  return run.slice(0, -1).every((point) => point.command === "jump" || point.command === "trim");
+}
+
+/**
+ * Returns true when a run sews the same stitches backwards: no commands and no underlay
+ * that has to go down before the top stitches.
+ * @private
+ */
+function isReversible(run) {
+  return run.every((point) => !point.command && !point.underlay);
+}
+
+/**
+ * Reverses the order of a list of runs and of the stitches in each run.
+ * @private
+ */
+function reverseRuns(runs) {
+  return runs
+    .slice()
+    .reverse()
+    .map((run) => run.slice().reverse());
+}
+
+/**
+ * Returns the distance between two points in mm.
+ * @private
+ */
+function distance(a, b) {
+  return Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
+}
@@ -0,0 +1,129 @@
+import { beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { DSTWriter } from "../src/io/p5-tajima-dst-writer.js";
+import { DSTReader } from "../src/io/p5-tajima-dst-reader.js";
+import { SAMPLE_DESIGN, getExpectedRuns, getSewnRuns, toWriterPoints } from "./helpers/designs.js";
+
+function roundTrip(design, options = {}) {
+  const bytes = new DSTWriter().generateDST(toWriterPoints(design), "Test", options);
+  return new DSTReader().read(bytes);
+}
+
+describe("DST round trip", () => {
+  beforeAll(() => {
+    // The writer logs every export while its debug flag is on
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("reads back every stitch in order", () => {
+    const design = roundTrip(SAMPLE_DESIGN);
+
+    expect(getSewnRuns(design)).toEqual(getExpectedRuns(SAMPLE_DESIGN));
+    expect(design.stitchCount).toBe(8);
+    expect(design.width).toBeCloseTo(23);
+    expect(design.height).toBeCloseTo(23);
+  });
+
+  test("keeps trims and color changes", () => {
+    const design = roundTrip(SAMPLE_DESIGN);
+
+    expect(design.colorBlocks).toHaveLength(2);
+    const trims = design.colorBlocks[0].runs.filter((run) => run.length === 1 && run[0].command === "trim");
+    expect(trims).toHaveLength(1);
+  });
+
+  test("travels to the first stitch after a color change", () => {
+    const points = toWriterPoints(SAMPLE_DESIGN);
+    const next = points[points.findIndex((point) => point.colorChange) + 1];
+    next.jump = false;
+    delete next.command;
+    const design = new DSTReader().read(new DSTWriter().generateDST(points, "Test"));
+
+    expect(getSewnRuns(design)).toEqual(getExpectedRuns(SAMPLE_DESIGN));
+  });
+
+  test("reads thread colors and names from the TC color table", () => {
+    const design = roundTrip(SAMPLE_DESIGN, { colorTable: true });
+    const threads = design.colorBlocks.map((block) => design.threads[block.threadIndex]);
+
+    expect(threads.map((thread) => thread.color)).toEqual([
+      { r: 255, g: 0, b: 0 },
+      { r: 0, g: 0, b: 255 },
+    ]);
+    expect(threads.map((thread) => thread.name)).toEqual(["Red", "Blue"]);
+  });
+
+  test("splits moves longer than a record into jumps without moving the stitches", () => {
+    const farApart = [
+      {
+        color: 0x000000,
+        runs: [
+          [
+            { x: 0, y: 0 },
+            { x: 2, y: 0 },
+          ],
+          [
+            { x: 60, y: 45 },
+            { x: 62, y: 45 },
+          ],
+        ],
+      },
+    ];
+
+    expect(getSewnRuns(roundTrip(farApart))).toEqual(getExpectedRuns(farApart));
+  });
+
+  test("sews stitches longer than a record as several stitches", () => {
+    const longStitch = [
+      {
+        color: 0x000000,
+        runs: [
+          [
+            { x: 0, y: 0 },
+            { x: 30, y: 0 },
+            { x: 30, y: 2 },
+          ],
+        ],
+      },
+    ];
+    const [block] = roundTrip(longStitch).colorBlocks;
+
+    expect(block.runs).toHaveLength(1);
+    expect(block.runs[0].map(({ x, y }) => ({ x, y }))).toEqual([
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 20, y: 0 },
+      { x: 30, y: 0 },
+      { x: 30, y: 2 },
+    ]);
+  });
+});
+
+describe("DST header fields", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  function readHeader(options) {
+    const bytes = new DSTWriter().generateDST(toWriterPoints(SAMPLE_DESIGN), "Test", options);
+    return { bytes, header: new DSTReader().parseHeader(bytes) };
+  }
+
+  test("strips control characters and replaces non-ASCII characters in AU and CP", () => {
+    const { header } = readHeader({ author: "Jöhn\r\x1aDoe", copyright: "© 2026" });
+
+    expect(header.AU).toBe("J?hnDoe");
+    expect(header.CP).toBe("? 2026");
+  });
+
+  test("shortens AU and CP to the room left in the header", () => {
+    const { bytes, header } = readHeader({ author: "A".repeat(300), copyright: "C".repeat(300) });
+
+    expect(header.AU).toBe("A".repeat(300));
+    expect(header.CP.length).toBeGreaterThan(0);
+    expect(header.CP.length).toBeLessThan(300);
+    // The EOF marker still ends the 512-byte header and the stitches follow it
+    expect(bytes.indexOf(0x1a)).toBeLessThan(DSTWriter.HEADER_SIZE);
+    expect(new DSTReader().read(bytes).stitchCount).toBe(8);
+  });
+});
@@ -0,0 +1,60 @@
+import { beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { EXPWriter } from "../src/io/p5-melco-exp-writer.js";
+import {
+  SAMPLE_DESIGN,
+  getExpectedRuns,
+  getLongestStitch,
+  getSewnRuns,
+  readByteRecords,
+  toWriterPoints,
+} from "./helpers/designs.js";
+
+const EXP_COMMANDS = { control: EXPWriter.CONTROL, jump: 0x04, trim: 0x80, colorChange: 0x01 };
+
+function roundTrip(design) {
+  const bytes = new EXPWriter().generateEXP(toWriterPoints(design));
+  return { bytes, design: readByteRecords(bytes, EXP_COMMANDS) };
+}
+
+describe("EXP writer", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("reads back every stitch in order", () => {
+    const { design } = roundTrip(SAMPLE_DESIGN);
+
+    expect(getSewnRuns(design)).toEqual(getExpectedRuns(SAMPLE_DESIGN));
+    expect(design.stitchCount).toBe(8);
+  });
+
+  test("writes trims and color changes as control records", () => {
+    const { bytes, design } = roundTrip(SAMPLE_DESIGN);
+
+    expect(design.colorBlocks).toHaveLength(2);
+    const trims = design.colorBlocks[0].runs.filter((run) => run.length === 1 && run[0].command === "trim");
+    expect(trims).toHaveLength(1);
+    // No header and no end record: the file starts and ends with records
+    expect(bytes.length % 2).toBe(0);
+  });
+
+  test("sews stitches longer than a record as several stitches", () => {
+    const longStitch = [
+      {
+        color: 0x000000,
+        runs: [
+          [
+            { x: 0, y: 0 },
+            { x: 30, y: 0 },
+            { x: 30, y: 2 },
+          ],
+        ],
+      },
+    ];
+    const [block] = roundTrip(longStitch).design.colorBlocks;
+
+    expect(block.runs).toHaveLength(1);
+    expect(getLongestStitch(block)).toBeLessThanOrEqual(EXPWriter.MAX_MOVE / 10);
+    expect(block.runs[0][block.runs[0].length - 1]).toEqual({ x: 30, y: 2 });
+  });
+});
@@ -0,0 +1,405 @@
+import { beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { readBackExport, recordDrawing } from "./helpers/headless.js";
+import { getLongestStitch } from "./helpers/designs.js";
+
+// U-shaped outline: rows across it are cut in two by the gap between the arms
+const U_SHAPE = [
+  [10, 10],
+  [20, 10],
+  [20, 60],
+  [60, 60],
+  [60, 10],
+  [70, 10],
+  [70, 70],
+  [10, 70],
+];
+
+// Comb with three teeth: a nearest-first walk has to leave one tooth for later
+const COMB = [
+  [10, 10],
+  [20, 10],
+  [20, 60],
+  [40, 60],
+  [40, 10],
+  [50, 10],
+  [50, 60],
+  [70, 60],
+  [70, 10],
+  [80, 10],
+  [80, 70],
+  [10, 70],
+];
+
+function drawShape(p, outline, holes = []) {
+  p.beginShape();
+  for (const [x, y] of outline) p.vertex(x, y);
+  for (const hole of holes) {
+    p.beginContour();
+    for (const [x, y] of hole) p.vertex(x, y);
+    p.endContour();
+  }
+  p.endShape(p.CLOSE);
+}
+
+function recordFill(mode, settings, outline, holes) {
+  return recordDrawing((p) => {
+    // Shapes are always outlined, so give the outline its own color block
+    p.stroke(0, 0, 255);
+    p.fill(255, 0, 0);
+    setFillMode(mode);
+    setFillSettings(settings);
+    drawShape(p, outline, holes);
+  });
+}
+
+function getBounds(block) {
+  const points = block.runs.flat();
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+// Reads back the fill and outline blocks, moved so the outline lines up with the drawn shape
+function readBackFill(p, outline) {
+  const [fill, stroke] = readBackExport(p, "jef").colorBlocks;
+  const bounds = getBounds(stroke);
+  const dx = Math.min(...outline.map(([x]) => x)) - bounds.minX;
+  const dy = Math.min(...outline.map(([, y]) => y)) - bounds.minY;
+  return fill.runs.map((run) => run.map((point) => ({ ...point, x: point.x + dx, y: point.y + dy })));
+}
+
+describe("fill travel", () => {
+  beforeAll(() => {
+    // The writers log every export while their debug flags are on
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test.each(["pes", "dst", "jef"])("guided fill trims instead of sewing across the gap in %s", async (format) => {
+    const p = await recordFill(
+      "guided",
+      {
+        guide: [
+          { x: 0, y: 30 },
+          { x: 80, y: 30 },
+        ],
+      },
+      U_SHAPE,
+    );
+
+    const [fill] = readBackExport(p, format).colorBlocks;
+
+    expect(getLongestStitch(fill)).toBeLessThan(10);
+  });
+
+  test.each(["pes", "dst", "jef"])("motif fill trims instead of sewing between the teeth in %s", async (format) => {
+    const motif = [
+      [0, 0],
+      [2, 2],
+      [4, 0],
+    ];
+    const p = await recordFill("motif", { motif, motifSpacing: 4 }, COMB);
+    const [fill] = readBackExport(p, format).colorBlocks;
+
+    expect(getLongestStitch(fill)).toBeLessThan(10);
+  });
+
+  test.each(["pes", "dst", "jef"])("cross fill trims instead of sewing between the teeth in %s", async (format) => {
+    const p = await recordFill("cross", { crossSize: 2 }, COMB);
+    const [fill] = readBackExport(p, format).colorBlocks;
+
+    expect(getLongestStitch(fill)).toBeLessThan(10);
+  });
+
+  test("cross fill does not sew across a hole", async () => {
+    const outline = [
+      [12, 12],
+      [72, 12],
+      [72, 52],
+      [12, 52],
+    ];
+    const slot = [
+      [37, 20],
+      [37, 44],
+      [41, 44],
+      [41, 20],
+    ];
+    const p = await recordFill("cross", { crossSize: 4 }, outline, [slot]);
+    const [fill] = readBackExport(p, "jef").colorBlocks;
+
+    // The design starts at (12, 12), so the slot spans x 25 to 29 and the crosses next to it end at x 24 and 28
+    for (const run of fill.runs) {
+      for (let i = 1; i < run.length; i++) {
+        const [a, b] = [run[i - 1], run[i]];
+        const acrossSlot = Math.min(a.x, b.x) <= 24 && Math.max(a.x, b.x) >= 28;
+        const besideSlot = (a.y + b.y) / 2 > 8 && (a.y + b.y) / 2 < 32;
+        expect(acrossSlot && besideSlot).toBe(false);
+      }
+    }
+  });
+});
+
+describe("fill modes", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  const shapes = {
+    rect: (p) => p.rect(10, 10, 40, 30),
+    ellipse: (p) => p.ellipse(30, 25, 40, 30),
+    triangle: (p) => p.triangle(10, 40, 50, 40, 30, 10),
+  };
+  const settings = {
+    guide: [
+      { x: 0, y: 25 },
+      { x: 60, y: 25 },
+    ],
+    motif: [
+      [0, 0],
+      [2, 2],
+      [4, 0],
+    ],
+    motifSpacing: 4,
+    // Cross stitches fill whole cells, so keep them small enough to stay within the tolerance
+    crossSize: 2,
+  };
+  const cases = Object.keys(shapes).flatMap((shape) =>
+    ["tatami", "satin", "spiral", "contour", "guided", "motif", "cross"].map((mode) => [shape, mode]),
+  );
+
+  test.each(cases)("%s() fills inside its outline in %s mode", async (shape, mode) => {
+    const p = await recordDrawing((p) => {
+      p.stroke(0, 0, 255);
+      p.fill(255, 0, 0);
+      setFillMode(mode);
+      setFillSettings(settings);
+      shapes[shape](p);
+    });
+    const [fill, outline] = readBackExport(p, "jef").colorBlocks;
+    const inner = getBounds(fill);
+    const outer = getBounds(outline);
+
+    expect(fill.runs.flat().length).toBeGreaterThan(10);
+    expect(inner.minX).toBeGreaterThanOrEqual(outer.minX - 1);
+    expect(inner.maxX).toBeLessThanOrEqual(outer.maxX + 1);
+    expect(inner.minY).toBeGreaterThanOrEqual(outer.minY - 1);
+    expect(inner.maxY).toBeLessThanOrEqual(outer.maxY + 1);
+  });
+});
+
+describe("fill angles", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  // Counts the sewn stitches of a color block that run closer to vertical than to horizontal
+  function countStitches(block) {
+    let vertical = 0;
+    let horizontal = 0;
+    for (const run of block.runs) {
+      for (let i = 1; i < run.length; i++) {
+        const dx = Math.abs(run[i].x - run[i - 1].x);
+        const dy = Math.abs(run[i].y - run[i - 1].y);
+        if (dx + dy < 0.5) continue;
+        if (dy > dx) vertical++;
+        else horizontal++;
+      }
+    }
+    return { vertical, horizontal };
+  }
+
+  function recordRect(settings) {
+    return recordDrawing((p) => {
+      p.stroke(0, 0, 255);
+      p.fill(255, 0, 0);
+      setFillMode(settings.mode);
+      setFillSettings({ angle: 0, underlay: null, gradient: null, ...settings });
+      p.rect(10, 10, 40, 40);
+    });
+  }
+
+  test("turns the motif grid by motifAngle in radians", async () => {
+    const motif = [
+      [0, 0],
+      [4, 0],
+    ];
+    const p = await recordRect({ mode: "motif", motif, motifSpacing: { x: 4, y: 2 }, motifAngle: Math.PI / 2 });
+    const { vertical, horizontal } = countStitches(readBackExport(p, "jef").colorBlocks[0]);
+
+    expect(vertical).toBeGreaterThan(horizontal * 4);
+  });
+
+  test("turns tatami underlay layers by their angle in radians", async () => {
+    const p = await recordRect({ mode: "tatami", underlay: { type: "tatami", angle: Math.PI / 2, rowSpacing: 2 } });
+    const { vertical } = countStitches(readBackExport(p, "jef").colorBlocks[0]);
+
+    // The top rows run left to right and only step down between rows, so most stitches up and down are underlay
+    expect(vertical).toBeGreaterThan(150);
+  });
+
+  test("spreads gradient rows along the gradient angle in radians", async () => {
+    const p = await recordRect({ mode: "tatami", gradient: { start: 0.5, end: 3, angle: Math.PI / 2 } });
+    const rows = [
+      ...new Set(
+        readBackExport(p, "jef")
+          .colorBlocks[0].runs.flat()
+          .map((point) => point.y),
+      ),
+    ].sort((a, b) => a - b);
+    const top = rows.filter((y) => y < rows[0] + 10).length;
+    const bottom = rows.filter((y) => y > rows[rows.length - 1] - 10).length;
+
+    expect(top).toBeGreaterThan(bottom * 2);
+  });
+});
+
+describe("fills with holes", () => {
+  const SQUARE = [
+    [10, 10],
+    [70, 10],
+    [70, 70],
+    [10, 70],
+  ];
+  const HOLE = [
+    [30, 30],
+    [30, 50],
+    [50, 50],
+    [50, 30],
+  ];
+
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  // Inside the hole and more than 1mm away from its edge
+  const insideHole = ({ x, y }) => x > 31 && x < 49 && y > 31 && y < 49;
+
+  test.each(["satin", "spiral", "contour", "tatami"])("%s fill leaves the hole empty", async (mode) => {
+    const p = await recordFill(mode, { rowSpacing: 1 }, SQUARE, [HOLE]);
+    const runs = readBackFill(p, SQUARE);
+
+    for (const run of runs) {
+      for (let i = 0; i < run.length; i++) {
+        expect(insideHole(run[i])).toBe(false);
+        // Moves that jump or follow a trim leave no thread behind
+        if (i === 0 || run[i].command === "jump" || run[i - 1].command === "trim") continue;
+        const middle = { x: (run[i - 1].x + run[i].x) / 2, y: (run[i - 1].y + run[i].y) / 2 };
+        expect(insideHole(middle)).toBe(false);
+      }
+    }
+  });
+});
+
+describe("contour fill", () => {
+  const SQUARE = [
+    [10, 10],
+    [50, 10],
+    [50, 50],
+    [10, 50],
+  ];
+
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  // Distance from a point to the nearest side of the square
+  const toEdge = ({ x, y }) => Math.min(x - 10, 50 - x, y - 10, 50 - y);
+
+  test("sews rings from the outline to the middle", async () => {
+    const p = await recordFill("contour", { rowSpacing: 2, contourStart: "outer" }, SQUARE);
+    const points = readBackFill(p, SQUARE).flat();
+
+    expect(toEdge(points[0])).toBeLessThan(2);
+    expect(toEdge(points[points.length - 1])).toBeGreaterThan(15);
+    for (const point of points) {
+      expect(toEdge(point)).toBeGreaterThan(-1);
+    }
+  });
+
+  test("starts in the middle with contourStart 'inner'", async () => {
+    const p = await recordFill("contour", { rowSpacing: 2, contourStart: "inner" }, SQUARE);
+    const points = readBackFill(p, SQUARE).flat();
+
+    expect(toEdge(points[0])).toBeGreaterThan(15);
+    expect(toEdge(points[points.length - 1])).toBeLessThan(2);
+  });
+});
+
+describe("guided fill", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("bends the rows along the guide", async () => {
+    const square = [
+      [10, 10],
+      [50, 10],
+      [50, 50],
+      [10, 50],
+    ];
+    // A diagonal guide turns rows that would otherwise run left to right
+    const guide = [
+      { x: 10, y: 50 },
+      { x: 50, y: 10 },
+    ];
+    const p = await recordFill("guided", { guide, angle: 0 }, square);
+    let diagonal = 0;
+    let total = 0;
+    for (const run of readBackFill(p, square)) {
+      for (let i = 1; i < run.length; i++) {
+        const dx = run[i].x - run[i - 1].x;
+        const dy = run[i].y - run[i - 1].y;
+        if (Math.hypot(dx, dy) < 1) continue;
+        total++;
+        // Along the guide, x grows while y shrinks
+        if (Math.abs(Math.abs(dx) - Math.abs(dy)) < Math.hypot(dx, dy) * 0.3 && dx * dy < 0) diagonal++;
+      }
+    }
+
+    expect(diagonal).toBeGreaterThan(total * 0.7);
+  });
+});
+
+describe("tatami gradient", () => {
+  const SQUARE = [
+    [10, 10],
+    [50, 10],
+    [50, 50],
+    [10, 50],
+  ];
+
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  function getRowSpacings(p) {
+    const rows = [
+      ...new Set(
+        readBackFill(p, SQUARE)
+          .flat()
+          .map((point) => Math.round(point.y * 10) / 10),
+      ),
+    ];
+    rows.sort((a, b) => a - b);
+    return rows.slice(1).map((y, i) => ({ y, spacing: y - rows[i] }));
+  }
+
+  test("spaces the rows with a callback sampled at the middle of each row", async () => {
+    const p = await recordFill("tatami", { angle: 0, underlay: null, gradient: (x, y) => (y < 30 ? 0.5 : 2) }, SQUARE);
+    const spacings = getRowSpacings(p);
+
+    for (const { spacing } of spacings.filter(({ y }) => y < 28)) {
+      expect(spacing).toBeCloseTo(0.5, 0);
+    }
+    for (const { spacing } of spacings.filter(({ y }) => y > 32)) {
+      expect(spacing).toBeCloseTo(2, 0);
+    }
+  });
+
+  test("keeps the rows at least 0.1mm apart", async () => {
+    const p = await recordFill("tatami", { angle: 0, underlay: null, gradient: () => 0 }, SQUARE);
+
+    for (const { spacing } of getRowSpacings(p)) {
+      expect(spacing).toBeGreaterThanOrEqual(0.1 - 1e-6);
+    }
+  });
+});
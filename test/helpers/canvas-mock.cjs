@@ -0,0 +1,33 @@
+/**
+ * Stand-in for the native canvas package, mapped in the jest config. Recording only needs
+ * p5.js to get a 2D context back, so every drawing call is accepted and ignored.
+ */
+
+function createContext() {
+  return new Proxy(
+    {},
+    {
+      get(target, key) {
+        if (typeof key === "symbol" || key in target) return target[key];
+        if (key === "getImageData") {
+          return (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) });
+        }
+        if (key === "measureText") return () => ({ width: 0 });
+        return () => {};
+      },
+      set(target, key, value) {
+        target[key] = value;
+        return true;
+      },
+    },
+  );
+}
+
+function createCanvas(width, height) {
+  const context = createContext();
+  return { width, height, getContext: () => context, toDataURL: () => "data:," };
+}
+
+class Image {}
+
+module.exports = { createCanvas, Image };
@@ -0,0 +1,176 @@
+/**
+ * Shared fixtures for the reader and writer tests.
+ */
+
+// Two red runs separated by a trim, then a blue run: covers stitches, a jump, a trim and a color change
+export const SAMPLE_DESIGN = [
+  {
+    color: 0xff0000,
+    thread: { name: "Red", catalogNumber: "1800" },
+    runs: [
+      [
+        { x: 10, y: 10 },
+        { x: 13, y: 10 },
+        { x: 16, y: 10 },
+        { x: 16, y: 13 },
+      ],
+      "trim",
+      [
+        { x: 30, y: 20 },
+        { x: 30, y: 23 },
+        { x: 33, y: 23 },
+      ],
+    ],
+  },
+  {
+    color: 0x0000ff,
+    thread: { name: "Blue", catalogNumber: "1902" },
+    runs: [
+      [
+        { x: 20, y: 30 },
+        { x: 23, y: 31 },
+        { x: 26, y: 32 },
+        { x: 29, y: 33 },
+      ],
+    ],
+  },
+];
+
+/**
+ * Converts a design to writer points the way the library's export does: positions in
+ * 0.1mm, a jump to the start of every run, a trim point per trim and, for the DST family
+ * and JEF, a color change point between blocks (PES tells blocks apart by color).
+ * @param {Array} design - Blocks of {color, thread, runs} with runs in mm or "trim"
+ * @param {Object} [options={}] - Conversion options
+ * @param {boolean} [options.colorChanges=true] - Add color change points between blocks
+ * @returns {Array<Object>} Writer points
+ */
+export function toWriterPoints(design, options = {}) {
+  const { colorChanges = true } = options;
+  const points = [];
+
+  design.forEach((block, blockIndex) => {
+    const { color, thread } = block;
+    if (blockIndex > 0 && colorChanges) {
+      const last = points[points.length - 1];
+      points.push({ x: last.x, y: last.y, colorChange: true });
+    }
+
+    for (const run of block.runs) {
+      if (run === "trim") {
+        const last = points[points.length - 1];
+        points.push({ x: last.x, y: last.y, color, thread, jump: true, trim: true });
+        continue;
+      }
+      run.forEach((stitch, i) => {
+        const jump = i === 0;
+        points.push({ x: stitch.x * 10, y: stitch.y * 10, color, thread, jump, command: jump ? "jump" : undefined });
+      });
+    }
+  });
+
+  return points;
+}
+
+/**
+ * Returns the sewn runs of every color block as read back, rounded to 0.1mm.
+ * Trim runs are left out, and repeated stitches on the same spot (PEC files start with
+ * zero-length stitches) count once.
+ * @param {Object} design - Stitch data returned by a reader
+ * @returns {Array<Array<Array<{x: number, y: number}>>>} Runs of every color block
+ */
+export function getSewnRuns(design) {
+  return design.colorBlocks.map((block) =>
+    block.runs
+      .filter((run) => run.length > 1)
+      .map((run) =>
+        run
+          .map((p) => ({ x: Math.round(p.x * 10) / 10, y: Math.round(p.y * 10) / 10 }))
+          .filter((p, i, points) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y),
+      ),
+  );
+}
+
+/**
+ * Returns the expected sewn runs of a fixture design, moved so its top-left corner is at (0, 0).
+ * @param {Array} design - Blocks of {color, thread, runs}
+ * @returns {Array<Array<Array<{x: number, y: number}>>>} Runs of every color block
+ */
+export function getExpectedRuns(design) {
+  const stitches = design.flatMap((block) => block.runs.filter((run) => run !== "trim").flat());
+  const minX = Math.min(...stitches.map((p) => p.x));
+  const minY = Math.min(...stitches.map((p) => p.y));
+  return design.map((block) =>
+    block.runs.filter((run) => run !== "trim").map((run) => run.map((p) => ({ x: p.x - minX, y: p.y - minY }))),
+  );
+}
+
+/**
+ * Returns the longest sewn stitch of a color block as read back, in mm.
+ * @param {{runs: Array}} block - Color block returned by a reader
+ * @returns {number} Longest distance between two stitches of the same run
+ */
+export function getLongestStitch(block) {
+  let longest = 0;
+  for (const run of block.runs) {
+    for (let i = 1; i < run.length; i++) {
+      longest = Math.max(longest, Math.hypot(run[i].x - run[i - 1].x, run[i].y - run[i - 1].y));
+    }
+  }
+  return longest;
+}
+
+/**
+ * Reads back the stitch records of headerless byte-pair formats (EXP, XXX) as color blocks,
+ * in mm from the top-left corner of the sewn stitches. Stitches are signed byte pairs in
+ * 0.1mm with y pointing up; control records are the control byte, a command byte and, for
+ * jumps, a move.
+ * @param {Uint8Array} bytes - Stitch records
+ * @param {Object} commands - Control byte and command bytes ({control, jump, trim, colorChange, end})
+ * @returns {{colorBlocks: Array<{runs: Array}>, stitchCount: number}} Stitch data in the shape the readers return
+ */
+export function readByteRecords(bytes, commands) {
+  const colorBlocks = [{ runs: [] }];
+  let x = 0;
+  let y = 0;
+  let run = null;
+  let stitchCount = 0;
+  const move = (i) => {
+    x += (bytes[i] << 24) >> 24;
+    y -= (bytes[i + 1] << 24) >> 24;
+  };
+
+  for (let i = 0; i < bytes.length; ) {
+    const runs = colorBlocks[colorBlocks.length - 1].runs;
+    if (bytes[i] !== commands.control) {
+      if (!run) runs.push((run = [{ x, y }]));
+      move(i);
+      run.push({ x, y });
+      stitchCount++;
+      i += 2;
+      continue;
+    }
+
+    const command = bytes[i + 1];
+    if (command === commands.end) break;
+    if (command === commands.jump) {
+      move(i + 2);
+      run = null;
+    } else if (command === commands.trim) {
+      runs.push([{ x, y, command: "trim" }]);
+      run = null;
+    } else if (command === commands.colorChange) {
+      colorBlocks.push({ runs: [] });
+      run = null;
+    }
+    i += 4;
+  }
+
+  const stitches = colorBlocks.flatMap((block) => block.runs.filter((r) => r.length > 1).flat());
+  const minX = Math.min(...stitches.map((p) => p.x));
+  const minY = Math.min(...stitches.map((p) => p.y));
+  for (const block of colorBlocks) {
+    block.runs = block.runs.map((r) => r.map((p) => ({ ...p, x: (p.x - minX) / 10, y: (p.y - minY) / 10 })));
+  }
+  return { colorBlocks, stitchCount };
+}
@@ -0,0 +1,51 @@
+import { recordSketch } from "../../src/p5.embroider.node.js";
+import { DSTReader } from "../../src/io/p5-tajima-dst-reader.js";
+import { JEFReader } from "../../src/io/p5-janome-jef-reader.js";
+import { PESReader } from "../../src/io/p5-pes-reader.js";
+
+const READERS = { dst: DSTReader, jef: JEFReader, pes: PESReader };
+
+/**
+ * Records a drawing headlessly in an instance-mode sketch.
+ * @param {Function} draw - Called with the p5 instance between beginRecord(p) and endRecord(p)
+ * @param {Object} [options={}] - Canvas size in mm and the draw mode
+ * @returns {Promise<p5>} The p5 instance holding the recorded stitch data
+ */
+export async function recordDrawing(draw, { width = 100, height = 100, drawMode = "stitch" } = {}) {
+  const p = await recordSketch((p) => {
+    p.setup = () => {
+      p.createCanvas(mmToPixel(width), mmToPixel(height));
+      p.noLoop();
+    };
+    p.draw = () => {
+      beginRecord(p);
+      setDrawMode(drawMode);
+      draw(p);
+      endRecord(p);
+    };
+  });
+  p.remove();
+  return p;
+}
+
+/**
+ * Returns the recorded stitch data of a p5 instance as exported to JSON.
+ * @param {p5} p - Instance passed to beginRecord()
+ * @returns {Object} Parsed p5.embroider JSON export
+ */
+export function getRecordedJSON(p) {
+  setRecordingInstance(p);
+  return JSON.parse(p5embroidery.generateEmbroidery("design.json"));
+}
+
+/**
+ * Exports the recorded stitch data of a p5 instance and reads the file back.
+ * @param {p5} p - Instance passed to beginRecord()
+ * @param {string} format - "dst", "jef" or "pes"
+ * @returns {Object} Stitch data returned by the format's reader, in mm
+ */
+export function readBackExport(p, format) {
+  setRecordingInstance(p);
+  const bytes = p5embroidery.generateEmbroidery(`design.${format}`);
+  return new READERS[format]().read(bytes);
+}
@@ -0,0 +1,100 @@
+import { beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { createImageStitches } from "../src/utils/image-stitch.js";
+import { getRecordedJSON, readBackExport, recordDrawing } from "./helpers/headless.js";
+
+function createSolidImage(width, height, [r, g, b]) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    pixels.set([r, g, b, 255], i);
+  }
+  return { width, height, pixels };
+}
+
+// Share of the stitches that run closer to vertical than to horizontal
+function getVerticalShare(stitches) {
+  let vertical = 0;
+  for (let i = 1; i < stitches.length; i++) {
+    if (Math.abs(stitches[i].y - stitches[i - 1].y) > Math.abs(stitches[i].x - stitches[i - 1].x)) vertical++;
+  }
+  return vertical / (stitches.length - 1);
+}
+
+describe("createImageStitches", () => {
+  const black = createSolidImage(4, 4, [0, 0, 0]);
+
+  test("covers the image with rows in the given palette", () => {
+    const runs = createImageStitches(black, 10, 20, 30, 15, { mode: "colors", colors: [[0, 0, 0]] });
+
+    expect(runs).toHaveLength(1);
+    expect(runs[0].color).toEqual({ r: 0, g: 0, b: 0 });
+    for (const point of runs[0].stitches) {
+      expect(point.x).toBeGreaterThanOrEqual(10 - 1e-6);
+      expect(point.x).toBeLessThanOrEqual(40 + 1e-6);
+      expect(point.y).toBeGreaterThanOrEqual(20 - 1e-6);
+      expect(point.y).toBeLessThanOrEqual(35 + 1e-6);
+    }
+  });
+
+  test("turns the rows by the angle in radians", () => {
+    const across = createImageStitches(black, 0, 0, 20, 20, { mode: "colors", colors: [[0, 0, 0]] });
+    const down = createImageStitches(black, 0, 0, 20, 20, { mode: "colors", colors: [[0, 0, 0]], angle: Math.PI / 2 });
+
+    expect(getVerticalShare(across[0].stitches)).toBeLessThan(0.2);
+    expect(getVerticalShare(down[0].stitches)).toBeGreaterThan(0.8);
+  });
+
+  test("leaves white images empty in halftone mode", () => {
+    const white = createSolidImage(4, 4, [255, 255, 255]);
+
+    expect(createImageStitches(white, 0, 0, 20, 20)).toEqual([]);
+    expect(createImageStitches(black, 0, 0, 20, 20)).toHaveLength(1);
+  });
+});
+
+describe("image()", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  async function stitchImage(...args) {
+    const p = await recordDrawing((p) => {
+      p.fill(0);
+      p.image(...args);
+    });
+    return readBackExport(p, "dst");
+  }
+
+  test("stitches the image at its pixel size in mm by default", async () => {
+    // 96 pixels per inch, so 76 × 38 pixels is about 20 × 10 mm
+    const design = await stitchImage(createSolidImage(76, 38, [0, 0, 0]), 10, 10);
+
+    expect(design.width).toBeGreaterThan(18);
+    expect(design.width).toBeLessThanOrEqual(20.2);
+    expect(design.height).toBeGreaterThan(8);
+    expect(design.height).toBeLessThanOrEqual(10.2);
+  });
+
+  test("stitches only the source rectangle, stretched to the given size", async () => {
+    const image = createSolidImage(40, 40, [255, 255, 255]);
+    image.get = jest.fn(() => createSolidImage(10, 10, [0, 0, 0]));
+    const design = await stitchImage(image, 10, 10, 30, 15, 5, 5, 10, 10);
+
+    expect(image.get).toHaveBeenCalledWith(5, 5, 10, 10);
+    expect(design.width).toBeGreaterThan(28);
+    expect(design.width).toBeLessThanOrEqual(30.2);
+    expect(design.height).toBeGreaterThan(13);
+    expect(design.height).toBeLessThanOrEqual(15.2);
+  });
+
+  test("warns instead of stitching a source rectangle it can't crop", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const p = await recordDrawing((p) => {
+      p.fill(0);
+      p.image(createSolidImage(40, 40, [0, 0, 0]), 10, 10, 30, 15, 5, 5, 10, 10);
+    });
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("can only stitch part of a p5.Image"));
+    expect(getRecordedJSON(p).threads.flatMap((thread) => thread.runs)).toEqual([]);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, test } from "@jest/globals";
+import { getRecordedJSON, recordDrawing } from "./helpers/headless.js";
+
+describe("instance mode", () => {
+  test.each(["p5", "stitch"])("records a curve once in %s draw mode", async (drawMode) => {
+    const p = await recordDrawing(
+      (p) => {
+        p.stroke(0);
+        p.noFill();
+        p.bezier(10, 10, 20, 40, 40, 40, 50, 10);
+        p.curve(0, 0, 10, 50, 50, 50, 60, 0);
+      },
+      { drawMode },
+    );
+    const json = getRecordedJSON(p);
+
+    expect(json.colorBlocks).toHaveLength(1);
+    expect(json.colorBlocks[0].runs).toEqual([0, 1]);
+  });
+
+  test("records each shape kind of a p5 preview once", async () => {
+    const p = await recordDrawing(
+      (p) => {
+        p.stroke(0);
+        p.noFill();
+        p.beginShape(p.LINES);
+        p.vertex(10, 10);
+        p.vertex(50, 10);
+        p.vertex(10, 20);
+        p.vertex(50, 20);
+        p.endShape();
+      },
+      { drawMode: "p5" },
+    );
+
+    expect(getRecordedJSON(p).metadata.totalRuns).toBe(1);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, test } from "@jest/globals";
+import { JEFWriter } from "../src/io/p5-janome-jef-writer.js";
+import { JEFReader } from "../src/io/p5-janome-jef-reader.js";
+import { SAMPLE_DESIGN, getExpectedRuns, getSewnRuns, toWriterPoints } from "./helpers/designs.js";
+
+function roundTrip(design, options = {}) {
+  const bytes = new JEFWriter().generateJEF(toWriterPoints(design), options);
+  return new JEFReader().read(bytes);
+}
+
+describe("JEF round trip", () => {
+  test("reads back every stitch in order", () => {
+    const design = roundTrip(SAMPLE_DESIGN);
+
+    expect(getSewnRuns(design)).toEqual(getExpectedRuns(SAMPLE_DESIGN));
+    expect(design.stitchCount).toBe(8);
+    expect(design.width).toBeCloseTo(23);
+    expect(design.height).toBeCloseTo(23);
+  });
+
+  test("travels instead of stitching after trims and color changes", () => {
+    const design = roundTrip(SAMPLE_DESIGN);
+    const runStarts = design.colorBlocks.flatMap((block) =>
+      block.runs.filter((run) => run.length > 1).map((run) => run[0].command),
+    );
+
+    expect(runStarts).toEqual(["jump", "jump", "jump"]);
+    const trims = design.colorBlocks[0].runs.filter((run) => run.length === 1 && run[0].command === "trim");
+    expect(trims).toHaveLength(1);
+  });
+
+  test("stores one Janome palette color per color block", () => {
+    const design = roundTrip(SAMPLE_DESIGN);
+
+    expect(design.colorBlocks).toHaveLength(2);
+    expect(design.threads[design.colorBlocks[0].threadIndex].color).toEqual({ r: 255, g: 0, b: 0 });
+    const blue = design.threads[design.colorBlocks[1].threadIndex].color;
+    expect(blue.b).toBeGreaterThan(blue.r);
+    expect(blue.b).toBeGreaterThan(blue.g);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, test } from "@jest/globals";
+import { addLockStitches } from "../src/utils/lock-stitches.js";
+import { addRunToStitchData } from "../src/utils/stitch-data.js";
+
+function createStitchData(...runs) {
+  const stitchData = { threads: [{ runs: [] }], colorBlocks: [] };
+  for (const run of runs) addRunToStitchData(stitchData, 0, run);
+  return stitchData;
+}
+
+function line(x1, x2, y = 0) {
+  return [
+    { x: x1, y },
+    { x: (x1 + x2) / 2, y },
+    { x: x2, y },
+  ];
+}
+
+describe("addLockStitches", () => {
+  test("adds a triangle lock after the start and the end of a run", () => {
+    const run = line(0, 10);
+    addLockStitches(createStitchData(run), { pattern: "triangle", size: 0.8 });
+
+    expect(run).toHaveLength(9);
+    // Tie-in: forward into the run, across and back to the start
+    expect(run[1]).toEqual({ x: 0.8, y: 0 });
+    expect(run[2].x).toBeCloseTo(0.4);
+    expect(run[2].y).toBeCloseTo(0.48);
+    expect(run[3]).toEqual({ x: 0, y: 0 });
+    // Tie-off: back into the run and onto the end again
+    expect(run[5]).toEqual({ x: 10, y: 0 });
+    expect(run[6]).toEqual({ x: 9.2, y: 0 });
+    expect(run[7].x).toBeCloseTo(9.6);
+    expect(run[7].y).toBeCloseTo(-0.48);
+    expect(run[8].x).toBeCloseTo(10);
+    expect(run[8].y).toBeCloseTo(0);
+  });
+
+  test("adds circle locks that end on the run point", () => {
+    const run = line(0, 10);
+    addLockStitches(createStitchData(run), { pattern: "circle", size: 1 });
+
+    expect(run).toHaveLength(15);
+    expect(run[6].x).toBeCloseTo(0);
+    expect(run[6].y).toBeCloseTo(0);
+    for (const point of run.slice(1, 7)) {
+      expect(Math.hypot(point.x, point.y)).toBeLessThanOrEqual(1 + 1e-9);
+    }
+  });
+
+  test("leaves the stitches alone when locks are off", () => {
+    const run = line(0, 10);
+    addLockStitches(createStitchData(run), { pattern: "none" });
+
+    expect(run).toEqual(line(0, 10));
+  });
+
+  test("skips runs shorter than the minimum run length", () => {
+    const run = line(0, 0.5);
+    addLockStitches(createStitchData(run), { pattern: "triangle", minRunLength: 1 });
+
+    expect(run).toHaveLength(3);
+  });
+
+  test("does not lock where a run continues from the end of the previous one", () => {
+    const first = line(0, 10);
+    const second = line(10, 20);
+    addLockStitches(createStitchData(first, second), { pattern: "triangle" });
+
+    // Tie-in on the first run and tie-off on the second only
+    expect(first).toHaveLength(6);
+    expect(first[3]).toEqual({ x: 0, y: 0 });
+    expect(second).toHaveLength(6);
+    expect(second[2]).toEqual({ x: 20, y: 0 });
+  });
+
+  test("locks both sides of a trim", () => {
+    const first = line(0, 10);
+    const trim = [{ x: 10, y: 0, command: "trim" }];
+    const second = line(10, 20);
+    addLockStitches(createStitchData(first, trim, second), { pattern: "triangle" });
+
+    expect(first).toHaveLength(9);
+    expect(trim).toHaveLength(1);
+    expect(second).toHaveLength(9);
+  });
+
+  test("leaves stitches marked as locked alone", () => {
+    const run = line(0, 10).map((point) => ({ ...point, locked: true }));
+    addLockStitches(createStitchData(run), { pattern: "triangle" });
+
+    expect(run).toHaveLength(3);
+  });
+});
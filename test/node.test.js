@@ -0,0 +1,103 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { exportSketch, recordSketch } from "../src/p5.embroider.node.js";
+import { DSTReader } from "../src/io/p5-tajima-dst-reader.js";
+
+function circleSketch(p) {
+  p.setup = () => {
+    p.createCanvas(mmToPixel(60), mmToPixel(60));
+    p.noLoop();
+  };
+  p.draw = () => {
+    beginRecord(p);
+    p.noFill();
+    p.stroke(0);
+    p.circle(30, 30, 40);
+    endRecord(p);
+  };
+}
+
+describe("recordSketch", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("resolves with the instance once it has drawn", async () => {
+    let draws = 0;
+    const p = await recordSketch(
+      (p) => {
+        p.setup = () => p.createCanvas(100, 100);
+        p.draw = () => draws++;
+      },
+      { frames: 3 },
+    );
+    p.remove();
+
+    expect(draws).toBe(3);
+  });
+
+  test("rejects with errors thrown by the sketch", async () => {
+    const sketch = (p) => {
+      p.setup = () => {
+        throw new Error("broken setup");
+      };
+    };
+
+    await expect(recordSketch(sketch)).rejects.toThrow("broken setup");
+  });
+
+  test("rejects sketches that never finish drawing", async () => {
+    const sketch = (p) => {
+      p.setup = () => p.noLoop();
+      p.draw = () => {};
+    };
+
+    await expect(recordSketch(sketch, { frames: 2, timeout: 200 })).rejects.toThrow("did not finish within 200ms");
+  });
+});
+
+describe("exportSketch", () => {
+  let dir;
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    dir = await mkdtemp(path.join(os.tmpdir(), "p5-embroider-"));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("writes one file per extension", async () => {
+    const files = ["out/circle.dst", "out/circle.svg", "out/circle.json"].map((file) => path.join(dir, file));
+    const written = await exportSketch(circleSketch, files);
+
+    expect(written).toEqual(files);
+    const design = new DSTReader().read(new Uint8Array(await readFile(files[0])));
+    expect(design.width).toBeCloseTo(40, 0);
+    expect(design.height).toBeCloseTo(40, 0);
+    expect(await readFile(files[1], "utf8")).toContain("<svg");
+    expect(JSON.parse(await readFile(files[2], "utf8")).threads).toHaveLength(1);
+  });
+
+  test("rejects formats it can't write", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(exportSketch(circleSketch, path.join(dir, "circle.xyz"))).rejects.toThrow("No embroidery data");
+  });
+});
+
+describe("setupHeadlessP5", () => {
+  test("explains how to install jsdom when it is missing", async () => {
+    await jest.isolateModulesAsync(async () => {
+      jest.unstable_mockModule("jsdom", () => {
+        throw new Error("Cannot find package 'jsdom'");
+      });
+      const { setupHeadlessP5 } = await import("../src/p5.embroider.node.js");
+
+      await expect(setupHeadlessP5()).rejects.toThrow("npm install jsdom canvas");
+    });
+  });
+});
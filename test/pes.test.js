@@ -0,0 +1,84 @@
+import { beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { PESWriter } from "../src/io/p5-pes-writer.js";
+import { PESReader } from "../src/io/p5-pes-reader.js";
+import { SAMPLE_DESIGN, getExpectedRuns, getSewnRuns, toWriterPoints } from "./helpers/designs.js";
+
+function roundTrip(design, options = {}) {
+  const bytes = new PESWriter().generatePES(toWriterPoints(design, { colorChanges: false }), "Test", options);
+  return new PESReader().read(bytes);
+}
+
+function getBlockThreads(design) {
+  return design.colorBlocks.map((block) => design.threads[block.threadIndex]);
+}
+
+describe("PES round trip", () => {
+  beforeAll(() => {
+    // The writer logs every export while its debug flag is on
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("reads back every stitch in order from a PES v6 file", () => {
+    const design = roundTrip(SAMPLE_DESIGN);
+
+    expect(design.version).toBe("0060");
+    expect(design.title).toBe("Test");
+    expect(getSewnRuns(design)).toEqual(getExpectedRuns(SAMPLE_DESIGN));
+    expect(design.width).toBeCloseTo(23);
+    expect(design.height).toBeCloseTo(23);
+  });
+
+  test("reads back every stitch in order from a PEC-only file", () => {
+    const design = roundTrip(SAMPLE_DESIGN, { version: 1 });
+
+    expect(getSewnRuns(design)).toEqual(getExpectedRuns(SAMPLE_DESIGN));
+  });
+
+  test("keeps trims", () => {
+    const design = roundTrip(SAMPLE_DESIGN);
+    const trims = design.colorBlocks[0].runs.filter((run) => run.length === 1 && run[0].command === "trim");
+
+    expect(trims).toHaveLength(1);
+  });
+
+  test("reads true thread colors and names from the thread list", () => {
+    const threads = getBlockThreads(roundTrip(SAMPLE_DESIGN));
+
+    expect(threads.map((thread) => thread.color)).toEqual([
+      { r: 255, g: 0, b: 0 },
+      { r: 0, g: 0, b: 255 },
+    ]);
+    expect(threads.map((thread) => thread.name)).toEqual(["Red", "Blue"]);
+    expect(threads.map((thread) => thread.catalogNumber)).toEqual(["1800", "1902"]);
+  });
+
+  test("maps color blocks to threads through the CSewSeg thread codes", () => {
+    // Both reds share a PEC palette entry, and red comes back after blue
+    const block = (color, name, x) => ({
+      color,
+      thread: { name },
+      runs: [
+        [
+          { x, y: 0 },
+          { x: x + 2, y: 2 },
+          { x: x + 4, y: 0 },
+        ],
+      ],
+    });
+    const design = [
+      block(0xff0000, "Red", 0),
+      block(0x0000ff, "Blue", 10),
+      block(0xfe0000, "Dark red", 20),
+      block(0xff0000, "Red", 30),
+      block(0x00ff00, "Green", 40),
+    ];
+
+    expect(getBlockThreads(roundTrip(design)).map((thread) => thread.name)).toEqual([
+      "Red",
+      "Blue",
+      "Dark red",
+      "Red",
+      "Green",
+    ]);
+  });
+});
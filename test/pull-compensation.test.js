@@ -0,0 +1,72 @@
+import { describe, expect, test } from "@jest/globals";
+import { compensatePolyline, compensateSegment, getPullCompensation } from "../src/utils/pull-compensation.js";
+
+describe("getPullCompensation", () => {
+  test("splits absolute and percentage compensation between both ends", () => {
+    expect(getPullCompensation(10, { pullCompensation: 0.4 })).toBeCloseTo(0.2);
+    expect(getPullCompensation(10, { pullCompensationPercent: 10 })).toBeCloseTo(0.5);
+    expect(getPullCompensation(10, { pullCompensation: 0.4, pullCompensationPercent: 10 })).toBeCloseTo(0.7);
+  });
+
+  test("is zero without compensation settings", () => {
+    expect(getPullCompensation(10, {})).toBe(0);
+  });
+});
+
+describe("compensateSegment", () => {
+  test("extends both ends along the stitch direction", () => {
+    const { start, end } = compensateSegment({ x: 0, y: 0 }, { x: 3, y: 4 }, { pullCompensation: 1 });
+
+    expect(start.x).toBeCloseTo(-0.3);
+    expect(start.y).toBeCloseTo(-0.4);
+    expect(end.x).toBeCloseTo(3.3);
+    expect(end.y).toBeCloseTo(4.4);
+    expect(Math.hypot(end.x - start.x, end.y - start.y)).toBeCloseTo(6);
+  });
+
+  test("narrows the stitch with negative compensation, but never past its midpoint", () => {
+    const narrowed = compensateSegment({ x: 0, y: 0 }, { x: 10, y: 0 }, { pullCompensation: -2 });
+    expect(narrowed.start.x).toBeCloseTo(1);
+    expect(narrowed.end.x).toBeCloseTo(9);
+
+    const collapsed = compensateSegment({ x: 0, y: 0 }, { x: 10, y: 0 }, { pullCompensation: -30 });
+    expect(collapsed.start.x).toBeCloseTo(5);
+    expect(collapsed.end.x).toBeCloseTo(5);
+  });
+
+  test("leaves zero-length stitches and uncompensated stitches unchanged", () => {
+    const point = { x: 1, y: 1 };
+    expect(compensateSegment(point, point, { pullCompensation: 1 })).toEqual({ start: point, end: point });
+
+    const start = { x: 0, y: 0 };
+    const end = { x: 5, y: 0 };
+    expect(compensateSegment(start, end, {})).toEqual({ start, end });
+  });
+});
+
+describe("compensatePolyline", () => {
+  test("extends the first and last segments along their own directions", () => {
+    const row = [
+      { x: 0, y: 0 },
+      { x: 5, y: 0 },
+      { x: 5, y: 5 },
+    ];
+    const compensated = compensatePolyline(row, { pullCompensationPercent: 10 });
+
+    // 10% of the 10mm row, split between both ends
+    expect(compensated).toHaveLength(3);
+    expect(compensated[0].x).toBeCloseTo(-0.5);
+    expect(compensated[0].y).toBeCloseTo(0);
+    expect(compensated[1]).toEqual(row[1]);
+    expect(compensated[2].x).toBeCloseTo(5);
+    expect(compensated[2].y).toBeCloseTo(5.5);
+  });
+
+  test("does not shorten rows", () => {
+    const row = [
+      { x: 0, y: 0 },
+      { x: 5, y: 0 },
+    ];
+    expect(compensatePolyline(row, { pullCompensation: -1 })).toBe(row);
+  });
+});
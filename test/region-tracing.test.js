@@ -0,0 +1,105 @@
+import { beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { getPrincipalAngle, removeSmallRegions, traceRegions } from "../src/utils/region-tracing.js";
+import { getRecordedJSON, recordDrawing } from "./helpers/headless.js";
+
+// Builds a label grid from rows of characters, one label per character
+function createLabels(lines) {
+  const rows = lines.length;
+  const columns = lines[0].length;
+  const labels = new Int32Array(columns * rows);
+  lines.forEach((line, y) => {
+    for (let x = 0; x < columns; x++) labels[y * columns + x] = Number(line[x]);
+  });
+  return { labels, columns, rows };
+}
+
+function getArea(polygon) {
+  let area = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+describe("traceRegions", () => {
+  test("traces a ring as an outline with a hole", () => {
+    const { labels, columns, rows } = createLabels(["000000", "011110", "010010", "010010", "011110", "000000"]);
+    const [ring] = traceRegions(labels, columns, rows, 1);
+
+    expect(ring.area).toBe(12);
+    expect(getArea(ring.outline)).toBeCloseTo(16);
+    expect(ring.holes).toHaveLength(1);
+    expect(getArea(ring.holes[0])).toBeCloseTo(4);
+  });
+
+  test("traces separate areas of the same label as separate regions", () => {
+    const { labels, columns, rows } = createLabels(["110011", "110011", "000000"]);
+
+    expect(traceRegions(labels, columns, rows, 1).map((region) => region.area)).toEqual([4, 4]);
+  });
+});
+
+describe("removeSmallRegions", () => {
+  test("merges specks into the surrounding label", () => {
+    const { labels, columns, rows } = createLabels(["0000", "0100", "0000"]);
+    removeSmallRegions(labels, columns, rows, 2);
+
+    expect(Array.from(labels)).toEqual(new Array(12).fill(0));
+  });
+});
+
+describe("getPrincipalAngle", () => {
+  test("follows the long side of a shape", () => {
+    const tall = [
+      { x: 0, y: 0 },
+      { x: 2, y: 0 },
+      { x: 2, y: 20 },
+      { x: 0, y: 20 },
+    ];
+
+    expect(Math.abs(getPrincipalAngle(tall))).toBeCloseTo(Math.PI / 2);
+  });
+});
+
+describe("autoDigitize", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  // Red square in the middle of a white 40 × 40 pixel image
+  function createLogo() {
+    const size = 40;
+    const pixels = new Uint8ClampedArray(size * size * 4);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const inside = x >= 10 && x < 30 && y >= 10 && y < 30;
+        pixels.set(inside ? [255, 0, 0, 255] : [255, 255, 255, 255], (y * size + x) * 4);
+      }
+    }
+    return { width: size, height: size, pixels };
+  }
+
+  test("fills each color region and leaves the background unstitched", async () => {
+    let regions;
+    const p = await recordDrawing((p) => {
+      regions = autoDigitize(createLogo(), 0, 0, 40, 40, { colors: 2, background: [255, 255, 255], angle: 0.5 });
+    });
+
+    expect(regions).toHaveLength(1);
+    expect(regions[0].color).toEqual({ r: 255, g: 0, b: 0 });
+    expect(regions[0].angle).toBe(0.5);
+    expect(getArea(regions[0].outline)).toBeCloseTo(400, -1);
+
+    const { threads } = getRecordedJSON(p);
+    const stitches = threads.flatMap((thread) => thread.runs.flatMap((run) => run.stitches));
+    expect(stitches.length).toBeGreaterThan(50);
+    for (const { x, y } of stitches) {
+      expect(x).toBeGreaterThan(9);
+      expect(x).toBeLessThan(31);
+      expect(y).toBeGreaterThan(9);
+      expect(y).toBeLessThan(31);
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, expect, test } from "@jest/globals";
+import { addRunToStitchData, getColorBlocks } from "../src/utils/stitch-data.js";
+
+function createStitchData(threadCount) {
+  return {
+    threads: Array.from({ length: threadCount }, () => ({ runs: [] })),
+    colorBlocks: [],
+  };
+}
+
+describe("addRunToStitchData", () => {
+  test("starts a new color block whenever the thread changes", () => {
+    const stitchData = createStitchData(2);
+    const red1 = [{ x: 0, y: 0 }];
+    const red2 = [{ x: 1, y: 0 }];
+    const blue = [{ x: 2, y: 0 }];
+    const red3 = [{ x: 3, y: 0 }];
+
+    addRunToStitchData(stitchData, 0, red1);
+    addRunToStitchData(stitchData, 0, red2);
+    addRunToStitchData(stitchData, 1, blue);
+    addRunToStitchData(stitchData, 0, red3);
+
+    expect(stitchData.colorBlocks).toEqual([
+      { threadIndex: 0, runs: [red1, red2] },
+      { threadIndex: 1, runs: [blue] },
+      { threadIndex: 0, runs: [red3] },
+    ]);
+    expect(stitchData.threads[0].runs).toEqual([red1, red2, red3]);
+    expect(stitchData.threads[1].runs).toEqual([blue]);
+  });
+
+  test("creates the color block list on stitch data recorded without one", () => {
+    const stitchData = { threads: [{ runs: [] }] };
+    addRunToStitchData(stitchData, 0, [{ x: 0, y: 0 }]);
+    expect(stitchData.colorBlocks).toHaveLength(1);
+  });
+});
+
+describe("getColorBlocks", () => {
+  test("keeps the drawing order when colors alternate", () => {
+    const stitchData = createStitchData(2);
+    addRunToStitchData(stitchData, 0, [{ x: 0, y: 0 }]);
+    addRunToStitchData(stitchData, 1, [{ x: 1, y: 0 }]);
+    addRunToStitchData(stitchData, 0, [{ x: 2, y: 0 }]);
+
+    const blocks = getColorBlocks(stitchData);
+    expect(blocks.map((block) => block.threadIndex)).toEqual([0, 1, 0]);
+    expect(blocks[2].thread).toBe(stitchData.threads[0]);
+    expect(blocks[2].runs[0][0].x).toBe(2);
+  });
+
+  test("skips empty runs and merges blocks of the same thread they separated", () => {
+    const stitchData = createStitchData(2);
+    addRunToStitchData(stitchData, 0, [{ x: 0, y: 0 }]);
+    addRunToStitchData(stitchData, 1, []);
+    addRunToStitchData(stitchData, 0, [{ x: 1, y: 0 }]);
+
+    const blocks = getColorBlocks(stitchData);
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].runs).toHaveLength(2);
+  });
+
+  test("falls back to one block per thread without a color block list", () => {
+    const stitchData = {
+      threads: [{ runs: [[{ x: 0, y: 0 }]] }, { runs: [] }, { runs: [[{ x: 1, y: 0 }]] }],
+    };
+
+    expect(getColorBlocks(stitchData).map((block) => block.threadIndex)).toEqual([0, 2]);
+  });
+
+  test("returns no blocks for missing stitch data", () => {
+    expect(getColorBlocks(null)).toEqual([]);
+  });
+});
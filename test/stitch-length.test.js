@@ -0,0 +1,103 @@
+import { describe, expect, test } from "@jest/globals";
+import { splitLongStitches } from "../src/utils/stitch-length.js";
+import { addRunToStitchData } from "../src/utils/stitch-data.js";
+
+function createStitchData(...runs) {
+  const stitchData = { threads: [{ runs: [] }], colorBlocks: [] };
+  for (const run of runs) addRunToStitchData(stitchData, 0, run);
+  return stitchData;
+}
+
+describe("splitLongStitches", () => {
+  test("splits long stitches into equal stitches along the same line", () => {
+    const run = [
+      { x: 0, y: 0 },
+      { x: 30, y: 0 },
+      { x: 30, y: 5 },
+    ];
+    const count = splitLongStitches(createStitchData(run), { maxStitchLength: 12 });
+
+    expect(count).toBe(1);
+    expect(run).toEqual([
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 20, y: 0 },
+      { x: 30, y: 0 },
+      { x: 30, y: 5 },
+    ]);
+  });
+
+  test("keeps every stitch within the limit", () => {
+    const run = [
+      { x: 0, y: 0 },
+      { x: 40, y: 30 },
+      { x: 0, y: 13 },
+    ];
+    splitLongStitches(createStitchData(run), { maxStitchLength: 12.1 });
+
+    for (let i = 1; i < run.length; i++) {
+      expect(Math.hypot(run[i].x - run[i - 1].x, run[i].y - run[i - 1].y)).toBeLessThanOrEqual(12.1);
+    }
+    expect(run[run.length - 1]).toEqual({ x: 0, y: 13 });
+  });
+
+  test("leaves jumps and moves around trims alone", () => {
+    const first = [
+      { x: 0, y: 0 },
+      { x: 5, y: 0 },
+      { x: 50, y: 0, command: "jump" },
+      { x: 55, y: 0 },
+    ];
+    const trim = [{ x: 55, y: 0, command: "trim" }];
+    const second = [
+      { x: 100, y: 0, command: "jump" },
+      { x: 105, y: 0 },
+    ];
+    const count = splitLongStitches(createStitchData(first, trim, second), { maxStitchLength: 12 });
+
+    expect(count).toBe(0);
+    expect(first).toHaveLength(4);
+    expect(second).toHaveLength(2);
+  });
+
+  test("splits the stitch from one run to the next in the same color block", () => {
+    const first = [
+      { x: 0, y: 0 },
+      { x: 5, y: 0 },
+    ];
+    const second = [
+      { x: 29, y: 0 },
+      { x: 30, y: 0 },
+    ];
+    const count = splitLongStitches(createStitchData(first, second), { maxStitchLength: 12 });
+
+    expect(count).toBe(1);
+    expect(second).toEqual([
+      { x: 17, y: 0 },
+      { x: 29, y: 0 },
+      { x: 30, y: 0 },
+    ]);
+  });
+
+  test("leaves the move after a trim inside a run alone", () => {
+    const run = [
+      { x: 0, y: 0 },
+      { x: 5, y: 0, command: "trim" },
+      { x: 50, y: 0 },
+      { x: 52, y: 0 },
+    ];
+
+    expect(splitLongStitches(createStitchData(run), { maxStitchLength: 12 })).toBe(0);
+    expect(run).toHaveLength(4);
+  });
+
+  test("does nothing when the limit is 0", () => {
+    const run = [
+      { x: 0, y: 0 },
+      { x: 100, y: 0 },
+    ];
+
+    expect(splitLongStitches(createStitchData(run), { maxStitchLength: 0 })).toBe(0);
+    expect(run).toHaveLength(2);
+  });
+});
@@ -0,0 +1,144 @@
+import { beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { setupHeadlessP5 } from "../src/p5.embroider.node.js";
+import { SVGReader } from "../src/io/p5-svg-reader.js";
+import { getRecordedJSON, recordDrawing } from "./helpers/headless.js";
+
+beforeAll(async () => {
+  // The reader parses markup with the DOMParser of the headless DOM
+  await setupHeadlessP5();
+});
+
+function read(markup, options) {
+  return new SVGReader().read(markup, options);
+}
+
+function getBounds(points) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
+describe("SVGReader", () => {
+  test("maps the viewBox onto the physical size in mm", () => {
+    const design = read(
+      '<svg width="40mm" height="20mm" viewBox="0 0 80 40"><rect x="10" y="10" width="20" height="10"/></svg>',
+    );
+
+    expect(design.width).toBeCloseTo(40);
+    expect(design.height).toBeCloseTo(20);
+    const bounds = getBounds(design.parts[0].subpaths[0].points);
+    expect(bounds.minX).toBeCloseTo(5);
+    expect(bounds.maxX).toBeCloseTo(15);
+    expect(bounds.minY).toBeCloseTo(5);
+    expect(bounds.maxY).toBeCloseTo(10);
+  });
+
+  test("converts pixels at the given dpi", () => {
+    const markup = '<svg width="96" height="96"><rect width="96" height="48"/></svg>';
+
+    expect(read(markup).width).toBeCloseTo(25.4);
+    expect(read(markup, { dpi: 72 }).width).toBeCloseTo(33.867, 2);
+  });
+
+  test("applies group and element transforms", () => {
+    const design = read(
+      '<svg width="100mm" height="100mm" viewBox="0 0 100 100">' +
+        '<g transform="translate(10, 5)"><rect transform="scale(2)" width="10" height="5"/></g></svg>',
+    );
+    const bounds = getBounds(design.parts[0].subpaths[0].points);
+
+    expect(bounds).toEqual({ minX: 10, maxX: 30, minY: 5, maxY: 15 });
+  });
+
+  test("flattens circles onto their radius", () => {
+    const design = read('<svg width="50mm" height="50mm" viewBox="0 0 50 50"><circle cx="25" cy="20" r="10"/></svg>');
+    const [subpath] = design.parts[0].subpaths;
+
+    expect(subpath.closed).toBe(true);
+    expect(subpath.points.length).toBeGreaterThan(16);
+    for (const point of subpath.points) {
+      expect(Math.hypot(point.x - 25, point.y - 20)).toBeCloseTo(10);
+    }
+  });
+
+  test("turns inner subpaths of a path into holes", () => {
+    const design = read(
+      '<svg width="30mm" height="30mm" viewBox="0 0 30 30"><path d="M0 0 H30 V30 H0 Z M10 10 V20 H20 V10 Z"/></svg>',
+    );
+
+    expect(design.parts[0].shapes).toHaveLength(1);
+    expect(design.parts[0].shapes[0].holes).toHaveLength(1);
+  });
+
+  test("resolves colors from attributes, CSS rules, style attributes and parent groups", () => {
+    const design = read(
+      '<svg width="10mm" height="10mm" viewBox="0 0 10 10">' +
+        "<style>.outlined { stroke: #0000ff; fill: none }</style>" +
+        '<g fill="red"><rect id="inherited" width="5" height="5"/>' +
+        '<rect id="classed" class="outlined" width="5" height="5"/>' +
+        '<rect id="styled" class="outlined" style="fill: #00ff00" width="5" height="5"/></g></svg>',
+    );
+    const parts = Object.fromEntries(design.parts.map((part) => [part.name, part]));
+
+    expect(parts.inherited.fill).toEqual({ r: 255, g: 0, b: 0 });
+    expect(parts.inherited.stroke).toBeNull();
+    expect(parts.classed.fill).toBeNull();
+    expect(parts.classed.stroke).toEqual({ r: 0, g: 0, b: 255 });
+    expect(parts.styled.fill).toEqual({ r: 0, g: 255, b: 0 });
+  });
+
+  test("reads embroidery settings from data attributes", () => {
+    const design = read(
+      '<svg width="10mm" height="10mm" viewBox="0 0 10 10"><g data-fill-mode="satin">' +
+        '<rect data-fill-angle="90" data-row-spacing="0.6" data-stroke-mode="zigzag" width="5" height="5"/></g></svg>',
+    );
+    const [part] = design.parts;
+
+    expect(part.fillMode).toBe("satin");
+    expect(part.strokeMode).toBe("zigzag");
+    expect(part.fillSettings.angle).toBeCloseTo(Math.PI / 2);
+    expect(part.fillSettings.rowSpacing).toBe(0.6);
+  });
+
+  test("skips hidden and unpainted elements", () => {
+    const design = read(
+      '<svg width="10mm" height="10mm" viewBox="0 0 10 10">' +
+        '<defs><rect width="5" height="5"/></defs><rect display="none" width="5" height="5"/>' +
+        '<rect fill="none" width="5" height="5"/><rect width="5" height="5"/></svg>',
+    );
+
+    expect(design.parts).toHaveLength(1);
+  });
+
+  test("rejects markup without an svg element", () => {
+    expect(() => read("<html></html>")).toThrow("no <svg> element");
+  });
+});
+
+describe("drawSVGEmbroidery", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("stitches each part with its fill and stroke colors at the given size", async () => {
+    const design = await loadSVGEmbroidery(
+      '<svg width="20mm" height="20mm" viewBox="0 0 20 20">' +
+        '<circle cx="10" cy="10" r="8" fill="#ff0000" stroke="#0000ff" stroke-width="1"/></svg>',
+    );
+    const p = await recordDrawing(() => drawSVGEmbroidery(design, 10, 10, 40));
+    const { threads } = getRecordedJSON(p);
+    const colors = threads.filter((thread) => thread.runs.length > 0).map(({ color: { r, g, b } }) => ({ r, g, b }));
+
+    expect(colors).toEqual(
+      expect.arrayContaining([
+        { r: 255, g: 0, b: 0 },
+        { r: 0, g: 0, b: 255 },
+      ]),
+    );
+    // 40mm wide, so the 16mm circle is scaled to 32mm around (30, 30)
+    const stitches = threads.flatMap((thread) => thread.runs.flatMap((run) => run.stitches));
+    const bounds = getBounds(stitches);
+    expect(bounds.minX).toBeCloseTo(14, 0);
+    expect(bounds.maxX).toBeCloseTo(46, 0);
+  });
+});
@@ -0,0 +1,83 @@
+import { beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { recordDrawing } from "./helpers/headless.js";
+
+// Records a drawing and returns the <path> elements of its Ink/Stitch SVG export
+async function exportInkStitchPaths(draw) {
+  const p = await recordDrawing(draw);
+  setRecordingInstance(p);
+  const svg = p5embroidery.generateEmbroidery("design.svg", { inkstitch: true });
+  return Array.from(new DOMParser().parseFromString(svg, "image/svg+xml").querySelectorAll("path"));
+}
+
+describe("Ink/Stitch SVG export", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("writes fill and underlay angles in degrees", async () => {
+    const [fill] = await exportInkStitchPaths((p) => {
+      p.noStroke();
+      p.fill(255, 0, 0);
+      setFillSettings({ angle: Math.PI / 4, underlay: { type: "tatami", angle: Math.PI / 2 } });
+      p.rect(10, 10, 40, 30);
+    });
+
+    expect(fill.getAttribute("inkstitch:angle")).toBe("45");
+    expect(fill.getAttribute("inkstitch:fill_underlay_angle")).toBe("90");
+  });
+
+  test("writes the fill method of each fill mode", async () => {
+    const modes = ["tatami", "contour", "spiral", "satin"];
+    const paths = await exportInkStitchPaths((p) => {
+      p.noStroke();
+      p.fill(255, 0, 0);
+      setFillSettings({ angle: 0, rowSpacing: 0.5, stitchLength: 3, underlay: [] });
+      modes.forEach((mode, i) => {
+        setFillMode(mode);
+        p.rect(10 + i * 25, 10, 20, 20);
+      });
+    });
+
+    expect(paths.map((path) => path.getAttribute("inkstitch:fill_method"))).toEqual([
+      "auto_fill",
+      "contour_fill",
+      "circular_fill",
+      "auto_fill",
+    ]);
+    expect(paths[0].getAttribute("inkstitch:row_spacing_mm")).toBe("0.5");
+    expect(paths[0].getAttribute("inkstitch:max_stitch_length_mm")).toBe("3");
+    expect(paths[0].getAttribute("inkstitch:fill_underlay")).toBe("false");
+    expect(paths[0].getAttribute("style")).toContain("fill:#ff0000");
+  });
+
+  test("writes zigzag strokes as satin columns and other strokes as running stitch", async () => {
+    const [satin, running] = await exportInkStitchPaths((p) => {
+      p.noFill();
+      p.stroke(0, 0, 255);
+      p.strokeWeight(3);
+      setStrokeMode("zigzag");
+      p.line(10, 10, 60, 10);
+      setStrokeMode("straight");
+      p.line(10, 30, 60, 30);
+    });
+
+    expect(satin.getAttribute("id")).toMatch(/^satin/);
+    expect(satin.getAttribute("inkstitch:satin_column")).toBe("true");
+    // Two rails, one on either side of the stroke
+    expect(satin.getAttribute("d").match(/M/g)).toHaveLength(2);
+    expect(running.getAttribute("inkstitch:stroke_method")).toBe("running_stitch");
+    expect(running.getAttribute("style")).toContain("stroke:#0000ff");
+  });
+
+  test("marks the last shape before a trim with trim_after", async () => {
+    const paths = await exportInkStitchPaths((p) => {
+      p.noFill();
+      p.stroke(0);
+      p.line(10, 10, 60, 10);
+      trimThread();
+      p.line(10, 30, 60, 30);
+    });
+
+    expect(paths.map((path) => path.getAttribute("inkstitch:trim_after"))).toEqual(["true", null]);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, test } from "@jest/globals";
+import { optimizeTravel } from "../src/utils/travel-optimizer.js";
+import { addRunToStitchData } from "../src/utils/stitch-data.js";
+
+function createStitchData(...runs) {
+  const stitchData = { threads: [{ runs: [] }], colorBlocks: [] };
+  for (const run of runs) addRunToStitchData(stitchData, 0, run);
+  return stitchData;
+}
+
+function line(x1, x2, y = 0) {
+  return [
+    { x: x1, y },
+    { x: x2, y },
+  ];
+}
+
+function isTrim(run) {
+  return run.length === 1 && run[0].command === "trim";
+}
+
+describe("optimizeTravel", () => {
+  test("sews the nearest run next", () => {
+    const near = line(5, 10);
+    const far = line(50, 55);
+    const stitchData = createStitchData(line(0, 4), far, near);
+    const report = optimizeTravel(stitchData, { jumpThreshold: 10 });
+
+    const runs = stitchData.colorBlocks[0].runs.filter((run) => !isTrim(run));
+    expect(runs[1]).toBe(near);
+    expect(report.after.travel).toBeLessThan(report.before.travel);
+  });
+
+  test("reverses open runs whose far end is closer", () => {
+    const stitchData = createStitchData(line(0, 4), line(10, 5));
+    optimizeTravel(stitchData, { jumpThreshold: 10 });
+
+    expect(stitchData.colorBlocks[0].runs[1]).toEqual(line(5, 10));
+  });
+
+  test("does not reverse runs with jumps or underlay", () => {
+    const underlay = line(10, 5).map((point) => ({ ...point, underlay: true }));
+    const stitchData = createStitchData(line(0, 4), underlay);
+    optimizeTravel(stitchData, { jumpThreshold: 10 });
+
+    expect(stitchData.colorBlocks[0].runs[1]).toBe(underlay);
+  });
+
+  test("trims where the new travel exceeds the jump threshold", () => {
+    const stitchData = createStitchData(line(0, 4), line(30, 34));
+    const report = optimizeTravel(stitchData, { jumpThreshold: 10 });
+
+    const [first, trim, second] = stitchData.colorBlocks[0].runs;
+    expect(first).toEqual(line(0, 4));
+    expect(trim).toEqual([{ x: 4, y: 0, command: "trim" }]);
+    expect(second).toEqual(line(30, 34));
+    expect(report.after.trims).toBe(1);
+  });
+
+  test("keeps trims placed in the drawing and only reorders the runs between them", () => {
+    const trim = [{ x: 44, y: 0, command: "trim" }];
+    const stitchData = createStitchData(line(0, 4), line(40, 44), trim, line(5, 8), line(9, 12));
+    optimizeTravel(stitchData, { jumpThreshold: 50 });
+
+    const runs = stitchData.colorBlocks[0].runs;
+    const trimIndex = runs.findIndex(isTrim);
+    const getXs = (part) => part.flat().map((point) => point.x);
+    expect(runs.filter(isTrim)).toHaveLength(1);
+    expect(getXs(runs.slice(0, trimIndex)).sort((a, b) => a - b)).toEqual([0, 4, 40, 44]);
+    expect(getXs(runs.slice(trimIndex + 1)).sort((a, b) => a - b)).toEqual([5, 8, 9, 12]);
+  });
+
+  test("keeps the color block order and rebuilds the thread runs", () => {
+    const stitchData = { threads: [{ runs: [] }, { runs: [] }], colorBlocks: [] };
+    addRunToStitchData(stitchData, 0, line(0, 4));
+    addRunToStitchData(stitchData, 1, line(5, 9));
+    addRunToStitchData(stitchData, 0, line(10, 14));
+    optimizeTravel(stitchData, { jumpThreshold: 10 });
+
+    expect(stitchData.colorBlocks.map((block) => block.threadIndex)).toEqual([0, 1, 0]);
+    expect(stitchData.threads[0].runs).toEqual([line(0, 4), line(10, 14)]);
+    expect(stitchData.threads[1].runs).toEqual([line(5, 9)]);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, expect, test } from "@jest/globals";
+import { VP3Writer } from "../src/io/p5-husqvarna-vp3-writer.js";
+import { SAMPLE_DESIGN, getExpectedRuns, getSewnRuns, toWriterPoints } from "./helpers/designs.js";
+
+// Reads the VP3 structure back in the shape the other readers return, in mm from the top-left corner
+function readVP3(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  const skip = (count) => (offset += count) - count;
+  const int8 = () => view.getInt8(skip(1));
+  const int16 = () => view.getInt16(skip(2));
+  const int24 = () => (view.getUint16(skip(3)) << 8) | view.getUint8(offset - 1);
+  const int32 = () => view.getInt32(skip(4));
+  const string8 = () => {
+    const length = int16();
+    return new TextDecoder().decode(bytes.subarray(skip(length), offset));
+  };
+  const string16 = () => {
+    const length = int16() / 2;
+    return String.fromCharCode(...Array.from({ length }, () => int16()));
+  };
+  // Header positions are in 0.001mm with y pointing up
+  const position = () => ({ x: int32() / 1000, y: -int32() / 1000 });
+
+  const magic = new TextDecoder().decode(bytes.subarray(0, 5));
+  skip(6); // Magic and a zero byte
+  const producer = string16();
+
+  skip(3);
+  const fileEnd = int32() + offset;
+  const title = string16();
+  const { x: maxX, y: minY } = position();
+  const { x: minX, y: maxY } = position();
+  const stitchCount = int32();
+  const colorCount = int16();
+  skip(3);
+
+  skip(3 + 4); // Design block id and length
+  const center = position();
+  skip(3 + 16 + 8); // Unknown, bounds, size
+  string16();
+  skip(2 + 16 + 4 + 2);
+  string16();
+  const blockCount = int16();
+
+  const threads = [];
+  const colorBlocks = [];
+  for (let b = 0; b < blockCount; b++) {
+    skip(3 + 4); // Color block id and length
+    const start = position();
+    skip(2);
+    const color = int24();
+    skip(3 + 2); // Parts, color length, thread type and weight
+    const catalogNumber = string8();
+    const name = string8();
+    const brand = string8();
+    threads.push({ color, catalogNumber, name, brand });
+    position(); // Offset to the last stitch
+
+    skip(3);
+    const stitchesEnd = int32() + offset;
+    skip(3);
+
+    // Stitch offsets are in 0.1mm with y pointing down
+    let x = center.x + start.x;
+    let y = center.y + start.y;
+    const point = () => ({ x: x - minX, y: y - minY });
+    let run = [point()];
+    const runs = [run];
+    while (offset < stitchesEnd) {
+      const dx = int8();
+      const dy = int8();
+      if ((dx & 0xff) !== VP3Writer.CONTROL) {
+        x += dx / 10;
+        y += dy / 10;
+        run.push(point());
+      } else if (dy === VP3Writer.LONG_MOVE) {
+        x += int16() / 10;
+        y += int16() / 10;
+        skip(2);
+        run = [point()];
+        runs.push(run);
+      } else if (dy === VP3Writer.TRIM) {
+        runs.push([{ ...point(), command: "trim" }]);
+      }
+    }
+    colorBlocks.push({ threadIndex: b, runs });
+  }
+
+  return {
+    magic,
+    producer,
+    title,
+    stitchCount,
+    colorCount,
+    width: maxX - minX,
+    height: maxY - minY,
+    fileEnd,
+    threads,
+    colorBlocks,
+  };
+}
+
+function roundTrip(design) {
+  const bytes = new VP3Writer().generateVP3(toWriterPoints(design, { colorChanges: false }), "Test");
+  return { bytes, design: readVP3(bytes) };
+}
+
+describe("VP3 writer", () => {
+  test("writes the header, title, size and stitch count", () => {
+    const { bytes, design } = roundTrip(SAMPLE_DESIGN);
+
+    expect(design.magic).toBe(VP3Writer.MAGIC);
+    expect(design.producer).toBe(VP3Writer.PRODUCER);
+    expect(design.title).toBe("Test");
+    // The file block runs to the end of the file
+    expect(design.fileEnd).toBe(bytes.length);
+    expect(design.width).toBeCloseTo(23);
+    expect(design.height).toBeCloseTo(23);
+    expect(design.stitchCount).toBe(8);
+  });
+
+  test("writes one thread per color block with its RGB value and names", () => {
+    const { design } = roundTrip(SAMPLE_DESIGN);
+
+    expect(design.colorCount).toBe(2);
+    expect(design.threads).toEqual([
+      { color: 0xff0000, catalogNumber: "1800", name: "Red", brand: "" },
+      { color: 0x0000ff, catalogNumber: "1902", name: "Blue", brand: "" },
+    ]);
+  });
+
+  test("reads back every stitch in order, with trims", () => {
+    const { design } = roundTrip(SAMPLE_DESIGN);
+
+    expect(getSewnRuns(design)).toEqual(getExpectedRuns(SAMPLE_DESIGN));
+    const trims = design.colorBlocks[0].runs.filter((run) => run.length === 1 && run[0].command === "trim");
+    expect(trims).toHaveLength(1);
+  });
+
+  test("writes stitches longer than a byte as long moves", () => {
+    const longStitch = [
+      {
+        color: 0x000000,
+        runs: [
+          [
+            { x: 0, y: 0 },
+            { x: 20, y: 0 },
+            { x: 20, y: 2 },
+          ],
+        ],
+      },
+    ];
+    const { design } = roundTrip(longStitch);
+
+    expect(design.stitchCount).toBe(2);
+    expect(design.colorBlocks[0].runs.flat().map(({ x, y }) => ({ x, y }))).toEqual([
+      { x: 0, y: 0 },
+      { x: 20, y: 0 },
+      { x: 20, y: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+import { beforeAll, describe, expect, jest, test } from "@jest/globals";
+import { XXXWriter } from "../src/io/p5-singer-xxx-writer.js";
+import { SAMPLE_DESIGN, getExpectedRuns, getSewnRuns, readByteRecords, toWriterPoints } from "./helpers/designs.js";
+
+const XXX_COMMANDS = { control: XXXWriter.CONTROL, jump: 0x01, trim: 0x03, colorChange: 0x08, end: 0x7f };
+
+function generateXXX(design) {
+  // XXXWriter adds its own color changes wherever the color changes
+  return new XXXWriter().generateXXX(toWriterPoints(design, { colorChanges: false }));
+}
+
+describe("XXX writer", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("reads back every stitch in order after the header", () => {
+    const bytes = generateXXX(SAMPLE_DESIGN);
+    const design = readByteRecords(bytes.subarray(XXXWriter.HEADER_SIZE), XXX_COMMANDS);
+
+    expect(getSewnRuns(design)).toEqual(getExpectedRuns(SAMPLE_DESIGN));
+    expect(design.colorBlocks).toHaveLength(2);
+    const trims = design.colorBlocks[0].runs.filter((run) => run.length === 1 && run[0].command === "trim");
+    expect(trims).toHaveLength(1);
+  });
+
+  test("writes the record count, color count and size in the header", () => {
+    const bytes = generateXXX(SAMPLE_DESIGN);
+    const view = new DataView(bytes.buffer);
+
+    // 8 stitches, 3 jumps, a trim and a color change
+    expect(view.getInt32(0x17, true)).toBe(13);
+    expect(view.getInt32(0x27, true)).toBe(2);
+    expect(view.getInt16(0x2d, true)).toBe(230);
+    expect(view.getInt16(0x2f, true)).toBe(230);
+  });
+
+  test("ends the records and appends the RGB color table", () => {
+    const bytes = generateXXX(SAMPLE_DESIGN);
+    const colorTable = Array.from(bytes.subarray(bytes.length - 8));
+    const endRecord = Array.from(bytes.subarray(bytes.length - 12, bytes.length - 8));
+
+    expect(endRecord).toEqual([0x7f, 0x7f, 0x02, 0x14]);
+    expect(colorTable).toEqual([0x00, 0xff, 0x00, 0x00, 0x00, 0x00, 0x00, 0xff]);
+  });
+});